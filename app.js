@@ -12,12 +12,36 @@ const financeRoutes = require('./src/routes/finance.routes')
 const forbiddenRoutes = require('./src/routes/forbidden.routes')
 const extraLessonRoutes = require('./src/routes/extra-lesson.routes')
 const leadRoutes = require('./src/routes/lead.routes')
+const payrollRoutes = require('./src/routes/payroll.routes')
+const compensationRoutes = require('./src/routes/compensation.routes')
+const holidayRoutes = require('./src/routes/holiday.routes')
+const scheduleRoutes = require('./src/routes/schedule.routes')
+const roomRoutes = require('./src/routes/room.routes')
+const parentRoutes = require('./src/routes/parent.routes')
+const timesheetRoutes = require('./src/routes/timesheet.routes')
+const branchRoutes = require('./src/routes/branch.routes')
+const auditRoutes = require('./src/routes/audit.routes')
 const swaggerSpec = require('./src/config/swagger')
 const AppError = require('./src/utils/AppError')
 const errorHandler = require('./src/middleware/errorHandler')
+const auditWriteRequests = require('./src/middleware/audit.middleware')
 
 const app = express()
 
+// Needed behind a reverse proxy so req.ip (used by rate limits) is the client address.
+const trustProxyEnv = String(process.env.TRUST_PROXY || '').trim()
+if (trustProxyEnv) {
+	const trustProxyHops = Number(trustProxyEnv)
+	if (Number.isInteger(trustProxyHops)) {
+		app.set('trust proxy', trustProxyHops)
+	} else if (['true', 'false'].includes(trustProxyEnv)) {
+		app.set('trust proxy', trustProxyEnv === 'true')
+	} else {
+		// e.g. "loopback" or a comma-separated list of subnets
+		app.set('trust proxy', trustProxyEnv)
+	}
+}
+
 const normalizeOrigin = value => String(value || '')
 	.trim()
 	.replace(/\/+$/, '')
@@ -59,6 +83,7 @@ const STATUS_DEFAULT_CODES = {
 	405: 'METHOD_NOT_ALLOWED',
 	409: 'CONFLICT',
 	422: 'UNPROCESSABLE_ENTITY',
+	429: 'TOO_MANY_REQUESTS',
 	500: 'INTERNAL_SERVER_ERROR',
 }
 
@@ -118,6 +143,8 @@ app.get('/api-docs-json', (req, res) => {
 
 app.use('/api-docs', swaggerUi.serve, swaggerUi.setup(swaggerSpec, { explorer: true }))
 
+app.use(auditWriteRequests)
+
 app.use('/api/auth', authRoutes)
 app.use('/api/students', studentRoutes)
 app.use('/api/groups', groupRoutes)
@@ -127,6 +154,15 @@ app.use('/api/finance', financeRoutes)
 app.use('/api/forbidden', forbiddenRoutes)
 app.use('/api/extra-lessons', extraLessonRoutes)
 app.use('/api/leads', leadRoutes)
+app.use('/api/payroll', payrollRoutes)
+app.use('/api/compensation', compensationRoutes)
+app.use('/api/holidays', holidayRoutes)
+app.use('/api/schedule', scheduleRoutes)
+app.use('/api/rooms', roomRoutes)
+app.use('/api/parents', parentRoutes)
+app.use('/api/timesheets', timesheetRoutes)
+app.use('/api/branches', branchRoutes)
+app.use('/api/audit', auditRoutes)
 
 app.use((req, res, next) => {
 	next(new AppError('Route not found', 'ROUTE_NOT_FOUND', 404))
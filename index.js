@@ -3,9 +3,13 @@ dotenv.config()
 
 const connectDB = require('./src/config/db')
 const app = require('./app')
+const { assertSmsProviderConfigured } = require('./src/services/sms.service')
 
 const port = Number(process.env.PORT) || 3000
 
+// Refuse to start without a real SMS gateway outside development
+assertSmsProviderConfigured()
+
 // Start the HTTP server immediately so nodemon doesn't crash
 app.listen(port, () => {
 	console.log(`Server is running on port ${port}`)
@@ -0,0 +1,30 @@
+const dotenv = require('dotenv')
+dotenv.config()
+
+const mongoose = require('mongoose')
+const { assignDefaultBranchToFinancialEvents } = require('../src/seeders/branches.seeder')
+
+// Assigns the only branch to finance events without one; a no-op once a second branch exists.
+const run = async () => {
+	const mongoUri = process.env.MONGO_URI
+	if (!mongoUri) {
+		throw new Error('MONGO_URI is required')
+	}
+
+	await mongoose.connect(mongoUri, { serverSelectionTimeoutMS: 15000 })
+	try {
+		const { branchId, assigned } = await assignDefaultBranchToFinancialEvents()
+		if (!branchId) {
+			console.log('Skipped: finance events are only backfilled while exactly one branch exists')
+			return
+		}
+		console.log(`Assigned branch ${branchId} to ${assigned} finance events`)
+	} finally {
+		await mongoose.disconnect()
+	}
+}
+
+run().catch(error => {
+	console.error('Finance branch migration failed:', error)
+	process.exitCode = 1
+})
@@ -0,0 +1,25 @@
+const dotenv = require('dotenv')
+dotenv.config()
+
+const mongoose = require('mongoose')
+const { migrateEmbeddedGroupAttendance } = require('../src/seeders/attendance.seeder')
+
+const run = async () => {
+	const mongoUri = process.env.MONGO_URI
+	if (!mongoUri) {
+		throw new Error('MONGO_URI is required')
+	}
+
+	await mongoose.connect(mongoUri, { serverSelectionTimeoutMS: 15000 })
+	try {
+		const { migratedGroups, migratedRecords } = await migrateEmbeddedGroupAttendance()
+		console.log(`Migrated ${migratedRecords} attendance records from ${migratedGroups} groups`)
+	} finally {
+		await mongoose.disconnect()
+	}
+}
+
+run().catch(error => {
+	console.error('Group attendance migration failed:', error)
+	process.exitCode = 1
+})
@@ -0,0 +1,40 @@
+const dotenv = require('dotenv')
+dotenv.config()
+
+const mongoose = require('mongoose')
+const Student = require('../src/model/student.model')
+const { computeLedgerBalances, syncStudentBalances } = require('../src/services/student-balance.service')
+
+// Lists students whose stored balance differs from the ledger; with --apply, stores the ledger value.
+const run = async () => {
+	const mongoUri = process.env.MONGO_URI
+	if (!mongoUri) {
+		throw new Error('MONGO_URI is required')
+	}
+	const apply = process.argv.includes('--apply')
+
+	await mongoose.connect(mongoUri, { serverSelectionTimeoutMS: 15000 })
+	try {
+		const students = await Student.find().select('_id fullname balance').lean()
+		const balances = await computeLedgerBalances(students.map(student => student._id))
+		const drifted = students.filter(student => (student.balance || 0) !== balances.get(String(student._id)))
+
+		for (const student of drifted) {
+			const ledgerBalance = balances.get(String(student._id))
+			console.log(`${student._id} ${student.fullname}: stored ${student.balance || 0}, ledger ${ledgerBalance}`)
+		}
+
+		if (apply && drifted.length > 0) {
+			await syncStudentBalances(drifted.map(student => student._id))
+		}
+		const suffix = apply ? ' and were updated' : ''
+		console.log(`${drifted.length} of ${students.length} students differ from the ledger${suffix}`)
+	} finally {
+		await mongoose.disconnect()
+	}
+}
+
+run().catch(error => {
+	console.error('Student balance migration failed:', error)
+	process.exitCode = 1
+})
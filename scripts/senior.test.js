@@ -1,4 +1,5 @@
 const assert = require('assert')
+const { EventEmitter } = require('events')
 const mongoose = require('mongoose')
 
 process.env.JWT_SECRET = process.env.JWT_SECRET || 'senior-suite-secret'
@@ -9,29 +10,92 @@ process.env.STRICT_REFRESH_TOKEN_MATCH = 'false'
 const {
 	generateAccessToken,
 	generateRefreshToken,
+	generateStudentAccessToken,
+	generateParentAccessToken,
 	verifyAccessToken,
 	verifyRefreshToken,
 } = require('../src/utils/token')
 const authMiddleware = require('../src/middleware/auth.middleware')
+const auditWriteRequests = require('../src/middleware/audit.middleware')
+const requireBranchAccess = require('../src/middleware/branch-access.middleware')
+const rateLimit = require('../src/middleware/rateLimit')
 const authController = require('../src/controllers/auth.controller')
 const studentController = require('../src/controllers/student.controller')
 const groupController = require('../src/controllers/group.controller')
 const courseController = require('../src/controllers/course.controller')
+const financeController = require('../src/controllers/finance.controller')
+const payrollController = require('../src/controllers/payroll.controller')
+const leadController = require('../src/controllers/lead.controller')
+const parentController = require('../src/controllers/parent.controller')
+const timesheetController = require('../src/controllers/timesheet.controller')
+const auditController = require('../src/controllers/audit.controller')
 const {
-	resetStudentBalancesIfNeeded,
-} = require('../src/services/student-balance-reset.service')
+	getStudentStatement,
+	closeStudentBalancePeriod,
+} = require('../src/services/student-balance.service')
 const {
 	getGroupsCountByCourseIds,
 	syncCourseGroupsCount,
 } = require('../src/services/course-sync.service')
+const {
+	computeProratedCharge,
+	generateMonthlyCharges,
+} = require('../src/services/student-billing.service')
+const { buildScheduledSlots } = require('../src/services/group-session.service')
+const {
+	compareEntities,
+	findExtraLessonConflicts,
+	toExtraLessonEntity,
+	toGroupEntity,
+} = require('../src/services/schedule-conflict.service')
+const {
+	resolveCompensationRule,
+	buildAccrualPreview,
+	approveAccruals,
+} = require('../src/services/compensation.service')
+const { computeRoomOccupancy } = require('../src/services/room-occupancy.service')
+const { buildDuplicateGroups, mergeLeads } = require('../src/services/lead-dedup.service')
+const { assertSmsProviderConfigured, registerSmsProvider } = require('../src/services/sms.service')
+const { hashOtpCode } = require('../src/services/otp.service')
+const { hashRefreshToken } = require('../src/services/auth-session.service')
+const {
+	createFaceIndex,
+	employeeFaceIndex,
+	studentFaceIndex,
+} = require('../src/services/face-index.service')
+const { checkInStudentByFace } = require('../src/services/kiosk-attendance.service')
+const {
+	countTrailingAbsences,
+	summarizeRecords,
+} = require('../src/services/attendance-report.service')
 
 const User = require('../src/model/user.model')
 const Student = require('../src/model/student.model')
+const Parent = require('../src/model/parent.model')
 const Group = require('../src/model/group.model')
 const Course = require('../src/model/course.model')
 const Lesson = require('../src/model/lesson.model')
 const Role = require('../src/models/Role.model')
 const FaceCredential = require('../src/models/FaceCredential.model')
+const { FinancialEvent } = require('../src/models/FinancialEvent.model')
+const { PayrollRun } = require('../src/models/PayrollRun.model')
+const { CompensationRule } = require('../src/models/CompensationRule.model')
+const { ExtraLesson } = require('../src/model/extra-lesson.model')
+const { GroupSession } = require('../src/model/group-session.model')
+const { GroupAttendance } = require('../src/model/group-attendance.model')
+const Holiday = require('../src/model/holiday.model')
+const Room = require('../src/model/room.model')
+const { Lead } = require('../src/model/lead.model')
+const { LeadActivity } = require('../src/model/lead-activity.model')
+const { LeadFollowUp } = require('../src/model/lead-follow-up.model')
+const { OtpCode } = require('../src/model/otp-code.model')
+const { FaceLoginAttempt } = require('../src/model/face-login-attempt.model')
+const { AuthSession } = require('../src/model/auth-session.model')
+const { FaceChallenge } = require('../src/model/face-challenge.model')
+const { TimesheetEvent } = require('../src/model/timesheet-event.model')
+const { StudentFaceCredential } = require('../src/model/student-face-credential.model')
+const { Branch } = require('../src/model/branch.model')
+const { AuditLog } = require('../src/model/audit-log.model')
 
 const DAYS_OF_WEEK = [
 	'sunday',
@@ -82,6 +146,9 @@ const makeQuery = value => {
 		lean() {
 			return query
 		},
+		session() {
+			return query
+		},
 		exec() {
 			return Promise.resolve(value)
 		},
@@ -128,6 +195,21 @@ const runMiddleware = async (middleware, req) => {
 	return { res, nextCalled }
 }
 
+const TEST_FACE_NONCE = 'n'.repeat(43)
+
+// Distinct frames around descriptor whose mean stays within 0.01 of it.
+const makeFaceFrames = (descriptor, count = 3) =>
+	Array.from({ length: count }, (_, frameIndex) =>
+		descriptor.map((value, index) => (index === 10 + frameIndex ? value + 0.03 : value)),
+	)
+
+// Stubs for a fresh, unused challenge whose frames were never seen before.
+const acceptedFaceChallengePatches = () => [
+	[FaceChallenge, 'findOneAndUpdate', () => makeQuery({ _id: 'challenge-1', action: 'blink' })],
+	[FaceChallenge, 'updateOne', async () => ({ modifiedCount: 1 })],
+	[FaceChallenge, 'find', () => makeQuery([])],
+]
+
 const runTests = async () => {
 	let passed = 0
 	let failed = 0
@@ -256,6 +338,7 @@ const runTests = async () => {
 							}),
 						}),
 					],
+					[AuthSession, 'create', async payload => payload],
 				],
 				async () => {
 					const res = await callHandler(authController.refreshToken, {
@@ -267,6 +350,8 @@ const runTests = async () => {
 					assert.ok(typeof res.body.refreshToken === 'string')
 					const refreshedPayload = verifyRefreshToken(res.body.refreshToken)
 					assert.strictEqual(refreshedPayload.id, userId)
+					// Tokens issued before sessions existed are moved into a session.
+					assert.ok(refreshedPayload.sid)
 				},
 			)
 		})
@@ -329,6 +414,7 @@ const runTests = async () => {
 			const loginDescriptor = baseDescriptor.map((value, index) =>
 				Number((value + (index % 2 === 0 ? 0.001 : -0.001)).toFixed(6)),
 			)
+			const recordedAttempts = []
 			const userDoc = {
 				_id: userId,
 				role: 'teacher',
@@ -360,11 +446,23 @@ const runTests = async () => {
 								},
 							]),
 					],
-					[User, 'find', () => makeQuery([userDoc])],
+					[FaceCredential, 'findOne', () => makeQuery({ userId, descriptor: baseDescriptor })],
+					[User, 'findById', () => makeQuery(userDoc)],
+					[AuthSession, 'create', async payload => payload],
+					[
+						FaceLoginAttempt,
+						'create',
+						async payload => {
+							recordedAttempts.push(payload)
+							return payload
+						},
+					],
+					...acceptedFaceChallengePatches(),
 				],
 				async () => {
+					employeeFaceIndex.reset()
 					const res = await callHandler(authController.loginWithFaceId, {
-						body: { descriptor: loginDescriptor, threshold: 0.3 },
+						body: { nonce: TEST_FACE_NONCE, frames: makeFaceFrames(loginDescriptor), threshold: 0.3 },
 						headers: { host: 'localhost:3000' },
 						protocol: 'http',
 						get(headerName) {
@@ -376,6 +474,10 @@ const runTests = async () => {
 					assert.ok(typeof res.body.accessToken === 'string')
 					assert.ok(typeof res.body.refreshToken === 'string')
 					assert.strictEqual(res.body.user.faceIdEnabled, true)
+					assert.strictEqual(recordedAttempts.length, 1)
+					assert.strictEqual(recordedAttempts[0].outcome, 'success')
+					assert.strictEqual(recordedAttempts[0].matchedUser, userId)
+					employeeFaceIndex.reset()
 				},
 			)
 		})
@@ -463,7 +565,6 @@ const runTests = async () => {
 							schedule: [
 								{ dayOfWeek: 'monday', startTime: '09:00', durationMinutes: 90 },
 							],
-							attendance: [],
 						}),
 					],
 				],
@@ -509,9 +610,11 @@ const runTests = async () => {
 							schedule: [
 								{ dayOfWeek: scheduleDay, startTime: '10:00', durationMinutes: 90 },
 							],
-							attendance: [],
 						}),
 					],
+					[Holiday, 'find', () => makeQuery([])],
+					[GroupSession, 'bulkWrite', async () => ({})],
+					[GroupSession, 'find', () => makeQuery([])],
 				],
 				async () => {
 					const res = await callHandler(groupController.markGroupAttendanceStudent, {
@@ -532,6 +635,274 @@ const runTests = async () => {
 			)
 		})
 
+		await test('single-student attendance rejects a cancelled running session', async () => {
+			const groupId = '507f1f77bcf86cd799439044'
+			const studentId = '507f1f77bcf86cd799439045'
+			const teacherId = '507f1f77bcf86cd799439046'
+			const now = new Date()
+
+			await withPatchedMethods(
+				[
+					[
+						Group,
+						'findById',
+						async () => ({
+							_id: groupId,
+							teacher: teacherId,
+							supportTeachers: [],
+							schedule: [],
+						}),
+					],
+					[
+						GroupSession,
+						'find',
+						() =>
+							makeQuery([
+								{
+									startsAt: new Date(now.getTime() - 10 * 60 * 1000),
+									durationMinutes: 90,
+									status: 'cancelled',
+								},
+							]),
+					],
+				],
+				async () => {
+					const res = await callHandler(groupController.markGroupAttendanceStudent, {
+						params: { groupId, studentId },
+						user: { _id: teacherId, role: 'teacher' },
+						body: {
+							date: now.toISOString(),
+							status: 'present',
+						},
+					})
+
+					assert.strictEqual(res.statusCode, 403)
+					assert.strictEqual(res.body.code, 'SESSION_CANCELLED')
+				},
+			)
+		})
+
+		await test('single-student attendance upserts one record keyed by the local day', async () => {
+			const groupId = '507f1f77bcf86cd799439047'
+			const studentId = '507f1f77bcf86cd799439048'
+			const teacherId = '507f1f77bcf86cd799439049'
+			const now = new Date()
+			const localDateKey = new Date(now.getTime() + 5 * 60 * 60 * 1000).toISOString().slice(0, 10)
+			let capturedOperations = null
+
+			await withPatchedMethods(
+				[
+					[
+						Group,
+						'findById',
+						() => makeQuery({ _id: groupId, teacher: teacherId, supportTeachers: [], schedule: [] }),
+					],
+					[
+						GroupSession,
+						'find',
+						() =>
+							makeQuery([
+								{
+									startsAt: new Date(now.getTime() - 10 * 60 * 1000),
+									durationMinutes: 90,
+									status: 'scheduled',
+								},
+							]),
+					],
+					[Student, 'exists', async () => ({ _id: studentId })],
+					[Student, 'aggregate', async () => []],
+					[
+						GroupAttendance,
+						'bulkWrite',
+						async operations => {
+							capturedOperations = operations
+							return {}
+						},
+					],
+					[
+						GroupAttendance,
+						'find',
+						() =>
+							makeQuery([
+								{
+									group: groupId,
+									student: { _id: studentId },
+									date: new Date(now.getTime() - 7 * 24 * 60 * 60 * 1000),
+									status: 'absent',
+								},
+								{ group: groupId, student: { _id: studentId }, date: now, status: 'late' },
+							]),
+					],
+				],
+				async () => {
+					const res = await callHandler(groupController.markGroupAttendanceStudent, {
+						params: { groupId, studentId },
+						user: { _id: teacherId, role: 'teacher' },
+						body: { date: now.toISOString(), status: 'late' },
+					})
+
+					assert.strictEqual(res.statusCode, 200)
+					assert.strictEqual(capturedOperations.length, 1)
+					const { filter, update, upsert } = capturedOperations[0].updateOne
+					assert.strictEqual(upsert, true)
+					assert.deepStrictEqual(filter, { group: groupId, student: studentId, dateKey: localDateKey })
+					assert.strictEqual(update.$set.status, 'late')
+					assert.deepStrictEqual(update.$unset, { note: '' })
+					assert.strictEqual(res.body.attendance.status, 'late')
+					// group.attendance keeps the full history, as the former embedded array did.
+					assert.deepStrictEqual(
+						res.body.group.attendance.map(item => item.status),
+						['absent', 'late'],
+					)
+				},
+			)
+		})
+
+		await test('group session slots follow schedule within start and end dates', async () => {
+			const slots = buildScheduledSlots(
+				{
+					// 2025-04-02 local (UTC+5) is a Wednesday
+					startDate: new Date('2025-04-01T19:00:00.000Z'),
+					endDate: new Date('2025-04-09T12:00:00.000Z'),
+					schedule: [
+						{ dayOfWeek: 'monday', startTime: '09:00', durationMinutes: 90 },
+						{ dayOfWeek: 'wednesday', startTime: '09:00', durationMinutes: 90 },
+					],
+				},
+				{ fromKey: '2025-03-25', toKey: '2025-04-30' },
+			)
+
+			assert.deepStrictEqual(
+				slots.map(slot => slot.slotKey),
+				['2025-04-02T09:00', '2025-04-07T09:00', '2025-04-09T09:00'],
+			)
+			assert.strictEqual(slots[0].startsAt.toISOString(), '2025-04-02T04:00:00.000Z')
+		})
+
+		await test('group sessions list merges stored sessions without writing and checks student membership', async () => {
+			const groupId = '507f1f77bcf86cd799439141'
+			const studentId = '507f1f77bcf86cd799439142'
+			const group = {
+				_id: groupId,
+				name: 'IELTS A1',
+				startDate: new Date('2025-04-01T19:00:00.000Z'),
+				endDate: new Date('2025-04-09T12:00:00.000Z'),
+				schedule: [{ dayOfWeek: 'wednesday', startTime: '09:00', durationMinutes: 90 }],
+			}
+			const movedSession = {
+				_id: '507f1f77bcf86cd799439143',
+				slotKey: '2025-04-02T09:00',
+				dateKey: '2025-04-03',
+				startsAt: new Date('2025-04-03T04:00:00.000Z'),
+				status: 'scheduled',
+			}
+			let wrote = false
+
+			await withPatchedMethods(
+				[
+					[Group, 'findById', () => makeQuery(group)],
+					[GroupSession, 'find', () => makeQuery([movedSession])],
+					[Holiday, 'find', () => makeQuery([{ _id: 'h1', date: '2025-04-09', name: 'Spring Day' }])],
+					[
+						GroupSession,
+						'bulkWrite',
+						async () => {
+							wrote = true
+						},
+					],
+					[Student, 'exists', async () => null],
+				],
+				async () => {
+					const outsider = await callHandler(groupController.getGroupSessions, {
+						params: { groupId },
+						query: { from: '2025-04-01', to: '2025-04-30' },
+						user: { id: studentId, userType: 'student' },
+					})
+					assert.strictEqual(outsider.statusCode, 403)
+
+					const res = await callHandler(groupController.getGroupSessions, {
+						params: { groupId },
+						query: { from: '2025-04-01', to: '2025-04-30' },
+						user: { id: '507f1f77bcf86cd799439144', userType: 'employee', role: 'admin' },
+					})
+
+					assert.strictEqual(res.statusCode, 200)
+					assert.strictEqual(wrote, false)
+					assert.deepStrictEqual(
+						res.body.data.map(session => [session._id, session.slotKey, session.status]),
+						[
+							[movedSession._id, '2025-04-02T09:00', 'scheduled'],
+							[null, '2025-04-09T09:00', 'cancelled'],
+						],
+					)
+
+					const invalid = await callHandler(groupController.getGroupSessions, {
+						params: { groupId },
+						query: { from: '2025-02-30' },
+						user: { id: '507f1f77bcf86cd799439144', userType: 'employee', role: 'admin' },
+					})
+					assert.strictEqual(invalid.statusCode, 400)
+				},
+			)
+		})
+
+		await test('rescheduling a session onto a busy teacher answers 409 SCHEDULE_CONFLICT', async () => {
+			const groupId = '507f1f77bcf86cd799439145'
+			const teacherId = new mongoose.Types.ObjectId('507f1f77bcf86cd799439146')
+			let saved = false
+			const session = {
+				_id: '507f1f77bcf86cd799439147',
+				group: groupId,
+				status: 'scheduled',
+				startsAt: new Date('2025-04-02T04:00:00.000Z'),
+				durationMinutes: 90,
+				async save() {
+					saved = true
+				},
+			}
+
+			await withPatchedMethods(
+				[
+					[GroupSession, 'findOne', async () => session],
+					[Holiday, 'findOne', () => makeQuery(null)],
+					[
+						Group,
+						'findById',
+						() => makeQuery({ _id: groupId, name: 'IELTS A1', teacher: teacherId, supportTeachers: [] }),
+					],
+					[
+						Group,
+						'find',
+						() =>
+							makeQuery([
+								{
+									_id: '507f1f77bcf86cd799439148',
+									name: 'Math B2',
+									teacher: teacherId,
+									supportTeachers: [],
+									status: 'active',
+									// 2025-04-04 is a Friday
+									schedule: [{ dayOfWeek: 'friday', startTime: '14:00', durationMinutes: 90 }],
+								},
+							]),
+					],
+					[ExtraLesson, 'find', () => makeQuery([])],
+				],
+				async () => {
+					const res = await callHandler(groupController.rescheduleGroupSession, {
+						params: { groupId, sessionId: session._id },
+						body: { startsAt: '2025-04-04T09:30:00.000Z' },
+						user: { _id: '507f1f77bcf86cd799439149', role: 'admin' },
+					})
+
+					assert.strictEqual(res.statusCode, 409)
+					assert.strictEqual(res.body.code, 'SCHEDULE_CONFLICT')
+					assert.strictEqual(res.body.conflicts[0].resource, 'teacher')
+					assert.strictEqual(saved, false)
+				},
+			)
+		})
+
 		await test('createGroup with courseId auto-links lessons from course methodology', async () => {
 			const groupId = '507f1f77bcf86cd799439051'
 			const courseId = '507f1f77bcf86cd799439052'
@@ -568,6 +939,8 @@ const runTests = async () => {
 							return { _id: groupId, courseRef: courseId }
 						},
 					],
+					[Group, 'find', () => makeQuery([])],
+					[ExtraLesson, 'find', () => makeQuery([])],
 					[Group, 'aggregate', async () => [{ _id: new mongoose.Types.ObjectId(courseId), groupsCount: 1 }]],
 					[Course, 'bulkWrite', async () => ({ ok: 1 })],
 					[
@@ -616,6 +989,143 @@ const runTests = async () => {
 			)
 		})
 
+		await test('schedule conflicts detect shared teacher and room overlaps', async () => {
+			const teacherId = '507f1f77bcf86cd799439101'
+			const group = toGroupEntity({
+				_id: '507f1f77bcf86cd799439102',
+				name: 'IELTS A1',
+				teacher: teacherId,
+				supportTeachers: [],
+				room: { _id: '507f1f77bcf86cd799439107', name: 'Room 5' },
+				startDate: new Date('2025-04-01T00:00:00.000Z'),
+				endDate: null,
+				schedule: [{ dayOfWeek: 'wednesday', startTime: '14:00', durationMinutes: 90 }],
+			})
+
+			// 2025-04-09 14:30 local (UTC+5) is a Wednesday, inside the group lesson.
+			const overlapping = toExtraLessonEntity({
+				_id: '507f1f77bcf86cd799439103',
+				assignedTeacher: teacherId,
+				room: ' room 5 ',
+				scheduledAt: new Date('2025-04-09T09:30:00.000Z'),
+			})
+			const conflicts = compareEntities(group, overlapping)
+			assert.deepStrictEqual(
+				conflicts.map(conflict => conflict.resource),
+				['teacher', 'room'],
+			)
+			assert.strictEqual(conflicts[0].dayOfWeek, 'wednesday')
+			assert.strictEqual(conflicts[0].startTime, '14:30')
+
+			const later = toExtraLessonEntity({
+				_id: '507f1f77bcf86cd799439104',
+				assignedTeacher: teacherId,
+				scheduledAt: new Date('2025-04-09T10:40:00.000Z'),
+			})
+			assert.strictEqual(compareEntities(group, later).length, 0)
+		})
+
+		await test('extra lessons in a free-text room clash with other lessons in that room', async () => {
+			const clashingLessonId = '507f1f77bcf86cd799439108'
+			let groupLookups = 0
+
+			await withPatchedMethods(
+				[
+					[Room, 'find', () => makeQuery([])],
+					[
+						Group,
+						'find',
+						() => {
+							groupLookups += 1
+							return makeQuery([])
+						},
+					],
+					[
+						ExtraLesson,
+						'find',
+						() =>
+							makeQuery([
+								{
+									_id: clashingLessonId,
+									subject: 'Speaking club',
+									room: 'hall b',
+									scheduledAt: new Date('2030-04-10T09:30:00.000Z'),
+								},
+							]),
+					],
+				],
+				async () => {
+					const conflicts = await findExtraLessonConflicts({
+						_id: '507f1f77bcf86cd799439109',
+						subject: 'Mock exam',
+						room: ' Hall B ',
+						scheduledAt: new Date('2030-04-10T09:00:00.000Z'),
+					})
+
+					assert.deepStrictEqual(conflicts.map(conflict => conflict.resource), ['room'])
+					assert.strictEqual(conflicts[0].with.entityId, clashingLessonId)
+					assert.strictEqual(groupLookups, 0)
+				},
+			)
+		})
+
+		await test('createGroup rejects schedule conflicts with a structured 409', async () => {
+			const teacherId = '507f1f77bcf86cd799439105'
+			const clashingGroupId = '507f1f77bcf86cd799439106'
+			let created = false
+
+			await withPatchedMethods(
+				[
+					[User, 'find', () => ({ select: async () => [{ _id: teacherId }] })],
+					[
+						Group,
+						'find',
+						() =>
+							makeQuery([
+								{
+									_id: clashingGroupId,
+									name: 'Existing Group',
+									teacher: teacherId,
+									supportTeachers: [],
+									startDate: new Date('2026-01-01T00:00:00.000Z'),
+									endDate: null,
+									schedule: [
+										{ dayOfWeek: 'monday', startTime: '10:00', durationMinutes: 90 },
+									],
+								},
+							]),
+					],
+					[ExtraLesson, 'find', () => makeQuery([])],
+					[
+						Group,
+						'create',
+						async () => {
+							created = true
+							return {}
+						},
+					],
+				],
+				async () => {
+					const res = await callHandler(groupController.createGroup, {
+						body: {
+							name: 'New Group',
+							course: 'English',
+							groupType: 'odd',
+							teacher: teacherId,
+							startDate: '2026-03-02',
+							schedule: [{ startTime: '09:00', durationMinutes: 90 }],
+						},
+					})
+
+					assert.strictEqual(res.statusCode, 409)
+					assert.strictEqual(res.body.code, 'SCHEDULE_CONFLICT')
+					assert.strictEqual(res.body.conflicts[0].resource, 'teacher')
+					assert.strictEqual(res.body.conflicts[0].with.entityId, clashingGroupId)
+					assert.strictEqual(created, false)
+				},
+			)
+		})
+
 		await test('updateCourse propagates renamed course title to linked groups', async () => {
 			const courseId = '507f1f77bcf86cd799439061'
 			let groupUpdateCall = null
@@ -1145,27 +1655,2588 @@ const runTests = async () => {
 			)
 		})
 
-		await test('student balance reset service throttles repeated non-forced calls', async () => {
-			let updateManyCalls = 0
+		await test('student billing prorates charges for mid-month joins', async () => {
+			assert.strictEqual(
+				computeProratedCharge({ monthlyFee: 300000, joinedAt: new Date(2025, 2, 20), month: '2025-04' }),
+				300000,
+			)
+			assert.strictEqual(
+				computeProratedCharge({ monthlyFee: 300000, joinedAt: new Date(2025, 3, 16), month: '2025-04' }),
+				150000,
+			)
+			// 2025-04-15T20:00Z is already April 16 in UTC+5.
+			assert.strictEqual(
+				computeProratedCharge({
+					monthlyFee: 300000,
+					joinedAt: new Date('2025-04-15T20:00:00Z'),
+					month: '2025-04',
+				}),
+				150000,
+			)
+			assert.strictEqual(
+				computeProratedCharge({ monthlyFee: 300000, joinedAt: new Date(2025, 4, 1), month: '2025-04' }),
+				0,
+			)
+			assert.strictEqual(
+				computeProratedCharge({
+					monthlyFee: 300000,
+					joinedAt: new Date('2025-04-30T19:30:00Z'),
+					month: '2025-04',
+				}),
+				0,
+			)
+			assert.strictEqual(
+				computeProratedCharge({ monthlyFee: 0, joinedAt: new Date(2025, 2, 1), month: '2025-04' }),
+				0,
+			)
+		})
+
+		await test('generateMonthlyCharges skips memberships already charged for the month', async () => {
+			const groupId = new mongoose.Types.ObjectId()
+			const chargedStudentId = new mongoose.Types.ObjectId()
+			const newStudentId = new mongoose.Types.ObjectId()
+			const createdBy = new mongoose.Types.ObjectId()
+			let insertedPayloads = null
+
 			await withPatchedMethods(
 				[
 					[
 						Student,
-						'updateMany',
-						async () => {
-							updateManyCalls += 1
-							return { matchedCount: 5, modifiedCount: 5 }
+						'find',
+						() =>
+							makeQuery([
+								{
+									_id: chargedStudentId,
+									groups: [{ group: groupId, status: 'active', joinedAt: new Date(2025, 0, 1) }],
+								},
+								{
+									_id: newStudentId,
+									groups: [{ group: groupId, status: 'active', joinedAt: new Date(2025, 0, 1) }],
+								},
+							]),
+					],
+					[
+						Group,
+						'find',
+						() => makeQuery([{ _id: groupId, name: 'Math A1', monthlyFee: 400000 }]),
+					],
+					[
+						FinancialEvent,
+						'find',
+						() => makeQuery([{ studentId: chargedStudentId, groupId }]),
+					],
+					[
+						FinancialEvent,
+						'insertMany',
+						async payloads => {
+							insertedPayloads = payloads
+							return payloads
 						},
 					],
 				],
 				async () => {
-					const first = await resetStudentBalancesIfNeeded({ force: true })
-					const second = await resetStudentBalancesIfNeeded()
+					const result = await generateMonthlyCharges({ month: '2025-04', createdBy })
+
+					assert.strictEqual(result.created, 1)
+					assert.strictEqual(result.skipped, 1)
+					assert.strictEqual(result.totalAmount, 400000)
+					assert.strictEqual(insertedPayloads[0].type, 'student_charge')
+					assert.strictEqual(insertedPayloads[0].studentId, newStudentId)
+				},
+			)
+		})
+
+		await test('generateMonthlyCharges counts charges a concurrent run already inserted as skipped', async () => {
+			const groupId = new mongoose.Types.ObjectId()
+			const firstStudentId = new mongoose.Types.ObjectId()
+			const secondStudentId = new mongoose.Types.ObjectId()
+			let insertOptions = null
 
-					assert.strictEqual(first.skipped, false)
-					assert.strictEqual(second.skipped, true)
-					assert.strictEqual(second.reason, 'throttled')
-					assert.strictEqual(updateManyCalls, 1)
+			await withPatchedMethods(
+				[
+					[
+						Student,
+						'find',
+						() =>
+							makeQuery(
+								[firstStudentId, secondStudentId].map(_id => ({
+									_id,
+									groups: [{ group: groupId, status: 'active', joinedAt: new Date(2025, 0, 1) }],
+								})),
+							),
+					],
+					[Group, 'find', () => makeQuery([{ _id: groupId, name: 'Math A1', monthlyFee: 400000 }])],
+					[FinancialEvent, 'find', () => makeQuery([])],
+					[
+						FinancialEvent,
+						'insertMany',
+						async (payloads, options) => {
+							insertOptions = options
+							const error = new Error('E11000 duplicate key error')
+							error.code = 11000
+							error.writeErrors = [{ index: 0, err: { code: 11000 } }]
+							error.insertedDocs = [payloads[1]]
+							throw error
+						},
+					],
+				],
+				async () => {
+					const result = await generateMonthlyCharges({
+						month: '2025-04',
+						createdBy: new mongoose.Types.ObjectId(),
+					})
+
+					assert.strictEqual(insertOptions.ordered, false)
+					assert.strictEqual(result.created, 1)
+					assert.strictEqual(result.skipped, 1)
+					assert.strictEqual(result.totalAmount, 400000)
+					assert.strictEqual(String(result.events[0].studentId), String(secondStudentId))
+				},
+			)
+		})
+
+		await test('student statement carries closing balance into the next month', async () => {
+			const studentId = '507f1f77bcf86cd799439061'
+			await withPatchedMethods(
+				[
+					[
+						FinancialEvent,
+						'aggregate',
+						async () => [
+							{ _id: { studentId, month: '2025-01' }, charges: 400000, payments: 300000, closedBalance: -100000 },
+							{ _id: { studentId, month: '2025-03' }, charges: 400000, payments: 600000, closedBalance: null },
+						],
+					],
+				],
+				async () => {
+					const statement = await getStudentStatement(studentId, { from: '2025-02', to: '2025-03' })
+
+					assert.strictEqual(statement.length, 2)
+					assert.deepStrictEqual(
+						statement.map(entry => [entry.month, entry.opening, entry.closing]),
+						[
+							['2025-02', -100000, -100000],
+							['2025-03', -100000, 100000],
+						],
+					)
+					assert.strictEqual(statement[1].closed, false)
+				},
+			)
+		})
+
+		await test('closeStudentBalancePeriod skips students already closed for the month', async () => {
+			const closedStudentId = new mongoose.Types.ObjectId()
+			const openStudentId = new mongoose.Types.ObjectId()
+			let insertedPayloads = null
+			let aggregateCalls = 0
+
+			await withPatchedMethods(
+				[
+					[
+						FinancialEvent,
+						'aggregate',
+						async () => {
+							aggregateCalls += 1
+							if (aggregateCalls === 1) {
+								return [{ _id: closedStudentId }, { _id: openStudentId }]
+							}
+							if (aggregateCalls === 2) {
+								return [
+									{ _id: { studentId: closedStudentId, month: '2025-03' }, charges: 100, payments: 100, closedBalance: 0 },
+									{ _id: { studentId: openStudentId, month: '2025-03' }, charges: 500, payments: 200, closedBalance: null },
+								]
+							}
+							return []
+						},
+					],
+					[
+						FinancialEvent,
+						'insertMany',
+						async payloads => {
+							insertedPayloads = payloads
+							return payloads
+						},
+					],
+					[Student, 'bulkWrite', async () => ({})],
+				],
+				async () => {
+					const result = await closeStudentBalancePeriod({
+						month: '2025-03',
+						createdBy: new mongoose.Types.ObjectId(),
+					})
+
+					assert.strictEqual(result.closed, 1)
+					assert.strictEqual(result.skipped, 1)
+					assert.strictEqual(insertedPayloads[0].type, 'student_balance_close')
+					assert.strictEqual(insertedPayloads[0].amount, -300)
+				},
+			)
+		})
+
+		await test('closeStudentBalancePeriod returns 409 when a concurrent close wrote the same student first', async () => {
+			const studentId = new mongoose.Types.ObjectId()
+			let aggregateCalls = 0
+
+			await withPatchedMethods(
+				[
+					[
+						FinancialEvent,
+						'aggregate',
+						async () => {
+							aggregateCalls += 1
+							if (aggregateCalls === 1) {
+								return [{ _id: studentId }]
+							}
+							if (aggregateCalls === 2) {
+								return [
+									{ _id: { studentId, month: '2025-03' }, charges: 500, payments: 200, closedBalance: null },
+								]
+							}
+							return []
+						},
+					],
+					[
+						FinancialEvent,
+						'insertMany',
+						async () => {
+							const error = new Error('E11000 duplicate key error')
+							error.writeErrors = [{ index: 0, err: { code: 11000 } }]
+							error.insertedDocs = []
+							throw error
+						},
+					],
+					[Student, 'bulkWrite', async () => ({})],
+				],
+				async () => {
+					const result = await closeStudentBalancePeriod({
+						month: '2025-03',
+						createdBy: new mongoose.Types.ObjectId(),
+					})
+
+					assert.strictEqual(result.statusCode, 409)
+					assert.strictEqual(result.code, 'PERIOD_CLOSE_CONFLICT')
+					assert.strictEqual(result.closed, 0)
+				},
+			)
+		})
+
+		await test('reverseTransaction appends a negated event linked to the original', async () => {
+			const transactionId = '507f1f77bcf86cd799439071'
+			const employeeId = new mongoose.Types.ObjectId('507f1f77bcf86cd799439072')
+			const adminId = '507f1f77bcf86cd799439073'
+			let createdPayload = null
+
+			await withPatchedMethods(
+				[
+					[
+						FinancialEvent,
+						'findById',
+						async () => ({
+							_id: new mongoose.Types.ObjectId(transactionId),
+							userId: employeeId,
+							type: 'bonus',
+							amount: 200000,
+							month: '2025-04',
+							studentId: null,
+							groupId: null,
+							relatedViolationId: null,
+							reversalOf: null,
+							toObject() {
+								return { _id: this._id, type: this.type, amount: this.amount }
+							},
+						}),
+					],
+					[FinancialEvent, 'exists', async () => null],
+					[
+						FinancialEvent,
+						'create',
+						async payload => {
+							createdPayload = payload
+							return payload
+						},
+					],
+					[FinancialEvent, 'aggregate', async () => []],
+				],
+				async () => {
+					const res = await callHandler(financeController.reverseTransaction, {
+						params: { transactionId },
+						user: { id: adminId, _id: adminId, role: 'admin' },
+						body: { reason: 'Entered for the wrong employee' },
+					})
+
+					assert.strictEqual(res.statusCode, 201)
+					assert.strictEqual(createdPayload.type, 'bonus')
+					assert.strictEqual(createdPayload.amount, -200000)
+					assert.strictEqual(createdPayload.month, '2025-04')
+					assert.strictEqual(createdPayload.reversalOf.toString(), transactionId)
+					assert.strictEqual(createdPayload.createdBy, adminId)
+					assert.strictEqual(res.body.original.reversed, true)
+				},
+			)
+		})
+
+		await test('reverseTransaction rejects transactions that were already reversed', async () => {
+			const transactionId = '507f1f77bcf86cd799439074'
+
+			await withPatchedMethods(
+				[
+					[
+						FinancialEvent,
+						'findById',
+						async () => ({
+							_id: new mongoose.Types.ObjectId(transactionId),
+							type: 'student_payment',
+							amount: 500000,
+							relatedViolationId: null,
+							reversalOf: null,
+						}),
+					],
+					[FinancialEvent, 'exists', async () => ({ _id: new mongoose.Types.ObjectId() })],
+				],
+				async () => {
+					const res = await callHandler(financeController.reverseTransaction, {
+						params: { transactionId },
+						user: { id: '507f1f77bcf86cd799439075', role: 'admin' },
+						body: { reason: 'Duplicate payment' },
+					})
+
+					assert.strictEqual(res.statusCode, 409)
+					assert.strictEqual(res.body.code, 'ALREADY_REVERSED')
+				},
+			)
+		})
+
+		await test('payPayrollRun posts salary_payment events for positive payslips', async () => {
+			const runId = '507f1f77bcf86cd799439081'
+			const paidEmployee = new mongoose.Types.ObjectId('507f1f77bcf86cd799439082')
+			const zeroEmployee = new mongoose.Types.ObjectId('507f1f77bcf86cd799439083')
+			const adminId = '507f1f77bcf86cd799439084'
+			let insertedPayloads = []
+			let update = null
+			const postedEvents = []
+			const run = new PayrollRun({
+				_id: runId,
+				month: '2025-04',
+				status: 'approved',
+				createdBy: adminId,
+				payslips: [
+					{ employee: paidEmployee, fullname: 'Teacher One', role: 'teacher', net: 3000000 },
+					{ employee: zeroEmployee, fullname: 'Teacher Two', role: 'teacher', net: 0 },
+				],
+			})
+
+			await withPatchedMethods(
+				[
+					[PayrollRun, 'findById', async () => run],
+					[
+						PayrollRun,
+						'findOneAndUpdate',
+						async (filter, changes) => {
+							assert.strictEqual(filter.status, 'approved')
+							update = changes.$set
+							return { ...run.toObject(), ...changes.$set }
+						},
+					],
+					[
+						FinancialEvent,
+						'insertMany',
+						async (payloads, options) => {
+							assert.strictEqual(options.ordered, false)
+							insertedPayloads = payloads
+							if (postedEvents.length > 0) {
+								const error = new Error('E11000 duplicate key error')
+								error.writeErrors = payloads.map(() => ({ code: 11000 }))
+								error.insertedDocs = []
+								throw error
+							}
+							const events = payloads.map(payload => ({ ...payload, _id: new mongoose.Types.ObjectId() }))
+							postedEvents.push(...events)
+							return events
+						},
+					],
+					[FinancialEvent, 'find', () => makeQuery(postedEvents)],
+				],
+				async () => {
+					const pay = () =>
+						callHandler(payrollController.payPayrollRun, {
+							params: { runId },
+							user: { id: adminId, role: 'admin' },
+							body: {},
+						})
+
+					const res = await pay()
+					assert.strictEqual(res.statusCode, 200)
+					assert.strictEqual(res.body.payments, 1)
+					assert.strictEqual(insertedPayloads.length, 1)
+					assert.strictEqual(insertedPayloads[0].type, 'salary_payment')
+					assert.strictEqual(insertedPayloads[0].amount, 3000000)
+					assert.strictEqual(insertedPayloads[0].month, '2025-04')
+					assert.strictEqual(update.status, 'paid')
+					assert.strictEqual(String(update.payslips[0].paymentEventId), String(postedEvents[0]._id))
+					assert.strictEqual(update.payslips[1].paymentEventId, null)
+
+					// A retry after the run update failed links the events already posted.
+					update = null
+					const retried = await pay()
+					assert.strictEqual(retried.statusCode, 200)
+					assert.strictEqual(postedEvents.length, 1)
+					assert.strictEqual(String(update.payslips[0].paymentEventId), String(postedEvents[0]._id))
+
+					run.status = 'paid'
+					const conflict = await pay()
+					assert.strictEqual(conflict.statusCode, 409)
+					assert.strictEqual(conflict.body.code, 'INVALID_PAYROLL_STATUS')
+				},
+			)
+		})
+
+		await test('approvePayrollRun rejects runs that are not in draft', async () => {
+			await withPatchedMethods(
+				[
+					[PayrollRun, 'findOneAndUpdate', async () => null],
+					[PayrollRun, 'findById', () => makeQuery({ status: 'paid' })],
+				],
+				async () => {
+					const res = await callHandler(payrollController.approvePayrollRun, {
+						params: { runId: '507f1f77bcf86cd799439085' },
+						user: { id: '507f1f77bcf86cd799439086', role: 'admin' },
+						body: {},
+					})
+
+					assert.strictEqual(res.statusCode, 409)
+					assert.strictEqual(res.body.code, 'INVALID_PAYROLL_STATUS')
+				},
+			)
+		})
+
+		await test('compensation rules resolve group over course over role', async () => {
+			const groupId = new mongoose.Types.ObjectId()
+			const courseRef = new mongoose.Types.ObjectId()
+			const rules = [
+				{ _id: 'role', lessonType: 'group', role: 'teacher', ratePerLesson: 50 },
+				{ _id: 'course', lessonType: 'group', courseRef, ratePerLesson: 70 },
+				{ _id: 'group', lessonType: 'group', groupId, ratePerLesson: 90 },
+				{ _id: 'extra', lessonType: 'extra', role: 'teacher', ratePerLesson: 40 },
+			]
+
+			const pick = context => resolveCompensationRule(rules, context)?._id || null
+			assert.strictEqual(pick({ lessonType: 'group', role: 'teacher', courseRef, groupId }), 'group')
+			assert.strictEqual(pick({ lessonType: 'group', role: 'teacher', courseRef }), 'course')
+			assert.strictEqual(pick({ lessonType: 'group', role: 'teacher' }), 'role')
+			assert.strictEqual(pick({ lessonType: 'group', role: 'supporteacher' }), null)
+			assert.strictEqual(pick({ lessonType: 'extra', role: 'teacher' }), 'extra')
+		})
+
+		await test('accrual preview counts distinct attendance days and completed extra lessons', async () => {
+			const teacherId = new mongoose.Types.ObjectId()
+			const groupId = new mongoose.Types.ObjectId()
+			let capturedPipeline = null
+
+			await withPatchedMethods(
+				[
+					[
+						GroupAttendance,
+						'aggregate',
+						async pipeline => {
+							capturedPipeline = pipeline
+							return [{ _id: groupId, dates: ['2025-04-01', '2025-04-03'] }]
+						},
+					],
+					[
+						Group,
+						'find',
+						() =>
+							makeQuery([
+								{
+									_id: groupId,
+									name: 'IELTS A1',
+									teacher: teacherId,
+									supportTeachers: [],
+									courseRef: null,
+								},
+							]),
+					],
+					[
+						ExtraLesson,
+						'find',
+						() => makeQuery([{ _id: new mongoose.Types.ObjectId(), assignedTeacher: teacherId }]),
+					],
+					[
+						CompensationRule,
+						'find',
+						async () => [
+							{ _id: 'g', lessonType: 'group', role: 'teacher', ratePerLesson: 100 },
+							{ _id: 'e', lessonType: 'extra', role: 'teacher', ratePerLesson: 30 },
+						],
+					],
+					[
+						User,
+						'find',
+						() => makeQuery([{ _id: teacherId, fullname: 'Teacher One', role: 'teacher' }]),
+					],
+				],
+				async () => {
+					const preview = await buildAccrualPreview({ month: '2025-04' })
+
+					assert.deepStrictEqual(capturedPipeline[0].$match.dateKey, {
+						$gte: '2025-04-01',
+						$lte: '2025-04-31',
+					})
+					assert.strictEqual(preview.data.length, 1)
+					assert.strictEqual(preview.data[0].groupLessons, 2)
+					assert.strictEqual(preview.data[0].extraLessons, 1)
+					assert.strictEqual(preview.data[0].amount, 230)
+					assert.strictEqual(preview.totalAmount, 230)
+				},
+			)
+		})
+
+		await test('approveAccruals re-accrues at the next revision and skips accruals a concurrent run inserted', async () => {
+			const teacherId = new mongoose.Types.ObjectId()
+			const groupId = new mongoose.Types.ObjectId()
+			const reversedEventId = new mongoose.Types.ObjectId()
+			let insertedPayloads = null
+
+			await withPatchedMethods(
+				[
+					[GroupAttendance, 'aggregate', async () => [{ _id: groupId, dates: ['2025-04-01'] }]],
+					[
+						Group,
+						'find',
+						() =>
+							makeQuery([
+								{ _id: groupId, name: 'IELTS A1', teacher: teacherId, supportTeachers: [], courseRef: null },
+							]),
+					],
+					[ExtraLesson, 'find', () => makeQuery([])],
+					[
+						CompensationRule,
+						'find',
+						async () => [{ _id: 'g', lessonType: 'group', role: 'teacher', ratePerLesson: 100 }],
+					],
+					[User, 'find', () => makeQuery([{ _id: teacherId, fullname: 'Teacher One', role: 'teacher' }])],
+					[
+						FinancialEvent,
+						'find',
+						filter =>
+							filter.reversalOf?.$in
+								? makeQuery([{ _id: new mongoose.Types.ObjectId(), reversalOf: reversedEventId }])
+								: makeQuery([{ _id: reversedEventId, userId: teacherId }]),
+					],
+					[
+						FinancialEvent,
+						'insertMany',
+						async payloads => {
+							insertedPayloads = payloads
+							const error = new Error('E11000 duplicate key error')
+							error.writeErrors = [{ index: 0, err: { code: 11000 } }]
+							error.insertedDocs = []
+							throw error
+						},
+					],
+				],
+				async () => {
+					const result = await approveAccruals({ month: '2025-04', createdBy: new mongoose.Types.ObjectId() })
+
+					assert.strictEqual(insertedPayloads.length, 1)
+					assert.strictEqual(insertedPayloads[0].accrualRevision, 1)
+					assert.strictEqual(result.created, 0)
+					assert.strictEqual(result.skipped, 1)
+					assert.strictEqual(result.totalAmount, 0)
+				},
+			)
+		})
+
+		await test('createGroup rejects maxStudents above room capacity', async () => {
+			const teacherId = '507f1f77bcf86cd799439111'
+			const roomId = '507f1f77bcf86cd799439112'
+			let created = false
+
+			await withPatchedMethods(
+				[
+					[
+						Room,
+						'findById',
+						() => makeQuery({ _id: roomId, name: 'Room 3', capacity: 10, isActive: true }),
+					],
+					[
+						Group,
+						'create',
+						async () => {
+							created = true
+							return {}
+						},
+					],
+				],
+				async () => {
+					const res = await callHandler(groupController.createGroup, {
+						body: {
+							name: 'Crowded Group',
+							course: 'English',
+							groupType: 'odd',
+							teacher: teacherId,
+							startDate: '2026-03-02',
+							schedule: [{ startTime: '09:00', durationMinutes: 90 }],
+							room: roomId,
+							maxStudents: 12,
+						},
+					})
+
+					assert.strictEqual(res.statusCode, 400)
+					assert.strictEqual(res.body.field, 'maxStudents')
+					assert.strictEqual(res.body.code, 'ROOM_CAPACITY_EXCEEDED')
+					assert.strictEqual(created, false)
+				},
+			)
+		})
+
+		await test('room occupancy merges overlapping bookings and reports free slots', async () => {
+			const roomId = new mongoose.Types.ObjectId()
+			const [occupancy] = computeRoomOccupancy({
+				rooms: [{ _id: roomId, name: 'Room 1', capacity: 12 }],
+				groups: [
+					{
+						_id: 'g1',
+						name: 'Morning',
+						room: roomId,
+						schedule: [
+							{ dayOfWeek: 'monday', startTime: '09:00', durationMinutes: 90 },
+							{ dayOfWeek: 'sunday', startTime: '09:00', durationMinutes: 90 },
+						],
+					},
+					{
+						_id: 'g2',
+						name: 'Overlap',
+						room: roomId,
+						schedule: [{ dayOfWeek: 'monday', startTime: '10:00', durationMinutes: 60 }],
+					},
+				],
+				slot: { dayOfWeek: 'monday', startTime: '10:30', durationMinutes: 60 },
+			})
+
+			// 09:00-11:00 on Monday; Sunday is outside operating days.
+			assert.strictEqual(occupancy.bookedMinutes, 120)
+			assert.strictEqual(occupancy.availableMinutes, 6 * 12 * 60)
+			assert.strictEqual(occupancy.utilization, 2.8)
+			assert.deepStrictEqual(occupancy.days[0].freeSlots, [
+				{ startTime: '08:00', endTime: '09:00' },
+				{ startTime: '11:00', endTime: '20:00' },
+			])
+			assert.strictEqual(occupancy.isFreeForSlot, false)
+		})
+
+		await test('convertLead creates the student and marks the lead enrolled', async () => {
+			const leadId = '507f1f77bcf86cd799439121'
+			const studentId = '507f1f77bcf86cd799439122'
+			let studentPayload = null
+			let leadUpdate = null
+
+			await withPatchedMethods(
+				[
+					[
+						Lead,
+						'findById',
+						async () => ({
+							_id: leadId,
+							name: 'Aziz Karimov',
+							number: '+998 90 123-45-67',
+							description: 'Wants IELTS',
+							convertedStudent: null,
+						}),
+					],
+					[Student, 'findOne', async () => null],
+					[
+						Student,
+						'create',
+						async payload => {
+							studentPayload = payload
+							return { _id: studentId, ...payload }
+						},
+					],
+					[
+						Lead,
+						'findOneAndUpdate',
+						async (filter, update) => {
+							leadUpdate = { filter, update }
+							return { _id: leadId, ...update.$set }
+						},
+					],
+					[LeadActivity, 'create', async docs => docs],
+				],
+				async () => {
+					const res = await callHandler(leadController.convertLead, {
+						params: { leadId },
+						body: {
+							parentPhone: '+998901112233',
+							gender: 'male',
+							birthDate: '2010-05-01',
+							password: 'secret123',
+						},
+						user: { _id: '507f1f77bcf86cd799439123' },
+					})
+
+					assert.strictEqual(res.statusCode, 201)
+					assert.strictEqual(studentPayload.fullname, 'Aziz Karimov')
+					assert.strictEqual(studentPayload.studentPhone, '+998901234567')
+					assert.strictEqual(studentPayload.note, 'Wants IELTS')
+					assert.deepStrictEqual(leadUpdate.filter, { _id: leadId, convertedStudent: null })
+					assert.strictEqual(leadUpdate.update.$set.status, 'enrolled')
+					assert.strictEqual(leadUpdate.update.$set.convertedStudent, studentId)
+				},
+			)
+		})
+
+		await test('lead model requires lostReason and blocks manual enrollment', async () => {
+			const lost = new Lead({ name: 'Lead One', source: 'WEBSITE', status: 'lost' })
+			await assert.rejects(lost.validate(), error => Boolean(error.errors?.lostReason))
+
+			lost.lostReason = 'Too expensive'
+			await lost.validate()
+
+			const enrolled = new Lead({ name: 'Lead Two', source: 'WEBSITE', status: 'enrolled' })
+			await assert.rejects(enrolled.validate(), error => Boolean(error.errors?.status))
+		})
+
+		await test('updateLead logs pipeline status changes to the activity timeline', async () => {
+			const leadId = '507f1f77bcf86cd799439124'
+			const userId = '507f1f77bcf86cd799439125'
+			const lead = new Lead({ _id: leadId, name: 'Lead Three', source: 'TELEGRAM', status: 'contacted' })
+			const activities = []
+
+			await withPatchedMethods(
+				[
+					[Lead, 'findById', async () => lead],
+					[lead, 'save', async () => lead],
+					[
+						LeadActivity,
+						'create',
+						async payload => {
+							activities.push(payload)
+							return payload
+						},
+					],
+				],
+				async () => {
+					const res = await callHandler(leadController.updateLead, {
+						params: { leadId },
+						body: { status: 'lost', lostReason: 'Chose another center' },
+						user: { _id: userId },
+					})
+
+					assert.strictEqual(res.statusCode, 200)
+					assert.strictEqual(activities.length, 1)
+					assert.strictEqual(activities[0].type, 'status_change')
+					assert.strictEqual(activities[0].fromStatus, 'contacted')
+					assert.strictEqual(activities[0].toStatus, 'lost')
+					assert.strictEqual(activities[0].outcome, 'Chose another center')
+				},
+			)
+		})
+
+		await test('updateLead still succeeds when the status change activity cannot be written', async () => {
+			const leadId = '507f1f77bcf86cd799439127'
+			const lead = new Lead({ _id: leadId, name: 'Lead Four', source: 'TELEGRAM', status: 'new' })
+			const logged = []
+
+			await withPatchedMethods(
+				[
+					[Lead, 'findById', async () => lead],
+					[lead, 'save', async () => lead],
+					[
+						LeadActivity,
+						'create',
+						async () => {
+							throw new Error('activity store unavailable')
+						},
+					],
+					[console, 'error', (...args) => logged.push(args)],
+				],
+				async () => {
+					const res = await callHandler(leadController.updateLead, {
+						params: { leadId },
+						body: { status: 'contacted' },
+						user: { _id: '507f1f77bcf86cd799439128' },
+					})
+
+					assert.strictEqual(res.statusCode, 200)
+					assert.strictEqual(res.body.lead.status, 'contacted')
+					assert.strictEqual(logged[0][0], 'Lead status activity failed:')
+				},
+			)
+		})
+
+		await test('overdue follow-ups are scoped to the caller and pending past-due tasks', async () => {
+			const userId = '507f1f77bcf86cd799439126'
+			let capturedFilter = null
+
+			await withPatchedMethods(
+				[
+					[
+						LeadFollowUp,
+						'find',
+						filter => {
+							capturedFilter = filter
+							return makeQuery([{ _id: 'f1' }])
+						},
+					],
+				],
+				async () => {
+					const res = await callHandler(leadController.listMyOverdueFollowUps, {
+						user: { _id: userId },
+					})
+
+					assert.strictEqual(res.statusCode, 200)
+					assert.strictEqual(res.body.total, 1)
+					assert.strictEqual(capturedFilter.assignee, userId)
+					assert.strictEqual(capturedFilter.status, 'pending')
+					assert.ok(capturedFilter.dueAt.$lt instanceof Date)
+				},
+			)
+		})
+
+		await test('lead analytics reports conversion by source, employee and period', async () => {
+			const employeeId = new mongoose.Types.ObjectId()
+			let pipeline = null
+			const DAY_MS = 24 * 60 * 60 * 1000
+			const bucket = (leads, enrolled, lost, conversionDays = null) => ({
+				leads,
+				enrolled,
+				lost,
+				avgConversionMs: conversionDays === null ? null : conversionDays * DAY_MS,
+				maxConversionMs: conversionDays === null ? null : conversionDays * DAY_MS,
+			})
+
+			await withPatchedMethods(
+				[
+					[
+						Lead,
+						'aggregate',
+						async stages => {
+							pipeline = stages
+							return [
+								{
+									totals: [bucket(4, 1, 1, 3)],
+									bySource: [
+										{ _id: 'INSTAGRAM', ...bucket(3, 1, 1, 3) },
+										{ _id: 'FRIEND', ...bucket(1, 0, 0) },
+									],
+									byEmployee: [{ _id: employeeId, ...bucket(4, 1, 1, 3) }],
+									byPeriod: [{ _id: '2025-W14', ...bucket(4, 1, 1, 3) }],
+									byStatus: [
+										{ _id: 'new', count: 2 },
+										{ _id: 'enrolled', count: 1 },
+										{ _id: 'lost', count: 1 },
+									],
+								},
+							]
+						},
+					],
+					[
+						User,
+						'find',
+						() => ({ select: async () => [{ _id: employeeId, fullname: 'Sales One', role: 'admin' }] }),
+					],
+				],
+				async () => {
+					const branchId = new mongoose.Types.ObjectId('507f1f77bcf86cd79943912f')
+					const res = await callHandler(leadController.getLeadAnalytics, {
+						user: { _id: employeeId, role: 'admin', userType: 'employee' },
+						userDocument: { branches: [branchId] },
+						query: { from: '2025-04-01', to: '2025-04-07', interval: 'week' },
+					})
+
+					assert.strictEqual(res.statusCode, 200)
+					const { createdAt, branch } = pipeline[0].$match
+					assert.strictEqual(createdAt.$gte.toISOString(), '2025-03-31T19:00:00.000Z')
+					assert.strictEqual(createdAt.$lt.toISOString(), '2025-04-07T19:00:00.000Z')
+					// Aggregation skips casting, so the branch ids must already be ObjectIds.
+					assert.ok(branch.$in[0] instanceof mongoose.Types.ObjectId)
+					assert.strictEqual(String(branch.$in[0]), String(branchId))
+					assert.strictEqual(branch.$in[1], null)
+					assert.strictEqual(res.body.totals.conversionRate, 25)
+					assert.strictEqual(res.body.totals.open, 2)
+					assert.strictEqual(res.body.bySource.length, 6)
+					assert.strictEqual(res.body.bySource[0].source, 'INSTAGRAM')
+					assert.strictEqual(res.body.bySource[0].conversionRate, 33.3)
+					assert.strictEqual(res.body.bySource[0].avgDaysToConversion, 3)
+					assert.strictEqual(res.body.bySource[1].avgDaysToConversion, null)
+					assert.strictEqual(res.body.byEmployee[0].fullname, 'Sales One')
+					assert.strictEqual(res.body.byPeriod[0].period, '2025-W14')
+					assert.deepStrictEqual(res.body.funnel[0], { status: 'new', count: 2 })
+				},
+			)
+		})
+
+		await test('public lead intake merges resubmissions into the open lead', async () => {
+			const existingLead = new Lead({
+				_id: '507f1f77bcf86cd799439127',
+				name: 'Dilnoza',
+				number: '+998901234567',
+				source: 'INSTAGRAM',
+				status: 'contacted',
+			})
+			let leadFilter = null
+			let created = false
+			let activity = null
+
+			await withPatchedMethods(
+				[
+					[
+						Lead,
+						'findOne',
+						filter => {
+							leadFilter = filter
+							return makeQuery(existingLead)
+						},
+					],
+					[existingLead, 'save', async () => existingLead],
+					[
+						Lead,
+						'create',
+						async () => {
+							created = true
+							return {}
+						},
+					],
+					[
+						LeadActivity,
+						'create',
+						async payload => {
+							activity = payload
+							return payload
+						},
+					],
+				],
+				async () => {
+					const honeypot = await callHandler(leadController.submitPublicLead, {
+						body: { name: 'Bot', number: '901234567', website: 'http://spam.example' },
+					})
+					assert.strictEqual(honeypot.statusCode, 201)
+					assert.strictEqual(leadFilter, null)
+
+					const res = await callHandler(leadController.submitPublicLead, {
+						body: {
+							name: 'Dilnoza',
+							phone: '90 123-45-67',
+							email: ' Dilnoza@Example.com ',
+							source: 'landing',
+							message: 'Interested in IELTS',
+						},
+					})
+
+					assert.strictEqual(res.statusCode, 201)
+					assert.deepStrictEqual(leadFilter.$or, [
+						{ number: '+998901234567' },
+						{ email: 'dilnoza@example.com' },
+					])
+					assert.strictEqual(created, false)
+					assert.strictEqual(existingLead.email, 'dilnoza@example.com')
+					assert.strictEqual(existingLead.source, 'INSTAGRAM')
+					assert.strictEqual(activity.type, 'message')
+					assert.strictEqual(activity.details, 'Interested in IELTS')
+				},
+			)
+		})
+
+		await test('rateLimit rejects requests above the per-key limit', async () => {
+			const limiter = rateLimit({ windowMs: 60 * 1000, max: 2 })
+			const headers = {}
+			const res = { setHeader: (name, value) => (headers[name] = value) }
+			const results = []
+			for (let i = 0; i < 3; i += 1) {
+				limiter({ ip: '203.0.113.5' }, res, error => results.push(error || null))
+			}
+			limiter({ ip: '203.0.113.6' }, res, error => results.push(error || null))
+
+			assert.deepStrictEqual(
+				results.map(result => result?.statusCode || 200),
+				[200, 200, 429, 200],
+			)
+			assert.strictEqual(results[2].code, 'RATE_LIMITED')
+			assert.ok(Number(headers['Retry-After']) > 0)
+		})
+
+		await test('lead duplicate groups link leads by normalised phone, email and username', async () => {
+			const groups = buildDuplicateGroups([
+				{ _id: 'a', number: '90 123 45 67', createdAt: new Date('2025-01-01') },
+				{ _id: 'b', number: '+998901234567', email: 'Parent@Mail.com', createdAt: new Date('2025-01-02') },
+				{ _id: 'c', email: ' parent@mail.com ', createdAt: new Date('2025-01-03') },
+				{ _id: 'd', username: '@zuhr_parent', createdAt: new Date('2025-01-04') },
+				{ _id: 'e', username: 'Zuhr_Parent', createdAt: new Date('2025-01-05') },
+				{ _id: 'f', number: '+998907777777', createdAt: new Date('2025-01-06') },
+			])
+
+			assert.strictEqual(groups.length, 2)
+			assert.deepStrictEqual(groups[0].leads.map(lead => lead._id), ['a', 'b', 'c'])
+			assert.deepStrictEqual(groups[0].matchedOn.sort(), ['email:parent@mail.com', 'number:+998901234567'])
+			assert.strictEqual(groups[0].suggestedSurvivorId, 'a')
+			assert.deepStrictEqual(groups[1].matchedOn, ['username:zuhr_parent'])
+		})
+
+		await test('mergeLeads folds duplicates into the surviving lead', async () => {
+			const survivor = new Lead({
+				_id: '507f1f77bcf86cd799439131',
+				name: 'Parent',
+				number: '+998901234567',
+				source: 'INSTAGRAM',
+				description: 'Asked about prices',
+			})
+			const duplicate = new Lead({
+				_id: '507f1f77bcf86cd799439132',
+				name: 'Parent (call)',
+				email: 'parent@mail.com',
+				source: 'CALL_CENTER',
+				description: 'Wants evening group',
+			})
+			const moved = []
+			let deletedFilter = null
+
+			await withPatchedMethods(
+				[
+					[
+						mongoose,
+						'startSession',
+						async () => {
+							throw new Error('no replica set')
+						},
+					],
+					[Lead, 'findById', () => makeQuery(survivor)],
+					[Lead, 'find', () => makeQuery([duplicate])],
+					[survivor, 'save', async () => survivor],
+					[LeadActivity, 'updateMany', async (filter, update) => moved.push(['activity', update])],
+					[LeadFollowUp, 'updateMany', async (filter, update) => moved.push(['followUp', update])],
+					[
+						Lead,
+						'deleteMany',
+						async filter => {
+							deletedFilter = filter
+						},
+					],
+					[LeadActivity, 'create', async docs => docs],
+				],
+				async () => {
+					const result = await mergeLeads({
+						survivorId: String(survivor._id),
+						leadIds: [String(duplicate._id)],
+					})
+
+					assert.strictEqual(result.lead, survivor)
+					assert.strictEqual(survivor.email, 'parent@mail.com')
+					assert.strictEqual(survivor.description, 'Asked about prices\n---\nWants evening group')
+					assert.deepStrictEqual([...survivor.additionalSources], ['CALL_CENTER'])
+					assert.strictEqual(survivor.mergedLeads.length, 1)
+					assert.strictEqual(survivor.mergedLeads[0].name, 'Parent (call)')
+					assert.deepStrictEqual(moved.map(([kind]) => kind), ['activity', 'followUp'])
+					assert.deepStrictEqual(deletedFilter, { _id: { $in: [String(duplicate._id)] } })
+
+					const ownBranchId = new mongoose.Types.ObjectId('507f1f77bcf86cd799439133')
+					duplicate.branch = new mongoose.Types.ObjectId('507f1f77bcf86cd799439134')
+					deletedFilter = null
+					const admin = {
+						user: { _id: '507f1f77bcf86cd799439135', role: 'admin', userType: 'employee' },
+						userDocument: { branches: [ownBranchId] },
+					}
+					const crossBranch = await callHandler(leadController.mergeLeads, {
+						...admin,
+						params: { leadId: String(survivor._id) },
+						body: { leadIds: [String(duplicate._id)] },
+					})
+					assert.strictEqual(crossBranch.statusCode, 403)
+					assert.strictEqual(crossBranch.body.code, 'BRANCH_FORBIDDEN')
+					assert.strictEqual(crossBranch.body.field, 'leadIds')
+					assert.strictEqual(deletedFilter, null)
+
+					duplicate.branch = ownBranchId
+					const sameBranch = await callHandler(leadController.mergeLeads, {
+						...admin,
+						params: { leadId: String(survivor._id) },
+						body: { leadIds: [String(duplicate._id)] },
+					})
+					assert.strictEqual(sameBranch.statusCode, 200)
+
+					duplicate.convertedStudent = new mongoose.Types.ObjectId()
+					const rejected = await mergeLeads({
+						survivorId: String(survivor._id),
+						leadIds: [String(duplicate._id)],
+					})
+					assert.strictEqual(rejected.statusCode, 409)
+				},
+			)
+		})
+
+		await test('attendance summary counts late as attended and skips excused days', async () => {
+			const toRecords = statuses => statuses.map(status => ({ status }))
+
+			const summary = summarizeRecords(toRecords(['present', 'late', 'absent', 'excused', 'absent']))
+			assert.deepStrictEqual(summary, {
+				total: 5,
+				present: 1,
+				absent: 2,
+				late: 1,
+				excused: 1,
+				attendanceRate: 50,
+			})
+			assert.strictEqual(summarizeRecords(toRecords(['excused'])).attendanceRate, null)
+
+			assert.strictEqual(countTrailingAbsences(toRecords(['absent', 'late', 'absent', 'excused', 'absent'])), 2)
+			assert.strictEqual(countTrailingAbsences(toRecords(['absent', 'absent', 'present'])), 0)
+		})
+
+		await test('at-risk list flags low rates and is scoped to the teacher groups', async () => {
+			const teacherId = '507f1f77bcf86cd799439131'
+			const groupId = new mongoose.Types.ObjectId('507f1f77bcf86cd799439132')
+			const streakStudentId = new mongoose.Types.ObjectId('507f1f77bcf86cd799439133')
+			const leftStudentId = new mongoose.Types.ObjectId('507f1f77bcf86cd799439134')
+			let capturedGroupFilter = null
+
+			const record = (student, dateKey, status) => ({ group: groupId, student, dateKey, status })
+			const rows = [
+				record(streakStudentId, '2025-04-07', 'absent'),
+				record(leftStudentId, '2025-04-07', 'absent'),
+				record(streakStudentId, '2025-04-08', 'absent'),
+				record(streakStudentId, '2025-04-09', 'absent'),
+				record(streakStudentId, '2025-04-10', 'late'),
+			]
+			const students = [
+				{ _id: streakStudentId, fullname: 'Streak', groups: [{ group: groupId, status: 'active' }] },
+				{ _id: leftStudentId, fullname: 'Left', groups: [{ group: groupId, status: 'left' }] },
+			]
+
+			await withPatchedMethods(
+				[
+					[
+						Group,
+						'find',
+						filter => {
+							capturedGroupFilter = capturedGroupFilter || filter
+							return makeQuery([{ _id: groupId, name: 'G1' }])
+						},
+					],
+					[GroupAttendance, 'find', () => makeQuery(rows)],
+					[Student, 'find', () => makeQuery(students)],
+				],
+				async () => {
+					const res = await callHandler(groupController.getAtRiskStudents, {
+						user: { _id: teacherId, role: 'teacher' },
+						query: { from: '2025-04-01', to: '2025-04-10', minConsecutiveAbsences: '3' },
+					})
+
+					assert.strictEqual(res.statusCode, 200)
+					assert.deepStrictEqual(capturedGroupFilter.$or, [
+						{ teacher: teacherId },
+						{ supportTeachers: teacherId },
+					])
+					assert.strictEqual(res.body.total, 1)
+					const [item] = res.body.data
+					assert.strictEqual(item.student.fullname, 'Streak')
+					assert.deepStrictEqual(item.reasons, ['low_attendance_rate'])
+					assert.strictEqual(item.consecutiveAbsences, 0)
+					assert.strictEqual(item.attendanceRate, 25)
+					assert.strictEqual(item.lastMarkedOn, '2025-04-10')
+				},
+			)
+		})
+
+		await test('parent tokens pass only the parent guard', async () => {
+			const parentId = '507f1f77bcf86cd799439141'
+			const token = generateParentAccessToken({ _id: parentId })
+			assert.strictEqual(verifyAccessToken(token).userType, 'parent')
+
+			await withPatchedMethods(
+				[[Parent, 'findById', async () => ({ _id: parentId, phone: '998901112233', isActive: true })]],
+				async () => {
+					const headers = { authorization: `Bearer ${token}` }
+
+					const employeeOnly = await runMiddleware(authMiddleware.requireAuth, { headers })
+					assert.strictEqual(employeeOnly.nextCalled, false)
+					assert.strictEqual(employeeOnly.res.statusCode, 401)
+
+					const studentOrEmployee = await runMiddleware(authMiddleware.requireAnyAuth, { headers })
+					assert.strictEqual(studentOrEmployee.nextCalled, false)
+
+					const parentReq = { headers }
+					const parentOnly = await runMiddleware(authMiddleware.requireParentAuth, parentReq)
+					assert.strictEqual(parentOnly.nextCalled, true)
+					assert.strictEqual(parentReq.parent.phone, '998901112233')
+				},
+			)
+		})
+
+		await test('parent portal only exposes students sharing the parent phone', async () => {
+			const parent = { _id: '507f1f77bcf86cd799439142', phone: '998901112233' }
+			const studentId = '507f1f77bcf86cd799439143'
+			let capturedFilter = null
+
+			await withPatchedMethods(
+				[
+					[
+						Student,
+						'findOne',
+						filter => {
+							capturedFilter = filter
+							return makeQuery(null)
+						},
+					],
+				],
+				async () => {
+					const res = await callHandler(parentController.getChildPayments, {
+						parent,
+						params: { studentId },
+					})
+
+					assert.strictEqual(res.statusCode, 404)
+					assert.deepStrictEqual(capturedFilter, { _id: studentId, parentPhone: parent.phone })
+				},
+			)
+		})
+
+		await test('student OTP login sends a code by SMS and exchanges it for tokens', async () => {
+			const studentId = '507f1f77bcf86cd799439151'
+			const sentMessages = []
+			registerSmsProvider('senior-test', {
+				async send(message) {
+					sentMessages.push(message)
+				},
+			})
+			const previousProvider = process.env.SMS_PROVIDER
+			process.env.SMS_PROVIDER = 'senior-test'
+
+			let storedOtp = null
+			let createdSession = null
+			const student = {
+				_id: studentId,
+				studentPhone: '998901234567',
+				refreshToken: null,
+				async save() {
+					return this
+				},
+			}
+
+			try {
+				await withPatchedMethods(
+					[
+						[OtpCode, 'findOne', () => makeQuery(storedOtp)],
+						[OtpCode, 'countDocuments', async () => 0],
+						[OtpCode, 'updateMany', async () => ({ modifiedCount: 0 })],
+						[
+							OtpCode,
+							'create',
+							async payload => {
+								storedOtp = { _id: '507f1f77bcf86cd799439152', attempts: 0, ...payload }
+								return storedOtp
+							},
+						],
+						[Student, 'findOne', () => makeQuery({ _id: studentId })],
+						[OtpCode, 'findOneAndUpdate', async () => ({ ...storedOtp, attempts: storedOtp.attempts + 1 })],
+						[OtpCode, 'updateOne', async () => ({ modifiedCount: 1 })],
+						[Student, 'findById', () => makeQuery(student)],
+						[
+							AuthSession,
+							'create',
+							async payload => {
+								createdSession = payload
+								return payload
+							},
+						],
+					],
+					async () => {
+						const requestRes = await callHandler(studentController.requestStudentOtp, {
+							body: { studentPhone: '998901234567' },
+						})
+						assert.strictEqual(requestRes.statusCode, 200)
+						assert.strictEqual(sentMessages.length, 1)
+						assert.strictEqual(sentMessages[0].to, '998901234567')
+						assert.strictEqual(storedOtp.purpose, 'login')
+						assert.strictEqual(storedOtp.account, studentId)
+
+						const code = sentMessages[0].text.match(/\d{6}/)[0]
+						assert.notStrictEqual(storedOtp.codeHash, code)
+						assert.strictEqual(storedOtp.codeHash, hashOtpCode(code, storedOtp.salt))
+
+						const loginRes = await callHandler(studentController.loginStudentWithOtp, {
+							body: { studentPhone: '998901234567', code },
+						})
+						assert.strictEqual(loginRes.statusCode, 200)
+						const refreshPayload = verifyRefreshToken(loginRes.body.refreshToken)
+						assert.strictEqual(refreshPayload.userType, 'student')
+						assert.strictEqual(refreshPayload.sid, String(createdSession._id))
+						assert.strictEqual(createdSession.accountType, 'student')
+						assert.strictEqual(createdSession.tokenHash, hashRefreshToken(loginRes.body.refreshToken))
+					},
+				)
+			} finally {
+				if (typeof previousProvider === 'undefined') {
+					delete process.env.SMS_PROVIDER
+				} else {
+					process.env.SMS_PROVIDER = previousProvider
+				}
+			}
+		})
+
+		await test('SMS provider falls back to console only in development', async () => {
+			const previous = { NODE_ENV: process.env.NODE_ENV, SMS_PROVIDER: process.env.SMS_PROVIDER }
+			const setEnv = (name, value) => {
+				if (typeof value === 'undefined') {
+					delete process.env[name]
+				} else {
+					process.env[name] = value
+				}
+			}
+
+			try {
+				setEnv('NODE_ENV', 'production')
+				setEnv('SMS_PROVIDER', undefined)
+				assert.throws(() => assertSmsProviderConfigured(), /SMS_PROVIDER is required/)
+				setEnv('SMS_PROVIDER', 'console')
+				assert.throws(() => assertSmsProviderConfigured(), /only allowed with NODE_ENV=development/)
+
+				registerSmsProvider('senior-gateway', { async send() {} })
+				setEnv('SMS_PROVIDER', 'senior-gateway')
+				assert.doesNotThrow(() => assertSmsProviderConfigured())
+
+				setEnv('NODE_ENV', 'development')
+				setEnv('SMS_PROVIDER', undefined)
+				assert.doesNotThrow(() => assertSmsProviderConfigured())
+			} finally {
+				setEnv('NODE_ENV', previous.NODE_ENV)
+				setEnv('SMS_PROVIDER', previous.SMS_PROVIDER)
+			}
+		})
+
+		await test('OTP password reset enforces the attempt limit and revokes the refresh token', async () => {
+			const salt = 'senior-salt'
+			const otp = {
+				_id: '507f1f77bcf86cd799439153',
+				account: '507f1f77bcf86cd799439154',
+				attempts: 3,
+				codeHash: hashOtpCode('482913', salt),
+				salt,
+			}
+			let revokedSessionsFilter = null
+			const user = {
+				_id: otp.account,
+				password: 'old-hash',
+				refreshToken: 'stored-refresh-token',
+				async save() {
+					return this
+				},
+			}
+
+			await withPatchedMethods(
+				[
+					[OtpCode, 'findOne', () => makeQuery(otp)],
+					[
+						OtpCode,
+						'findOneAndUpdate',
+						async filter => {
+							if (otp.attempts >= filter.attempts.$lt) {
+								return null
+							}
+							otp.attempts += 1
+							return { ...otp }
+						},
+					],
+					[OtpCode, 'updateOne', async () => ({ modifiedCount: 1 })],
+					[User, 'findById', () => makeQuery(user)],
+					[
+						AuthSession,
+						'updateMany',
+						async filter => {
+							revokedSessionsFilter = filter
+							return { modifiedCount: 2 }
+						},
+					],
+				],
+				async () => {
+					const shortPassword = await callHandler(authController.resetPassword, {
+						body: { phone: '998901112244', code: '482913', password: 'short' },
+					})
+					assert.strictEqual(shortPassword.statusCode, 400)
+					assert.strictEqual(otp.attempts, 3)
+
+					const wrongCode = await callHandler(authController.resetPassword, {
+						body: { phone: '998901112244', code: '000000', password: 'new-password-1' },
+					})
+					assert.strictEqual(wrongCode.statusCode, 400)
+					assert.strictEqual(wrongCode.body.code, 'OTP_INVALID')
+					assert.strictEqual(wrongCode.body.attemptsRemaining, 1)
+
+					await callHandler(authController.resetPassword, {
+						body: { phone: '998901112244', code: '111111', password: 'new-password-1' },
+					})
+
+					const locked = await callHandler(authController.resetPassword, {
+						body: { phone: '998901112244', code: '482913', password: 'new-password-1' },
+					})
+					assert.strictEqual(locked.statusCode, 429)
+					assert.strictEqual(locked.body.code, 'OTP_ATTEMPTS_EXCEEDED')
+					assert.strictEqual(user.refreshToken, 'stored-refresh-token')
+
+					otp.attempts = 0
+					const reset = await callHandler(authController.resetPassword, {
+						body: { phone: '998901112244', code: '482913', password: 'new-password-1' },
+					})
+					assert.strictEqual(reset.statusCode, 200)
+					assert.strictEqual(user.refreshToken, null)
+					assert.notStrictEqual(user.password, 'old-hash')
+					assert.deepStrictEqual(revokedSessionsFilter, {
+						accountType: 'employee',
+						account: otp.account,
+						revokedAt: null,
+					})
+				},
+			)
+		})
+
+		await test('refresh rotates the session token and revokes the session on reuse', async () => {
+			const userId = '507f1f77bcf86cd799439161'
+			const sessionId = '507f1f77bcf86cd799439162'
+			const user = { _id: userId, role: 'teacher', refreshToken: null }
+			const firstRefresh = generateRefreshToken(user, { sessionId })
+			const session = {
+				_id: sessionId,
+				accountType: 'employee',
+				account: userId,
+				tokenHash: hashRefreshToken(firstRefresh),
+				revokedAt: null,
+				revokedReason: null,
+				expiresAt: new Date(Date.now() + 60 * 60 * 1000),
+			}
+
+			await withPatchedMethods(
+				[
+					[User, 'findById', () => makeQuery(user)],
+					[AuthSession, 'findById', () => makeQuery(session)],
+					[
+						AuthSession,
+						'findOneAndUpdate',
+						async (filter, update) => {
+							if (filter.tokenHash !== session.tokenHash || session.revokedAt) {
+								return null
+							}
+							Object.assign(session, update.$set)
+							return session
+						},
+					],
+					[
+						AuthSession,
+						'updateOne',
+						async (filter, update) => {
+							Object.assign(session, update.$set)
+							return { modifiedCount: 1 }
+						},
+					],
+				],
+				async () => {
+					const rotated = await callHandler(authController.refreshToken, {
+						body: { refreshToken: firstRefresh },
+						headers: { 'user-agent': 'Mobile app' },
+					})
+					assert.strictEqual(rotated.statusCode, 200)
+					assert.notStrictEqual(rotated.body.refreshToken, firstRefresh)
+					assert.strictEqual(verifyAccessToken(rotated.body.accessToken).sid, sessionId)
+					assert.strictEqual(session.tokenHash, hashRefreshToken(rotated.body.refreshToken))
+					assert.strictEqual(session.userAgent, 'Mobile app')
+
+					const replayed = await callHandler(authController.refreshToken, {
+						body: { refreshToken: firstRefresh },
+					})
+					assert.strictEqual(replayed.statusCode, 401)
+					assert.strictEqual(replayed.body.code, 'REFRESH_TOKEN_REUSED')
+					assert.strictEqual(session.revokedReason, 'reuse_detected')
+
+					const afterRevoke = await callHandler(authController.refreshToken, {
+						body: { refreshToken: rotated.body.refreshToken },
+					})
+					assert.strictEqual(afterRevoke.statusCode, 401)
+					assert.strictEqual(afterRevoke.body.code, 'SESSION_REVOKED')
+				},
+			)
+		})
+
+		await test('parent OTP login opens a session that refresh rotates', async () => {
+			const parentId = '507f1f77bcf86cd799439163'
+			const salt = 'parent-salt'
+			const otp = {
+				_id: '507f1f77bcf86cd799439164',
+				account: parentId,
+				attempts: 0,
+				codeHash: hashOtpCode('240517', salt),
+				salt,
+			}
+			const parent = {
+				_id: parentId,
+				phone: '998901112255',
+				isActive: true,
+				refreshToken: null,
+				async save() {
+					return this
+				},
+			}
+			let session = null
+
+			await withPatchedMethods(
+				[
+					[OtpCode, 'findOne', () => makeQuery(otp)],
+					[OtpCode, 'findOneAndUpdate', async () => ({ ...otp, attempts: 1 })],
+					[OtpCode, 'updateOne', async () => ({ modifiedCount: 1 })],
+					[Parent, 'findById', () => makeQuery(parent)],
+					[Student, 'find', () => makeQuery([])],
+					[
+						AuthSession,
+						'create',
+						async payload => {
+							session = { ...payload, revokedAt: null }
+							return session
+						},
+					],
+					[AuthSession, 'findById', () => makeQuery(session)],
+					[
+						AuthSession,
+						'findOneAndUpdate',
+						async (filter, update) => {
+							if (filter.tokenHash !== session.tokenHash) {
+								return null
+							}
+							Object.assign(session, update.$set)
+							return session
+						},
+					],
+					[AuthSession, 'updateOne', async () => ({ modifiedCount: 1 })],
+				],
+				async () => {
+					const login = await callHandler(parentController.loginParentWithOtp, {
+						body: { phone: '998901112255', code: '240517' },
+					})
+					assert.strictEqual(login.statusCode, 200)
+					assert.strictEqual(session.accountType, 'parent')
+					assert.strictEqual(verifyAccessToken(login.body.accessToken).sid, String(session._id))
+
+					const refreshed = await callHandler(parentController.refreshParentToken, {
+						body: { refreshToken: login.body.refreshToken },
+					})
+					assert.strictEqual(refreshed.statusCode, 200)
+					assert.strictEqual(session.tokenHash, hashRefreshToken(refreshed.body.refreshToken))
+					assert.strictEqual(parent.refreshToken, null)
+
+					const replayed = await callHandler(parentController.refreshParentToken, {
+						body: { refreshToken: login.body.refreshToken },
+					})
+					assert.strictEqual(replayed.statusCode, 401)
+					assert.strictEqual(replayed.body.code, 'REFRESH_TOKEN_REUSED')
+				},
+			)
+		})
+
+		await test('revoked sessions reject access tokens and revoke-others keeps the current one', async () => {
+			const studentId = '507f1f77bcf86cd799439163'
+			const currentSessionId = '507f1f77bcf86cd799439164'
+			const revokedSessionId = '507f1f77bcf86cd799439165'
+			let revokeFilter = null
+
+			await withPatchedMethods(
+				[
+					[AuthSession, 'exists', async filter => (filter._id === currentSessionId ? { _id: currentSessionId } : null)],
+					[Student, 'findById', async () => ({ _id: studentId })],
+					[
+						AuthSession,
+						'updateMany',
+						async filter => {
+							revokeFilter = filter
+							return { modifiedCount: 3 }
+						},
+					],
+				],
+				async () => {
+					const revokedToken = generateStudentAccessToken({ _id: studentId }, { sessionId: revokedSessionId })
+					const denied = await runMiddleware(authMiddleware.requireStudentAuth, {
+						headers: { authorization: `Bearer ${revokedToken}` },
+					})
+					assert.strictEqual(denied.nextCalled, false)
+					assert.strictEqual(denied.res.body.code, 'SESSION_REVOKED')
+
+					const currentToken = generateStudentAccessToken({ _id: studentId }, { sessionId: currentSessionId })
+					const req = { headers: { authorization: `Bearer ${currentToken}` } }
+					const allowed = await runMiddleware(authMiddleware.requireStudentAuth, req)
+					assert.strictEqual(allowed.nextCalled, true)
+
+					const res = await callHandler(studentController.revokeOtherStudentSessions, req)
+					assert.strictEqual(res.statusCode, 200)
+					assert.strictEqual(res.body.revokedCount, 3)
+					assert.deepStrictEqual(revokeFilter, {
+						accountType: 'student',
+						account: studentId,
+						revokedAt: null,
+						_id: { $ne: currentSessionId },
+					})
+				},
+			)
+		})
+
+		await test('face index loads once, updates in place and rejects ambiguous matches', async () => {
+			const descriptorAt = offset => Array.from({ length: 128 }, (_, index) => (index === 0 ? offset : 0))
+			let loadCount = 0
+			const index = createFaceIndex({
+				loadEntries: async () => {
+					loadCount += 1
+					return [
+						['alice', descriptorAt(0)],
+						['bob', descriptorAt(1)],
+					]
+				},
+			})
+
+			const nearest = await index.findNearest(descriptorAt(0.1), { k: 2 })
+			assert.deepStrictEqual(
+				nearest.map(entry => entry.id),
+				['alice', 'bob'],
+			)
+			assert.ok(Math.abs(nearest[0].distance - 0.1) < 1e-9)
+
+			const matched = await index.match(descriptorAt(0.1), { threshold: 0.45, margin: 0.05 })
+			assert.strictEqual(matched.status, 'matched')
+			assert.strictEqual(matched.best.id, 'alice')
+
+			index.upsert('carol', descriptorAt(0.17))
+			const ambiguous = await index.match(descriptorAt(0.1), { threshold: 0.45, margin: 0.05 })
+			assert.strictEqual(ambiguous.status, 'ambiguous')
+
+			index.remove('carol')
+			index.remove('alice')
+			const noMatch = await index.match(descriptorAt(0.1), { threshold: 0.45, margin: 0.05 })
+			assert.strictEqual(noMatch.status, 'no_match')
+			assert.strictEqual(loadCount, 1)
+		})
+
+		await test('face index re-checks a match against the stored credential version', async () => {
+			const descriptorAt = offset => Array.from({ length: 128 }, (_, index) => (index === 0 ? offset : 0))
+			const enrolledAt = new Date('2026-01-01T00:00:00Z')
+			const stored = new Map([
+				['alice', { descriptor: descriptorAt(0), updatedAt: enrolledAt }],
+				['bob', { descriptor: descriptorAt(1), updatedAt: enrolledAt }],
+			])
+			const index = createFaceIndex({
+				loadEntries: async () => [...stored].map(([id, entry]) => [id, entry.descriptor, entry.updatedAt]),
+				loadEntry: async id => stored.get(id) || null,
+			})
+
+			const current = await index.match(descriptorAt(0.1), { threshold: 0.45, margin: 0.05 })
+			assert.strictEqual(current.status, 'matched')
+			assert.strictEqual(current.best.id, 'alice')
+
+			// Another instance re-enrolls alice with a different face.
+			stored.set('alice', { descriptor: descriptorAt(3), updatedAt: new Date('2026-02-01T00:00:00Z') })
+			const changed = await index.match(descriptorAt(0.1), { threshold: 0.45, margin: 0.05 })
+			assert.strictEqual(changed.status, 'no_match')
+			const reenrolled = await index.match(descriptorAt(3), { threshold: 0.45, margin: 0.05 })
+			assert.strictEqual(reenrolled.best.id, 'alice')
+
+			// ...and then removes bob's Face ID.
+			stored.delete('bob')
+			const removed = await index.match(descriptorAt(1), { threshold: 0.45, margin: 0.05 })
+			assert.strictEqual(removed.status, 'no_match')
+			assert.strictEqual(index.size, 1)
+		})
+
+		await test('Face ID login ignores client thresholds, applies role thresholds and throttles failures', async () => {
+			const adminId = '507f1f77bcf86cd799439171'
+			const enrolled = Array.from({ length: 128 }, () => 0)
+			// 0.42 away: inside the default 0.45 but outside the admin 0.4 threshold.
+			const nearMiss = enrolled.map((value, index) => (index === 0 ? 0.42 : value))
+			const admin = {
+				_id: adminId,
+				role: 'admin',
+				faceIdEnabled: true,
+				toObject() {
+					return { _id: adminId }
+				},
+			}
+			const recordedAttempts = []
+			let recentFailures = []
+
+			await withPatchedMethods(
+				[
+					[FaceCredential, 'find', () => makeQuery([{ userId: adminId, descriptor: enrolled }])],
+					[FaceCredential, 'findOne', () => makeQuery({ userId: adminId, descriptor: enrolled })],
+					[User, 'findById', () => makeQuery(admin)],
+					[FaceLoginAttempt, 'find', () => makeQuery(recentFailures)],
+					[
+						FaceLoginAttempt,
+						'create',
+						async payload => {
+							recordedAttempts.push(payload)
+							return payload
+						},
+					],
+					...acceptedFaceChallengePatches(),
+				],
+				async () => {
+					employeeFaceIndex.reset()
+					const req = {
+						body: { nonce: TEST_FACE_NONCE, frames: makeFaceFrames(nearMiss), threshold: 2 },
+						ip: '10.0.0.7',
+						headers: {},
+					}
+
+					const refused = await callHandler(authController.loginWithFaceId, req)
+					assert.strictEqual(refused.statusCode, 401)
+					assert.strictEqual(recordedAttempts[0].outcome, 'threshold_exceeded')
+					assert.strictEqual(recordedAttempts[0].matchedUser, adminId)
+					assert.strictEqual(recordedAttempts[0].threshold, 0.4)
+					assert.strictEqual(recordedAttempts[0].ip, '10.0.0.7')
+
+					recentFailures = Array.from({ length: 5 }, () => ({ createdAt: new Date() }))
+					const throttled = await callHandler(authController.loginWithFaceId, req)
+					assert.strictEqual(throttled.statusCode, 429)
+					assert.strictEqual(throttled.body.code, 'FACE_LOGIN_THROTTLED')
+					assert.ok(throttled.body.retryAfterSeconds > 0)
+					assert.strictEqual(recordedAttempts[1].outcome, 'throttled')
+					employeeFaceIndex.reset()
+				},
+			)
+		})
+
+		await test('Face ID challenge nonces work once and frames must be live and unseen', async () => {
+			const userId = '507f1f77bcf86cd799439181'
+			const enrolled = Array.from({ length: 128 }, (_, index) => index / 1000)
+			const user = {
+				_id: userId,
+				role: 'teacher',
+				faceIdEnabled: true,
+				toObject() {
+					return { _id: userId }
+				},
+			}
+			const storedChallenges = []
+			const usedNonceHashes = new Set()
+			const usedFrames = []
+			const recordedAttempts = []
+
+			await withPatchedMethods(
+				[
+					[FaceCredential, 'find', () => makeQuery([{ userId, descriptor: enrolled }])],
+					[FaceCredential, 'findOne', () => makeQuery({ userId, descriptor: enrolled })],
+					[User, 'findById', () => makeQuery(user)],
+					[FaceLoginAttempt, 'find', () => makeQuery([])],
+					[
+						FaceLoginAttempt,
+						'create',
+						async payload => {
+							recordedAttempts.push(payload)
+							return payload
+						},
+					],
+					[AuthSession, 'create', async payload => payload],
+					[
+						FaceChallenge,
+						'create',
+						async payload => {
+							storedChallenges.push(payload)
+							return payload
+						},
+					],
+					[
+						FaceChallenge,
+						'findOneAndUpdate',
+						filter => {
+							const challenge = storedChallenges.find(
+								entry => entry.nonceHash === filter.nonceHash && entry.expiresAt > filter.expiresAt.$gt,
+							)
+							if (!challenge || usedNonceHashes.has(filter.nonceHash)) {
+								return makeQuery(null)
+							}
+							usedNonceHashes.add(filter.nonceHash)
+							return makeQuery({ _id: filter.nonceHash, action: challenge.action })
+						},
+					],
+					[
+						FaceChallenge,
+						'updateOne',
+						async (filter, update) => {
+							usedFrames.push({ _id: filter._id, frames: update.$set.frames })
+							return { modifiedCount: 1 }
+						},
+					],
+					[
+						FaceChallenge,
+						'find',
+						filter => makeQuery(usedFrames.filter(entry => entry._id !== filter._id.$ne)),
+					],
+				],
+				async () => {
+					employeeFaceIndex.reset()
+					const requestChallenge = async () => {
+						const res = await callHandler(authController.requestFaceChallenge, { ip: '10.0.0.9', headers: {} })
+						assert.strictEqual(res.statusCode, 201)
+						return res.body
+					}
+					const login = body =>
+						callHandler(authController.loginWithFaceId, { body, ip: '10.0.0.9', headers: {} })
+
+					const challenge = await requestChallenge()
+					assert.match(challenge.nonce, /^[A-Za-z0-9_-]{43}$/)
+					assert.ok(['turn_left', 'turn_right', 'blink', 'nod', 'smile'].includes(challenge.action))
+					assert.strictEqual(challenge.minFrames, 3)
+					assert.notStrictEqual(storedChallenges[0].nonceHash, challenge.nonce)
+
+					const frames = makeFaceFrames(enrolled)
+					const missingNonce = await login({ frames })
+					assert.strictEqual(missingNonce.statusCode, 400)
+
+					const success = await login({ nonce: challenge.nonce, frames })
+					assert.strictEqual(success.statusCode, 200)
+					assert.ok(success.body.accessToken)
+
+					const replayedNonce = await login({ nonce: challenge.nonce, frames })
+					assert.strictEqual(replayedNonce.statusCode, 401)
+					assert.strictEqual(replayedNonce.body.code, 'FACE_CHALLENGE_INVALID')
+
+					const replayedFrames = await login({ nonce: (await requestChallenge()).nonce, frames })
+					assert.strictEqual(replayedFrames.statusCode, 401)
+					assert.strictEqual(replayedFrames.body.code, 'FACE_LIVENESS_FAILED')
+
+					// A replay with slightly perturbed values is not an exact copy but still too close.
+					const perturbed = frames.map(frame => frame.map(value => value + 0.0005))
+					const replayedPerturbed = await login({ nonce: (await requestChallenge()).nonce, frames: perturbed })
+					assert.strictEqual(replayedPerturbed.statusCode, 401)
+					assert.strictEqual(replayedPerturbed.body.message, 'Face ID frames were already used')
+
+					const still = enrolled.map(value => value + 0.0001)
+					const staticFrames = await login({
+						nonce: (await requestChallenge()).nonce,
+						frames: [still, enrolled, still.map(value => value - 0.0002)],
+					})
+					assert.strictEqual(staticFrames.statusCode, 401)
+					assert.strictEqual(staticFrames.body.code, 'FACE_LIVENESS_FAILED')
+
+					const otherFace = enrolled.map(value => value + 0.1)
+					const mixedFaces = await login({
+						nonce: (await requestChallenge()).nonce,
+						frames: [...makeFaceFrames(enrolled, 2), otherFace],
+					})
+					assert.strictEqual(mixedFaces.statusCode, 401)
+					assert.strictEqual(mixedFaces.body.code, 'FACE_LIVENESS_FAILED')
+
+					const tooFew = await login({ nonce: (await requestChallenge()).nonce, frames: frames.slice(0, 2) })
+					assert.strictEqual(tooFew.statusCode, 400)
+					assert.strictEqual(tooFew.body.field, 'frames')
+
+					assert.deepStrictEqual(
+						recordedAttempts.map(attempt => attempt.outcome),
+						[
+							'invalid_challenge',
+							'success',
+							'invalid_challenge',
+							'liveness_failed',
+							'liveness_failed',
+							'liveness_failed',
+							'liveness_failed',
+							'invalid_descriptor',
+						],
+					)
+					employeeFaceIndex.reset()
+				},
+			)
+		})
+
+		await test('timesheet check-in needs own face and work location, and monthly report counts lateness', async () => {
+			const employeeId = '507f1f77bcf86cd799439191'
+			const enrolled = Array.from({ length: 128 }, (_, index) => index / 1000)
+			const employee = {
+				_id: employeeId,
+				fullname: 'Checkin Teacher',
+				role: 'teacher',
+				faceIdEnabled: true,
+				location: { type: 'Point', coordinates: [69.2401, 41.2995] },
+			}
+			// Never enrolled and no events: left out of the monthly list.
+			const idleEmployee = { _id: '507f1f77bcf86cd799439192', fullname: 'Idle Admin', role: 'admin', faceIdEnabled: false }
+			// Wednesdays 14:00 local, so 2025-04-02 starts with a session instead of 09:00.
+			const taughtGroup = {
+				_id: '507f1f77bcf86cd799439193',
+				teacher: employeeId,
+				supportTeachers: [],
+				schedule: [{ dayOfWeek: 'wednesday', startTime: '14:00', durationMinutes: 90 }],
+				startDate: new Date('2025-01-01T00:00:00Z'),
+			}
+			const createdEvents = []
+			let storedEvents = []
+			const userFilters = []
+
+			await withPatchedMethods(
+				[
+					[User, 'findById', () => makeQuery(employee)],
+					[
+						User,
+						'find',
+						filter => {
+							userFilters.push(filter)
+							return makeQuery([employee, idleEmployee])
+						},
+					],
+					[Group, 'find', () => makeQuery([taughtGroup])],
+					[GroupSession, 'find', () => makeQuery([])],
+					[Holiday, 'find', () => makeQuery([])],
+					[FaceCredential, 'findOne', () => makeQuery({ userId: employeeId, descriptor: enrolled })],
+					[TimesheetEvent, 'find', () => makeQuery(storedEvents)],
+					[
+						TimesheetEvent,
+						'create',
+						async payload => {
+							createdEvents.push(payload)
+							return payload
+						},
+					],
+					...acceptedFaceChallengePatches(),
+				],
+				async () => {
+					const checkIn = (body, handler = timesheetController.checkIn) =>
+						callHandler(handler, {
+							user: { id: employeeId },
+							body: { nonce: TEST_FACE_NONCE, ...body },
+							ip: '10.0.0.12',
+							headers: {},
+						})
+					const nearby = { type: 'Point', coordinates: [69.2405, 41.2997] }
+
+					const faraway = await checkIn({ frames: makeFaceFrames(enrolled), location: [69.2401, 41.3095] })
+					assert.strictEqual(faraway.statusCode, 403)
+					assert.strictEqual(faraway.body.code, 'OUTSIDE_WORK_AREA')
+					assert.ok(faraway.body.distanceMeters > 1000)
+
+					const stranger = await checkIn({
+						frames: makeFaceFrames(enrolled.map(value => value + 0.05)),
+						location: nearby,
+					})
+					assert.strictEqual(stranger.statusCode, 401)
+					assert.strictEqual(stranger.body.code, 'FACE_MISMATCH')
+
+					const checkOutFirst = await checkIn(
+						{ frames: makeFaceFrames(enrolled), location: nearby },
+						timesheetController.checkOut,
+					)
+					assert.strictEqual(checkOutFirst.statusCode, 409)
+					assert.strictEqual(checkOutFirst.body.code, 'NOT_CHECKED_IN')
+
+					const accepted = await checkIn({ frames: makeFaceFrames(enrolled), location: nearby })
+					assert.strictEqual(accepted.statusCode, 201)
+					assert.strictEqual(createdEvents.length, 1)
+					assert.strictEqual(createdEvents[0].type, 'check_in')
+					assert.ok(createdEvents[0].distanceMeters < 50)
+
+					storedEvents = [{ type: 'check_in' }]
+					const again = await checkIn({ frames: makeFaceFrames(enrolled), location: nearby })
+					assert.strictEqual(again.statusCode, 409)
+					assert.strictEqual(again.body.code, 'ALREADY_CHECKED_IN')
+
+					// 09:05 local (UTC+5) against the default 09:00 start and 10 min grace;
+					// 14:30 local against the 14:00 group session of that day.
+					storedEvents = [
+						{ employee: employeeId, type: 'check_in', dateKey: '2025-04-01', occurredAt: new Date('2025-04-01T04:05:00Z') },
+						{ employee: employeeId, type: 'check_out', dateKey: '2025-04-01', occurredAt: new Date('2025-04-01T13:00:00Z') },
+						{ employee: employeeId, type: 'check_in', dateKey: '2025-04-02', occurredAt: new Date('2025-04-02T09:30:00Z') },
+					]
+					const report = await callHandler(timesheetController.listTimesheets, {
+						query: { month: '2025-04' },
+						user: { id: '507f1f77bcf86cd799439194', userType: 'employee', role: 'admin' },
+						userDocument: { branches: ['507f1f77bcf86cd799439195'] },
+					})
+					assert.strictEqual(report.statusCode, 200)
+					assert.deepStrictEqual(userFilters.at(-1), {
+						$or: [{ branches: { $in: ['507f1f77bcf86cd799439195'] } }, { branches: { $size: 0 } }],
+					})
+					assert.strictEqual(report.body.total, 1)
+					const [timesheet] = report.body.data
+					assert.deepStrictEqual(
+						timesheet.days.map(day => [day.dateKey, day.workedMinutes, day.lateMinutes]),
+						[
+							['2025-04-01', 535, 0],
+							['2025-04-02', 0, 30],
+						],
+					)
+					assert.strictEqual(timesheet.days[1].expectedStartAt.toISOString(), '2025-04-02T09:00:00.000Z')
+					assert.deepStrictEqual(timesheet.totals, {
+						daysPresent: 2,
+						missingCheckOuts: 1,
+						workedMinutes: 535,
+						lateDays: 1,
+						lateMinutes: 30,
+					})
+
+					const badMonth = await callHandler(timesheetController.listTimesheets, { query: { month: '2025-13' } })
+					assert.strictEqual(badMonth.statusCode, 400)
+				},
+			)
+		})
+
+		await test('kiosk check-in marks group members present or late for the running session', async () => {
+			const groupId = new mongoose.Types.ObjectId('507f1f77bcf86cd799439171')
+			const studentId = new mongoose.Types.ObjectId('507f1f77bcf86cd799439172')
+			const outsiderId = new mongoose.Types.ObjectId('507f1f77bcf86cd799439173')
+			const enrolled = Array.from({ length: 128 }, (_, index) => (index % 2 === 0 ? 0.1 : -0.1))
+			const outsider = enrolled.map(value => -value)
+			// Monday 09:00-10:30 local (UTC+5).
+			const session = {
+				_id: new mongoose.Types.ObjectId('507f1f77bcf86cd799439174'),
+				group: groupId,
+				startsAt: new Date('2025-04-07T04:00:00Z'),
+				durationMinutes: 90,
+			}
+			const roomId = new mongoose.Types.ObjectId('507f1f77bcf86cd799439177')
+			let sessions = [session]
+			let capturedSessionFilter = null
+			let capturedGroupFilter = null
+			let existingStatus = null
+			const writes = []
+
+			studentFaceIndex.reset()
+			try {
+				await withPatchedMethods(
+					[
+						[
+							Group,
+							'find',
+							filter => {
+								capturedGroupFilter = filter
+								return makeQuery([{ _id: groupId, name: 'G1', schedule: [] }])
+							},
+						],
+						[
+							GroupSession,
+							'find',
+							filter => {
+								capturedSessionFilter = filter
+								return makeQuery(sessions)
+							},
+						],
+						[
+							Student,
+							'find',
+							() =>
+								makeQuery([
+									{ _id: studentId, fullname: 'Kiosk Student', groups: [{ group: groupId, status: 'active' }] },
+								]),
+						],
+						[
+							StudentFaceCredential,
+							'find',
+							() =>
+								makeQuery([
+									{ student: studentId, descriptor: enrolled },
+									{ student: outsiderId, descriptor: outsider },
+								]),
+						],
+						[StudentFaceCredential, 'findOne', () => makeQuery({ student: studentId, descriptor: enrolled })],
+						[
+							GroupAttendance,
+							'updateOne',
+							async (filter, update, options) => {
+								writes.push({ filter, update, options })
+								if (!options?.upsert) {
+									return { modifiedCount: 0 }
+								}
+								return { upsertedCount: existingStatus ? 0 : 1 }
+							},
+						],
+						[GroupAttendance, 'findOne', () => makeQuery({ status: existingStatus })],
+						...acceptedFaceChallengePatches(),
+					],
+					async () => {
+						const kioskScan = (descriptor, now) =>
+							checkInStudentByFace({
+								nonce: TEST_FACE_NONCE,
+								frames: makeFaceFrames(descriptor),
+								roomId,
+								now,
+							})
+
+						const late = await kioskScan(enrolled, new Date('2025-04-07T04:05:00Z'))
+						assert.strictEqual(late.status, 'late')
+						assert.strictEqual(late.alreadyMarked, false)
+						assert.strictEqual(String(late.student._id), String(studentId))
+						assert.strictEqual(capturedSessionFilter.dateKey, '2025-04-07')
+						assert.strictEqual(capturedGroupFilter.room, roomId)
+						assert.strictEqual(writes[1].filter.dateKey, '2025-04-07')
+						assert.strictEqual(writes[1].update.$setOnInsert.status, 'late')
+
+						const early = await kioskScan(enrolled, new Date('2025-04-07T03:50:00Z'))
+						assert.strictEqual(early.status, 'present')
+
+						existingStatus = 'present'
+						const again = await kioskScan(enrolled, new Date('2025-04-07T04:20:00Z'))
+						assert.strictEqual(again.alreadyMarked, true)
+						assert.strictEqual(again.status, 'present')
+
+						// Enrolled, but not a member of the running group.
+						const stranger = await kioskScan(outsider, new Date('2025-04-07T04:05:00Z'))
+						assert.strictEqual(stranger.statusCode, 401)
+						assert.strictEqual(stranger.code, 'FACE_NOT_RECOGNIZED')
+
+						// The session has ended by 10:30 local.
+						const afterEnd = await kioskScan(enrolled, new Date('2025-04-07T05:30:00Z'))
+						assert.strictEqual(afterEnd.statusCode, 409)
+						assert.strictEqual(afterEnd.code, 'NO_SESSION_NOW')
+
+						// A bare descriptor is no longer accepted.
+						sessions = []
+						const kiosk = { _id: '507f1f77bcf86cd799439175', role: 'admin', userType: 'employee' }
+						const invalid = await callHandler(groupController.kioskCheckIn, {
+							user: kiosk,
+							body: { descriptor: enrolled },
+						})
+						assert.strictEqual(invalid.statusCode, 400)
+						assert.strictEqual(invalid.body.field, 'frames')
+
+						// Without a room the kiosk is limited to the branch of its account.
+						const ownBranchId = '507f1f77bcf86cd799439176'
+						await callHandler(groupController.kioskCheckIn, {
+							user: kiosk,
+							userDocument: { branches: [ownBranchId] },
+							body: { nonce: TEST_FACE_NONCE, frames: makeFaceFrames(enrolled) },
+						})
+						assert.deepStrictEqual(capturedGroupFilter.branch, { $in: [ownBranchId, null] })
+
+						const unscoped = await callHandler(groupController.kioskCheckIn, {
+							user: kiosk,
+							userDocument: { branches: [] },
+							body: { nonce: TEST_FACE_NONCE, frames: makeFaceFrames(enrolled) },
+						})
+						assert.strictEqual(unscoped.statusCode, 400)
+						assert.strictEqual(unscoped.body.field, 'roomId')
+
+						// Rooms are shared, so a room only narrows the kiosk's branch.
+						await callHandler(groupController.kioskCheckIn, {
+							user: kiosk,
+							userDocument: { branches: [ownBranchId] },
+							body: { nonce: TEST_FACE_NONCE, frames: makeFaceFrames(enrolled), roomId: String(roomId) },
+						})
+						assert.strictEqual(capturedGroupFilter.room, String(roomId))
+						assert.deepStrictEqual(capturedGroupFilter.branch, { $in: [ownBranchId, null] })
+
+						const foreign = await callHandler(groupController.kioskCheckIn, {
+							user: kiosk,
+							userDocument: { branches: [ownBranchId] },
+							body: {
+								nonce: TEST_FACE_NONCE,
+								frames: makeFaceFrames(enrolled),
+								roomId: String(roomId),
+								branch: '507f1f77bcf86cd799439178',
+							},
+						})
+						assert.strictEqual(foreign.statusCode, 403)
+						assert.strictEqual(foreign.body.code, 'BRANCH_FORBIDDEN')
+
+						await callHandler(groupController.kioskCheckIn, {
+							user: kiosk,
+							userDocument: { branches: [] },
+							body: { nonce: TEST_FACE_NONCE, frames: makeFaceFrames(enrolled), roomId: String(roomId) },
+						})
+						assert.strictEqual(capturedGroupFilter.branch, null)
+					},
+				)
+			} finally {
+				studentFaceIndex.reset()
+			}
+		})
+
+		await test('single-record routes reject groups and students of other branches', async () => {
+			const ownBranchId = new mongoose.Types.ObjectId('507f1f77bcf86cd799439185')
+			const otherBranchId = new mongoose.Types.ObjectId('507f1f77bcf86cd799439186')
+			const groupId = '507f1f77bcf86cd799439187'
+			const studentId = '507f1f77bcf86cd799439188'
+			let groupBranch = otherBranchId
+			let studentBranch = ownBranchId
+			let lookups = 0
+
+			await withPatchedMethods(
+				[
+					[
+						Group,
+						'findById',
+						() => {
+							lookups += 1
+							return makeQuery({ _id: groupId, branch: groupBranch })
+						},
+					],
+					[
+						Student,
+						'findById',
+						() => {
+							lookups += 1
+							return makeQuery({ _id: studentId, branch: studentBranch })
+						},
+					],
+				],
+				async () => {
+					const check = async (middleware, req) => {
+						let passed = null
+						await middleware({ params: { groupId, studentId }, ...req }, makeRes(), error => {
+							passed = error || true
+						})
+						return passed
+					}
+					const teacher = {
+						user: { _id: '507f1f77bcf86cd799439189', role: 'teacher', userType: 'employee' },
+						userDocument: { branches: [ownBranchId] },
+					}
+
+					const forbidden = await check(requireBranchAccess('groupId'), teacher)
+					assert.strictEqual(forbidden.statusCode, 403)
+					assert.strictEqual(forbidden.code, 'BRANCH_FORBIDDEN')
+					assert.strictEqual(forbidden.field, 'groupId')
+
+					assert.strictEqual(await check(requireBranchAccess('studentId'), teacher), true)
+					const attach = await check(requireBranchAccess('groupId', 'studentId'), teacher)
+					assert.strictEqual(attach.code, 'BRANCH_FORBIDDEN')
+
+					studentBranch = otherBranchId
+					const student = await check(requireBranchAccess('studentId'), teacher)
+					assert.strictEqual(student.code, 'BRANCH_FORBIDDEN')
+
+					const superadmin = {
+						user: { _id: '507f1f77bcf86cd799439190', role: 'superadmin', userType: 'employee' },
+						userDocument: { branches: [] },
+					}
+					assert.strictEqual(await check(requireBranchAccess('groupId', 'studentId'), superadmin), true)
+
+					// Unassigned records stay visible to every branch.
+					groupBranch = null
+					assert.strictEqual(await check(requireBranchAccess('groupId'), teacher), true)
+
+					// Student tokens are not branch-scoped and skip the lookup.
+					lookups = 0
+					const studentToken = { user: { _id: studentId, role: 'student', userType: 'student' } }
+					assert.strictEqual(await check(requireBranchAccess('groupId', 'studentId'), studentToken), true)
+					assert.strictEqual(lookups, 0)
+				},
+			)
+		})
+
+		await test('list endpoints are scoped to the caller branches and superadmins get branch totals', async () => {
+			const ownBranchId = new mongoose.Types.ObjectId('507f1f77bcf86cd799439181')
+			const otherBranchId = new mongoose.Types.ObjectId('507f1f77bcf86cd799439182')
+			const employeeId = '507f1f77bcf86cd799439183'
+			const teacher = {
+				user: { _id: '507f1f77bcf86cd799439184', role: 'teacher', userType: 'employee' },
+				userDocument: { branches: [ownBranchId] },
+			}
+			let capturedGroupFilter = null
+			let capturedMatch = null
+
+			await withPatchedMethods(
+				[
+					[
+						Group,
+						'find',
+						filter => {
+							capturedGroupFilter = filter
+							return makeQuery([])
+						},
+					],
+					[Group, 'countDocuments', async () => 0],
+					[FinancialEvent, 'find', () => makeQuery([])],
+					[FinancialEvent, 'countDocuments', async () => 3],
+					[
+						FinancialEvent,
+						'aggregate',
+						async pipeline => {
+							capturedMatch = pipeline[0].$match
+							return [
+								{ _id: ownBranchId, total: 2, amount: 150 },
+								{ _id: null, total: 1, amount: 20 },
+							]
+						},
+					],
+					[
+						Branch,
+						'find',
+						() =>
+							makeQuery([
+								{ _id: ownBranchId, name: 'Chilonzor', isActive: true },
+								{ _id: otherBranchId, name: 'Yunusobod', isActive: true },
+							]),
+					],
+				],
+				async () => {
+					const groups = await callHandler(groupController.getGroups, { ...teacher, query: {} })
+					assert.strictEqual(groups.statusCode, 200)
+					assert.deepStrictEqual(capturedGroupFilter.branch, { $in: [String(ownBranchId), null] })
+					assert.strictEqual(groups.body.branchTotals, undefined)
+
+					const foreign = await callHandler(leadController.listLeads, {
+						...teacher,
+						query: { branchId: String(otherBranchId) },
+					})
+					assert.strictEqual(foreign.statusCode, 403)
+					assert.strictEqual(foreign.body.code, 'BRANCH_FORBIDDEN')
+
+					const transactions = await callHandler(financeController.listTransactions, {
+						user: { _id: '507f1f77bcf86cd799439185', role: 'superadmin', userType: 'employee' },
+						userDocument: { branches: [] },
+						query: { employeeId, branchId: String(ownBranchId) },
+					})
+					assert.strictEqual(transactions.statusCode, 200)
+					// Totals ignore the branch filter and match on cast ids.
+					assert.strictEqual(capturedMatch.branch, undefined)
+					assert.ok(capturedMatch.userId instanceof mongoose.Types.ObjectId)
+					assert.deepStrictEqual(
+						transactions.body.branchTotals.map(item => [item.branch?.name ?? null, item.total, item.amount]),
+						[
+							['Chilonzor', 2, 150],
+							['Yunusobod', 0, 0],
+							[null, 1, 20],
+						],
+					)
+				},
+			)
+		})
+
+		await test('lead duplicate scan only covers the caller branches', async () => {
+			const ownBranchId = new mongoose.Types.ObjectId('507f1f77bcf86cd7994391b1')
+			const otherBranchId = new mongoose.Types.ObjectId('507f1f77bcf86cd7994391b2')
+			const admin = {
+				user: { _id: '507f1f77bcf86cd7994391b3', role: 'admin', userType: 'employee' },
+				userDocument: { branches: [ownBranchId] },
+			}
+			const filters = []
+
+			await withPatchedMethods(
+				[
+					[
+						Lead,
+						'find',
+						filter => {
+							filters.push(filter)
+							return makeQuery([])
+						},
+					],
+				],
+				async () => {
+					const scoped = await callHandler(leadController.listDuplicateLeads, { ...admin, query: {} })
+					assert.strictEqual(scoped.statusCode, 200)
+					assert.deepStrictEqual(filters[0], {
+						status: { $nin: ['enrolled', 'lost'] },
+						branch: { $in: [String(ownBranchId), null] },
+					})
+
+					const foreign = await callHandler(leadController.listDuplicateLeads, {
+						...admin,
+						query: { branchId: String(otherBranchId) },
+					})
+					assert.strictEqual(foreign.statusCode, 403)
+					assert.strictEqual(filters.length, 1)
+
+					await callHandler(leadController.listDuplicateLeads, {
+						user: { _id: '507f1f77bcf86cd7994391b4', role: 'superadmin', userType: 'employee' },
+						userDocument: { branches: [] },
+						query: { includeClosed: 'true' },
+					})
+					assert.deepStrictEqual(filters[1], {})
+				},
+			)
+		})
+
+		await test('new records take the caller branch and finance events inherit the group branch', async () => {
+			const firstBranchId = new mongoose.Types.ObjectId('507f1f77bcf86cd799439191')
+			const secondBranchId = new mongoose.Types.ObjectId('507f1f77bcf86cd799439192')
+			const groupId = new mongoose.Types.ObjectId('507f1f77bcf86cd799439193')
+			const createdLeads = []
+			const manager = {
+				user: { _id: '507f1f77bcf86cd799439194', role: 'admin', userType: 'employee' },
+				userDocument: { branches: [firstBranchId, secondBranchId] },
+			}
+
+			await withPatchedMethods(
+				[
+					[
+						Lead,
+						'create',
+						async payload => {
+							createdLeads.push(payload)
+							return { _id: new mongoose.Types.ObjectId(), ...payload }
+						},
+					],
+					[Lead, 'find', () => makeQuery([])],
+					[Branch, 'exists', async () => ({ _id: secondBranchId })],
+					[Group, 'findById', () => makeQuery({ _id: groupId, branch: secondBranchId })],
+				],
+				async () => {
+					const body = { name: 'Branch Lead', source: 'INSTAGRAM', number: '+998901234567' }
+					const missing = await callHandler(leadController.createLead, { ...manager, body })
+					assert.strictEqual(missing.statusCode, 400)
+					assert.strictEqual(missing.body.field, 'branch')
+
+					const created = await callHandler(leadController.createLead, {
+						...manager,
+						body: { ...body, branch: String(secondBranchId) },
+					})
+					assert.strictEqual(created.statusCode, 201)
+					assert.strictEqual(createdLeads[0].branch, String(secondBranchId))
+
+					const event = new FinancialEvent({
+						type: 'student_charge',
+						amount: 100,
+						groupId,
+						createdBy: manager.user._id,
+					})
+					await event.validate()
+					assert.strictEqual(String(event.branch), String(secondBranchId))
+				},
+			)
+		})
+
+		await test('write requests store audit entries with the changes of the documents they touched', async () => {
+			const studentId = new mongoose.Types.ObjectId('507f1f77bcf86cd7994391a1')
+			const adminId = '507f1f77bcf86cd7994391a2'
+			const storedStudents = [
+				[{ _id: studentId, fullname: 'Audit Student', balance: 100, password: 'old-hash' }],
+				[{ _id: studentId, fullname: 'Audit Student', balance: 40, password: 'new-hash' }],
+			]
+			let createdGroupId = null
+			const storedEntries = []
+
+			// Runs work as a request handler and resolves with the entries stored once it finished.
+			const runWriteRequest = async (statusCode, work) => {
+				const req = {
+					method: 'PATCH',
+					originalUrl: `/api/students/${studentId}?notify=1`,
+					user: { id: adminId, _id: adminId, role: 'admin', userType: 'employee' },
+					ip: '10.0.0.7',
+					headers: { 'user-agent': 'audit-test' },
+				}
+				const res = new EventEmitter()
+				let handled = null
+				auditWriteRequests(req, res, () => {
+					handled = work()
+				})
+				await handled
+
+				const stored = storedEntries.length
+				res.statusCode = statusCode
+				res.emit('finish')
+				await new Promise(resolve => setImmediate(resolve))
+				return storedEntries.slice(stored)
+			}
+
+			await withPatchedMethods(
+				[
+					[Student, 'find', () => makeQuery(storedStudents.shift() || [])],
+					[Student.collection, 'updateOne', async () => ({ matchedCount: 1, modifiedCount: 1 })],
+					[Group, 'find', () => makeQuery([{ _id: createdGroupId, name: 'Audit Group', status: 'active' }])],
+					[Group.collection, 'insertOne', async () => ({ acknowledged: true })],
+					[
+						AuditLog,
+						'insertMany',
+						async entries => {
+							storedEntries.push(...entries)
+							return entries
+						},
+					],
+				],
+				async () => {
+					const entries = await runWriteRequest(200, async () => {
+						await Student.updateOne({ _id: studentId }, { $set: { balance: 40, password: 'new-hash' } })
+						const group = new Group({ name: 'Audit Group' })
+						createdGroupId = group._id
+						await group.save({ validateBeforeSave: false })
+					})
+
+					assert.strictEqual(entries.length, 2)
+					const [studentEntry, groupEntry] = entries
+					assert.strictEqual(studentEntry.requestId, groupEntry.requestId)
+					assert.strictEqual(studentEntry.action, 'update')
+					assert.strictEqual(studentEntry.entityType, 'Student')
+					assert.strictEqual(String(studentEntry.entityId), String(studentId))
+					assert.strictEqual(studentEntry.actor, adminId)
+					assert.strictEqual(studentEntry.actorModel, 'User')
+					assert.strictEqual(studentEntry.actorRole, 'admin')
+					assert.strictEqual(studentEntry.path, `/api/students/${studentId}`)
+					assert.strictEqual(studentEntry.ip, '10.0.0.7')
+					assert.deepStrictEqual(studentEntry.changes, [
+						{ path: 'balance', before: 100, after: 40 },
+						{ path: 'password', before: '[redacted]', after: '[redacted]' },
+					])
+					assert.strictEqual(groupEntry.action, 'create')
+					assert.strictEqual(groupEntry.entityType, 'Group')
+					assert.deepStrictEqual(
+						groupEntry.changes.find(change => change.path === 'name'),
+						{ path: 'name', before: null, after: 'Audit Group' },
+					)
+
+					storedStudents.push(
+						[{ _id: studentId, fullname: 'Audit Student', balance: 40 }],
+						[{ _id: studentId, fullname: 'Audit Student', balance: 0 }],
+					)
+					const failed = await runWriteRequest(500, async () => {
+						await Student.updateOne({ _id: studentId }, { $set: { balance: 0 } })
+					})
+					assert.strictEqual(failed.length, 1)
+					assert.strictEqual(failed[0].statusCode, 500)
+					assert.deepStrictEqual(failed[0].changes, [{ path: 'balance', before: 40, after: 0 }])
+
+					const rejected = await runWriteRequest(400, async () => {})
+					assert.deepStrictEqual(rejected, [])
+				},
+			)
+		})
+
+		await test('audit log list filters by entity, actor and date', async () => {
+			const queries = []
+
+			await withPatchedMethods(
+				[
+					[
+						AuditLog,
+						'find',
+						query => {
+							queries.push(query)
+							return makeQuery([])
+						},
+					],
+					[AuditLog, 'countDocuments', async () => 0],
+				],
+				async () => {
+					const invalid = await callHandler(auditController.listAuditLogs, {
+						query: { actorId: 'not-an-id' },
+					})
+					assert.strictEqual(invalid.statusCode, 400)
+					assert.strictEqual(invalid.body.field, 'actorId')
+
+					const listed = await callHandler(auditController.listAuditLogs, {
+						query: {
+							entityType: 'Student',
+							entityId: '507f1f77bcf86cd7994391a1',
+							actorId: '507f1f77bcf86cd7994391a2',
+							action: 'update',
+							from: '2026-10-01',
+							to: '2026-10-31T23:59:59Z',
+						},
+					})
+					assert.strictEqual(listed.statusCode, 200)
+					assert.deepStrictEqual(queries[0], {
+						entityType: 'Student',
+						entityId: '507f1f77bcf86cd7994391a1',
+						actor: '507f1f77bcf86cd7994391a2',
+						action: 'update',
+						createdAt: {
+							$gte: new Date('2026-09-30T19:00:00Z'),
+							$lte: new Date('2026-10-31T23:59:59Z'),
+						},
+					})
+
+					await callHandler(auditController.listAuditLogs, {
+						query: { from: '2026-10-01T00:00:00Z', to: '2026-10-31' },
+					})
+					assert.deepStrictEqual(queries[1].createdAt, {
+						$gte: new Date('2026-10-01T00:00:00Z'),
+						$lt: new Date('2026-10-31T19:00:00Z'),
+					})
+
+					const invalidDate = await callHandler(auditController.listAuditLogs, {
+						query: { to: '2026-02-30' },
+					})
+					assert.strictEqual(invalidDate.statusCode, 400)
+					assert.strictEqual(invalidDate.body.field, 'to')
 				},
 			)
 		})
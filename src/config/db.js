@@ -1,5 +1,8 @@
 const mongoose = require('mongoose')
 const { seedRoles } = require('../seeders/roles.seeder')
+const { migrateLegacyGroupRooms } = require('../seeders/rooms.seeder')
+const { migrateEmbeddedGroupAttendance } = require('../seeders/attendance.seeder')
+const { migrateDefaultBranch } = require('../seeders/branches.seeder')
 
 const MAX_RETRIES = 5
 const RETRY_DELAY_MS = 5000
@@ -17,6 +20,9 @@ const connectDB = async () => {
 				serverSelectionTimeoutMS: 15000,
 			})
 			await seedRoles()
+			await migrateLegacyGroupRooms()
+			await migrateEmbeddedGroupAttendance()
+			await migrateDefaultBranch()
 			console.log('MongoDB connected successfully')
 			return
 		} catch (error) {
@@ -23,11 +23,21 @@ const options = {
 		tags: [
 			{ name: 'Auth', description: 'Authentication and user role management' },
 			{ name: 'Students', description: 'Student CRUD and listing' },
+			{ name: 'Parents', description: 'Parent accounts and read-only parent portal' },
+			{ name: 'Leads', description: 'CRM leads, pipeline stages and conversion to students' },
 			{ name: 'Groups', description: 'Group CRUD, membership, and attendance' },
+			{ name: 'Holidays', description: 'Center-wide holidays that cancel group sessions' },
+			{ name: 'Schedule', description: 'Cross-group room and teacher scheduling conflicts' },
+			{ name: 'Rooms', description: 'Rooms, capacities and weekly occupancy' },
+			{ name: 'Branches', description: 'Center branches that scope groups, students, leads and finance' },
+			{ name: 'Audit', description: 'Who changed what: before/after diffs of every write request' },
 			{ name: 'Courses', description: 'Course CRUD and methodology management' },
 			{ name: 'Lessons', description: 'Lessons linked to specific courses' },
 			{ name: 'Homework', description: 'Homework assignments and submissions' },
 			{ name: 'Finance', description: 'Employee finance — bonuses and fines' },
+			{ name: 'Payroll', description: 'Monthly payroll runs and payslips' },
+			{ name: 'Timesheets', description: 'Employee Face ID check-in/check-out and monthly timesheets' },
+			{ name: 'Compensation', description: 'Per-lesson pay rules and monthly lesson accruals' },
 			{ name: 'Forbidden', description: 'Forbidden behavior rules and employee violations' },
 			{ name: 'ExtraLessons', description: 'Extra lessons managed by up to 3 global support teachers' },
 			{ name: 'System', description: 'System endpoints' },
@@ -397,7 +407,12 @@ const options = {
 								'If a single schedule item is provided, its time/duration are applied to all groupType days automatically.',
 							items: { $ref: '#/components/schemas/GroupScheduleInput' },
 						},
-						room: { type: 'string', example: 'Room 204' },
+						room: {
+							type: 'string',
+							nullable: true,
+							description: 'Room id. maxStudents must not exceed the room capacity.',
+							example: '65f12ca7a7720c194de6a0c1',
+						},
 						monthlyFee: { type: 'number', minimum: 0, example: 800000 },
 						note: { type: 'string', example: 'Priority speaking group' },
 					},
@@ -428,7 +443,7 @@ const options = {
 								'If a single schedule item is provided, its time/duration are applied to all groupType days automatically.',
 							items: { $ref: '#/components/schemas/GroupScheduleInput' },
 						},
-						room: { type: 'string' },
+						room: { type: 'string', nullable: true, description: 'Room id; null clears the room' },
 						monthlyFee: { type: 'number', minimum: 0 },
 						note: { type: 'string' },
 					},
@@ -492,7 +507,13 @@ const options = {
 							type: 'array',
 							items: { $ref: '#/components/schemas/GroupScheduleInput' },
 						},
-						room: { type: 'string', example: 'Room 204' },
+						room: {
+							oneOf: [
+								{ type: 'string' },
+								{ $ref: '#/components/schemas/Room' },
+							],
+							nullable: true,
+						},
 						monthlyFee: { type: 'number', example: 800000 },
 						coinBalance: { type: 'number', example: 1600 },
 						note: { type: 'string', example: 'Priority speaking group' },
@@ -500,6 +521,23 @@ const options = {
 						updatedAt: { type: 'string', format: 'date-time' },
 					},
 				},
+				Room: {
+					type: 'object',
+					properties: {
+						_id: { type: 'string', example: '65f12ca7a7720c194de6a0c1' },
+						name: { type: 'string', example: 'Room 204' },
+						capacity: { type: 'number', example: 16 },
+						equipment: {
+							type: 'array',
+							items: { type: 'string' },
+							example: ['projector', 'whiteboard'],
+						},
+						isActive: { type: 'boolean', example: true },
+						note: { type: 'string' },
+						createdAt: { type: 'string', format: 'date-time' },
+						updatedAt: { type: 'string', format: 'date-time' },
+					},
+				},
 				StudentGroupInput: {
 					type: 'object',
 					required: ['group'],
@@ -0,0 +1,92 @@
+const mongoose = require('mongoose')
+
+const { AuditLog, AUDIT_ACTIONS } = require('../model/audit-log.model')
+const { isValidDateKey } = require('../model/group-session.model')
+const { addDaysToDateKey, toSessionStart } = require('../services/group-session.service')
+
+const DATE_KEY_PATTERN = /^\d{4}-\d{2}-\d{2}$/
+
+// Date-only bounds are local (UTC+5) days and `to` includes its whole day.
+const parseDateBound = (value, param) => {
+	if (DATE_KEY_PATTERN.test(value)) {
+		if (!isValidDateKey(value)) {
+			return { date: new Date(NaN) }
+		}
+		return param === 'to'
+			? { operator: '$lt', date: toSessionStart(addDaysToDateKey(value, 1), '00:00') }
+			: { operator: '$gte', date: toSessionStart(value, '00:00') }
+	}
+	return { operator: param === 'to' ? '$lte' : '$gte', date: new Date(value) }
+}
+
+exports.listAuditLogs = async (req, res) => {
+	try {
+		const limit = Math.min(Math.max(Number(req.query.limit) || 20, 1), 100)
+		const page = Math.max(Number(req.query.page) || 1, 1)
+		const skip = (page - 1) * limit
+
+		const query = {}
+		if (req.query.entityType) {
+			query.entityType = String(req.query.entityType).trim()
+		}
+		for (const [param, field] of [
+			['entityId', 'entityId'],
+			['actorId', 'actor'],
+		]) {
+			if (!req.query[param]) {
+				continue
+			}
+			if (!mongoose.isValidObjectId(req.query[param])) {
+				return res.status(400).json({ message: `Invalid ${param}`, field: param })
+			}
+			query[field] = req.query[param]
+		}
+		if (req.query.action) {
+			const action = String(req.query.action).trim()
+			if (!AUDIT_ACTIONS.includes(action)) {
+				return res.status(400).json({
+					message: `action must be one of: ${AUDIT_ACTIONS.join(', ')}`,
+					field: 'action',
+				})
+			}
+			query.action = action
+		}
+		if (req.query.requestId) {
+			query.requestId = String(req.query.requestId).trim()
+		}
+
+		const createdAt = {}
+		for (const param of ['from', 'to']) {
+			if (!req.query[param]) {
+				continue
+			}
+			const { operator, date } = parseDateBound(String(req.query[param]).trim(), param)
+			if (Number.isNaN(date.getTime())) {
+				return res.status(400).json({ message: `${param} must be a valid date`, field: param })
+			}
+			createdAt[operator] = date
+		}
+		if (Object.keys(createdAt).length > 0) {
+			query.createdAt = createdAt
+		}
+
+		const [entries, total] = await Promise.all([
+			AuditLog.find(query)
+				.populate('actor', 'fullname phone role')
+				.sort({ createdAt: -1 })
+				.skip(skip)
+				.limit(limit),
+			AuditLog.countDocuments(query),
+		])
+
+		return res.status(200).json({
+			page,
+			limit,
+			total,
+			data: entries,
+		})
+	} catch (error) {
+		console.error('List audit log failed:', error)
+		return res.status(500).json({ message: 'Internal server error' })
+	}
+}
@@ -3,23 +3,55 @@ const path = require('path')
 const mongoose = require('mongoose')
 const User = require('../model/user.model')
 const Group = require('../model/group.model')
+const { Branch } = require('../model/branch.model')
 const { FinancialEvent } = require('../models/FinancialEvent.model')
 const FaceCredential = require('../models/FaceCredential.model')
 const Role = require('../models/Role.model')
 const bcrypt = require('bcrypt')
-const {
-	generateAccessToken,
-	generateRefreshToken,
-	verifyRefreshToken,
-} = require('../utils/token')
+const { verifyRefreshToken } = require('../utils/token')
 const { toPublicUrl } = require('../utils/public-url')
+const {
+	getClientInfo,
+	listActiveSessions,
+	openSession,
+	revokeAccountSessions,
+	revokeSession,
+	rotateSession,
+} = require('../services/auth-session.service')
+const {
+	requestOtpCode,
+	resetPasswordWithOtp,
+	verifyOtpCode,
+} = require('../services/otp.service')
+const { employeeFaceIndex } = require('../services/face-index.service')
+const { issueFaceChallenge, verifyFaceChallenge } = require('../services/face-challenge.service')
+const {
+	FACE_DESCRIPTOR_LENGTH,
+	DEFAULT_FACE_MATCH_THRESHOLD,
+	normalizeRoleInput,
+	parseFaceDescriptor,
+	parseFaceFrames,
+	resolveRoleFaceMatchThresholds,
+	resolveFaceMatchMargin,
+} = require('../utils/face-match')
+const {
+	checkFaceLoginThrottle,
+	getFaceLoginClient,
+	recordFaceLoginAttempt,
+} = require('../services/face-login-audit.service')
+const { FaceLoginAttempt, FACE_LOGIN_OUTCOMES } = require('../model/face-login-attempt.model')
 const { invalidateRolePermissionsCache } = require('../middleware/auth.middleware')
 
 /**
  * Face authentication implementation details:
  * - Storage: 128-length numeric face descriptor is stored in FaceCredential (not in User).
  * - Descriptor source: generated client-side using face-api.js.
- * - Matching: Euclidean distance between descriptors; match succeeds when distance <= threshold.
+ * - Liveness: login needs a single-use nonce from /login/face/challenge and several frames captured
+ *   while the user performs the challenge action; the mean of the frames is matched.
+ * - Matching: Euclidean distance against the in-memory employeeFaceIndex; match succeeds when the
+ *   closest distance <= the matched user's role threshold and the runner-up is at least
+ *   FACE_MATCH_MARGIN further away. Thresholds are server-side only.
+ * - Every attempt is written to FaceLoginAttempt, which also drives per-IP/device throttling.
  */
 
 const ALLOWED_ROLES = new Set([
@@ -38,69 +70,6 @@ const SUPERADMIN_REGISTERABLE_ROLES = new Set([
 	'admin',
 ])
 const ADMIN_MANAGEABLE_ROLES = new Set(['teacher', 'supporteacher', 'headteacher'])
-const FACE_DESCRIPTOR_LENGTH = 128
-
-const normalizeRoleInput = value => {
-	const normalized = String(value || '').trim()
-	const lowered = normalized.toLowerCase()
-	if (lowered === 'supportteacher') {
-		return 'supporteacher'
-	}
-
-	return lowered
-}
-
-const parseFaceDescriptor = value => {
-	if (typeof value === 'undefined' || value === null) {
-		return null
-	}
-
-	let parsedValue = value
-	if (typeof value === 'string') {
-		try {
-			parsedValue = JSON.parse(value)
-		} catch (error) {
-			return null
-		}
-	}
-
-	if (!Array.isArray(parsedValue) || parsedValue.length !== FACE_DESCRIPTOR_LENGTH) {
-		return null
-	}
-
-	const descriptor = parsedValue.map(number => Number(number))
-	if (!descriptor.every(number => Number.isFinite(number))) {
-		return null
-	}
-
-	return descriptor
-}
-
-const parseFaceMatchThreshold = value => {
-	if (typeof value === 'undefined' || value === null || value === '') {
-		const envThreshold = Number(process.env.FACE_MATCH_THRESHOLD)
-		if (Number.isFinite(envThreshold) && envThreshold > 0 && envThreshold <= 2) {
-			return envThreshold
-		}
-		return 0.45
-	}
-
-	const threshold = Number(value)
-	if (!Number.isFinite(threshold) || threshold <= 0 || threshold > 2) {
-		return null
-	}
-
-	return threshold
-}
-
-const euclideanDistance = (first, second) => {
-	let sum = 0
-	for (let index = 0; index < first.length; index += 1) {
-		const delta = first[index] - second[index]
-		sum += delta * delta
-	}
-	return Math.sqrt(sum)
-}
 
 const parseLocation = location => {
 	if (!location) {
@@ -140,6 +109,28 @@ const parseLocation = location => {
 	}
 }
 
+// Accepts an array, a JSON array string or a comma-separated string (multipart forms).
+const parseBranchIds = input => {
+	let values = input
+	if (typeof input === 'string') {
+		try {
+			values = JSON.parse(input)
+		} catch (error) {
+			values = input.split(',')
+		}
+	}
+
+	if (!Array.isArray(values)) {
+		return null
+	}
+
+	const branchIds = [...new Set(values.map(value => String(value || '').trim()).filter(Boolean))]
+	return branchIds.every(branchId => mongoose.isValidObjectId(branchId)) ? branchIds : null
+}
+
+const allBranchesExist = async branchIds =>
+	(await Branch.countDocuments({ _id: { $in: branchIds } })) === branchIds.length
+
 const removeUploadedFileIfAny = req => {
 	if (!req?.file?.path) {
 		return
@@ -191,11 +182,11 @@ exports.login = async (req, res) => {
 			return res.status(401).json({ message: 'Invalid credentials' })
 		}
 
-		const accessToken = generateAccessToken(user)
-		const refreshToken = generateRefreshToken(user)
-
-		user.refreshToken = refreshToken
-		await user.save({ validateBeforeSave: false })
+		const { accessToken, refreshToken } = await openSession({
+			accountType: 'employee',
+			account: user,
+			client: getClientInfo(req),
+		})
 
 		res.status(200).json({
 			accessToken,
@@ -208,6 +199,79 @@ exports.login = async (req, res) => {
 	}
 }
 
+exports.requestOtp = async (req, res) => {
+	try {
+		const result = await requestOtpCode({
+			accountType: 'employee',
+			phone: req.body.phone,
+			purpose: req.body.purpose || 'login',
+		})
+		if (result.statusCode) {
+			const { statusCode, ...body } = result
+			return res.status(statusCode).json(body)
+		}
+
+		return res.status(200).json({
+			message: 'If the phone is registered, a code has been sent',
+			...result,
+		})
+	} catch (error) {
+		console.error('OTP request failed:', error)
+		return res.status(500).json({ message: 'Internal server error' })
+	}
+}
+
+exports.loginWithOtp = async (req, res) => {
+	try {
+		const result = await verifyOtpCode({
+			accountType: 'employee',
+			phone: req.body.phone,
+			purpose: 'login',
+			code: req.body.code,
+		})
+		if (!result.account) {
+			const { statusCode, ...body } = result
+			return res.status(statusCode).json(body)
+		}
+
+		const user = result.account
+		const { accessToken, refreshToken } = await openSession({
+			accountType: 'employee',
+			account: user,
+			client: getClientInfo(req),
+		})
+
+		return res.status(200).json({
+			accessToken,
+			refreshToken,
+			user: sanitizeUser(user, req),
+		})
+	} catch (error) {
+		console.error('OTP login failed:', error)
+		return res.status(500).json({ message: 'Internal server error' })
+	}
+}
+
+exports.resetPassword = async (req, res) => {
+	try {
+		const result = await resetPasswordWithOtp({
+			accountType: 'employee',
+			phone: req.body.phone,
+			code: req.body.code,
+			password: req.body.password,
+		})
+		if (!result.account) {
+			const { statusCode, ...body } = result
+			return res.status(statusCode).json(body)
+		}
+
+		return res.status(200).json({ message: 'Password has been reset, please log in again' })
+	} catch (error) {
+		console.error('Password reset failed:', error)
+		return res.status(500).json({ message: 'Internal server error' })
+	}
+}
+
 exports.updateFaceId = async (req, res) => {
 	try {
 		const descriptor = parseFaceDescriptor(req.body.descriptor)
@@ -222,13 +286,14 @@ exports.updateFaceId = async (req, res) => {
 			return res.status(404).json({ message: 'User not found' })
 		}
 
-		await FaceCredential.findOneAndUpdate(
+		const credential = await FaceCredential.findOneAndUpdate(
 			{ userId: user._id },
 			{ $set: { descriptor } },
 			{ upsert: true, new: true, setDefaultsOnInsert: true },
 		)
 		user.faceIdEnabled = true
 		await user.save({ validateBeforeSave: false })
+		employeeFaceIndex.upsert(user._id, descriptor, credential?.updatedAt)
 
 		return res.status(200).json({
 			message: 'Face ID registered successfully',
@@ -245,79 +310,106 @@ exports.updateFaceId = async (req, res) => {
 	}
 }
 
+const faceLoginThrottled = throttle => ({
+	message: 'Too many failed Face ID attempts, please try again later',
+	code: 'FACE_LOGIN_THROTTLED',
+	retryAfterSeconds: throttle.retryAfterSeconds,
+})
+
+exports.requestFaceChallenge = async (req, res) => {
+	try {
+		const client = getFaceLoginClient(req)
+		const throttle = await checkFaceLoginThrottle(client)
+		if (throttle) {
+			return res.status(429).json(faceLoginThrottled(throttle))
+		}
+
+		const challenge = await issueFaceChallenge({ client })
+		return res.status(201).json(challenge)
+	} catch (error) {
+		console.error('Face ID challenge failed:', error)
+		return res.status(500).json({ message: 'Internal server error' })
+	}
+}
+
 exports.loginWithFaceId = async (req, res) => {
 	try {
-		const descriptor = parseFaceDescriptor(req.body.descriptor)
-		if (!descriptor) {
-			return res.status(400).json({
-				message: `descriptor must be an array with exactly ${FACE_DESCRIPTOR_LENGTH} numeric values`,
-			})
+		const client = getFaceLoginClient(req)
+		const throttle = await checkFaceLoginThrottle(client)
+		if (throttle) {
+			await recordFaceLoginAttempt({ client, outcome: 'throttled' })
+			return res.status(429).json(faceLoginThrottled(throttle))
 		}
 
-		const threshold = parseFaceMatchThreshold(req.body.threshold)
-		if (threshold === null) {
+		const frames = parseFaceFrames(req.body.frames)
+		if (!frames) {
+			await recordFaceLoginAttempt({ client, outcome: 'invalid_descriptor' })
 			return res.status(400).json({
-				message: 'threshold must be a number greater than 0 and less than or equal to 2',
+				message: `frames must be an array of descriptors with exactly ${FACE_DESCRIPTOR_LENGTH} numeric values each`,
+				field: 'frames',
 			})
 		}
 
-		const envMaxCandidates = Number(process.env.FACE_LOGIN_MAX_CANDIDATES)
-		const maxCandidates =
-			Number.isInteger(envMaxCandidates) && envMaxCandidates > 0
-				? Math.min(envMaxCandidates, 10000)
-				: 2000
-
-		const credentials = await FaceCredential.find({})
-			.select('+descriptor userId')
-			.sort({ updatedAt: -1, createdAt: -1 })
-			.limit(maxCandidates)
-
-		const candidateUserIds = credentials
-			.map(item => item.userId?.toString?.() || '')
-			.filter(Boolean)
-		const candidateUsers = await User.find({
-			_id: { $in: candidateUserIds },
-			faceIdEnabled: true,
-		}).select('+refreshToken')
-		const usersMap = new Map(
-			candidateUsers.map(user => [user._id.toString(), user]),
-		)
-
-		let bestMatch = null
-		for (const credential of credentials) {
-			const user = usersMap.get(String(credential.userId))
-			if (!user) {
-				continue
-			}
-
-			if (
-				!Array.isArray(credential.descriptor) ||
-				credential.descriptor.length !== FACE_DESCRIPTOR_LENGTH
-			) {
-				continue
-			}
+		const liveness = await verifyFaceChallenge({ nonce: req.body.nonce, frames })
+		if (!liveness.descriptor) {
+			const { statusCode, outcome, ...body } = liveness
+			await recordFaceLoginAttempt({ client, outcome })
+			return res.status(statusCode).json(body)
+		}
+		const { descriptor } = liveness
 
-			const distance = euclideanDistance(descriptor, credential.descriptor)
-			if (!bestMatch || distance < bestMatch.distance) {
-				bestMatch = { user, distance }
-			}
+		// Search up to the loosest role threshold, then hold the matched user
+		// to the threshold of their own role.
+		const roleThresholds = resolveRoleFaceMatchThresholds(ALLOWED_ROLES)
+		const match = await employeeFaceIndex.match(descriptor, {
+			threshold: Math.max(...Object.values(roleThresholds)),
+			margin: resolveFaceMatchMargin(),
+		})
+		const matchedUserId = match.best?.id || null
+		if (match.status === 'ambiguous') {
+			await recordFaceLoginAttempt({ client, outcome: 'ambiguous', matchedUser: matchedUserId, match })
+			return res.status(401).json({
+				message: 'Face ID match is ambiguous, please try again',
+				code: 'FACE_AMBIGUOUS',
+			})
+		}
+		if (match.status !== 'matched') {
+			await recordFaceLoginAttempt({ client, outcome: 'no_match', match })
+			return res.status(401).json({ message: 'Face ID not recognized' })
 		}
 
-		if (!bestMatch || bestMatch.distance > threshold) {
+		const user = await User.findById(matchedUserId).select('+refreshToken')
+		if (!user || !user.faceIdEnabled) {
+			// Stale entry, e.g. removed on another instance since the last reload.
+			employeeFaceIndex.remove(matchedUserId)
+			await recordFaceLoginAttempt({ client, outcome: 'unknown_user', matchedUser: matchedUserId, match })
 			return res.status(401).json({ message: 'Face ID not recognized' })
 		}
 
-		const accessToken = generateAccessToken(bestMatch.user)
-		const refreshToken = generateRefreshToken(bestMatch.user)
+		const threshold = roleThresholds[user.role] ?? DEFAULT_FACE_MATCH_THRESHOLD
+		if (match.best.distance > threshold) {
+			await recordFaceLoginAttempt({
+				client,
+				outcome: 'threshold_exceeded',
+				matchedUser: user._id,
+				match,
+				threshold,
+			})
+			return res.status(401).json({ message: 'Face ID not recognized' })
+		}
 
-		bestMatch.user.refreshToken = refreshToken
-		await bestMatch.user.save({ validateBeforeSave: false })
+		const { accessToken, refreshToken } = await openSession({
+			accountType: 'employee',
+			account: user,
+			client: getClientInfo(req),
+		})
+		await recordFaceLoginAttempt({ client, outcome: 'success', matchedUser: user._id, match, threshold })
 
 		return res.status(200).json({
 			accessToken,
 			refreshToken,
-			matchDistance: Number(bestMatch.distance.toFixed(6)),
-			user: sanitizeUser(bestMatch.user, req),
+			matchDistance: Number(match.best.distance.toFixed(6)),
+			user: sanitizeUser(user, req),
 		})
 	} catch (error) {
 		console.error('Face ID login failed:', error)
@@ -337,6 +429,7 @@ exports.removeFaceId = async (req, res) => {
 		}
 
 		await FaceCredential.deleteOne({ userId: user._id })
+		employeeFaceIndex.remove(user._id)
 		user.faceIdEnabled = false
 		await user.save({ validateBeforeSave: false })
 
@@ -426,6 +519,17 @@ exports.register = async (req, res) => {
 			return fail(400, 'Invalid dateOfBirth value')
 		}
 
+		let branches
+		if (typeof req.body.branches !== 'undefined') {
+			branches = parseBranchIds(req.body.branches)
+			if (!branches) {
+				return fail(400, 'branches must be an array of branch ids')
+			}
+			if (!(await allBranchesExist(branches))) {
+				return fail(400, 'Branch not found')
+			}
+		}
+
 		const existingUser = await User.findOne({
 			$or: [{ phone }, { email }],
 		})
@@ -455,6 +559,10 @@ exports.register = async (req, res) => {
 			userPayload.location = parsedLocation
 		}
 
+		if (branches) {
+			userPayload.branches = branches
+		}
+
 		if (req.file) {
 			userPayload.imgURL = `/uploads/${req.file.filename}`
 		}
@@ -471,9 +579,11 @@ exports.register = async (req, res) => {
 				{ userId: user._id },
 				{ $set: { descriptor: faceDescriptor } },
 				{ upsert: true, new: true, setDefaultsOnInsert: true },
-			).catch(error => {
-				console.error('Failed to save face credential during register:', error)
-			})
+			)
+				.then(credential => employeeFaceIndex.upsert(user._id, faceDescriptor, credential?.updatedAt))
+				.catch(error => {
+					console.error('Failed to save face credential during register:', error)
+				})
 		}
 
 		if (typeof salary !== 'undefined') {
@@ -678,29 +788,31 @@ exports.refreshToken = async (req, res) => {
 		}
 
 		const refreshToken = refreshTokenInput.replace(/^Bearer\s+/i, '').trim()
-		const strictRefreshTokenMatch =
-			String(process.env.STRICT_REFRESH_TOKEN_MATCH || 'false')
-				.trim()
-				.toLowerCase() === 'true'
-
 		const payload = verifyRefreshToken(refreshToken)
-		const user = await User.findById(payload.sub || payload.id).select('+refreshToken')
-		if (!user || !user.refreshToken) {
+		if (payload.userType !== 'employee') {
 			return res.status(401).json({ message: 'Invalid refresh token' })
 		}
 
-		if (strictRefreshTokenMatch && user.refreshToken !== refreshToken) {
-			return res.status(401).json({ message: 'Refresh token mismatch' })
+		const user = await User.findById(payload.sub || payload.id).select('+refreshToken')
+		if (!user) {
+			return res.status(401).json({ message: 'Invalid refresh token' })
 		}
 
-		const newAccessToken = generateAccessToken(user)
-		const newRefreshToken = generateRefreshToken(user)
-		user.refreshToken = newRefreshToken
-		await user.save({ validateBeforeSave: false })
+		const result = await rotateSession({
+			accountType: 'employee',
+			account: user,
+			refreshToken,
+			payload,
+			client: getClientInfo(req),
+		})
+		if (!result.accessToken) {
+			const { statusCode, ...body } = result
+			return res.status(statusCode).json(body)
+		}
 
 		return res.status(200).json({
-			accessToken: newAccessToken,
-			refreshToken: newRefreshToken,
+			accessToken: result.accessToken,
+			refreshToken: result.refreshToken,
 		})
 	} catch (error) {
 		console.error('Refresh token failed:', error)
@@ -719,8 +831,18 @@ exports.logout = async (req, res) => {
 			return res.status(401).json({ message: 'Unauthorized' })
 		}
 
-		user.refreshToken = null
-		await user.save({ validateBeforeSave: false })
+		if (req.user.sessionId) {
+			await revokeSession({
+				accountType: 'employee',
+				accountId: user._id,
+				sessionId: req.user.sessionId,
+				reason: 'logout',
+			})
+		}
+		if (user.refreshToken) {
+			user.refreshToken = null
+			await user.save({ validateBeforeSave: false })
+		}
 		return res.status(200).json({ message: 'Logged out successfully' })
 	} catch (error) {
 		console.error('Logout failed:', error)
@@ -728,6 +850,53 @@ exports.logout = async (req, res) => {
 	}
 }
 
+exports.listSessions = async (req, res) => {
+	try {
+		const sessions = await listActiveSessions({
+			accountType: 'employee',
+			accountId: req.user.id,
+			currentSessionId: req.user.sessionId,
+		})
+		return res.status(200).json({ sessions })
+	} catch (error) {
+		console.error('List sessions failed:', error)
+		return res.status(500).json({ message: 'Internal server error' })
+	}
+}
+
+exports.revokeSession = async (req, res) => {
+	try {
+		const revoked = await revokeSession({
+			accountType: 'employee',
+			accountId: req.user.id,
+			sessionId: req.params.sessionId,
+		})
+		if (!revoked) {
+			return res.status(404).json({ message: 'Session not found' })
+		}
+
+		return res.status(200).json({ message: 'Session revoked' })
+	} catch (error) {
+		console.error('Revoke session failed:', error)
+		return res.status(500).json({ message: 'Internal server error' })
+	}
+}
+
+exports.revokeOtherSessions = async (req, res) => {
+	try {
+		const revokedCount = await revokeAccountSessions({
+			accountType: 'employee',
+			accountId: req.user.id,
+			exceptSessionId: req.user.sessionId,
+			reason: 'revoked_others',
+		})
+		return res.status(200).json({ message: 'Other sessions revoked', revokedCount })
+	} catch (error) {
+		console.error('Revoke other sessions failed:', error)
+		return res.status(500).json({ message: 'Internal server error' })
+	}
+}
+
 exports.me = async (req, res) => {
 	try {
 		if (!req.user) {
@@ -783,6 +952,77 @@ exports.listUsers = async (req, res) => {
 	}
 }
 
+exports.listFaceLoginAttempts = async (req, res) => {
+	try {
+		const limit = Math.min(Math.max(Number(req.query.limit) || 20, 1), 100)
+		const page = Math.max(Number(req.query.page) || 1, 1)
+		const skip = (page - 1) * limit
+
+		const query = {}
+		if (req.query.outcome) {
+			const outcome = String(req.query.outcome).trim()
+			if (!FACE_LOGIN_OUTCOMES.includes(outcome)) {
+				return res.status(400).json({
+					message: `outcome must be one of: ${FACE_LOGIN_OUTCOMES.join(', ')}`,
+				})
+			}
+			query.outcome = outcome
+		}
+		if (typeof req.query.suspicious !== 'undefined') {
+			query.suspicious = String(req.query.suspicious).trim().toLowerCase() === 'true'
+		}
+		if (req.query.userId) {
+			if (!mongoose.isValidObjectId(req.query.userId)) {
+				return res.status(400).json({ message: 'Invalid userId' })
+			}
+			query.matchedUser = req.query.userId
+		}
+		if (req.query.ip) {
+			query.ip = String(req.query.ip).trim()
+		}
+		if (req.query.deviceId) {
+			query.deviceId = String(req.query.deviceId).trim()
+		}
+
+		const createdAt = {}
+		for (const [param, operator] of [
+			['from', '$gte'],
+			['to', '$lte'],
+		]) {
+			if (!req.query[param]) {
+				continue
+			}
+			const date = new Date(String(req.query[param]))
+			if (Number.isNaN(date.getTime())) {
+				return res.status(400).json({ message: `${param} must be a valid date` })
+			}
+			createdAt[operator] = date
+		}
+		if (Object.keys(createdAt).length > 0) {
+			query.createdAt = createdAt
+		}
+
+		const [attempts, total] = await Promise.all([
+			FaceLoginAttempt.find(query)
+				.populate('matchedUser', 'fullname phone role')
+				.sort({ createdAt: -1 })
+				.skip(skip)
+				.limit(limit),
+			FaceLoginAttempt.countDocuments(query),
+		])
+
+		return res.status(200).json({
+			page,
+			limit,
+			total,
+			data: attempts,
+		})
+	} catch (error) {
+		console.error('List Face ID login attempts failed:', error)
+		return res.status(500).json({ message: 'Internal server error' })
+	}
+}
+
 exports.listRoles = async (req, res) => {
 	try {
 		const roles = await Role.find().sort({ name: 1 })
@@ -909,6 +1149,39 @@ exports.updateUserRole = async (req, res) => {
 	}
 }
 
+exports.updateUserBranches = async (req, res) => {
+	try {
+		const branches = parseBranchIds(req.body.branches)
+		if (!branches) {
+			return res.status(400).json({ message: 'branches must be an array of branch ids', field: 'branches' })
+		}
+		if (!(await allBranchesExist(branches))) {
+			return res.status(400).json({ message: 'Branch not found', field: 'branches' })
+		}
+
+		const user = await User.findById(req.params.userId)
+		if (!user) {
+			return res.status(404).json({ message: 'User not found' })
+		}
+
+		user.branches = branches
+		await user.save()
+
+		return res.status(200).json({
+			message: 'User branches updated successfully',
+			user: sanitizeUser(user, req),
+		})
+	} catch (error) {
+		if (error.name === 'ValidationError') {
+			const firstErrorMessage = Object.values(error.errors || {})[0]?.message
+			return res.status(400).json({ message: firstErrorMessage || 'Validation failed' })
+		}
+
+		console.error('Update user branches failed:', error)
+		return res.status(500).json({ message: 'Internal server error' })
+	}
+}
+
 exports.deleteUser = async (req, res) => {
 	try {
 		const userId = req.params.userId
@@ -950,6 +1223,8 @@ exports.deleteUser = async (req, res) => {
 		}
 
 		await User.deleteOne({ _id: userId })
+		await FaceCredential.deleteOne({ userId })
+		employeeFaceIndex.remove(userId)
 
 		return res.status(200).json({ message: 'User deleted successfully' })
 	} catch (error) {
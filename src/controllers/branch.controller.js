@@ -0,0 +1,189 @@
+const Group = require('../model/group.model')
+const Student = require('../model/student.model')
+const User = require('../model/user.model')
+const { Branch } = require('../model/branch.model')
+const { Lead } = require('../model/lead.model')
+const { FinancialEvent } = require('../models/FinancialEvent.model')
+const { getUserBranchIds, isCrossBranchUser } = require('../services/branch-scope.service')
+
+const LOCATION_MESSAGE = 'location must be a GeoJSON point with coordinates [longitude, latitude]'
+
+const parseLocation = value => {
+	const coordinates = Array.isArray(value?.coordinates) ? value.coordinates.map(Number) : null
+	if (!coordinates || coordinates.length !== 2) {
+		return null
+	}
+
+	const [longitude, latitude] = coordinates
+	if (
+		!Number.isFinite(longitude) ||
+		!Number.isFinite(latitude) ||
+		longitude < -180 ||
+		longitude > 180 ||
+		latitude < -90 ||
+		latitude > 90
+	) {
+		return null
+	}
+
+	return { type: 'Point', coordinates: [longitude, latitude] }
+}
+
+const handleBranchWriteError = (res, error, label) => {
+	if (error.code === 11000) {
+		return res.status(409).json({ message: 'A branch with this name already exists', field: 'name' })
+	}
+	if (error.name === 'ValidationError') {
+		const msg = Object.values(error.errors || {})[0]?.message
+		return res.status(400).json({ message: msg || 'Validation failed' })
+	}
+	console.error(`${label} failed:`, error)
+	return res.status(500).json({ message: 'Internal server error' })
+}
+
+// Applies the optional address, phone and location; returns an error response body or null.
+const applyBranchDetails = (target, body) => {
+	if (typeof body.address !== 'undefined') {
+		target.address = String(body.address || '').trim()
+	}
+	if (typeof body.phone !== 'undefined') {
+		target.phone = String(body.phone || '').trim() || undefined
+	}
+	if (typeof body.location !== 'undefined') {
+		if (body.location === null || body.location === '') {
+			target.location = undefined
+		} else {
+			const location = parseLocation(body.location)
+			if (!location) {
+				return { message: LOCATION_MESSAGE, field: 'location' }
+			}
+			target.location = location
+		}
+	}
+	return null
+}
+
+exports.listBranches = async (req, res) => {
+	try {
+		const query = {}
+		if (typeof req.query.isActive !== 'undefined') {
+			query.isActive = String(req.query.isActive) === 'true'
+		}
+
+		const branches = await Branch.find(query).sort({ name: 1 })
+		const ownBranchIds = new Set(getUserBranchIds(req))
+		const crossBranch = isCrossBranchUser(req)
+
+		return res.status(200).json({
+			total: branches.length,
+			data: branches.map(branch => ({
+				...branch.toObject(),
+				accessible: crossBranch || ownBranchIds.has(branch._id.toString()),
+			})),
+		})
+	} catch (error) {
+		console.error('List branches failed:', error)
+		return res.status(500).json({ message: 'Internal server error' })
+	}
+}
+
+exports.getBranch = async (req, res) => {
+	try {
+		const branch = await Branch.findById(req.params.branchId)
+		if (!branch) {
+			return res.status(404).json({ message: 'Branch not found' })
+		}
+
+		const employees = await User.find({ branches: branch._id })
+			.select('fullname role phone')
+			.sort({ fullname: 1 })
+
+		return res.status(200).json({ branch, employees })
+	} catch (error) {
+		console.error('Get branch failed:', error)
+		return res.status(500).json({ message: 'Internal server error' })
+	}
+}
+
+exports.createBranch = async (req, res) => {
+	try {
+		const name = String(req.body.name || '').trim()
+		if (!name) {
+			return res.status(400).json({ message: 'name is required', field: 'name' })
+		}
+
+		const payload = { name, createdBy: req.user?._id }
+		const detailsError = applyBranchDetails(payload, req.body)
+		if (detailsError) {
+			return res.status(400).json(detailsError)
+		}
+
+		const branch = await Branch.create(payload)
+
+		return res.status(201).json({ message: 'Branch created', branch })
+	} catch (error) {
+		return handleBranchWriteError(res, error, 'Create branch')
+	}
+}
+
+exports.updateBranch = async (req, res) => {
+	try {
+		const branch = await Branch.findById(req.params.branchId)
+		if (!branch) {
+			return res.status(404).json({ message: 'Branch not found' })
+		}
+
+		if (typeof req.body.name !== 'undefined') {
+			const name = String(req.body.name || '').trim()
+			if (!name) {
+				return res.status(400).json({ message: 'name is required', field: 'name' })
+			}
+			branch.name = name
+		}
+
+		const detailsError = applyBranchDetails(branch, req.body)
+		if (detailsError) {
+			return res.status(400).json(detailsError)
+		}
+
+		if (typeof req.body.isActive !== 'undefined') {
+			branch.isActive = Boolean(req.body.isActive)
+		}
+
+		await branch.save()
+
+		return res.status(200).json({ message: 'Branch updated', branch })
+	} catch (error) {
+		return handleBranchWriteError(res, error, 'Update branch')
+	}
+}
+
+exports.deleteBranch = async (req, res) => {
+	try {
+		const branch = await Branch.findById(req.params.branchId)
+		if (!branch) {
+			return res.status(404).json({ message: 'Branch not found' })
+		}
+
+		const [groups, students, leads, employees, transactions] = await Promise.all([
+			Group.exists({ branch: branch._id }),
+			Student.exists({ branch: branch._id }),
+			Lead.exists({ branch: branch._id }),
+			User.exists({ branches: branch._id }),
+			FinancialEvent.exists({ branch: branch._id }),
+		])
+		if (groups || students || leads || employees || transactions) {
+			return res.status(409).json({
+				message: 'Branch has groups, students, leads, employees or transactions; deactivate it instead',
+				code: 'BRANCH_IN_USE',
+			})
+		}
+
+		await branch.deleteOne()
+
+		return res.status(200).json({ message: 'Branch deleted' })
+	} catch (error) {
+		console.error('Delete branch failed:', error)
+		return res.status(500).json({ message: 'Internal server error' })
+	}
+}
@@ -0,0 +1,221 @@
+const mongoose = require('mongoose')
+const {
+	CompensationRule,
+	COMPENSATION_ROLES,
+	COMPENSATION_LESSON_TYPES,
+} = require('../models/CompensationRule.model')
+const { approveAccruals, buildAccrualPreview } = require('../services/compensation.service')
+
+const isValidMonth = value => /^\d{4}-\d{2}$/.test(String(value || ''))
+
+const handleRuleWriteError = (res, error, label) => {
+	if (error.code === 11000) {
+		return res.status(409).json({
+			message: 'A rule with this lesson type and scope already exists',
+			code: 'COMPENSATION_RULE_EXISTS',
+		})
+	}
+	if (error.name === 'ValidationError') {
+		const msg = Object.values(error.errors || {})[0]?.message
+		return res.status(400).json({ message: msg || 'Validation failed' })
+	}
+	console.error(`${label} failed:`, error)
+	return res.status(500).json({ message: 'Internal server error' })
+}
+
+// Reads optional scope fields; returns { error } or { values } with only the provided keys.
+const parseRuleScope = body => {
+	const values = {}
+
+	if (typeof body.lessonType !== 'undefined') {
+		const lessonType = String(body.lessonType || '').trim()
+		if (!COMPENSATION_LESSON_TYPES.includes(lessonType)) {
+			return {
+				error: `lessonType must be one of: ${COMPENSATION_LESSON_TYPES.join(', ')}`,
+				field: 'lessonType',
+			}
+		}
+		values.lessonType = lessonType
+	}
+
+	if (typeof body.role !== 'undefined') {
+		const role = body.role ? String(body.role).trim().toLowerCase() : null
+		if (role && !COMPENSATION_ROLES.includes(role)) {
+			return { error: `role must be one of: ${COMPENSATION_ROLES.join(', ')}`, field: 'role' }
+		}
+		values.role = role
+	}
+
+	for (const field of ['courseRef', 'groupId']) {
+		if (typeof body[field] === 'undefined') continue
+		const value = body[field] ? String(body[field]).trim() : null
+		if (value && !mongoose.isValidObjectId(value)) {
+			return { error: `Invalid ${field}`, field }
+		}
+		values[field] = value
+	}
+
+	return { values }
+}
+
+exports.listRules = async (req, res) => {
+	try {
+		const query = {}
+		if (req.query.lessonType) {
+			query.lessonType = String(req.query.lessonType).trim()
+		}
+		if (typeof req.query.isActive !== 'undefined') {
+			query.isActive = String(req.query.isActive) === 'true'
+		}
+
+		const rules = await CompensationRule.find(query)
+			.sort({ lessonType: 1, createdAt: -1 })
+			.populate('courseRef', 'name')
+			.populate('groupId', 'name')
+			.populate('createdBy', 'fullname role')
+
+		return res.status(200).json({
+			page: 1,
+			limit: rules.length,
+			total: rules.length,
+			data: rules,
+		})
+	} catch (error) {
+		console.error('List compensation rules failed:', error)
+		return res.status(500).json({ message: 'Internal server error' })
+	}
+}
+
+exports.createRule = async (req, res) => {
+	try {
+		const scope = parseRuleScope(req.body)
+		if (scope.error) {
+			return res.status(400).json({ message: scope.error, field: scope.field })
+		}
+
+		const ratePerLesson = Number(req.body.ratePerLesson)
+		if (!Number.isFinite(ratePerLesson) || ratePerLesson < 0) {
+			return res.status(400).json({
+				message: 'ratePerLesson must be a non-negative number',
+				field: 'ratePerLesson',
+			})
+		}
+
+		const rule = await CompensationRule.create({
+			...scope.values,
+			ratePerLesson,
+			note: req.body.note ? String(req.body.note).trim() : undefined,
+			createdBy: req.user.id,
+		})
+
+		return res.status(201).json({ message: 'Compensation rule created', rule })
+	} catch (error) {
+		return handleRuleWriteError(res, error, 'Create compensation rule')
+	}
+}
+
+exports.updateRule = async (req, res) => {
+	try {
+		const rule = await CompensationRule.findById(req.params.ruleId)
+		if (!rule) {
+			return res.status(404).json({ message: 'Rule not found' })
+		}
+
+		const scope = parseRuleScope(req.body)
+		if (scope.error) {
+			return res.status(400).json({ message: scope.error, field: scope.field })
+		}
+		Object.assign(rule, scope.values)
+
+		if (typeof req.body.ratePerLesson !== 'undefined') {
+			const ratePerLesson = Number(req.body.ratePerLesson)
+			if (!Number.isFinite(ratePerLesson) || ratePerLesson < 0) {
+				return res.status(400).json({
+					message: 'ratePerLesson must be a non-negative number',
+					field: 'ratePerLesson',
+				})
+			}
+			rule.ratePerLesson = ratePerLesson
+		}
+
+		if (typeof req.body.isActive !== 'undefined') {
+			rule.isActive = Boolean(req.body.isActive)
+		}
+
+		if (typeof req.body.note !== 'undefined') {
+			rule.note = String(req.body.note || '').trim() || undefined
+		}
+
+		await rule.save()
+		return res.status(200).json({ message: 'Compensation rule updated', rule })
+	} catch (error) {
+		return handleRuleWriteError(res, error, 'Update compensation rule')
+	}
+}
+
+exports.deleteRule = async (req, res) => {
+	try {
+		const rule = await CompensationRule.findByIdAndDelete(req.params.ruleId)
+		if (!rule) {
+			return res.status(404).json({ message: 'Rule not found' })
+		}
+
+		return res.status(200).json({ message: 'Compensation rule deleted' })
+	} catch (error) {
+		console.error('Delete compensation rule failed:', error)
+		return res.status(500).json({ message: 'Internal server error' })
+	}
+}
+
+exports.getAccrualPreview = async (req, res) => {
+	try {
+		const month = String(req.query.month || '').trim()
+		if (!isValidMonth(month)) {
+			return res.status(400).json({ message: 'month must be in YYYY-MM format', field: 'month' })
+		}
+
+		const employeeId = req.query.employeeId ? String(req.query.employeeId).trim() : null
+		if (employeeId && !mongoose.isValidObjectId(employeeId)) {
+			return res.status(400).json({ message: 'Invalid employee id', field: 'employeeId' })
+		}
+
+		const preview = await buildAccrualPreview({ month, employeeId })
+		return res.status(200).json(preview)
+	} catch (error) {
+		console.error('Get accrual preview failed:', error)
+		return res.status(500).json({ message: 'Internal server error' })
+	}
+}
+
+exports.approveAccruals = async (req, res) => {
+	try {
+		const month = String(req.body.month || '').trim()
+		if (!isValidMonth(month)) {
+			return res.status(400).json({ message: 'month must be in YYYY-MM format', field: 'month' })
+		}
+
+		const employeeId = req.body.employeeId ? String(req.body.employeeId).trim() : null
+		if (employeeId && !mongoose.isValidObjectId(employeeId)) {
+			return res.status(400).json({ message: 'Invalid employee id', field: 'employeeId' })
+		}
+
+		const result = await approveAccruals({ month, employeeId, createdBy: req.user.id })
+
+		return res.status(201).json({
+			message: 'Lesson accruals approved',
+			month: result.month,
+			created: result.created,
+			skipped: result.skipped,
+			totalAmount: result.totalAmount,
+			data: result.events,
+		})
+	} catch (error) {
+		if (error.name === 'ValidationError') {
+			const msg = Object.values(error.errors || {})[0]?.message
+			return res.status(400).json({ message: msg || 'Validation failed' })
+		}
+
+		console.error('Approve lesson accruals failed:', error)
+		return res.status(500).json({ message: 'Internal server error' })
+	}
+}
@@ -10,21 +10,24 @@ const {
 const User = require('../model/user.model')
 const Student = require('../model/student.model')
 const Group = require('../model/group.model')
+const { findExtraLessonConflicts } = require('../services/schedule-conflict.service')
+const { runWithOptionalTransaction } = require('../utils/transaction')
 
 const TIMEZONE_OFFSET_MS = TIMEZONE_OFFSET_MINUTES * 60 * 1000
 const SLOT_SET = new Set(VALID_SLOT_TIMES_LOCAL)
 const MANAGER_ROLES = new Set(['admin', 'superadmin', 'headteacher'])
 const TERMINAL_STATUSES = new Set(['cancelled', 'completed'])
 
-const sendError = (res, status, message, code, field = null) => {
-	return res.status(status).json({ message, code, field })
+const sendError = (res, status, message, code, field = null, details = {}) => {
+	return res.status(status).json({ message, code, field, ...details })
 }
 
-const createHttpError = (status, message, code, field = null) => {
+const createHttpError = (status, message, code, field = null, details = {}) => {
 	const error = new Error(message)
 	error.statusCode = status
 	error.code = code
 	error.field = field
+	error.details = details
 	return error
 }
 
@@ -32,7 +35,7 @@ const isHttpError = error => Boolean(error && Number.isInteger(error.statusCode)
 
 const handleControllerError = (res, error, logLabel) => {
 	if (isHttpError(error)) {
-		return sendError(res, error.statusCode, error.message, error.code, error.field)
+		return sendError(res, error.statusCode, error.message, error.code, error.field, error.details)
 	}
 
 	if (error && error.name === 'ValidationError') {
@@ -245,41 +248,6 @@ const applySession = (query, session) => {
 	return query
 }
 
-const runWithOptionalTransaction = async work => {
-	let session = null
-	try {
-		session = await mongoose.startSession()
-	} catch (error) {
-		return work(null)
-	}
-
-	if (!session || typeof session.withTransaction !== 'function') {
-		if (session) {
-			await session.endSession().catch(() => {})
-		}
-		return work(null)
-	}
-
-	try {
-		let result
-		await session.withTransaction(async () => {
-			result = await work(session)
-		})
-		return result
-	} catch (error) {
-		const message = String(error?.message || '')
-		if (
-			message.includes('Transaction numbers are only allowed on a replica set member or mongos') ||
-			message.includes('replica set')
-		) {
-			return work(null)
-		}
-		throw error
-	} finally {
-		await session.endSession().catch(() => {})
-	}
-}
-
 const populateLessonQuery = query => {
 	return query
 		.populate('assignedTeacher', 'fullname phone role imgURL isExtraLessonSupport')
@@ -332,6 +300,21 @@ const assertSupportTeacher = async ({ teacherId, session }) => {
 	return teacher
 }
 
+// Rejects slots that clash with the teacher's or room's regular group schedule
+// (or the room's other extra lessons) with a 409 listing the clashes.
+const assertNoScheduleConflicts = async lesson => {
+	const conflicts = await findExtraLessonConflicts(lesson)
+	if (conflicts.length > 0) {
+		throw createHttpError(
+			409,
+			'Extra lesson conflicts with group schedules or other extra lessons',
+			'SCHEDULE_CONFLICT',
+			null,
+			{ conflicts },
+		)
+	}
+}
+
 const canManageLesson = (lesson, user) => {
 	const actorId = String(user?._id || user?.id || '')
 	return String(lesson.assignedTeacher) === actorId || isRoleManager(user?.role)
@@ -659,6 +642,8 @@ exports.bookLesson = async (req, res) => {
 				session,
 			})
 
+			await assertNoScheduleConflicts({ assignedTeacher: teacherId, scheduledAt: schedule.scheduledAt })
+
 			const payload = {
 				assignedTeacher: teacherId,
 				scheduledAt: schedule.scheduledAt,
@@ -1011,6 +996,13 @@ exports.createExtraLesson = async (req, res) => {
 			}
 		}
 
+		const room = req.body.room ? String(req.body.room).trim().slice(0, 100) : undefined
+		await assertNoScheduleConflicts({
+			assignedTeacher: assignedTeacherId,
+			scheduledAt: schedule.scheduledAt,
+			room,
+		})
+
 		const lesson = await runWithOptionalTransaction(async session => {
 			const conflictQuery = ExtraLesson.findOne({
 				assignedTeacher: assignedTeacherId,
@@ -1038,7 +1030,7 @@ exports.createExtraLesson = async (req, res) => {
 				status: 'confirmed',
 				subject: req.body.subject ? String(req.body.subject).trim().slice(0, 120) : undefined,
 				teacherNote: req.body.teacherNote ? String(req.body.teacherNote).trim().slice(0, 500) : undefined,
-				room: req.body.room ? String(req.body.room).trim().slice(0, 100) : undefined,
+				room,
 				students: uniqueStudentIds.map(studentId => ({
 					student: studentId,
 					addedBy: callerId,
@@ -1192,6 +1184,10 @@ exports.updateExtraLesson = async (req, res) => {
 			lesson.scheduledAt = schedule.scheduledAt
 		}
 
+		if (hasSchedulingChange || lesson.isModified('room')) {
+			await assertNoScheduleConflicts(lesson)
+		}
+
 		lesson.updatedAt = new Date()
 		await lesson.save()
 
@@ -2,13 +2,33 @@ const mongoose = require('mongoose')
 
 const User = require('../model/user.model')
 const Student = require('../model/student.model')
+const Group = require('../model/group.model')
 const { FinancialEvent, FINANCIAL_EVENT_TYPES, getCurrentMonth } = require('../models/FinancialEvent.model')
 const {
+	findReversalsByEventIds,
 	getFinanceSummary,
 	getFinanceSummariesByUserIds,
 	getFinanceSummariesByUserIdsForMonth,
 	getEmployeeMonthlyHistory,
+	REVERSAL_FLAG_STAGES,
 } = require('../services/finance.service')
+const {
+	generateMonthlyCharges,
+	getStudentBilling,
+	getGroupBilling,
+} = require('../services/student-billing.service')
+const {
+	syncStudentBalances,
+	getStudentStatement,
+	getMonthlyStatements,
+	closeStudentBalancePeriod,
+	getStudentPaymentHistory,
+} = require('../services/student-balance.service')
+const {
+	buildBranchTotals,
+	isCrossBranchUser,
+	resolveBranchFilter,
+} = require('../services/branch-scope.service')
 
 const EMPLOYEE_ROLES = new Set([
 	'teacher',
@@ -22,6 +42,14 @@ const isPositiveNumber = value => Number.isFinite(value) && value > 0
 
 const isValidMonth = value => /^\d{4}-\d{2}$/.test(String(value || ''))
 
+const MAX_STATEMENT_MONTHS = 120
+
+const countMonthsBetween = (from, to) => {
+	const [fromYear, fromMonth] = from.split('-').map(Number)
+	const [toYear, toMonth] = to.split('-').map(Number)
+	return (toYear - fromYear) * 12 + (toMonth - fromMonth) + 1
+}
+
 const normalizeRoleInput = value => {
 	const normalized = String(value || '').trim()
 	const lowered = normalized.toLowerCase()
@@ -51,6 +79,28 @@ const resolveEmployee = async employeeId => {
 	return { employee }
 }
 
+const REVERSIBLE_EVENT_TYPES = new Set([
+	'salary',
+	'salary_update',
+	'bonus',
+	'fine',
+	'lesson_pay',
+	'student_payment',
+	'student_charge',
+])
+
+const attachReversalFlags = async events => {
+	const reversalsMap = await findReversalsByEventIds(events.map(event => event._id))
+	return events.map(event => {
+		const reversal = reversalsMap.get(event._id.toString())
+		return {
+			...event.toObject(),
+			reversed: Boolean(reversal),
+			reversal: reversal || null,
+		}
+	})
+}
+
 // Build a MongoDB $or clause that matches a target month on both new docs (month field)
 // and legacy docs (no month field, derive from createdAt).
 const buildMonthQuery = month => {
@@ -116,6 +166,7 @@ exports.listEmployees = async (req, res) => {
 			forbidensCount: Array.isArray(employee.forbidens) ? employee.forbidens.length : 0,
 			finance: summariesMap.get(employee._id.toString()) || {
 				salary: 0,
+				totalLessonPay: 0,
 				totalBonuses: 0,
 				totalFines: 0,
 				net: 0,
@@ -173,7 +224,16 @@ exports.listTransactions = async (req, res) => {
 			Object.assign(query, buildMonthQuery(month))
 		}
 
-		const [transactions, total] = await Promise.all([
+		const branchScope = resolveBranchFilter(req)
+		if (branchScope.statusCode) {
+			const { statusCode, ...body } = branchScope
+			return res.status(statusCode).json(body)
+		}
+		if (branchScope.filter) {
+			query.branch = branchScope.filter
+		}
+
+		const [transactions, total, branchTotals] = await Promise.all([
 			FinancialEvent.find(query)
 				.sort({ createdAt: -1, _id: -1 })
 				.skip(skip)
@@ -181,11 +241,19 @@ exports.listTransactions = async (req, res) => {
 				.populate('userId', 'fullname phone role')
 				.populate('studentId', 'fullname studentPhone')
 				.populate('createdBy', 'fullname role')
-				.populate('relatedViolationId', 'note fineAmount createdAt'),
+				.populate('relatedViolationId', 'note fineAmount createdAt')
+				.populate('reversalOf', 'type amount month note createdAt')
+				.populate('branch', 'name'),
 			FinancialEvent.countDocuments(query),
+			isCrossBranchUser(req) ? buildBranchTotals(FinancialEvent, query, { sumField: 'amount' }) : null,
 		])
 
-		return res.status(200).json({ page, limit, total, data: transactions })
+		const data = await attachReversalFlags(transactions)
+		const response = { page, limit, total, data }
+		if (branchTotals) {
+			response.branchTotals = branchTotals
+		}
+		return res.status(200).json(response)
 	} catch (error) {
 		console.error('List finance transactions failed:', error)
 		return res.status(500).json({ message: 'Internal server error' })
@@ -375,7 +443,8 @@ exports.deleteTransaction = async (req, res) => {
 		}
 
 		return res.status(405).json({
-			message: 'Transactions are immutable and cannot be deleted',
+			message:
+				'Transactions are immutable and cannot be deleted; use POST /api/finance/transactions/:transactionId/reverse',
 		})
 	} catch (error) {
 		console.error('Delete transaction failed:', error)
@@ -383,6 +452,100 @@ exports.deleteTransaction = async (req, res) => {
 	}
 }
 
+exports.reverseTransaction = async (req, res) => {
+	try {
+		const { transactionId } = req.params
+		if (!mongoose.isValidObjectId(transactionId)) {
+			return res.status(400).json({ message: 'Invalid transaction id' })
+		}
+
+		const reason = String(req.body.reason || '').trim()
+		if (!reason) {
+			return res.status(400).json({ message: 'reason is required', field: 'reason' })
+		}
+
+		const original = await FinancialEvent.findById(transactionId)
+		if (!original) {
+			return res.status(404).json({ message: 'Transaction not found' })
+		}
+
+		if (original.relatedViolationId) {
+			return res.status(409).json({
+				message: 'Transaction is linked to a violation',
+				code: 'VIOLATION_LINKED',
+				violationId: original.relatedViolationId.toString(),
+			})
+		}
+
+		if (original.reversalOf) {
+			return res.status(400).json({
+				message: 'A reversal transaction cannot be reversed',
+				code: 'REVERSAL_NOT_REVERSIBLE',
+			})
+		}
+
+		if (!REVERSIBLE_EVENT_TYPES.has(original.type)) {
+			return res.status(400).json({
+				message: `Transactions of type ${original.type} cannot be reversed`,
+				code: 'TYPE_NOT_REVERSIBLE',
+			})
+		}
+
+		const existingReversal = await FinancialEvent.exists({ reversalOf: original._id })
+		if (existingReversal) {
+			return res.status(409).json({
+				message: 'Transaction has already been reversed',
+				code: 'ALREADY_REVERSED',
+			})
+		}
+
+		const reversal = await FinancialEvent.create({
+			userId: original.userId,
+			type: original.type,
+			amount: -original.amount,
+			month: original.month,
+			note: `Reversal: ${reason}`.slice(0, 1000),
+			studentId: original.studentId,
+			groupId: original.groupId,
+			createdBy: req.user.id,
+			reversalOf: original._id,
+			branch: original.branch,
+		})
+
+		const response = {
+			message: 'Transaction reversed',
+			original: { ...original.toObject(), reversed: true },
+			reversal,
+		}
+
+		if (original.userId) {
+			response.summary = await getFinanceSummary(original.userId.toString())
+		}
+
+		if (original.studentId) {
+			const balances = await syncStudentBalances([original.studentId])
+			response.balance = balances.get(original.studentId.toString()) ?? 0
+		}
+
+		return res.status(201).json(response)
+	} catch (error) {
+		if (error.code === 11000) {
+			return res.status(409).json({
+				message: 'Transaction has already been reversed',
+				code: 'ALREADY_REVERSED',
+			})
+		}
+
+		if (error.name === 'ValidationError') {
+			const msg = Object.values(error.errors || {})[0]?.message
+			return res.status(400).json({ message: msg || 'Validation failed' })
+		}
+
+		console.error('Reverse transaction failed:', error)
+		return res.status(500).json({ message: 'Internal server error' })
+	}
+}
+
 exports.getEmployeeBonuses = async (req, res) => {
 	try {
 		const { employeeId } = req.params
@@ -393,6 +556,7 @@ exports.getEmployeeBonuses = async (req, res) => {
 
 		const events = await FinancialEvent.aggregate([
 			{ $match: { userId: new mongoose.Types.ObjectId(employeeId), type: 'bonus' } },
+			...REVERSAL_FLAG_STAGES,
 			{
 				$addFields: {
 					effectiveMonth: {
@@ -407,6 +571,8 @@ exports.getEmployeeBonuses = async (req, res) => {
 					amount: 1,
 					reason: '$note',
 					month: '$effectiveMonth',
+					reversed: 1,
+					reversedBy: 1,
 					createdAt: 1,
 				},
 			},
@@ -429,6 +595,7 @@ exports.getEmployeeFines = async (req, res) => {
 
 		const events = await FinancialEvent.aggregate([
 			{ $match: { userId: new mongoose.Types.ObjectId(employeeId), type: 'fine' } },
+			...REVERSAL_FLAG_STAGES,
 			{
 				$addFields: {
 					effectiveMonth: {
@@ -443,6 +610,8 @@ exports.getEmployeeFines = async (req, res) => {
 					amount: 1,
 					reason: '$note',
 					month: '$effectiveMonth',
+					reversed: 1,
+					reversedBy: 1,
 					createdAt: 1,
 				},
 			},
@@ -497,9 +666,13 @@ exports.addStudentPayment = async (req, res) => {
 			createdBy: req.user.id,
 		})
 
-		await Student.findByIdAndUpdate(studentId, { $inc: { balance: amount } })
+		const balances = await syncStudentBalances([studentId])
 
-		return res.status(201).json({ message: 'Payment recorded', event })
+		return res.status(201).json({
+			message: 'Payment recorded',
+			event,
+			balance: balances.get(String(studentId)) ?? 0,
+		})
 	} catch (error) {
 		if (error.name === 'ValidationError') {
 			const msg = Object.values(error.errors || {})[0]?.message
@@ -523,27 +696,7 @@ exports.getStudentPayments = async (req, res) => {
 			return res.status(404).json({ message: 'Student not found' })
 		}
 
-		const events = await FinancialEvent.aggregate([
-			{ $match: { studentId: new mongoose.Types.ObjectId(studentId), type: 'student_payment' } },
-			{
-				$addFields: {
-					effectiveMonth: {
-						$ifNull: ['$month', { $dateToString: { format: '%Y-%m', date: '$createdAt' } }],
-					},
-				},
-			},
-			{ $sort: { effectiveMonth: -1, createdAt: -1 } },
-			{
-				$project: {
-					_id: 1,
-					amount: 1,
-					note: 1,
-					month: '$effectiveMonth',
-					groupId: 1,
-					createdAt: 1,
-				},
-			},
-		])
+		const events = await getStudentPaymentHistory(studentId)
 
 		return res.status(200).json({ studentId, data: events })
 	} catch (error) {
@@ -565,6 +718,7 @@ exports.listStudentPayments = async (req, res) => {
 
 		const pipeline = [
 			{ $match: matchStage },
+			...REVERSAL_FLAG_STAGES,
 			{
 				$addFields: {
 					effectiveMonth: {
@@ -592,6 +746,8 @@ exports.listStudentPayments = async (req, res) => {
 					month: '$effectiveMonth',
 					studentId: 1,
 					groupId: 1,
+					reversed: 1,
+					reversedBy: 1,
 					createdAt: 1,
 				},
 			},
@@ -604,3 +760,271 @@ exports.listStudentPayments = async (req, res) => {
 		return res.status(500).json({ message: 'Internal server error' })
 	}
 }
+
+exports.generateStudentCharges = async (req, res) => {
+	try {
+		const month = req.body.month ? String(req.body.month).trim() : getCurrentMonth()
+		if (!isValidMonth(month)) {
+			return res.status(400).json({ message: 'month must be in YYYY-MM format' })
+		}
+
+		let groupId = null
+		if (req.body.groupId) {
+			if (!mongoose.isValidObjectId(req.body.groupId)) {
+				return res.status(400).json({ message: 'Invalid groupId' })
+			}
+			const groupExists = await Group.exists({ _id: req.body.groupId })
+			if (!groupExists) {
+				return res.status(404).json({ message: 'Group not found' })
+			}
+			groupId = String(req.body.groupId)
+		}
+
+		const result = await generateMonthlyCharges({ month, groupId, createdBy: req.user.id })
+		if (result.events.length > 0) {
+			await syncStudentBalances(result.events.map(event => event.studentId))
+		}
+
+		return res.status(201).json({
+			message: 'Student charges generated',
+			month: result.month,
+			created: result.created,
+			skipped: result.skipped,
+			totalAmount: result.totalAmount,
+			data: result.events,
+		})
+	} catch (error) {
+		if (error.name === 'ValidationError') {
+			const msg = Object.values(error.errors || {})[0]?.message
+			return res.status(400).json({ message: msg || 'Validation failed' })
+		}
+
+		console.error('Generate student charges failed:', error)
+		return res.status(500).json({ message: 'Internal server error' })
+	}
+}
+
+exports.getStudentBillingSummary = async (req, res) => {
+	try {
+		const { studentId } = req.params
+		if (!mongoose.isValidObjectId(studentId)) {
+			return res.status(400).json({ message: 'Invalid studentId' })
+		}
+
+		let month = null
+		if (req.query.month) {
+			month = String(req.query.month).trim()
+			if (!isValidMonth(month)) {
+				return res.status(400).json({ message: 'month must be in YYYY-MM format' })
+			}
+		}
+
+		const student = await Student.findById(studentId).select('_id fullname')
+		if (!student) {
+			return res.status(404).json({ message: 'Student not found' })
+		}
+
+		const billing = await getStudentBilling({ studentId, month })
+		const groupIds = billing.byGroup.map(item => item.groupId).filter(Boolean)
+		const groups = groupIds.length
+			? await Group.find({ _id: { $in: groupIds } }).select('_id name monthlyFee')
+			: []
+		const groupsById = new Map(groups.map(group => [group._id.toString(), group]))
+
+		return res.status(200).json({
+			studentId: student._id,
+			fullname: student.fullname,
+			month,
+			charged: billing.charged,
+			paid: billing.paid,
+			outstanding: billing.outstanding,
+			byGroup: billing.byGroup.map(item => {
+				const group = item.groupId ? groupsById.get(item.groupId.toString()) : null
+				return {
+					...item,
+					groupName: group?.name || null,
+					monthlyFee: group?.monthlyFee ?? null,
+				}
+			}),
+		})
+	} catch (error) {
+		console.error('Get student billing summary failed:', error)
+		return res.status(500).json({ message: 'Internal server error' })
+	}
+}
+
+exports.getGroupBillingSummary = async (req, res) => {
+	try {
+		const { groupId } = req.params
+		if (!mongoose.isValidObjectId(groupId)) {
+			return res.status(400).json({ message: 'Invalid groupId' })
+		}
+
+		let month = null
+		if (req.query.month) {
+			month = String(req.query.month).trim()
+			if (!isValidMonth(month)) {
+				return res.status(400).json({ message: 'month must be in YYYY-MM format' })
+			}
+		}
+
+		const group = await Group.findById(groupId).select('_id name monthlyFee')
+		if (!group) {
+			return res.status(404).json({ message: 'Group not found' })
+		}
+
+		const billing = await getGroupBilling({ groupId, month })
+		const studentIds = billing.byStudent.map(item => item.studentId).filter(Boolean)
+		const students = studentIds.length
+			? await Student.find({ _id: { $in: studentIds } }).select('_id fullname studentPhone')
+			: []
+		const studentsById = new Map(students.map(student => [student._id.toString(), student]))
+
+		return res.status(200).json({
+			groupId: group._id,
+			groupName: group.name,
+			monthlyFee: group.monthlyFee,
+			month,
+			charged: billing.charged,
+			paid: billing.paid,
+			outstanding: billing.outstanding,
+			data: billing.byStudent
+				.map(item => {
+					const student = item.studentId ? studentsById.get(item.studentId.toString()) : null
+					return {
+						...item,
+						fullname: student?.fullname || null,
+						studentPhone: student?.studentPhone || null,
+					}
+				})
+				.sort((a, b) => b.outstanding - a.outstanding),
+		})
+	} catch (error) {
+		console.error('Get group billing summary failed:', error)
+		return res.status(500).json({ message: 'Internal server error' })
+	}
+}
+
+exports.getStudentStatement = async (req, res) => {
+	try {
+		const { studentId } = req.params
+		if (!mongoose.isValidObjectId(studentId)) {
+			return res.status(400).json({ message: 'Invalid studentId' })
+		}
+
+		const from = req.query.from ? String(req.query.from).trim() : null
+		const to = req.query.to ? String(req.query.to).trim() : getCurrentMonth()
+		if ((from && !isValidMonth(from)) || !isValidMonth(to)) {
+			return res.status(400).json({ message: 'from and to must be in YYYY-MM format' })
+		}
+		if (from && from > to) {
+			return res.status(400).json({ message: 'from must not be after to' })
+		}
+		if (from && countMonthsBetween(from, to) > MAX_STATEMENT_MONTHS) {
+			return res.status(400).json({
+				message: `Statement range cannot exceed ${MAX_STATEMENT_MONTHS} months`,
+			})
+		}
+
+		const student = await Student.findById(studentId).select('_id fullname balance')
+		if (!student) {
+			return res.status(404).json({ message: 'Student not found' })
+		}
+
+		const statement = await getStudentStatement(studentId, { from, to })
+
+		return res.status(200).json({
+			studentId: student._id,
+			fullname: student.fullname,
+			balance: student.balance,
+			data: statement.slice(-MAX_STATEMENT_MONTHS),
+		})
+	} catch (error) {
+		console.error('Get student statement failed:', error)
+		return res.status(500).json({ message: 'Internal server error' })
+	}
+}
+
+exports.listStudentStatements = async (req, res) => {
+	try {
+		const { page, limit, skip } = parsePagination(req.query)
+		const month = req.query.month ? String(req.query.month).trim() : getCurrentMonth()
+		if (!isValidMonth(month)) {
+			return res.status(400).json({ message: 'month must be in YYYY-MM format' })
+		}
+
+		const query = {}
+		if (req.query.groupId) {
+			if (!mongoose.isValidObjectId(req.query.groupId)) {
+				return res.status(400).json({ message: 'Invalid groupId' })
+			}
+			query['groups.group'] = req.query.groupId
+		}
+
+		const [students, total] = await Promise.all([
+			Student.find(query)
+				.sort({ createdAt: -1 })
+				.skip(skip)
+				.limit(limit)
+				.select('_id fullname studentPhone balance'),
+			Student.countDocuments(query),
+		])
+
+		const statements = await getMonthlyStatements(
+			students.map(student => student._id.toString()),
+			month,
+		)
+
+		return res.status(200).json({
+			page,
+			limit,
+			total,
+			month,
+			data: students.map(student => ({
+				studentId: student._id,
+				fullname: student.fullname,
+				studentPhone: student.studentPhone,
+				balance: student.balance,
+				...statements.get(student._id.toString()),
+			})),
+		})
+	} catch (error) {
+		console.error('List student statements failed:', error)
+		return res.status(500).json({ message: 'Internal server error' })
+	}
+}
+
+exports.closeStudentBalancePeriod = async (req, res) => {
+	try {
+		const month = String(req.body.month || '').trim()
+		if (!isValidMonth(month)) {
+			return res.status(400).json({ message: 'month must be in YYYY-MM format' })
+		}
+
+		if (month >= getCurrentMonth()) {
+			return res.status(400).json({ message: 'Only past months can be closed', field: 'month' })
+		}
+
+		const result = await closeStudentBalancePeriod({ month, createdBy: req.user.id })
+		if (result.statusCode) {
+			const { statusCode, ...body } = result
+			return res.status(statusCode).json(body)
+		}
+
+		return res.status(201).json({
+			message: 'Student balance period closed',
+			month: result.month,
+			closed: result.closed,
+			skipped: result.skipped,
+			data: result.events,
+		})
+	} catch (error) {
+		if (error.name === 'ValidationError') {
+			const msg = Object.values(error.errors || {})[0]?.message
+			return res.status(400).json({ message: msg || 'Validation failed' })
+		}
+
+		console.error('Close student balance period failed:', error)
+		return res.status(500).json({ message: 'Internal server error' })
+	}
+}
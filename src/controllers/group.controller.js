@@ -2,10 +2,36 @@ const mongoose = require('mongoose')
 
 const Course = require('../model/course.model')
 const Group = require('../model/group.model')
+const { GroupAttendance, toAttendanceDateKey } = require('../model/group-attendance.model')
 const Student = require('../model/student.model')
 const User = require('../model/user.model')
+const { GroupSession, isValidDateKey } = require('../model/group-session.model')
+const Holiday = require('../model/holiday.model')
+const Room = require('../model/room.model')
 const { syncCourseGroupsCount } = require('../services/course-sync.service')
-const { resetStudentBalancesIfNeeded } = require('../services/student-balance-reset.service')
+const { findGroupConflicts, findGroupSessionConflicts } = require('../services/schedule-conflict.service')
+const {
+	buildGroupAttendanceReport,
+	findAtRiskStudents,
+	parseAttendanceReportRange,
+} = require('../services/attendance-report.service')
+const {
+	countDaysBetween,
+	findGroupSessionsForDay,
+	listGroupSessions,
+	materializeGroupSession,
+	pruneUpcomingSessions,
+} = require('../services/group-session.service')
+const { checkInStudentByFace } = require('../services/kiosk-attendance.service')
+const { issueFaceChallenge } = require('../services/face-challenge.service')
+const { getFaceLoginClient } = require('../services/face-login-audit.service')
+const {
+	buildBranchTotals,
+	isCrossBranchUser,
+	resolveBranchFilter,
+	resolveRecordBranch,
+} = require('../services/branch-scope.service')
+const { FACE_DESCRIPTOR_LENGTH, parseFaceFrames } = require('../utils/face-match')
 
 const DAYS_OF_WEEK = [
 	'monday',
@@ -19,11 +45,11 @@ const DAYS_OF_WEEK = [
 const GROUP_STATUSES = ['planned', 'active', 'paused', 'completed', 'archived']
 const GROUP_TYPES = ['even', 'odd']
 const ATTENDANCE_STATUSES = ['present', 'absent', 'late', 'excused']
+// Attendance is written with bulk upserts, which skip schema validators.
+const ATTENDANCE_NOTE_MAX_LENGTH = 300
 const STUDENT_GROUP_STATUSES = ['active', 'paused', 'completed', 'left']
 const PRIVILEGED_ATTENDANCE_ROLES = new Set(['superadmin', 'admin', 'headteacher'])
 const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/
-const ATTENDANCE_TIMEZONE_OFFSET_HOURS = 5
-const ATTENDANCE_TIMEZONE_OFFSET_MINUTES = ATTENDANCE_TIMEZONE_OFFSET_HOURS * 60
 const COINS_PER_ACTIVE_STUDENT = 200
 const GROUP_TYPE_DAY_MAP = Object.freeze({
 	odd: ['monday', 'wednesday', 'friday'],
@@ -248,6 +274,10 @@ const parseAttendanceRecords = input => {
 			return null
 		}
 
+		if (note && note.length > ATTENDANCE_NOTE_MAX_LENGTH) {
+			return null
+		}
+
 		normalized.push({ student, status, note })
 	}
 
@@ -269,6 +299,9 @@ const parseSingleAttendancePayload = body => {
 
 	const note =
 		typeof body?.note === 'undefined' ? undefined : String(body.note || '').trim()
+	if (note && note.length > ATTENDANCE_NOTE_MAX_LENGTH) {
+		return { error: `note cannot exceed ${ATTENDANCE_NOTE_MAX_LENGTH} characters` }
+	}
 
 	return { date, status, note }
 }
@@ -303,91 +336,37 @@ const parseGroupMembershipPayload = body => {
 	return { status, joinedAt, note }
 }
 
-const toAttendanceLocalDate = value => {
-	const date = new Date(value)
-	if (Number.isNaN(date.getTime())) {
-		return null
-	}
-
-	const localMs = date.getTime() + ATTENDANCE_TIMEZONE_OFFSET_MINUTES * 60 * 1000
-	return new Date(localMs)
-}
-
-const toAttendanceDateKey = value => {
-	const localDate = toAttendanceLocalDate(value)
-	if (!localDate) {
-		return ''
-	}
-
-	const year = localDate.getUTCFullYear()
-	const month = String(localDate.getUTCMonth() + 1).padStart(2, '0')
-	const day = String(localDate.getUTCDate()).padStart(2, '0')
-	return `${year}-${month}-${day}`
-}
-
-const parseTimeToMinutes = value => {
-	const time = String(value || '').trim()
-	if (!TIME_PATTERN.test(time)) {
-		return null
-	}
-
-	const [hours, minutes] = time.split(':').map(Number)
-	return hours * 60 + minutes
-}
-
-const getDayOfWeekName = date => {
-	const localDate = toAttendanceLocalDate(date)
-	if (!localDate) {
-		return null
-	}
-
-	return DAYS_OF_WEEK[(localDate.getUTCDay() + 6) % DAYS_OF_WEEK.length]
-}
-
-const isNowWithinLessonWindow = (group, now = new Date()) => {
-	if (!group || !Array.isArray(group.schedule) || group.schedule.length === 0) {
-		return false
-	}
-
-	const dayOfWeek = getDayOfWeekName(now)
-	if (!dayOfWeek) {
-		return false
-	}
-
-	const localDate = toAttendanceLocalDate(now)
-	if (!localDate) {
-		return false
-	}
-	const nowMinutes = localDate.getUTCHours() * 60 + localDate.getUTCMinutes()
-
-	return group.schedule.some(scheduleItem => {
-		if (!scheduleItem || scheduleItem.dayOfWeek !== dayOfWeek) {
-			return false
-		}
-
-		const startMinutes = parseTimeToMinutes(scheduleItem.startTime)
-		const durationMinutes = Number(scheduleItem.durationMinutes)
-		if (startMinutes === null || !Number.isFinite(durationMinutes) || durationMinutes <= 0) {
-			return false
+// Attendance is accepted only today and only while a non-cancelled session of
+// the group is running. Sessions come from the generated calendar, so
+// cancellations, reschedules and holidays are respected.
+const validateAttendanceWindow = async ({ group, date, now = new Date() }) => {
+	const todayKey = toAttendanceDateKey(now)
+	if (toAttendanceDateKey(date) !== todayKey) {
+		return {
+			statusCode: 400,
+			message: 'Attendance date must be today',
 		}
+	}
 
-		const endMinutes = startMinutes + durationMinutes
-		return nowMinutes >= startMinutes && nowMinutes < endMinutes
+	const sessions = await findGroupSessionsForDay(group, todayKey)
+	const nowMs = now.getTime()
+	const runningSessions = sessions.filter(session => {
+		const startMs = new Date(session.startsAt).getTime()
+		return nowMs >= startMs && nowMs < startMs + Number(session.durationMinutes) * 60 * 1000
 	})
-}
 
-const validateAttendanceWindow = ({ group, date, now = new Date() }) => {
-	if (toAttendanceDateKey(date) !== toAttendanceDateKey(now)) {
+	if (runningSessions.length === 0) {
 		return {
-			statusCode: 400,
-			message: 'Attendance date must be today',
+			statusCode: 403,
+			message: 'Attendance can only be updated during scheduled lesson time',
 		}
 	}
 
-	if (!isNowWithinLessonWindow(group, now)) {
+	if (runningSessions.every(session => session.status === 'cancelled')) {
 		return {
 			statusCode: 403,
-			message: 'Attendance can only be updated during scheduled lesson time',
+			message: 'This session has been cancelled',
+			code: 'SESSION_CANCELLED',
 		}
 	}
 
@@ -415,50 +394,45 @@ const canManageGroupAttendance = (user, group) => {
 	return (group.supportTeachers || []).some(teacherId => teacherId.toString() === userId)
 }
 
-const CHARGED_STATUSES = new Set(['present', 'late'])
-
-const upsertGroupAttendanceRecord = ({ group, studentId, date, status, note, markedBy }) => {
-	const dateKey = toAttendanceDateKey(date)
-	const recordIndex = group.attendance.findIndex(item => {
-		return item.student.toString() === studentId && toAttendanceDateKey(item.date) === dateKey
-	})
-
-	const previousStatus = recordIndex !== -1 ? group.attendance[recordIndex].status : null
-
-	const payload = {
-		student: studentId,
-		date,
-		status,
-		note,
-		markedBy,
-		markedAt: new Date(),
-	}
-
-	if (recordIndex === -1) {
-		group.attendance.push(payload)
+const buildAttendanceUpsert = ({ groupId, studentId, date, status, note, markedBy }) => {
+	const update = { $set: { date, status, markedBy, markedAt: new Date() } }
+	if (typeof note === 'undefined') {
+		update.$unset = { note: '' }
 	} else {
-		group.attendance[recordIndex] = payload
+		update.$set.note = note
 	}
 
-	return { previousStatus }
+	return {
+		updateOne: {
+			filter: { group: groupId, student: studentId, dateKey: toAttendanceDateKey(date) },
+			update,
+			upsert: true,
+		},
+	}
 }
 
-const computeBalanceDelta = (previousStatus, newStatus, monthlyFee) => {
-	const costPerLesson = (monthlyFee || 0) / 12
-	const wasCharged = previousStatus !== null && CHARGED_STATUSES.has(previousStatus)
-	const shouldCharge = CHARGED_STATUSES.has(newStatus)
+/**
+ * Attendance history per group id, in the shape of the former embedded
+ * Group.attendance array: { _id, student, date, status, note, markedBy, markedAt }.
+ * Students and markers are populated for single-group responses.
+ */
+const loadGroupAttendance = async (groupIds, { populate = false } = {}) => {
+	const history = new Map(groupIds.map(groupId => [String(groupId), []]))
+	if (groupIds.length === 0) {
+		return history
+	}
 
-	if (shouldCharge && !wasCharged) return -costPerLesson
-	if (!shouldCharge && wasCharged) return costPerLesson
-	return 0
-}
+	let query = GroupAttendance.find({ group: { $in: groupIds } })
+		.sort({ dateKey: 1, markedAt: 1 })
+		.select('group student date status note markedBy markedAt')
+	if (populate) {
+		query = query.populate('student', 'fullname studentPhone').populate('markedBy', 'fullname role')
+	}
 
-const runBalanceResetSafely = async () => {
-	try {
-		await resetStudentBalancesIfNeeded()
-	} catch (error) {
-		console.error('Student balance reset check failed:', error)
+	for (const { group, ...record } of await query.lean()) {
+		history.get(String(group))?.push(record)
 	}
+	return history
 }
 
 const getActiveStudentCountsByGroupIds = async groupIds => {
@@ -604,17 +578,121 @@ const removeStudentFromGroupList = async ({ groupId, studentId }) => {
 	await Group.updateOne({ _id: groupId }, { $set: { students } })
 }
 
-const attachGroupComputedFields = (groupDocument, activeStudentsCount = 0) => {
+const attachGroupComputedFields = (groupDocument, activeStudentsCount = 0, attendance = []) => {
 	const group = groupDocument.toObject ? groupDocument.toObject() : { ...groupDocument }
 	group.studentsCount = activeStudentsCount
 	group.coinBalance = activeStudentsCount * COINS_PER_ACTIVE_STUDENT
+	group.attendance = attendance
 	return group
 }
 
+/**
+ * Resolves a room reference from the request body. Empty values clear the
+ * room; anything else must point at an existing, active Room.
+ */
+const resolveRoomInput = async value => {
+	const roomId = value === null || typeof value === 'undefined' ? '' : String(value).trim()
+	if (!roomId) {
+		return { room: null }
+	}
+	if (!mongoose.isValidObjectId(roomId)) {
+		return { error: 'Invalid room id' }
+	}
+
+	const room = await Room.findById(roomId).select('name capacity isActive')
+	if (!room) {
+		return { error: 'Room not found' }
+	}
+	if (!room.isActive) {
+		return { error: 'Room is not active' }
+	}
+	return { room }
+}
+
+const buildRoomCapacityError = (room, maxStudents) => ({
+	message: `maxStudents (${maxStudents}) exceeds capacity of room "${room.name}" (${room.capacity})`,
+	field: 'maxStudents',
+	code: 'ROOM_CAPACITY_EXCEEDED',
+})
+
+const SCHEDULE_CONFLICT_PATHS = [
+	'schedule',
+	'teacher',
+	'supportTeachers',
+	'room',
+	'startDate',
+	'endDate',
+	'status',
+]
+
+const sendScheduleConflict = (res, conflicts) =>
+	res.status(409).json({
+		message: 'Group schedule conflicts with other groups or extra lessons',
+		code: 'SCHEDULE_CONFLICT',
+		conflicts,
+	})
+
+const MAX_SESSION_RANGE_DAYS = 186
+const DEFAULT_AT_RISK_CONSECUTIVE_ABSENCES = 3
+const DEFAULT_AT_RISK_ATTENDANCE_RATE = 70
+
+const parseSessionRange = query => {
+	const todayKey = toAttendanceDateKey(new Date())
+	const fromKey = query.from ? String(query.from).trim() : `${todayKey.slice(0, 8)}01`
+	if (!isValidDateKey(fromKey)) {
+		return { error: 'from must be in YYYY-MM-DD format', field: 'from' }
+	}
+
+	let toKey = query.to ? String(query.to).trim() : ''
+	if (!toKey) {
+		const [year, month] = fromKey.split('-').map(Number)
+		toKey = new Date(Date.UTC(year, month, 0)).toISOString().slice(0, 10)
+	}
+	if (!isValidDateKey(toKey)) {
+		return { error: 'to must be in YYYY-MM-DD format', field: 'to' }
+	}
+
+	if (toKey < fromKey) {
+		return { error: 'to must be on or after from', field: 'to' }
+	}
+	if (countDaysBetween(fromKey, toKey) > MAX_SESSION_RANGE_DAYS) {
+		return { error: `Range cannot exceed ${MAX_SESSION_RANGE_DAYS} days`, field: 'to' }
+	}
+
+	return { fromKey, toKey }
+}
+
+const SLOT_KEY_PATTERN = /^(\d{4}-\d{2}-\d{2})T([01]\d|2[0-3]):[0-5]\d$/
+
+// sessionId is a stored session id or, for a calendar slot not stored yet, its slotKey.
+const findGroupSession = async ({ groupId, sessionId }) => {
+	if (!mongoose.isValidObjectId(groupId)) {
+		return { statusCode: 400, message: 'Invalid group id' }
+	}
+
+	let session = null
+	if (mongoose.isValidObjectId(sessionId)) {
+		session = await GroupSession.findOne({ _id: sessionId, group: groupId })
+	} else {
+		const slotMatch = SLOT_KEY_PATTERN.exec(String(sessionId || ''))
+		if (!slotMatch || !isValidDateKey(slotMatch[1])) {
+			return { statusCode: 400, message: 'Invalid session id' }
+		}
+		const group = await Group.findById(groupId).select('_id schedule startDate endDate')
+		session = group ? await materializeGroupSession(group, sessionId) : null
+	}
+	if (!session) {
+		return { statusCode: 404, message: 'Session not found' }
+	}
+
+	return { session }
+}
+
+const isStudentOfGroup = async (user, groupId) =>
+	user?.userType !== 'student' || Boolean(await Student.exists({ _id: user.id, 'groups.group': groupId }))
+
 exports.createGroup = async (req, res) => {
 	try {
-		await runBalanceResetSafely()
-
 		const name = String(req.body.name || '').trim()
 		const course = String(req.body.course || '').trim()
 		const courseId = String(req.body.courseId || '').trim()
@@ -716,8 +794,21 @@ exports.createGroup = async (req, res) => {
 			groupPayload.endDate = endDate
 		}
 
+		let room = null
 		if (typeof req.body.room !== 'undefined') {
-			groupPayload.room = String(req.body.room || '').trim()
+			const roomResult = await resolveRoomInput(req.body.room)
+			if (roomResult.error) {
+				return res.status(400).json({ message: roomResult.error, field: 'room' })
+			}
+			room = roomResult.room
+			groupPayload.room = room ? room._id : null
+		}
+
+		if (room) {
+			const maxStudents = groupPayload.maxStudents ?? Group.schema.path('maxStudents').defaultValue
+			if (maxStudents > room.capacity) {
+				return res.status(400).json(buildRoomCapacityError(room, maxStudents))
+			}
 		}
 
 		if (typeof req.body.monthlyFee !== 'undefined') {
@@ -732,6 +823,13 @@ exports.createGroup = async (req, res) => {
 			groupPayload.note = String(req.body.note || '').trim()
 		}
 
+		const branchResult = await resolveRecordBranch(req, req.body.branch)
+		if (branchResult.statusCode) {
+			const { statusCode, ...body } = branchResult
+			return res.status(statusCode).json(body)
+		}
+		groupPayload.branch = branchResult.branch
+
 		if (
 			Array.isArray(groupPayload.supportTeachers) &&
 			groupPayload.supportTeachers.some(supportTeacherId => supportTeacherId === teacher)
@@ -751,6 +849,11 @@ exports.createGroup = async (req, res) => {
 			})
 		}
 
+		const conflicts = await findGroupConflicts(groupPayload)
+		if (conflicts.length > 0) {
+			return sendScheduleConflict(res, conflicts)
+		}
+
 		const group = await Group.create(groupPayload)
 		if (group.courseRef) {
 			await syncCourseGroupsCount([group.courseRef.toString()]).catch(syncError => {
@@ -763,6 +866,7 @@ exports.createGroup = async (req, res) => {
 			.populate('supportTeachers', 'fullname role phone')
 			.populate('students', 'fullname studentPhone parentPhone groupAttached')
 			.populate('courseRef', 'name durationMonths price groupsCount')
+			.populate('room', 'name capacity equipment')
 			.populate('lessons', 'title order durationMinutes description course')
 
 		return res.status(201).json({
@@ -788,8 +892,6 @@ exports.createGroup = async (req, res) => {
 
 exports.getGroups = async (req, res) => {
 	try {
-		await runBalanceResetSafely()
-
 		const limit = Math.min(Math.max(Number(req.query.limit) || 20, 1), 100)
 		const page = Math.max(Number(req.query.page) || 1, 1)
 		const skip = (page - 1) * limit
@@ -814,7 +916,16 @@ exports.getGroups = async (req, res) => {
 			query.status = status
 		}
 
-		const [groups, total] = await Promise.all([
+		const branchScope = resolveBranchFilter(req)
+		if (branchScope.statusCode) {
+			const { statusCode, ...body } = branchScope
+			return res.status(statusCode).json(body)
+		}
+		if (branchScope.filter) {
+			query.branch = branchScope.filter
+		}
+
+		const [groups, total, branchTotals] = await Promise.all([
 			Group.find(query)
 				.sort({ createdAt: -1 })
 				.skip(skip)
@@ -822,24 +933,35 @@ exports.getGroups = async (req, res) => {
 				.populate('teacher', 'fullname role phone')
 				.populate('supportTeachers', 'fullname role phone')
 				.populate('courseRef', 'name durationMonths price groupsCount')
+				.populate('room', 'name capacity equipment')
+				.populate('branch', 'name')
 				.populate('lessons', 'title order durationMinutes description course'),
 			Group.countDocuments(query),
+			isCrossBranchUser(req) ? buildBranchTotals(Group, query) : null,
 		])
 
 		const groupIds = groups.map(group => group._id.toString())
-		const countsMap = await getActiveStudentCountsByGroupIds(groupIds)
+		const [countsMap, attendanceMap] = await Promise.all([
+			getActiveStudentCountsByGroupIds(groupIds),
+			loadGroupAttendance(groupIds),
+		])
 
 		const normalizedGroups = groups.map(group => {
-			const studentsCount = countsMap.get(group._id.toString()) || 0
-			return attachGroupComputedFields(group, studentsCount)
+			const groupId = group._id.toString()
+			return attachGroupComputedFields(group, countsMap.get(groupId) || 0, attendanceMap.get(groupId))
 		})
 
-		return res.status(200).json({
+		const response = {
 			page,
 			limit,
 			total,
 			data: normalizedGroups,
-		})
+		}
+		if (branchTotals) {
+			response.branchTotals = branchTotals
+		}
+
+		return res.status(200).json(response)
 	} catch (error) {
 		console.error('Get groups failed:', error)
 		return res.status(500).json({ message: 'Internal server error' })
@@ -848,8 +970,6 @@ exports.getGroups = async (req, res) => {
 
 exports.getGroupById = async (req, res) => {
 	try {
-		await runBalanceResetSafely()
-
 		const groupId = req.params.groupId
 		if (!mongoose.isValidObjectId(groupId)) {
 			return res.status(400).json({ message: 'Invalid group id' })
@@ -860,18 +980,20 @@ exports.getGroupById = async (req, res) => {
 			.populate('supportTeachers', 'fullname role phone')
 			.populate('students', 'fullname studentPhone parentPhone groupAttached')
 			.populate('courseRef', 'name durationMonths price groupsCount')
+			.populate('room', 'name capacity equipment')
 			.populate('lessons', 'title order durationMinutes description course')
-			.populate('attendance.student', 'fullname studentPhone')
-			.populate('attendance.markedBy', 'fullname role')
 		if (!group) {
 			return res.status(404).json({ message: 'Group not found' })
 		}
 
-		const countsMap = await getActiveStudentCountsByGroupIds([groupId])
+		const [countsMap, attendanceMap] = await Promise.all([
+			getActiveStudentCountsByGroupIds([groupId]),
+			loadGroupAttendance([groupId], { populate: true }),
+		])
 		const studentsCount = countsMap.get(groupId) || 0
 
 		return res.status(200).json({
-			group: attachGroupComputedFields(group, studentsCount),
+			group: attachGroupComputedFields(group, studentsCount, attendanceMap.get(groupId)),
 		})
 	} catch (error) {
 		console.error('Get group by id failed:', error)
@@ -881,8 +1003,6 @@ exports.getGroupById = async (req, res) => {
 
 exports.updateGroup = async (req, res) => {
 	try {
-		await runBalanceResetSafely()
-
 		const groupId = req.params.groupId
 		if (!mongoose.isValidObjectId(groupId)) {
 			return res.status(400).json({ message: 'Invalid group id' })
@@ -1037,8 +1157,21 @@ exports.updateGroup = async (req, res) => {
 			}))
 		}
 
+		let room = null
 		if (typeof req.body.room !== 'undefined') {
-			group.room = String(req.body.room || '').trim()
+			const roomResult = await resolveRoomInput(req.body.room)
+			if (roomResult.error) {
+				return res.status(400).json({ message: roomResult.error, field: 'room' })
+			}
+			room = roomResult.room
+			group.room = room ? room._id : null
+		}
+
+		if (group.room && (group.isModified('room') || group.isModified('maxStudents'))) {
+			room = room || (await Room.findById(group.room).select('name capacity'))
+			if (room && group.maxStudents > room.capacity) {
+				return res.status(400).json(buildRoomCapacityError(room, group.maxStudents))
+			}
 		}
 
 		if (typeof req.body.monthlyFee !== 'undefined') {
@@ -1053,6 +1186,15 @@ exports.updateGroup = async (req, res) => {
 			group.note = String(req.body.note || '').trim()
 		}
 
+		if (typeof req.body.branch !== 'undefined') {
+			const branchResult = await resolveRecordBranch(req, req.body.branch)
+			if (branchResult.statusCode) {
+				const { statusCode, ...body } = branchResult
+				return res.status(statusCode).json(body)
+			}
+			group.branch = branchResult.branch
+		}
+
 		if (group.supportTeachers.some(supportTeacherId => supportTeacherId.toString() === group.teacher.toString())) {
 			return res.status(400).json({
 				message: 'teacher cannot be listed in supportTeachers',
@@ -1066,8 +1208,23 @@ exports.updateGroup = async (req, res) => {
 			})
 		}
 
+		if (SCHEDULE_CONFLICT_PATHS.some(path => group.isModified(path))) {
+			const conflicts = await findGroupConflicts(group)
+			if (conflicts.length > 0) {
+				return sendScheduleConflict(res, conflicts)
+			}
+		}
+
+		const calendarChanged = ['schedule', 'startDate', 'endDate'].some(path => group.isModified(path))
+
 		await group.save()
 
+		if (calendarChanged) {
+			await pruneUpcomingSessions(group._id).catch(pruneError => {
+				console.error('Update group session prune failed:', pruneError)
+			})
+		}
+
 		const nextCourseRefId = group.courseRef ? group.courseRef.toString() : ''
 		const courseIdsToSync = [...new Set([previousCourseRefId, nextCourseRefId])].filter(Boolean)
 		if (courseIdsToSync.length > 0) {
@@ -1081,16 +1238,18 @@ exports.updateGroup = async (req, res) => {
 			.populate('supportTeachers', 'fullname role phone')
 			.populate('students', 'fullname studentPhone parentPhone groupAttached')
 			.populate('courseRef', 'name durationMonths price groupsCount')
+			.populate('room', 'name capacity equipment')
 			.populate('lessons', 'title order durationMinutes description course')
-			.populate('attendance.student', 'fullname studentPhone')
-			.populate('attendance.markedBy', 'fullname role')
 
-		const countsMap = await getActiveStudentCountsByGroupIds([groupId])
+		const [countsMap, attendanceMap] = await Promise.all([
+			getActiveStudentCountsByGroupIds([groupId]),
+			loadGroupAttendance([groupId], { populate: true }),
+		])
 		const studentsCount = countsMap.get(groupId) || 0
 
 		return res.status(200).json({
 			message: 'Group updated successfully',
-			group: attachGroupComputedFields(updatedGroup, studentsCount),
+			group: attachGroupComputedFields(updatedGroup, studentsCount, attendanceMap.get(groupId)),
 			groupTypeApplied: true,
 			resolvedDays: GROUP_TYPE_DAY_MAP[nextGroupType],
 		})
@@ -1111,8 +1270,6 @@ exports.updateGroup = async (req, res) => {
 
 exports.getGroupStudents = async (req, res) => {
 	try {
-		await runBalanceResetSafely()
-
 		const groupId = req.params.groupId
 		if (!mongoose.isValidObjectId(groupId)) {
 			return res.status(400).json({ message: 'Invalid group id' })
@@ -1194,8 +1351,6 @@ exports.getGroupStudents = async (req, res) => {
 
 exports.attachStudentToGroup = async (req, res) => {
 	try {
-		await runBalanceResetSafely()
-
 		const groupId = req.params.groupId
 		const studentId = req.params.studentId
 
@@ -1316,8 +1471,6 @@ exports.attachStudentToGroup = async (req, res) => {
 
 exports.detachStudentFromGroup = async (req, res) => {
 	try {
-		await runBalanceResetSafely()
-
 		const groupId = req.params.groupId
 		const studentId = req.params.studentId
 
@@ -1381,8 +1534,6 @@ exports.detachStudentFromGroup = async (req, res) => {
 
 exports.deleteGroup = async (req, res) => {
 	try {
-		await runBalanceResetSafely()
-
 		const groupId = req.params.groupId
 		if (!mongoose.isValidObjectId(groupId)) {
 			return res.status(400).json({ message: 'Invalid group id' })
@@ -1399,6 +1550,9 @@ exports.deleteGroup = async (req, res) => {
 			})
 		}
 
+		await GroupSession.deleteMany({ group: deletedGroup._id })
+		await GroupAttendance.deleteMany({ group: deletedGroup._id })
+
 		const affectedStudents = await Student.find({ 'groups.group': groupId }).select('_id')
 		if (affectedStudents.length > 0) {
 			const affectedStudentIds = affectedStudents.map(student => student._id)
@@ -1440,8 +1594,6 @@ exports.deleteGroup = async (req, res) => {
 
 exports.upsertGroupAttendance = async (req, res) => {
 	try {
-		await runBalanceResetSafely()
-
 		const groupId = req.params.groupId
 		if (!mongoose.isValidObjectId(groupId)) {
 			return res.status(400).json({ message: 'Invalid group id' })
@@ -1475,13 +1627,14 @@ exports.upsertGroupAttendance = async (req, res) => {
 			})
 		}
 
-		const attendanceWindowError = validateAttendanceWindow({
+		const attendanceWindowError = await validateAttendanceWindow({
 			group,
 			date,
 		})
 		if (attendanceWindowError) {
 			return res.status(attendanceWindowError.statusCode).json({
 				message: attendanceWindowError.message,
+				code: attendanceWindowError.code,
 			})
 		}
 
@@ -1502,48 +1655,36 @@ exports.upsertGroupAttendance = async (req, res) => {
 		}
 
 		const markedBy = req.user?._id
-		const balanceDeltas = []
 
-		for (const record of records) {
-			const { previousStatus } = upsertGroupAttendanceRecord({
-				group,
+		const operations = records.map(record =>
+			buildAttendanceUpsert({
+				groupId: group._id,
 				studentId: record.student,
 				date,
 				status: record.status,
 				note: record.note,
 				markedBy,
-			})
-			const delta = computeBalanceDelta(previousStatus, record.status, group.monthlyFee)
-			if (delta !== 0) {
-				balanceDeltas.push({ studentId: record.student, delta })
-			}
-		}
-
-		await group.save()
-
-		if (balanceDeltas.length > 0) {
-			await Promise.all(
-				balanceDeltas.map(({ studentId, delta }) =>
-					Student.findByIdAndUpdate(studentId, { $inc: { balance: delta } }),
-				),
-			)
-		}
+			}),
+		)
+		await GroupAttendance.bulkWrite(operations)
 
 		const updatedGroup = await Group.findById(groupId)
 			.populate('teacher', 'fullname role phone')
 			.populate('supportTeachers', 'fullname role phone')
 			.populate('students', 'fullname studentPhone parentPhone groupAttached')
 			.populate('courseRef', 'name durationMonths price groupsCount')
+			.populate('room', 'name capacity equipment')
 			.populate('lessons', 'title order durationMinutes description course')
-			.populate('attendance.student', 'fullname studentPhone')
-			.populate('attendance.markedBy', 'fullname role')
 
-		const countsMap = await getActiveStudentCountsByGroupIds([groupId])
+		const [countsMap, attendanceMap] = await Promise.all([
+			getActiveStudentCountsByGroupIds([groupId]),
+			loadGroupAttendance([groupId], { populate: true }),
+		])
 		const studentsCount = countsMap.get(groupId) || 0
 
 		return res.status(200).json({
 			message: 'Attendance updated successfully',
-			group: attachGroupComputedFields(updatedGroup, studentsCount),
+			group: attachGroupComputedFields(updatedGroup, studentsCount, attendanceMap.get(groupId)),
 		})
 	} catch (error) {
 		if (error.name === 'ValidationError') {
@@ -1556,10 +1697,51 @@ exports.upsertGroupAttendance = async (req, res) => {
 	}
 }
 
-exports.markGroupAttendanceStudent = async (req, res) => {
+exports.getGroupAttendance = async (req, res) => {
 	try {
-		await runBalanceResetSafely()
+		const groupId = req.params.groupId
+		if (!mongoose.isValidObjectId(groupId)) {
+			return res.status(400).json({ message: 'Invalid group id' })
+		}
+
+		const dateKey = req.query.date ? String(req.query.date).trim() : ''
+		if (dateKey && !isValidDateKey(dateKey)) {
+			return res.status(400).json({ message: 'date must be in YYYY-MM-DD format', field: 'date' })
+		}
 
+		const range = dateKey ? { fromKey: dateKey, toKey: dateKey } : parseSessionRange(req.query)
+		if (range.error) {
+			return res.status(400).json({ message: range.error, field: range.field })
+		}
+
+		const group = await Group.findById(groupId).select('_id name')
+		if (!group) {
+			return res.status(404).json({ message: 'Group not found' })
+		}
+
+		const records = await GroupAttendance.find({
+			group: group._id,
+			dateKey: { $gte: range.fromKey, $lte: range.toKey },
+		})
+			.sort({ dateKey: 1, markedAt: 1 })
+			.populate('student', 'fullname studentPhone')
+			.populate('markedBy', 'fullname role')
+
+		return res.status(200).json({
+			groupId: group._id,
+			from: range.fromKey,
+			to: range.toKey,
+			total: records.length,
+			data: records,
+		})
+	} catch (error) {
+		console.error('Get group attendance failed:', error)
+		return res.status(500).json({ message: 'Internal server error' })
+	}
+}
+
+exports.markGroupAttendanceStudent = async (req, res) => {
+	try {
 		const groupId = req.params.groupId
 		const studentId = req.params.studentId
 
@@ -1588,13 +1770,14 @@ exports.markGroupAttendanceStudent = async (req, res) => {
 			})
 		}
 
-		const attendanceWindowError = validateAttendanceWindow({
+		const attendanceWindowError = await validateAttendanceWindow({
 			group,
 			date: parsedPayload.date,
 		})
 		if (attendanceWindowError) {
 			return res.status(attendanceWindowError.statusCode).json({
 				message: attendanceWindowError.message,
+				code: attendanceWindowError.code,
 			})
 		}
 
@@ -1614,45 +1797,40 @@ exports.markGroupAttendanceStudent = async (req, res) => {
 			})
 		}
 
-		const { previousStatus } = upsertGroupAttendanceRecord({
-			group,
-			studentId,
-			date: parsedPayload.date,
-			status: parsedPayload.status,
-			note: parsedPayload.note,
-			markedBy: req.user?._id,
-		})
-
-		await group.save()
-
-		const balanceDelta = computeBalanceDelta(previousStatus, parsedPayload.status, group.monthlyFee)
-		if (balanceDelta !== 0) {
-			await Student.findByIdAndUpdate(studentId, { $inc: { balance: balanceDelta } })
-		}
+		await GroupAttendance.bulkWrite([
+			buildAttendanceUpsert({
+				groupId: group._id,
+				studentId,
+				date: parsedPayload.date,
+				status: parsedPayload.status,
+				note: parsedPayload.note,
+				markedBy: req.user?._id,
+			}),
+		])
 
 		const updatedGroup = await Group.findById(groupId)
 			.populate('teacher', 'fullname role phone')
 			.populate('supportTeachers', 'fullname role phone')
 			.populate('students', 'fullname studentPhone parentPhone groupAttached')
 			.populate('courseRef', 'name durationMonths price groupsCount')
+			.populate('room', 'name capacity equipment')
 			.populate('lessons', 'title order durationMinutes description course')
-			.populate('attendance.student', 'fullname studentPhone')
-			.populate('attendance.markedBy', 'fullname role')
 
-		const countsMap = await getActiveStudentCountsByGroupIds([groupId])
+		const [countsMap, attendanceMap] = await Promise.all([
+			getActiveStudentCountsByGroupIds([groupId]),
+			loadGroupAttendance([groupId], { populate: true }),
+		])
 		const studentsCount = countsMap.get(groupId) || 0
-
-		const attendanceEntry = (updatedGroup.attendance || []).find(item => {
-			return (
-				item.student?._id?.toString?.() === studentId &&
-				toAttendanceDateKey(item.date) === toAttendanceDateKey(parsedPayload.date)
-			)
+		const attendance = attendanceMap.get(groupId)
+		const dateKey = toAttendanceDateKey(parsedPayload.date)
+		const attendanceEntry = attendance.find(item => {
+			return item.student?._id?.toString?.() === studentId && toAttendanceDateKey(item.date) === dateKey
 		})
 
 		return res.status(200).json({
 			message: 'Attendance updated successfully',
 			attendance: attendanceEntry || null,
-			group: attachGroupComputedFields(updatedGroup, studentsCount),
+			group: attachGroupComputedFields(updatedGroup, studentsCount, attendance),
 		})
 	} catch (error) {
 		if (error.name === 'ValidationError') {
@@ -1664,3 +1842,298 @@ exports.markGroupAttendanceStudent = async (req, res) => {
 		return res.status(500).json({ message: 'Internal server error' })
 	}
 }
+
+exports.getGroupSessions = async (req, res) => {
+	try {
+		const groupId = req.params.groupId
+		if (!mongoose.isValidObjectId(groupId)) {
+			return res.status(400).json({ message: 'Invalid group id' })
+		}
+
+		const range = parseSessionRange(req.query)
+		if (range.error) {
+			return res.status(400).json({ message: range.error, field: range.field })
+		}
+
+		const group = await Group.findById(groupId).select('_id name schedule startDate endDate')
+		if (!group) {
+			return res.status(404).json({ message: 'Group not found' })
+		}
+		if (!(await isStudentOfGroup(req.user, group._id))) {
+			return res.status(403).json({ message: 'Forbidden: you are not a member of this group' })
+		}
+
+		const sessions = await listGroupSessions(group, range)
+
+		return res.status(200).json({
+			groupId: group._id,
+			from: range.fromKey,
+			to: range.toKey,
+			total: sessions.length,
+			data: sessions,
+		})
+	} catch (error) {
+		console.error('Get group sessions failed:', error)
+		return res.status(500).json({ message: 'Internal server error' })
+	}
+}
+
+exports.cancelGroupSession = async (req, res) => {
+	try {
+		const result = await findGroupSession(req.params)
+		if (!result.session) {
+			return res.status(result.statusCode).json({ message: result.message })
+		}
+
+		const { session } = result
+		if (session.status === 'cancelled') {
+			return res.status(409).json({ message: 'Session is already cancelled' })
+		}
+
+		session.status = 'cancelled'
+		session.cancelReason = String(req.body?.reason || '').trim() || undefined
+		session.cancelledBy = req.user?._id || null
+		session.cancelledAt = new Date()
+		await session.save()
+
+		return res.status(200).json({ message: 'Session cancelled', session })
+	} catch (error) {
+		if (error.name === 'ValidationError') {
+			const firstErrorMessage = Object.values(error.errors || {})[0]?.message
+			return res.status(400).json({ message: firstErrorMessage || 'Validation failed' })
+		}
+
+		console.error('Cancel group session failed:', error)
+		return res.status(500).json({ message: 'Internal server error' })
+	}
+}
+
+exports.rescheduleGroupSession = async (req, res) => {
+	try {
+		const result = await findGroupSession(req.params)
+		if (!result.session) {
+			return res.status(result.statusCode).json({ message: result.message })
+		}
+
+		const { session } = result
+		if (session.status === 'cancelled') {
+			return res.status(409).json({ message: 'Cancelled sessions cannot be rescheduled' })
+		}
+
+		const startsAt = parseDateValue(req.body?.startsAt)
+		if (!startsAt) {
+			return res.status(400).json({ message: 'startsAt must be a valid date-time', field: 'startsAt' })
+		}
+
+		let durationMinutes = session.durationMinutes
+		if (typeof req.body.durationMinutes !== 'undefined') {
+			durationMinutes = Number(req.body.durationMinutes)
+			if (!Number.isInteger(durationMinutes) || durationMinutes < 30 || durationMinutes > 300) {
+				return res.status(400).json({
+					message: 'durationMinutes must be an integer between 30 and 300',
+					field: 'durationMinutes',
+				})
+			}
+		}
+
+		const dateKey = toAttendanceDateKey(startsAt)
+		const holiday = await Holiday.findOne({ date: dateKey }).select('_id name')
+		if (holiday) {
+			return res.status(409).json({
+				message: `Cannot move a session onto a holiday (${holiday.name})`,
+				code: 'HOLIDAY',
+				field: 'startsAt',
+			})
+		}
+
+		const group = await Group.findById(session.group).select('_id name teacher supportTeachers room status')
+		const conflicts = group ? await findGroupSessionConflicts({ group, startsAt, durationMinutes }) : []
+		if (conflicts.length > 0) {
+			return sendScheduleConflict(res, conflicts)
+		}
+
+		if (!session.originalStartsAt) {
+			session.originalStartsAt = session.startsAt
+		}
+		session.startsAt = startsAt
+		session.dateKey = dateKey
+		session.durationMinutes = durationMinutes
+		session.rescheduleReason = String(req.body.reason || '').trim() || undefined
+		session.rescheduledBy = req.user?._id || null
+		session.rescheduledAt = new Date()
+		await session.save()
+
+		return res.status(200).json({ message: 'Session rescheduled', session })
+	} catch (error) {
+		if (error.name === 'ValidationError') {
+			const firstErrorMessage = Object.values(error.errors || {})[0]?.message
+			return res.status(400).json({ message: firstErrorMessage || 'Validation failed' })
+		}
+
+		console.error('Reschedule group session failed:', error)
+		return res.status(500).json({ message: 'Internal server error' })
+	}
+}
+
+exports.getGroupAttendanceReport = async (req, res) => {
+	try {
+		const groupId = req.params.groupId
+		if (!mongoose.isValidObjectId(groupId)) {
+			return res.status(400).json({ message: 'Invalid group id' })
+		}
+
+		const range = parseAttendanceReportRange(req.query)
+		if (range.error) {
+			return res.status(400).json({ message: range.error, field: range.field })
+		}
+
+		const group = await Group.findById(groupId).select('_id name teacher supportTeachers')
+		if (!group) {
+			return res.status(404).json({ message: 'Group not found' })
+		}
+
+		if (!canManageGroupAttendance(req.user, group)) {
+			return res.status(403).json({ message: 'Forbidden: you cannot view attendance for this group' })
+		}
+
+		const report = await buildGroupAttendanceReport({ groupId: group._id, ...range })
+		const studentIds = report.byStudent.map(item => item.studentId)
+		const students = await Student.find({ _id: { $in: studentIds } }).select('_id fullname')
+		const studentsById = new Map(students.map(student => [student._id.toString(), student]))
+
+		return res.status(200).json({
+			groupId: group._id,
+			groupName: group.name,
+			...report,
+			byStudent: report.byStudent.map(({ studentId, ...item }) => ({
+				student: studentsById.get(studentId) || { _id: studentId },
+				...item,
+			})),
+		})
+	} catch (error) {
+		console.error('Get group attendance report failed:', error)
+		return res.status(500).json({ message: 'Internal server error' })
+	}
+}
+
+exports.getAtRiskStudents = async (req, res) => {
+	try {
+		const range = parseAttendanceReportRange(req.query)
+		if (range.error) {
+			return res.status(400).json({ message: range.error, field: range.field })
+		}
+
+		const minConsecutiveAbsences =
+			typeof req.query.minConsecutiveAbsences === 'undefined'
+				? DEFAULT_AT_RISK_CONSECUTIVE_ABSENCES
+				: Number(req.query.minConsecutiveAbsences)
+		if (!Number.isInteger(minConsecutiveAbsences) || minConsecutiveAbsences < 1 || minConsecutiveAbsences > 30) {
+			return res.status(400).json({
+				message: 'minConsecutiveAbsences must be an integer between 1 and 30',
+				field: 'minConsecutiveAbsences',
+			})
+		}
+
+		const maxAttendanceRate =
+			typeof req.query.maxAttendanceRate === 'undefined'
+				? DEFAULT_AT_RISK_ATTENDANCE_RATE
+				: Number(req.query.maxAttendanceRate)
+		if (!Number.isFinite(maxAttendanceRate) || maxAttendanceRate < 0 || maxAttendanceRate > 100) {
+			return res.status(400).json({
+				message: 'maxAttendanceRate must be a number between 0 and 100',
+				field: 'maxAttendanceRate',
+			})
+		}
+
+		const groupFilter = { status: { $in: ['active', 'paused'] } }
+		if (req.query.groupId) {
+			if (!mongoose.isValidObjectId(req.query.groupId)) {
+				return res.status(400).json({ message: 'Invalid group id', field: 'groupId' })
+			}
+			groupFilter._id = req.query.groupId
+		}
+		// Teachers only see students from groups they teach or support.
+		if (!PRIVILEGED_ATTENDANCE_ROLES.has(req.user?.role)) {
+			groupFilter.$or = [{ teacher: req.user?._id }, { supportTeachers: req.user?._id }]
+		}
+
+		const groups = await Group.find(groupFilter).select('_id')
+		const data =
+			groups.length > 0
+				? await findAtRiskStudents({
+						groupIds: groups.map(group => group._id),
+						...range,
+						minConsecutiveAbsences,
+						maxAttendanceRate,
+					})
+				: []
+
+		return res.status(200).json({
+			from: range.fromKey,
+			to: range.toKey,
+			minConsecutiveAbsences,
+			maxAttendanceRate,
+			total: data.length,
+			data,
+		})
+	} catch (error) {
+		console.error('Get at-risk students failed:', error)
+		return res.status(500).json({ message: 'Internal server error' })
+	}
+}
+
+exports.requestKioskChallenge = async (req, res) => {
+	try {
+		const challenge = await issueFaceChallenge({ client: getFaceLoginClient(req), purpose: 'kiosk' })
+		return res.status(201).json(challenge)
+	} catch (error) {
+		console.error('Kiosk challenge failed:', error)
+		return res.status(500).json({ message: 'Internal server error' })
+	}
+}
+
+exports.kioskCheckIn = async (req, res) => {
+	try {
+		const frames = parseFaceFrames(req.body.frames)
+		if (!frames) {
+			return res.status(400).json({
+				message: `frames must be an array of descriptors with exactly ${FACE_DESCRIPTOR_LENGTH} numeric values each`,
+				field: 'frames',
+			})
+		}
+
+		const roomId = req.body.roomId ? String(req.body.roomId).trim() : null
+		if (roomId && !mongoose.isValidObjectId(roomId)) {
+			return res.status(400).json({ message: 'Invalid room id', field: 'roomId' })
+		}
+
+		// The kiosk is scoped to its branch (the one given, or the only branch of
+		// its account) and a room only narrows that, since rooms are shared.
+		// Accounts without a branch only reach unassigned groups, except superadmins.
+		const branchResult = await resolveRecordBranch(req, req.body.branch)
+		if (branchResult.statusCode) {
+			const { statusCode, ...body } = branchResult
+			return res.status(statusCode).json(body)
+		}
+
+		const result = await checkInStudentByFace({
+			nonce: req.body.nonce,
+			frames,
+			roomId,
+			branchId: branchResult.branch || (isCrossBranchUser(req) ? undefined : null),
+			markedBy: req.user?._id,
+		})
+		if (!result.student) {
+			const { statusCode, ...body } = result
+			return res.status(statusCode).json(body)
+		}
+
+		return res.status(result.alreadyMarked ? 200 : 201).json({
+			message: result.alreadyMarked ? 'Attendance was already marked today' : 'Attendance marked',
+			...result,
+		})
+	} catch (error) {
+		console.error('Kiosk check-in failed:', error)
+		return res.status(500).json({ message: 'Internal server error' })
+	}
+}
@@ -0,0 +1,85 @@
+const Holiday = require('../model/holiday.model')
+const { isValidDateKey } = require('../model/group-session.model')
+const {
+	cancelSessionsForHoliday,
+	restoreSessionsForHoliday,
+} = require('../services/group-session.service')
+
+exports.listHolidays = async (req, res) => {
+	try {
+		const query = {}
+		if (req.query.year) {
+			const year = String(req.query.year).trim()
+			if (!/^\d{4}$/.test(year)) {
+				return res.status(400).json({ message: 'year must be in YYYY format', field: 'year' })
+			}
+			query.date = { $gte: `${year}-01-01`, $lte: `${year}-12-31` }
+		}
+
+		const holidays = await Holiday.find(query)
+			.sort({ date: 1 })
+			.populate('createdBy', 'fullname role')
+
+		return res.status(200).json({
+			page: 1,
+			limit: holidays.length,
+			total: holidays.length,
+			data: holidays,
+		})
+	} catch (error) {
+		console.error('List holidays failed:', error)
+		return res.status(500).json({ message: 'Internal server error' })
+	}
+}
+
+exports.createHoliday = async (req, res) => {
+	try {
+		const date = String(req.body.date || '').trim()
+		const name = String(req.body.name || '').trim()
+
+		if (!isValidDateKey(date)) {
+			return res.status(400).json({ message: 'date must be in YYYY-MM-DD format', field: 'date' })
+		}
+		if (!name) {
+			return res.status(400).json({ message: 'name is required', field: 'name' })
+		}
+
+		const holiday = await Holiday.create({ date, name, createdBy: req.user?._id })
+		const result = await cancelSessionsForHoliday(holiday, req.user?._id)
+
+		return res.status(201).json({
+			message: 'Holiday created',
+			holiday,
+			cancelledSessions: result?.modifiedCount || 0,
+		})
+	} catch (error) {
+		if (error.code === 11000) {
+			return res.status(409).json({ message: 'A holiday already exists on this date', field: 'date' })
+		}
+		if (error.name === 'ValidationError') {
+			const msg = Object.values(error.errors || {})[0]?.message
+			return res.status(400).json({ message: msg || 'Validation failed' })
+		}
+		console.error('Create holiday failed:', error)
+		return res.status(500).json({ message: 'Internal server error' })
+	}
+}
+
+exports.deleteHoliday = async (req, res) => {
+	try {
+		const holiday = await Holiday.findByIdAndDelete(req.params.holidayId)
+		if (!holiday) {
+			return res.status(404).json({ message: 'Holiday not found' })
+		}
+
+		const result = await restoreSessionsForHoliday(holiday._id)
+
+		return res.status(200).json({
+			message: 'Holiday deleted',
+			restoredSessions: result?.modifiedCount || 0,
+		})
+	} catch (error) {
+		console.error('Delete holiday failed:', error)
+		return res.status(500).json({ message: 'Internal server error' })
+	}
+}
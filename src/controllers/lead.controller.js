@@ -1,13 +1,122 @@
 const mongoose = require('mongoose')
-const Lead = require('../model/lead.model')
+const { Lead, LEAD_SOURCES, LEAD_STATUSES } = require('../model/lead.model')
+const {
+	LeadActivity,
+	LEAD_ACTIVITY_TYPES,
+	MANUAL_LEAD_ACTIVITY_TYPES,
+} = require('../model/lead-activity.model')
+const { LeadFollowUp, LEAD_FOLLOW_UP_STATUSES } = require('../model/lead-follow-up.model')
+const Student = require('../model/student.model')
+const { Branch } = require('../model/branch.model')
+const { isValidDateKey } = require('../model/group-session.model')
+const { LOCAL_TIMEZONE_OFFSET_MS, toAttendanceDateKey } = require('../model/group-attendance.model')
+const User = require('../model/user.model')
+const {
+	createStudentRecord,
+	syncGroupStudentLinks,
+} = require('../services/student-enrollment.service')
+const { PERIOD_FORMATS, buildLeadAnalytics } = require('../services/lead-analytics.service')
+const { normalizeEmail, normalizePhone, submitLead } = require('../services/lead-intake.service')
+const {
+	findDuplicateLeadGroups,
+	mergeLeads,
+	normalizeUsername,
+} = require('../services/lead-dedup.service')
+const {
+	buildBranchTotals,
+	canAccessBranch,
+	isCrossBranchUser,
+	resolveBranchFilter,
+	resolveRecordBranch,
+} = require('../services/branch-scope.service')
 
-const LEAD_SOURCES = ['INSTAGRAM', 'TELEGRAM', 'CALL_CENTER', 'WEBSITE', 'LANDING', 'FRIEND']
+const DAY_MS = 24 * 60 * 60 * 1000
+const DEFAULT_ANALYTICS_RANGE_DAYS = 90
+const MAX_ANALYTICS_RANGE_DAYS = 731
+
+const PUBLIC_LEAD_SOURCES = ['WEBSITE', 'LANDING']
+// Hidden form field; humans leave it empty, form-filling bots do not.
+const PUBLIC_LEAD_HONEYPOT_FIELD = 'website'
+const PUBLIC_LEAD_RESPONSE = { message: 'Thank you! We will contact you soon.' }
+
+// `enrolled` is reachable only through POST /api/leads/:leadId/convert.
+const MANUAL_LEAD_STATUSES = LEAD_STATUSES.filter(status => status !== 'enrolled')
+
+const resolveAssignee = async value => {
+	if (value === null || value === '') {
+		return { assignee: null }
+	}
+	const assigneeId = String(value || '').trim()
+	if (!mongoose.isValidObjectId(assigneeId)) {
+		return { error: 'Invalid assignee id' }
+	}
+	const exists = await User.exists({ _id: assigneeId })
+	if (!exists) {
+		return { error: 'Assignee user not found' }
+	}
+	return { assignee: assigneeId }
+}
+
+const parseDateValue = value => {
+	const date = new Date(value)
+	return Number.isNaN(date.getTime()) ? null : date
+}
+
+// Start of a local (UTC+5) day as a UTC instant.
+const localDateKeyToUtc = dateKey => new Date(Date.parse(`${dateKey}T00:00:00Z`) - LOCAL_TIMEZONE_OFFSET_MS)
+
+// Best-effort: runs after the lead is saved, so a failed timeline write is
+// logged instead of answering 500 for a status change that already happened.
+const recordStatusChange = ({ leadId, fromStatus, toStatus, author, outcome }) =>
+	LeadActivity.create({
+		lead: leadId,
+		type: 'status_change',
+		fromStatus,
+		toStatus,
+		outcome,
+		author: author || null,
+	}).catch(activityError => {
+		console.error('Lead status activity failed:', activityError)
+	})
+
+// Lead numbers are often typed with spaces or dashes; student phones are digits only.
+const normalizeLeadPhone = value => String(value || '').replace(/[\s()-]/g, '')
+
+// Stores numbers as +<digits> when they parse, so duplicates can be matched exactly.
+const normalizeStoredNumber = value => {
+	const number = String(value || '').trim()
+	return normalizePhone(number) || number || undefined
+}
+
+const escapeRegex = value => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+
+const findPossibleDuplicates = lead => {
+	const or = []
+	if (lead.number) {
+		or.push({ number: lead.number })
+	}
+	if (lead.email) {
+		or.push({ email: lead.email })
+	}
+	const username = normalizeUsername(lead.username)
+	if (username) {
+		or.push({ username: { $regex: `^@?${escapeRegex(username)}$`, $options: 'i' } })
+	}
+	if (or.length === 0) {
+		return []
+	}
+
+	return Lead.find({ _id: { $ne: lead._id }, $or: or })
+		.select('_id name number email username source status createdAt')
+		.sort({ createdAt: 1 })
+		.limit(10)
+}
 
 exports.createLead = async (req, res) => {
 	try {
 		const name = String(req.body.name || '').trim()
 		const source = String(req.body.source || '').trim().toUpperCase()
-		const number = req.body.number ? String(req.body.number).trim() : undefined
+		const number = normalizeStoredNumber(req.body.number)
 		const email = req.body.email ? String(req.body.email).trim().toLowerCase() : undefined
 		const username = req.body.username ? String(req.body.username).trim() : undefined
 		const description = req.body.description ? String(req.body.description).trim() : undefined
@@ -23,6 +132,21 @@ exports.createLead = async (req, res) => {
 			})
 		}
 
+		let assignee = null
+		if (typeof req.body.assignee !== 'undefined') {
+			const assigneeResult = await resolveAssignee(req.body.assignee)
+			if (assigneeResult.error) {
+				return res.status(400).json({ message: assigneeResult.error, field: 'assignee' })
+			}
+			assignee = assigneeResult.assignee
+		}
+
+		const branchResult = await resolveRecordBranch(req, req.body.branch)
+		if (branchResult.statusCode) {
+			const { statusCode, ...body } = branchResult
+			return res.status(statusCode).json(body)
+		}
+
 		const lead = await Lead.create({
 			name,
 			source,
@@ -31,10 +155,15 @@ exports.createLead = async (req, res) => {
 			username,
 			description,
 			referral,
+			assignee,
+			branch: branchResult.branch,
 			createdBy: req.user?._id,
 		})
 
-		return res.status(201).json({ lead })
+		// Sales still gets the new lead; duplicates are resolved later with the merge tool.
+		const possibleDuplicates = await findPossibleDuplicates(lead)
+
+		return res.status(201).json({ lead, possibleDuplicates })
 	} catch (error) {
 		if (error.name === 'ValidationError') {
 			const firstErrorMessage = Object.values(error.errors || {})[0]?.message
@@ -45,6 +174,62 @@ exports.createLead = async (req, res) => {
 	}
 }
 
+exports.submitPublicLead = async (req, res) => {
+	try {
+		if (String(req.body[PUBLIC_LEAD_HONEYPOT_FIELD] || '').trim()) {
+			// Answer like a real submission so bots get no signal.
+			return res.status(201).json(PUBLIC_LEAD_RESPONSE)
+		}
+
+		const name = String(req.body.name || '').trim().slice(0, 120)
+		const source = String(req.body.source || 'WEBSITE').trim().toUpperCase()
+		const rawNumber = req.body.number ?? req.body.phone
+		const number = normalizePhone(rawNumber)
+		const email = normalizeEmail(req.body.email)
+		const message = req.body.message ? String(req.body.message).trim().slice(0, 1000) : ''
+		const referral = req.body.referral ? String(req.body.referral).trim().slice(0, 200) : ''
+
+		if (!name) {
+			return res.status(400).json({ message: 'name is required', field: 'name' })
+		}
+		if (!PUBLIC_LEAD_SOURCES.includes(source)) {
+			return res.status(400).json({
+				message: `source must be one of: ${PUBLIC_LEAD_SOURCES.join(', ')}`,
+				field: 'source',
+			})
+		}
+		if (rawNumber && !number) {
+			return res.status(400).json({ message: 'Invalid phone number', field: 'number' })
+		}
+		if (req.body.email && !email) {
+			return res.status(400).json({ message: 'Invalid email', field: 'email' })
+		}
+		if (!number && !email) {
+			return res.status(400).json({ message: 'number or email is required', field: 'number' })
+		}
+
+		// Branch landing pages send their branch id; it must be an active branch.
+		let branch = null
+		if (req.body.branch) {
+			branch = String(req.body.branch).trim()
+			if (!mongoose.isValidObjectId(branch) || !(await Branch.exists({ _id: branch, isActive: true }))) {
+				return res.status(400).json({ message: 'Invalid branch', field: 'branch' })
+			}
+		}
+
+		await submitLead({ name, number, email, source, message, referral, branch })
+
+		return res.status(201).json(PUBLIC_LEAD_RESPONSE)
+	} catch (error) {
+		if (error.name === 'ValidationError') {
+			const firstErrorMessage = Object.values(error.errors || {})[0]?.message
+			return res.status(400).json({ message: firstErrorMessage || 'Validation failed' })
+		}
+		console.error('Submit public lead failed:', error)
+		return res.status(500).json({ message: 'Internal server error' })
+	}
+}
+
 exports.listLeads = async (req, res) => {
 	try {
 		const limit = Math.min(Math.max(Number(req.query.limit) || 20, 1), 100)
@@ -52,6 +237,8 @@ exports.listLeads = async (req, res) => {
 		const skip = (page - 1) * limit
 		const search = String(req.query.search || '').trim()
 		const source = String(req.query.source || '').trim().toUpperCase()
+		const status = String(req.query.status || '').trim().toLowerCase()
+		const assignee = String(req.query.assignee || '').trim()
 
 		const query = {}
 		if (search) {
@@ -65,13 +252,50 @@ exports.listLeads = async (req, res) => {
 		if (source && LEAD_SOURCES.includes(source)) {
 			query.source = source
 		}
+		if (status) {
+			if (!LEAD_STATUSES.includes(status)) {
+				return res.status(400).json({
+					message: `status must be one of: ${LEAD_STATUSES.join(', ')}`,
+					field: 'status',
+				})
+			}
+			query.status = status
+		}
+		if (assignee) {
+			if (assignee === 'none') {
+				query.assignee = null
+			} else if (mongoose.isValidObjectId(assignee)) {
+				query.assignee = assignee
+			} else {
+				return res.status(400).json({ message: 'Invalid assignee id', field: 'assignee' })
+			}
+		}
+
+		const branchScope = resolveBranchFilter(req)
+		if (branchScope.statusCode) {
+			const { statusCode, ...body } = branchScope
+			return res.status(statusCode).json(body)
+		}
+		if (branchScope.filter) {
+			query.branch = branchScope.filter
+		}
 
-		const [leads, total] = await Promise.all([
-			Lead.find(query).sort({ createdAt: -1 }).skip(skip).limit(limit),
+		const [leads, total, branchTotals] = await Promise.all([
+			Lead.find(query)
+				.sort({ createdAt: -1 })
+				.skip(skip)
+				.limit(limit)
+				.populate('assignee', 'fullname role')
+				.populate('branch', 'name'),
 			Lead.countDocuments(query),
+			isCrossBranchUser(req) ? buildBranchTotals(Lead, query) : null,
 		])
 
-		return res.status(200).json({ page, limit, total, data: leads })
+		const response = { page, limit, total, data: leads }
+		if (branchTotals) {
+			response.branchTotals = branchTotals
+		}
+		return res.status(200).json(response)
 	} catch (error) {
 		console.error('List leads failed:', error)
 		return res.status(500).json({ message: 'Internal server error' })
@@ -86,6 +310,9 @@ exports.getLead = async (req, res) => {
 		}
 
 		const lead = await Lead.findById(leadId)
+			.populate('assignee', 'fullname role phone')
+			.populate('convertedStudent', 'fullname studentPhone parentPhone')
+			.populate('convertedBy', 'fullname role')
 		if (!lead) {
 			return res.status(404).json({ message: 'Lead not found' })
 		}
@@ -128,7 +355,7 @@ exports.updateLead = async (req, res) => {
 		}
 
 		if (typeof req.body.number !== 'undefined') {
-			updatePayload.number = req.body.number ? String(req.body.number).trim() : undefined
+			updatePayload.number = normalizeStoredNumber(req.body.number)
 		}
 
 		if (typeof req.body.email !== 'undefined') {
@@ -155,9 +382,70 @@ exports.updateLead = async (req, res) => {
 				: undefined
 		}
 
+		if (typeof req.body.assignee !== 'undefined') {
+			const assigneeResult = await resolveAssignee(req.body.assignee)
+			if (assigneeResult.error) {
+				return res.status(400).json({ message: assigneeResult.error, field: 'assignee' })
+			}
+			updatePayload.assignee = assigneeResult.assignee
+		}
+
+		if (typeof req.body.branch !== 'undefined') {
+			const branchResult = await resolveRecordBranch(req, req.body.branch)
+			if (branchResult.statusCode) {
+				const { statusCode, ...body } = branchResult
+				return res.status(statusCode).json(body)
+			}
+			updatePayload.branch = branchResult.branch
+		}
+
+		if (typeof req.body.lostReason !== 'undefined') {
+			updatePayload.lostReason = req.body.lostReason
+				? String(req.body.lostReason).trim()
+				: undefined
+		}
+
+		if (typeof req.body.status !== 'undefined') {
+			const status = String(req.body.status || '').trim().toLowerCase()
+			if (!MANUAL_LEAD_STATUSES.includes(status)) {
+				return res.status(400).json({
+					message:
+						status === 'enrolled'
+							? 'Use POST /api/leads/:leadId/convert to enroll a lead'
+							: `status must be one of: ${MANUAL_LEAD_STATUSES.join(', ')}`,
+					field: 'status',
+				})
+			}
+			if (lead.status === 'enrolled' && status !== 'enrolled') {
+				return res.status(409).json({
+					message: 'Converted leads cannot change status',
+					field: 'status',
+					code: 'LEAD_ALREADY_CONVERTED',
+				})
+			}
+			if (status !== lead.status) {
+				updatePayload.status = status
+				updatePayload.statusChangedAt = new Date()
+			}
+			if (status !== 'lost') {
+				updatePayload.lostReason = undefined
+			}
+		}
+
+		const previousStatus = lead.status
 		Object.assign(lead, updatePayload)
 		await lead.save()
 
+		if (lead.status !== previousStatus) {
+			await recordStatusChange({
+				leadId: lead._id,
+				fromStatus: previousStatus,
+				toStatus: lead.status,
+				author: req.user?._id,
+				outcome: lead.status === 'lost' ? lead.lostReason : undefined,
+			})
+		}
+
 		return res.status(200).json({ message: 'Lead updated successfully', lead })
 	} catch (error) {
 		if (error.name === 'ValidationError') {
@@ -182,6 +470,10 @@ exports.deleteLead = async (req, res) => {
 		}
 
 		await Lead.deleteOne({ _id: leadId })
+		await Promise.all([
+			LeadActivity.deleteMany({ lead: leadId }),
+			LeadFollowUp.deleteMany({ lead: leadId }),
+		])
 
 		return res.status(200).json({ message: 'Lead deleted successfully' })
 	} catch (error) {
@@ -189,3 +481,459 @@ exports.deleteLead = async (req, res) => {
 		return res.status(500).json({ message: 'Internal server error' })
 	}
 }
+
+exports.convertLead = async (req, res) => {
+	try {
+		const { leadId } = req.params
+		if (!mongoose.isValidObjectId(leadId)) {
+			return res.status(400).json({ message: 'Invalid lead id' })
+		}
+
+		const lead = await Lead.findById(leadId)
+		if (!lead) {
+			return res.status(404).json({ message: 'Lead not found' })
+		}
+		if (lead.convertedStudent) {
+			return res.status(409).json({
+				message: 'Lead is already converted',
+				code: 'LEAD_ALREADY_CONVERTED',
+			})
+		}
+
+		const groupId = req.body.groupId ? String(req.body.groupId).trim() : ''
+		const result = await createStudentRecord({
+			fullname: req.body.fullname ?? lead.name,
+			studentPhone: req.body.studentPhone ?? normalizeLeadPhone(lead.number),
+			parentPhone: req.body.parentPhone,
+			gender: req.body.gender,
+			birthDate: req.body.birthDate,
+			password: req.body.password,
+			note: req.body.note ?? lead.description,
+			groups: groupId ? [groupId] : undefined,
+			branch: lead.branch,
+		})
+		if (!result.student) {
+			return res.status(result.statusCode).json({ message: result.message })
+		}
+
+		const { student } = result
+		const convertedLead = await Lead.findOneAndUpdate(
+			{ _id: lead._id, convertedStudent: null },
+			{
+				$set: {
+					status: 'enrolled',
+					statusChangedAt: new Date(),
+					convertedStudent: student._id,
+					convertedAt: new Date(),
+					convertedBy: req.user?._id || null,
+				},
+				$unset: { lostReason: 1 },
+			},
+			{ new: true },
+		)
+
+		if (!convertedLead) {
+			// Another request converted the lead first; drop the duplicate student.
+			await Student.deleteOne({ _id: student._id })
+			if (groupId) {
+				await syncGroupStudentLinks({
+					studentId: student._id,
+					previousGroupIds: [groupId],
+					nextGroupIds: [],
+				}).catch(syncError => {
+					console.error('Convert lead group rollback failed:', syncError)
+				})
+			}
+			return res.status(409).json({
+				message: 'Lead is already converted',
+				code: 'LEAD_ALREADY_CONVERTED',
+			})
+		}
+
+		await recordStatusChange({
+			leadId: lead._id,
+			fromStatus: lead.status,
+			toStatus: 'enrolled',
+			author: req.user?._id,
+		})
+
+		return res.status(201).json({
+			message: 'Lead converted successfully',
+			lead: convertedLead,
+			student,
+		})
+	} catch (error) {
+		if (error.code === 11000) {
+			return res.status(409).json({
+				message: 'Student with this phone number already exists',
+			})
+		}
+		if (error.name === 'ValidationError') {
+			const firstErrorMessage = Object.values(error.errors || {})[0]?.message
+			return res.status(400).json({ message: firstErrorMessage || 'Validation failed' })
+		}
+		console.error('Convert lead failed:', error)
+		return res.status(500).json({ message: 'Internal server error' })
+	}
+}
+
+// ─── Activities ───
+
+exports.listLeadActivities = async (req, res) => {
+	try {
+		const { leadId } = req.params
+		const limit = Math.min(Math.max(Number(req.query.limit) || 50, 1), 200)
+		const page = Math.max(Number(req.query.page) || 1, 1)
+		const skip = (page - 1) * limit
+
+		const leadExists = await Lead.exists({ _id: leadId })
+		if (!leadExists) {
+			return res.status(404).json({ message: 'Lead not found' })
+		}
+
+		const query = { lead: leadId }
+		if (req.query.type) {
+			const type = String(req.query.type).trim().toLowerCase()
+			if (!LEAD_ACTIVITY_TYPES.includes(type)) {
+				return res.status(400).json({
+					message: `type must be one of: ${LEAD_ACTIVITY_TYPES.join(', ')}`,
+					field: 'type',
+				})
+			}
+			query.type = type
+		}
+
+		const [activities, total] = await Promise.all([
+			LeadActivity.find(query)
+				.sort({ occurredAt: -1, _id: -1 })
+				.skip(skip)
+				.limit(limit)
+				.populate('author', 'fullname role'),
+			LeadActivity.countDocuments(query),
+		])
+
+		return res.status(200).json({ page, limit, total, data: activities })
+	} catch (error) {
+		console.error('List lead activities failed:', error)
+		return res.status(500).json({ message: 'Internal server error' })
+	}
+}
+
+exports.createLeadActivity = async (req, res) => {
+	try {
+		const { leadId } = req.params
+		const type = String(req.body.type || '').trim().toLowerCase()
+		if (!MANUAL_LEAD_ACTIVITY_TYPES.includes(type)) {
+			return res.status(400).json({
+				message: `type must be one of: ${MANUAL_LEAD_ACTIVITY_TYPES.join(', ')}`,
+				field: 'type',
+			})
+		}
+
+		let occurredAt = new Date()
+		if (req.body.occurredAt) {
+			occurredAt = parseDateValue(req.body.occurredAt)
+			if (!occurredAt) {
+				return res.status(400).json({ message: 'Invalid occurredAt value', field: 'occurredAt' })
+			}
+			if (occurredAt > new Date()) {
+				return res.status(400).json({
+					message: 'occurredAt cannot be in the future; schedule a follow-up instead',
+					field: 'occurredAt',
+				})
+			}
+		}
+
+		const leadExists = await Lead.exists({ _id: leadId })
+		if (!leadExists) {
+			return res.status(404).json({ message: 'Lead not found' })
+		}
+
+		const activity = await LeadActivity.create({
+			lead: leadId,
+			type,
+			outcome: req.body.outcome ? String(req.body.outcome).trim() : undefined,
+			details: req.body.details ? String(req.body.details).trim() : undefined,
+			occurredAt,
+			author: req.user?._id || null,
+		})
+
+		return res.status(201).json({ activity })
+	} catch (error) {
+		if (error.name === 'ValidationError') {
+			const firstErrorMessage = Object.values(error.errors || {})[0]?.message
+			return res.status(400).json({ message: firstErrorMessage || 'Validation failed' })
+		}
+		console.error('Create lead activity failed:', error)
+		return res.status(500).json({ message: 'Internal server error' })
+	}
+}
+
+// ─── Follow-ups ───
+
+exports.listLeadFollowUps = async (req, res) => {
+	try {
+		const { leadId } = req.params
+		const leadExists = await Lead.exists({ _id: leadId })
+		if (!leadExists) {
+			return res.status(404).json({ message: 'Lead not found' })
+		}
+
+		const query = { lead: leadId }
+		if (req.query.status) {
+			const status = String(req.query.status).trim().toLowerCase()
+			if (!LEAD_FOLLOW_UP_STATUSES.includes(status)) {
+				return res.status(400).json({
+					message: `status must be one of: ${LEAD_FOLLOW_UP_STATUSES.join(', ')}`,
+					field: 'status',
+				})
+			}
+			query.status = status
+		}
+
+		const followUps = await LeadFollowUp.find(query)
+			.sort({ dueAt: 1 })
+			.populate('assignee', 'fullname role')
+			.populate('completedBy', 'fullname role')
+
+		return res.status(200).json({ total: followUps.length, data: followUps })
+	} catch (error) {
+		console.error('List lead follow-ups failed:', error)
+		return res.status(500).json({ message: 'Internal server error' })
+	}
+}
+
+exports.createLeadFollowUp = async (req, res) => {
+	try {
+		const { leadId } = req.params
+		const dueAt = parseDateValue(req.body.dueAt)
+		if (!req.body.dueAt || !dueAt) {
+			return res.status(400).json({ message: 'dueAt must be a valid date', field: 'dueAt' })
+		}
+
+		const lead = await Lead.findById(leadId).select('_id assignee status')
+		if (!lead) {
+			return res.status(404).json({ message: 'Lead not found' })
+		}
+
+		// Defaults to the lead owner, then to whoever schedules the follow-up.
+		let assignee = lead.assignee || req.user?._id
+		if (typeof req.body.assignee !== 'undefined' && req.body.assignee !== null && req.body.assignee !== '') {
+			const assigneeResult = await resolveAssignee(req.body.assignee)
+			if (assigneeResult.error) {
+				return res.status(400).json({ message: assigneeResult.error, field: 'assignee' })
+			}
+			assignee = assigneeResult.assignee
+		}
+
+		const followUp = await LeadFollowUp.create({
+			lead: lead._id,
+			assignee,
+			dueAt,
+			note: req.body.note ? String(req.body.note).trim() : undefined,
+			createdBy: req.user?._id || null,
+		})
+
+		return res.status(201).json({ followUp })
+	} catch (error) {
+		if (error.name === 'ValidationError') {
+			const firstErrorMessage = Object.values(error.errors || {})[0]?.message
+			return res.status(400).json({ message: firstErrorMessage || 'Validation failed' })
+		}
+		console.error('Create lead follow-up failed:', error)
+		return res.status(500).json({ message: 'Internal server error' })
+	}
+}
+
+exports.updateLeadFollowUp = async (req, res) => {
+	try {
+		const { leadId, followUpId } = req.params
+		const followUp = await LeadFollowUp.findOne({ _id: followUpId, lead: leadId })
+		if (!followUp) {
+			return res.status(404).json({ message: 'Follow-up not found' })
+		}
+
+		if (followUp.status !== 'pending') {
+			return res.status(409).json({
+				message: `Follow-up is already ${followUp.status}`,
+				code: 'FOLLOW_UP_CLOSED',
+			})
+		}
+
+		if (typeof req.body.dueAt !== 'undefined') {
+			const dueAt = parseDateValue(req.body.dueAt)
+			if (!req.body.dueAt || !dueAt) {
+				return res.status(400).json({ message: 'dueAt must be a valid date', field: 'dueAt' })
+			}
+			followUp.dueAt = dueAt
+		}
+
+		if (typeof req.body.assignee !== 'undefined') {
+			const assigneeResult = await resolveAssignee(req.body.assignee)
+			if (assigneeResult.error || !assigneeResult.assignee) {
+				return res.status(400).json({
+					message: assigneeResult.error || 'assignee is required',
+					field: 'assignee',
+				})
+			}
+			followUp.assignee = assigneeResult.assignee
+		}
+
+		if (typeof req.body.note !== 'undefined') {
+			followUp.note = req.body.note ? String(req.body.note).trim() : undefined
+		}
+
+		if (typeof req.body.status !== 'undefined') {
+			const status = String(req.body.status || '').trim().toLowerCase()
+			if (!LEAD_FOLLOW_UP_STATUSES.includes(status)) {
+				return res.status(400).json({
+					message: `status must be one of: ${LEAD_FOLLOW_UP_STATUSES.join(', ')}`,
+					field: 'status',
+				})
+			}
+			if (status !== 'pending') {
+				followUp.status = status
+				followUp.completedAt = new Date()
+				followUp.completedBy = req.user?._id || null
+			}
+		}
+
+		await followUp.save()
+
+		return res.status(200).json({ message: 'Follow-up updated', followUp })
+	} catch (error) {
+		if (error.name === 'ValidationError') {
+			const firstErrorMessage = Object.values(error.errors || {})[0]?.message
+			return res.status(400).json({ message: firstErrorMessage || 'Validation failed' })
+		}
+		console.error('Update lead follow-up failed:', error)
+		return res.status(500).json({ message: 'Internal server error' })
+	}
+}
+
+exports.listMyOverdueFollowUps = async (req, res) => {
+	try {
+		const followUps = await LeadFollowUp.find({
+			assignee: req.user._id,
+			status: 'pending',
+			dueAt: { $lt: new Date() },
+		})
+			.sort({ dueAt: 1 })
+			.populate('lead', 'name number status source')
+
+		return res.status(200).json({ total: followUps.length, data: followUps })
+	} catch (error) {
+		console.error('List overdue follow-ups failed:', error)
+		return res.status(500).json({ message: 'Internal server error' })
+	}
+}
+
+// ─── Analytics ───
+
+exports.getLeadAnalytics = async (req, res) => {
+	try {
+		const todayKey = toAttendanceDateKey(new Date())
+		const toKey = req.query.to ? String(req.query.to).trim() : todayKey
+		if (!isValidDateKey(toKey)) {
+			return res.status(400).json({ message: 'to must be in YYYY-MM-DD format', field: 'to' })
+		}
+		// `to` is inclusive: the range ends at the start of the following local day.
+		const to = new Date(localDateKeyToUtc(toKey).getTime() + DAY_MS)
+
+		let from = new Date(to.getTime() - DEFAULT_ANALYTICS_RANGE_DAYS * DAY_MS)
+		if (req.query.from) {
+			const fromKey = String(req.query.from).trim()
+			if (!isValidDateKey(fromKey)) {
+				return res.status(400).json({ message: 'from must be in YYYY-MM-DD format', field: 'from' })
+			}
+			from = localDateKeyToUtc(fromKey)
+		}
+
+		if (Number.isNaN(from.getTime()) || Number.isNaN(to.getTime()) || from >= to) {
+			return res.status(400).json({ message: 'from must not be after to', field: 'from' })
+		}
+		if (to.getTime() - from.getTime() > MAX_ANALYTICS_RANGE_DAYS * DAY_MS) {
+			return res.status(400).json({
+				message: `Date range cannot exceed ${MAX_ANALYTICS_RANGE_DAYS} days`,
+				field: 'from',
+			})
+		}
+
+		const interval = req.query.interval ? String(req.query.interval).trim().toLowerCase() : 'month'
+		if (!Object.keys(PERIOD_FORMATS).includes(interval)) {
+			return res.status(400).json({
+				message: `interval must be one of: ${Object.keys(PERIOD_FORMATS).join(', ')}`,
+				field: 'interval',
+			})
+		}
+
+		const branchScope = resolveBranchFilter(req)
+		if (branchScope.statusCode) {
+			const { statusCode, ...body } = branchScope
+			return res.status(statusCode).json(body)
+		}
+
+		const report = await buildLeadAnalytics({ from, to, interval, branchFilter: branchScope.filter })
+
+		return res.status(200).json({ from, to, interval, ...report })
+	} catch (error) {
+		console.error('Lead analytics failed:', error)
+		return res.status(500).json({ message: 'Internal server error' })
+	}
+}
+
+// ─── Deduplication ───
+
+exports.listDuplicateLeads = async (req, res) => {
+	try {
+		const includeClosed = String(req.query.includeClosed || '') === 'true'
+		const branchScope = resolveBranchFilter(req)
+		if (branchScope.statusCode) {
+			const { statusCode, ...body } = branchScope
+			return res.status(statusCode).json(body)
+		}
+
+		const groups = await findDuplicateLeadGroups({ includeClosed, branchFilter: branchScope.filter })
+
+		return res.status(200).json({ total: groups.length, data: groups })
+	} catch (error) {
+		console.error('List duplicate leads failed:', error)
+		return res.status(500).json({ message: 'Internal server error' })
+	}
+}
+
+exports.mergeLeads = async (req, res) => {
+	try {
+		const { leadId } = req.params
+		const leadIds = Array.isArray(req.body.leadIds) ? req.body.leadIds : null
+		if (!leadIds || leadIds.some(id => !mongoose.isValidObjectId(String(id || '')))) {
+			return res.status(400).json({
+				message: 'leadIds must be an array of lead ObjectIds',
+				field: 'leadIds',
+			})
+		}
+
+		const result = await mergeLeads({
+			survivorId: leadId,
+			leadIds,
+			mergedBy: req.user?._id || null,
+			canAccessBranch: branchId => canAccessBranch(req, branchId),
+		})
+		if (!result.lead) {
+			return res.status(result.statusCode).json({
+				message: result.message,
+				code: result.code,
+				field: [400, 403].includes(result.statusCode) ? 'leadIds' : undefined,
+			})
+		}
+
+		return res.status(200).json({ message: 'Leads merged successfully', lead: result.lead })
+	} catch (error) {
+		if (error.name === 'ValidationError') {
+			const firstErrorMessage = Object.values(error.errors || {})[0]?.message
+			return res.status(400).json({ message: firstErrorMessage || 'Validation failed' })
+		}
+		console.error('Merge leads failed:', error)
+		return res.status(500).json({ message: 'Internal server error' })
+	}
+}
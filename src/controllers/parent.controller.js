@@ -0,0 +1,506 @@
+const bcrypt = require('bcrypt')
+const mongoose = require('mongoose')
+
+const Parent = require('../model/parent.model')
+const Student = require('../model/student.model')
+const HomeworkSubmission = require('../model/homework-submission.model')
+const { getCurrentMonth } = require('../models/FinancialEvent.model')
+const {
+	buildStudentAttendanceReport,
+	parseAttendanceReportRange,
+} = require('../services/attendance-report.service')
+const {
+	getStudentPaymentHistory,
+	getStudentStatement,
+} = require('../services/student-balance.service')
+const {
+	getClientInfo,
+	openSession,
+	revokeAccountSessions,
+	revokeSession,
+	rotateSession,
+} = require('../services/auth-session.service')
+const { requestOtpCode, verifyOtpCode } = require('../services/otp.service')
+const { verifyRefreshToken } = require('../utils/token')
+
+const PHONE_PATTERN = /^\+?[0-9]{7,15}$/
+const MONTH_PATTERN = /^\d{4}-(0[1-9]|1[0-2])$/
+const DEFAULT_STATEMENT_MONTHS = 6
+const MAX_STATEMENT_MONTHS = 24
+const CHILD_PUBLIC_FIELDS = '_id fullname studentPhone parentPhone gender birthDate groupAttached balance coinBalance'
+
+const escapeRegex = value => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+
+const shiftMonth = (month, delta) => {
+	const [year, monthNum] = month.split('-').map(Number)
+	const date = new Date(Date.UTC(year, monthNum - 1 + delta, 1))
+	return date.toISOString().slice(0, 7)
+}
+
+const countMonthsBetween = (from, to) => {
+	const [fromYear, fromMonth] = from.split('-').map(Number)
+	const [toYear, toMonth] = to.split('-').map(Number)
+	return (toYear - fromYear) * 12 + (toMonth - fromMonth) + 1
+}
+
+const findChildrenOfParent = parent =>
+	Student.find({ parentPhone: parent.phone }).select(CHILD_PUBLIC_FIELDS).sort({ fullname: 1 })
+
+// Children are matched by parentPhone, so a student is only visible while
+// their parentPhone still equals the parent's phone.
+const findParentChild = async (parent, studentId) => {
+	if (!mongoose.isValidObjectId(studentId)) {
+		return { statusCode: 400, message: 'Invalid student id' }
+	}
+
+	const child = await Student.findOne({ _id: studentId, parentPhone: parent.phone }).select(
+		CHILD_PUBLIC_FIELDS,
+	)
+	if (!child) {
+		return { statusCode: 404, message: 'Child not found' }
+	}
+
+	return { child }
+}
+
+const parsePasswordInput = value => {
+	const password = typeof value === 'string' ? value : ''
+	if (password.length < 8) {
+		return { error: 'password must be at least 8 characters' }
+	}
+	return { password }
+}
+
+// Opens a device session after a password or OTP login.
+const startParentSession = async (req, parent) => {
+	const { accessToken, refreshToken } = await openSession({
+		accountType: 'parent',
+		account: parent,
+		client: getClientInfo(req),
+	})
+	parent.lastLoginAt = new Date()
+	await parent.save({ validateBeforeSave: false })
+
+	const children = await findChildrenOfParent(parent)
+	return { accessToken, refreshToken, parent, children }
+}
+
+// ─── Parent self-service ──────────────────────────────────────────────────────
+
+exports.loginParent = async (req, res) => {
+	try {
+		const phone = String(req.body.phone || req.body.parentPhone || '').trim()
+		const password = String(req.body.password || '')
+
+		if (!phone || !password) {
+			return res.status(400).json({ message: 'phone and password required' })
+		}
+
+		const parent = await Parent.findOne({ phone }).select('+password +refreshToken')
+		if (!parent || !parent.password) {
+			return res.status(401).json({ message: 'Invalid credentials' })
+		}
+
+		const isMatch = await bcrypt.compare(password, parent.password)
+		if (!isMatch) {
+			return res.status(401).json({ message: 'Invalid credentials' })
+		}
+
+		if (!parent.isActive) {
+			return res.status(403).json({ message: 'Parent account is disabled', code: 'ACCOUNT_DISABLED' })
+		}
+
+		return res.status(200).json(await startParentSession(req, parent))
+	} catch (error) {
+		console.error('Parent login failed:', error)
+		return res.status(500).json({ message: 'Internal server error' })
+	}
+}
+
+exports.requestParentOtp = async (req, res) => {
+	try {
+		const result = await requestOtpCode({
+			accountType: 'parent',
+			phone: req.body.phone || req.body.parentPhone,
+			purpose: 'login',
+		})
+		if (result.statusCode) {
+			const { statusCode, ...body } = result
+			return res.status(statusCode).json(body)
+		}
+
+		return res.status(200).json({
+			message: 'If the phone is registered, a code has been sent',
+			...result,
+		})
+	} catch (error) {
+		console.error('Parent OTP request failed:', error)
+		return res.status(500).json({ message: 'Internal server error' })
+	}
+}
+
+exports.loginParentWithOtp = async (req, res) => {
+	try {
+		const result = await verifyOtpCode({
+			accountType: 'parent',
+			phone: req.body.phone || req.body.parentPhone,
+			purpose: 'login',
+			code: req.body.code,
+		})
+		if (!result.account) {
+			const { statusCode, ...body } = result
+			return res.status(statusCode).json(body)
+		}
+
+		const parent = result.account
+		if (!parent.isActive) {
+			return res.status(403).json({ message: 'Parent account is disabled', code: 'ACCOUNT_DISABLED' })
+		}
+
+		return res.status(200).json(await startParentSession(req, parent))
+	} catch (error) {
+		console.error('Parent OTP login failed:', error)
+		return res.status(500).json({ message: 'Internal server error' })
+	}
+}
+
+exports.refreshParentToken = async (req, res) => {
+	try {
+		const refreshTokenInput = String(req.body.refreshToken || '').trim()
+		if (!refreshTokenInput) {
+			return res.status(400).json({ message: 'Refresh token is required' })
+		}
+
+		const refreshToken = refreshTokenInput.replace(/^Bearer\s+/i, '').trim()
+		const payload = verifyRefreshToken(refreshToken)
+		if (payload.userType !== 'parent') {
+			return res.status(401).json({ message: 'Invalid refresh token' })
+		}
+
+		const parent = await Parent.findById(payload.sub || payload.id).select('+refreshToken')
+		if (!parent || !parent.isActive) {
+			return res.status(401).json({ message: 'Invalid refresh token' })
+		}
+
+		const result = await rotateSession({
+			accountType: 'parent',
+			account: parent,
+			refreshToken,
+			payload,
+			client: getClientInfo(req),
+		})
+		if (!result.accessToken) {
+			const { statusCode, ...body } = result
+			return res.status(statusCode).json(body)
+		}
+
+		return res.status(200).json({
+			accessToken: result.accessToken,
+			refreshToken: result.refreshToken,
+		})
+	} catch (error) {
+		console.error('Parent refresh token failed:', error)
+		return res.status(401).json({ message: 'Invalid or expired refresh token' })
+	}
+}
+
+exports.logoutParent = async (req, res) => {
+	try {
+		if (req.user.sessionId) {
+			await revokeSession({
+				accountType: 'parent',
+				accountId: req.parent._id,
+				sessionId: req.user.sessionId,
+				reason: 'logout',
+			})
+		}
+		await Parent.updateOne({ _id: req.parent._id }, { $set: { refreshToken: null } })
+
+		return res.status(200).json({ message: 'Logged out successfully' })
+	} catch (error) {
+		console.error('Parent logout failed:', error)
+		return res.status(500).json({ message: 'Internal server error' })
+	}
+}
+
+exports.getMe = async (req, res) => {
+	try {
+		const children = await findChildrenOfParent(req.parent)
+		return res.status(200).json({ parent: req.parent, children })
+	} catch (error) {
+		console.error('Get parent profile failed:', error)
+		return res.status(500).json({ message: 'Internal server error' })
+	}
+}
+
+exports.getChildGroups = async (req, res) => {
+	try {
+		const result = await findParentChild(req.parent, req.params.studentId)
+		if (!result.child) {
+			return res.status(result.statusCode).json({ message: result.message })
+		}
+
+		const student = await Student.findById(result.child._id)
+			.select('groups')
+			.populate({
+				path: 'groups.group',
+				select: 'name course groupType level status teacher startDate endDate schedule room',
+				populate: [
+					{ path: 'teacher', select: 'fullname' },
+					{ path: 'room', select: 'name' },
+				],
+			})
+
+		const data = (student?.groups || []).map(groupItem => ({
+			group: groupItem.group,
+			status: groupItem.status,
+			joinedAt: groupItem.joinedAt,
+		}))
+
+		return res.status(200).json({ studentId: result.child._id, total: data.length, data })
+	} catch (error) {
+		console.error('Get child groups failed:', error)
+		return res.status(500).json({ message: 'Internal server error' })
+	}
+}
+
+exports.getChildAttendance = async (req, res) => {
+	try {
+		const result = await findParentChild(req.parent, req.params.studentId)
+		if (!result.child) {
+			return res.status(result.statusCode).json({ message: result.message })
+		}
+
+		const range = parseAttendanceReportRange(req.query)
+		if (range.error) {
+			return res.status(400).json({ message: range.error, field: range.field })
+		}
+
+		const report = await buildStudentAttendanceReport({ studentId: result.child._id, ...range })
+
+		return res.status(200).json({ studentId: result.child._id, ...report })
+	} catch (error) {
+		console.error('Get child attendance failed:', error)
+		return res.status(500).json({ message: 'Internal server error' })
+	}
+}
+
+exports.getChildHomework = async (req, res) => {
+	try {
+		const result = await findParentChild(req.parent, req.params.studentId)
+		if (!result.child) {
+			return res.status(result.statusCode).json({ message: result.message })
+		}
+
+		const filter = { student: result.child._id }
+		if (req.query.groupId) {
+			if (!mongoose.isValidObjectId(req.query.groupId)) {
+				return res.status(400).json({ message: 'Invalid group id', field: 'groupId' })
+			}
+			filter.group = req.query.groupId
+		}
+
+		const submissions = await HomeworkSubmission.find(filter)
+			.select('lesson group status score attemptsCount submittedAt checkedAt')
+			.sort({ submittedAt: -1 })
+			.populate('lesson', 'title order')
+			.populate('group', 'name')
+
+		const scores = submissions.map(item => item.score).filter(score => typeof score === 'number')
+		const averageScore =
+			scores.length > 0
+				? Math.round((scores.reduce((sum, score) => sum + score, 0) / scores.length) * 10) / 10
+				: null
+
+		return res.status(200).json({
+			studentId: result.child._id,
+			total: submissions.length,
+			graded: scores.length,
+			averageScore,
+			data: submissions,
+		})
+	} catch (error) {
+		console.error('Get child homework failed:', error)
+		return res.status(500).json({ message: 'Internal server error' })
+	}
+}
+
+exports.getChildBalance = async (req, res) => {
+	try {
+		const result = await findParentChild(req.parent, req.params.studentId)
+		if (!result.child) {
+			return res.status(result.statusCode).json({ message: result.message })
+		}
+
+		const to = req.query.to ? String(req.query.to).trim() : getCurrentMonth()
+		const from = req.query.from
+			? String(req.query.from).trim()
+			: shiftMonth(to, -(DEFAULT_STATEMENT_MONTHS - 1))
+		if (!MONTH_PATTERN.test(from) || !MONTH_PATTERN.test(to)) {
+			return res.status(400).json({ message: 'from and to must be in YYYY-MM format' })
+		}
+		if (from > to) {
+			return res.status(400).json({ message: 'from must not be after to' })
+		}
+		if (countMonthsBetween(from, to) > MAX_STATEMENT_MONTHS) {
+			return res.status(400).json({
+				message: `Statement range cannot exceed ${MAX_STATEMENT_MONTHS} months`,
+			})
+		}
+
+		const statement = await getStudentStatement(result.child._id, { from, to })
+
+		return res.status(200).json({
+			studentId: result.child._id,
+			fullname: result.child.fullname,
+			balance: result.child.balance,
+			data: statement,
+		})
+	} catch (error) {
+		console.error('Get child balance failed:', error)
+		return res.status(500).json({ message: 'Internal server error' })
+	}
+}
+
+exports.getChildPayments = async (req, res) => {
+	try {
+		const result = await findParentChild(req.parent, req.params.studentId)
+		if (!result.child) {
+			return res.status(result.statusCode).json({ message: result.message })
+		}
+
+		const events = await getStudentPaymentHistory(result.child._id)
+
+		return res.status(200).json({ studentId: result.child._id, data: events })
+	} catch (error) {
+		console.error('Get child payments failed:', error)
+		return res.status(500).json({ message: 'Internal server error' })
+	}
+}
+
+// ─── Parent account management (employees) ────────────────────────────────────
+
+exports.listParents = async (req, res) => {
+	try {
+		const limit = Math.min(Math.max(Number(req.query.limit) || 20, 1), 100)
+		const page = Math.max(Number(req.query.page) || 1, 1)
+		const skip = (page - 1) * limit
+		const search = String(req.query.search || '').trim()
+
+		const query = {}
+		if (search) {
+			const pattern = escapeRegex(search)
+			query.$or = [
+				{ phone: { $regex: pattern, $options: 'i' } },
+				{ fullname: { $regex: pattern, $options: 'i' } },
+			]
+		}
+
+		const [parents, total] = await Promise.all([
+			Parent.find(query).sort({ createdAt: -1 }).skip(skip).limit(limit),
+			Parent.countDocuments(query),
+		])
+
+		return res.status(200).json({ page, limit, total, data: parents })
+	} catch (error) {
+		console.error('List parents failed:', error)
+		return res.status(500).json({ message: 'Internal server error' })
+	}
+}
+
+exports.createParent = async (req, res) => {
+	try {
+		const phone = String(req.body.phone || '').trim()
+		if (!PHONE_PATTERN.test(phone)) {
+			return res.status(400).json({ message: 'Phone must contain 7-15 digits', field: 'phone' })
+		}
+
+		const passwordInput = parsePasswordInput(req.body.password)
+		if (passwordInput.error) {
+			return res.status(400).json({ message: passwordInput.error, field: 'password' })
+		}
+
+		const hasChildren = await Student.exists({ parentPhone: phone })
+		if (!hasChildren) {
+			return res.status(400).json({
+				message: 'No students have this parentPhone',
+				field: 'phone',
+				code: 'NO_LINKED_STUDENTS',
+			})
+		}
+
+		const parent = await Parent.create({
+			phone,
+			fullname: typeof req.body.fullname === 'undefined' ? undefined : String(req.body.fullname).trim(),
+			password: await bcrypt.hash(passwordInput.password, 12),
+			createdBy: req.user?._id || null,
+		})
+
+		const children = await findChildrenOfParent(parent)
+
+		return res.status(201).json({ message: 'Parent account created', parent, children })
+	} catch (error) {
+		if (error.code === 11000) {
+			return res.status(409).json({ message: 'Parent account with this phone already exists' })
+		}
+
+		if (error.name === 'ValidationError') {
+			const firstErrorMessage = Object.values(error.errors || {})[0]?.message
+			return res.status(400).json({ message: firstErrorMessage || 'Validation failed' })
+		}
+
+		console.error('Create parent failed:', error)
+		return res.status(500).json({ message: 'Internal server error' })
+	}
+}
+
+exports.updateParent = async (req, res) => {
+	try {
+		const parent = await Parent.findById(req.params.parentId).select('+refreshToken')
+		if (!parent) {
+			return res.status(404).json({ message: 'Parent not found' })
+		}
+
+		if (typeof req.body.fullname !== 'undefined') {
+			parent.fullname = String(req.body.fullname || '').trim()
+		}
+
+		// A new password or a disabled account signs the parent out everywhere.
+		let signOutReason = null
+		if (typeof req.body.password !== 'undefined') {
+			const passwordInput = parsePasswordInput(req.body.password)
+			if (passwordInput.error) {
+				return res.status(400).json({ message: passwordInput.error, field: 'password' })
+			}
+			parent.password = await bcrypt.hash(passwordInput.password, 12)
+			parent.refreshToken = null
+			signOutReason = 'password_changed'
+		}
+
+		if (typeof req.body.isActive !== 'undefined') {
+			if (typeof req.body.isActive !== 'boolean') {
+				return res.status(400).json({ message: 'isActive must be a boolean', field: 'isActive' })
+			}
+			parent.isActive = req.body.isActive
+			if (!parent.isActive) {
+				parent.refreshToken = null
+				signOutReason = 'account_disabled'
+			}
+		}
+
+		await parent.save()
+		if (signOutReason) {
+			await revokeAccountSessions({ accountType: 'parent', accountId: parent._id, reason: signOutReason })
+		}
+
+		return res.status(200).json({ message: 'Parent account updated', parent })
+	} catch (error) {
+		if (error.name === 'ValidationError') {
+			const firstErrorMessage = Object.values(error.errors || {})[0]?.message
+			return res.status(400).json({ message: firstErrorMessage || 'Validation failed' })
+		}
+
+		console.error('Update parent failed:', error)
+		return res.status(500).json({ message: 'Internal server error' })
+	}
+}
@@ -0,0 +1,267 @@
+const { PayrollRun, PAYROLL_RUN_STATUSES } = require('../models/PayrollRun.model')
+const { FinancialEvent } = require('../models/FinancialEvent.model')
+const { insertLedgerEventsOnce } = require('../services/finance.service')
+const { buildPayslips, renderPayslipText } = require('../services/payroll.service')
+
+const PAYSLIP_MANAGER_ROLES = new Set(['headteacher', 'admin', 'superadmin'])
+
+const isValidMonth = value => /^\d{4}-\d{2}$/.test(String(value || ''))
+
+const parsePagination = query => {
+	const limit = Math.min(Math.max(Number(query.limit) || 20, 1), 100)
+	const page = Math.max(Number(query.page) || 1, 1)
+	const skip = (page - 1) * limit
+	return { page, limit, skip }
+}
+
+const toFileSafeName = value =>
+	String(value || 'employee')
+		.trim()
+		.replace(/[^a-zA-Z0-9_-]+/g, '-')
+		.replace(/^-+|-+$/g, '') || 'employee'
+
+const statusConflict = (res, run, expected) =>
+	res.status(409).json({
+		message: `Payroll run is ${run.status}; expected ${expected}`,
+		code: 'INVALID_PAYROLL_STATUS',
+		field: 'status',
+	})
+
+exports.createPayrollRun = async (req, res) => {
+	try {
+		const month = String(req.body.month || '').trim()
+		if (!isValidMonth(month)) {
+			return res.status(400).json({ message: 'month must be in YYYY-MM format', field: 'month' })
+		}
+
+		const existing = await PayrollRun.findOne({ month }).select('_id status')
+		if (existing) {
+			return res.status(409).json({
+				message: 'Payroll run for this month already exists',
+				code: 'PAYROLL_RUN_EXISTS',
+				field: 'month',
+				runId: existing._id,
+			})
+		}
+
+		const { payslips, totalNet } = await buildPayslips(month)
+		const run = await PayrollRun.create({
+			month,
+			payslips,
+			totalNet,
+			note: String(req.body.note || '').trim() || undefined,
+			createdBy: req.user.id,
+			calculatedAt: new Date(),
+		})
+
+		return res.status(201).json({ message: 'Payroll run created', data: run })
+	} catch (error) {
+		if (error.code === 11000) {
+			return res.status(409).json({
+				message: 'Payroll run for this month already exists',
+				code: 'PAYROLL_RUN_EXISTS',
+				field: 'month',
+			})
+		}
+		if (error.name === 'ValidationError') {
+			const msg = Object.values(error.errors || {})[0]?.message
+			return res.status(400).json({ message: msg || 'Validation failed' })
+		}
+
+		console.error('Create payroll run failed:', error)
+		return res.status(500).json({ message: 'Internal server error' })
+	}
+}
+
+exports.listPayrollRuns = async (req, res) => {
+	try {
+		const { page, limit, skip } = parsePagination(req.query)
+		const query = {}
+
+		if (req.query.status) {
+			const status = String(req.query.status).trim()
+			if (!PAYROLL_RUN_STATUSES.includes(status)) {
+				return res.status(400).json({
+					message: `status must be one of: ${PAYROLL_RUN_STATUSES.join(', ')}`,
+					field: 'status',
+				})
+			}
+			query.status = status
+		}
+
+		const [runs, total] = await Promise.all([
+			PayrollRun.find(query)
+				.sort({ month: -1 })
+				.skip(skip)
+				.limit(limit)
+				.select('-payslips')
+				.populate('createdBy approvedBy paidBy', 'fullname role'),
+			PayrollRun.countDocuments(query),
+		])
+
+		return res.status(200).json({
+			data: runs,
+			pagination: {
+				page,
+				limit,
+				total,
+				totalPages: Math.ceil(total / limit),
+			},
+		})
+	} catch (error) {
+		console.error('List payroll runs failed:', error)
+		return res.status(500).json({ message: 'Internal server error' })
+	}
+}
+
+exports.getPayrollRun = async (req, res) => {
+	try {
+		const run = await PayrollRun.findById(req.params.runId).populate(
+			'createdBy approvedBy paidBy',
+			'fullname role',
+		)
+		if (!run) {
+			return res.status(404).json({ message: 'Payroll run not found' })
+		}
+
+		return res.status(200).json({ data: run })
+	} catch (error) {
+		console.error('Get payroll run failed:', error)
+		return res.status(500).json({ message: 'Internal server error' })
+	}
+}
+
+exports.recalculatePayrollRun = async (req, res) => {
+	try {
+		const run = await PayrollRun.findById(req.params.runId)
+		if (!run) {
+			return res.status(404).json({ message: 'Payroll run not found' })
+		}
+		if (run.status !== 'draft') {
+			return statusConflict(res, run, 'draft')
+		}
+
+		const { payslips, totalNet } = await buildPayslips(run.month)
+		run.payslips = payslips
+		run.totalNet = totalNet
+		run.calculatedAt = new Date()
+		await run.save()
+
+		return res.status(200).json({ message: 'Payroll run recalculated', data: run })
+	} catch (error) {
+		console.error('Recalculate payroll run failed:', error)
+		return res.status(500).json({ message: 'Internal server error' })
+	}
+}
+
+exports.approvePayrollRun = async (req, res) => {
+	try {
+		const run = await PayrollRun.findOneAndUpdate(
+			{ _id: req.params.runId, status: 'draft' },
+			{ $set: { status: 'approved', approvedBy: req.user.id, approvedAt: new Date() } },
+			{ new: true },
+		)
+		if (!run) {
+			const existing = await PayrollRun.findById(req.params.runId).select('status')
+			if (!existing) {
+				return res.status(404).json({ message: 'Payroll run not found' })
+			}
+			return statusConflict(res, existing, 'draft')
+		}
+
+		return res.status(200).json({ message: 'Payroll run approved', data: run })
+	} catch (error) {
+		console.error('Approve payroll run failed:', error)
+		return res.status(500).json({ message: 'Internal server error' })
+	}
+}
+
+exports.payPayrollRun = async (req, res) => {
+	try {
+		const run = await PayrollRun.findById(req.params.runId)
+		if (!run) {
+			return res.status(404).json({ message: 'Payroll run not found' })
+		}
+		if (run.status !== 'approved') {
+			return statusConflict(res, run, 'approved')
+		}
+
+		// salary_payment is unique per employee and month, so a retry after a partial
+		// failure or a concurrent request skips the events already posted and links them.
+		const payable = run.payslips.filter(payslip => payslip.net > 0)
+		await insertLedgerEventsOnce(
+			payable.map(payslip => ({
+				userId: payslip.employee,
+				type: 'salary_payment',
+				amount: payslip.net,
+				month: run.month,
+				note: `Payroll ${run.month}`,
+				createdBy: req.user.id,
+			})),
+		)
+		const events = payable.length > 0
+			? await FinancialEvent.find({
+				type: 'salary_payment',
+				month: run.month,
+				userId: { $in: payable.map(payslip => payslip.employee) },
+				reversalOf: null,
+			})
+				.select('_id userId')
+				.lean()
+			: []
+
+		const eventIdsByEmployee = new Map(
+			events.map(event => [event.userId.toString(), event._id]),
+		)
+		const payslips = run.payslips.map(payslip => ({
+			...payslip.toObject(),
+			paymentEventId: eventIdsByEmployee.get(payslip.employee.toString()) || null,
+		}))
+		const paid = await PayrollRun.findOneAndUpdate(
+			{ _id: run._id, status: 'approved' },
+			{ $set: { status: 'paid', paidBy: req.user.id, paidAt: new Date(), payslips } },
+			{ new: true },
+		)
+		if (!paid) {
+			const existing = await PayrollRun.findById(run._id).select('status')
+			return statusConflict(res, existing || run, 'approved')
+		}
+
+		return res.status(200).json({
+			message: 'Payroll run paid',
+			data: paid,
+			payments: events.length,
+		})
+	} catch (error) {
+		console.error('Pay payroll run failed:', error)
+		return res.status(500).json({ message: 'Internal server error' })
+	}
+}
+
+exports.downloadPayslip = async (req, res) => {
+	try {
+		const { runId, employeeId } = req.params
+		const isSelf = req.user.id === employeeId
+		if (!isSelf && !PAYSLIP_MANAGER_ROLES.has(req.user.role)) {
+			return res.status(403).json({ message: 'Forbidden: you can only download your own payslip' })
+		}
+
+		const run = await PayrollRun.findById(runId)
+		if (!run) {
+			return res.status(404).json({ message: 'Payroll run not found' })
+		}
+
+		const payslip = run.payslips.find(item => item.employee.toString() === employeeId)
+		if (!payslip) {
+			return res.status(404).json({ message: 'Payslip not found for this employee' })
+		}
+
+		const filename = `payslip-${run.month}-${toFileSafeName(payslip.fullname)}.txt`
+		res.setHeader('Content-Type', 'text/plain; charset=utf-8')
+		res.setHeader('Content-Disposition', `attachment; filename="${filename}"`)
+		return res.status(200).send(renderPayslipText({ run, payslip }))
+	} catch (error) {
+		console.error('Download payslip failed:', error)
+		return res.status(500).json({ message: 'Internal server error' })
+	}
+}
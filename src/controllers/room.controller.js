@@ -0,0 +1,272 @@
+const Group = require('../model/group.model')
+const Room = require('../model/room.model')
+const { isValidDateKey } = require('../model/group-session.model')
+const { OPERATING_DAYS, buildRoomOccupancy } = require('../services/room-occupancy.service')
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/
+
+const escapeRegex = value => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+
+const parseCapacity = value => {
+	const capacity = Number(value)
+	if (!Number.isInteger(capacity) || capacity < 1 || capacity > 500) {
+		return null
+	}
+	return capacity
+}
+
+const parseEquipment = value => {
+	if (!Array.isArray(value)) {
+		return null
+	}
+	const equipment = value.map(item => String(item || '').trim()).filter(Boolean)
+	return [...new Set(equipment)]
+}
+
+const handleRoomWriteError = (res, error, label) => {
+	if (error.code === 11000) {
+		return res.status(409).json({ message: 'A room with this name already exists', field: 'name' })
+	}
+	if (error.name === 'ValidationError') {
+		const msg = Object.values(error.errors || {})[0]?.message
+		return res.status(400).json({ message: msg || 'Validation failed' })
+	}
+	console.error(`${label} failed:`, error)
+	return res.status(500).json({ message: 'Internal server error' })
+}
+
+exports.listRooms = async (req, res) => {
+	try {
+		const query = {}
+		if (typeof req.query.isActive !== 'undefined') {
+			query.isActive = String(req.query.isActive) === 'true'
+		}
+		if (req.query.search) {
+			query.name = { $regex: escapeRegex(String(req.query.search).trim()), $options: 'i' }
+		}
+		if (typeof req.query.minCapacity !== 'undefined') {
+			const minCapacity = parseCapacity(req.query.minCapacity)
+			if (!minCapacity) {
+				return res.status(400).json({
+					message: 'minCapacity must be an integer between 1 and 500',
+					field: 'minCapacity',
+				})
+			}
+			query.capacity = { $gte: minCapacity }
+		}
+
+		const rooms = await Room.find(query).sort({ name: 1 })
+
+		return res.status(200).json({
+			page: 1,
+			limit: rooms.length,
+			total: rooms.length,
+			data: rooms,
+		})
+	} catch (error) {
+		console.error('List rooms failed:', error)
+		return res.status(500).json({ message: 'Internal server error' })
+	}
+}
+
+exports.getRoom = async (req, res) => {
+	try {
+		const room = await Room.findById(req.params.roomId)
+		if (!room) {
+			return res.status(404).json({ message: 'Room not found' })
+		}
+
+		const groups = await Group.find({ room: room._id })
+			.select('name status maxStudents schedule startDate endDate')
+			.sort({ name: 1 })
+
+		return res.status(200).json({ room, groups })
+	} catch (error) {
+		console.error('Get room failed:', error)
+		return res.status(500).json({ message: 'Internal server error' })
+	}
+}
+
+exports.createRoom = async (req, res) => {
+	try {
+		const name = String(req.body.name || '').trim()
+		if (!name) {
+			return res.status(400).json({ message: 'name is required', field: 'name' })
+		}
+
+		const capacity = parseCapacity(req.body.capacity)
+		if (!capacity) {
+			return res.status(400).json({
+				message: 'capacity must be an integer between 1 and 500',
+				field: 'capacity',
+			})
+		}
+
+		const payload = { name, capacity, createdBy: req.user?._id }
+		if (typeof req.body.equipment !== 'undefined') {
+			const equipment = parseEquipment(req.body.equipment)
+			if (!equipment) {
+				return res.status(400).json({ message: 'equipment must be an array of strings', field: 'equipment' })
+			}
+			payload.equipment = equipment
+		}
+		if (typeof req.body.note !== 'undefined') {
+			payload.note = String(req.body.note || '').trim()
+		}
+
+		const room = await Room.create(payload)
+
+		return res.status(201).json({ message: 'Room created', room })
+	} catch (error) {
+		return handleRoomWriteError(res, error, 'Create room')
+	}
+}
+
+exports.updateRoom = async (req, res) => {
+	try {
+		const room = await Room.findById(req.params.roomId)
+		if (!room) {
+			return res.status(404).json({ message: 'Room not found' })
+		}
+
+		if (typeof req.body.name !== 'undefined') {
+			const name = String(req.body.name || '').trim()
+			if (!name) {
+				return res.status(400).json({ message: 'name is required', field: 'name' })
+			}
+			room.name = name
+		}
+
+		if (typeof req.body.capacity !== 'undefined') {
+			const capacity = parseCapacity(req.body.capacity)
+			if (!capacity) {
+				return res.status(400).json({
+					message: 'capacity must be an integer between 1 and 500',
+					field: 'capacity',
+				})
+			}
+
+			if (capacity < room.capacity) {
+				const oversizedGroup = await Group.findOne({
+					room: room._id,
+					maxStudents: { $gt: capacity },
+				})
+					.select('name maxStudents')
+					.sort({ maxStudents: -1 })
+				if (oversizedGroup) {
+					return res.status(409).json({
+						message: `Group "${oversizedGroup.name}" allows ${oversizedGroup.maxStudents} students; capacity cannot be lower`,
+						field: 'capacity',
+						code: 'ROOM_CAPACITY_IN_USE',
+					})
+				}
+			}
+			room.capacity = capacity
+		}
+
+		if (typeof req.body.equipment !== 'undefined') {
+			const equipment = parseEquipment(req.body.equipment)
+			if (!equipment) {
+				return res.status(400).json({ message: 'equipment must be an array of strings', field: 'equipment' })
+			}
+			room.equipment = equipment
+		}
+
+		if (typeof req.body.isActive !== 'undefined') {
+			room.isActive = Boolean(req.body.isActive)
+		}
+
+		if (typeof req.body.note !== 'undefined') {
+			room.note = String(req.body.note || '').trim()
+		}
+
+		await room.save()
+
+		return res.status(200).json({ message: 'Room updated', room })
+	} catch (error) {
+		return handleRoomWriteError(res, error, 'Update room')
+	}
+}
+
+exports.deleteRoom = async (req, res) => {
+	try {
+		const room = await Room.findById(req.params.roomId)
+		if (!room) {
+			return res.status(404).json({ message: 'Room not found' })
+		}
+
+		const groupsCount = await Group.countDocuments({ room: room._id })
+		if (groupsCount > 0) {
+			return res.status(409).json({
+				message: `Room is used by ${groupsCount} group(s); reassign them or deactivate the room instead`,
+				code: 'ROOM_IN_USE',
+			})
+		}
+
+		await room.deleteOne()
+
+		return res.status(200).json({ message: 'Room deleted' })
+	} catch (error) {
+		console.error('Delete room failed:', error)
+		return res.status(500).json({ message: 'Internal server error' })
+	}
+}
+
+exports.getRoomOccupancy = async (req, res) => {
+	try {
+		let date = new Date()
+		if (req.query.date) {
+			const dateKey = String(req.query.date).trim()
+			if (!isValidDateKey(dateKey)) {
+				return res.status(400).json({ message: 'date must be in YYYY-MM-DD format', field: 'date' })
+			}
+			// Local noon keeps the date inside the same UTC+5 week.
+			date = new Date(`${dateKey}T07:00:00.000Z`)
+		}
+
+		let minCapacity = null
+		if (typeof req.query.minCapacity !== 'undefined') {
+			minCapacity = parseCapacity(req.query.minCapacity)
+			if (!minCapacity) {
+				return res.status(400).json({
+					message: 'minCapacity must be an integer between 1 and 500',
+					field: 'minCapacity',
+				})
+			}
+		}
+
+		let slot = null
+		const slotParams = ['dayOfWeek', 'startTime', 'durationMinutes']
+		if (slotParams.some(param => typeof req.query[param] !== 'undefined')) {
+			const dayOfWeek = String(req.query.dayOfWeek || '').trim().toLowerCase()
+			const startTime = String(req.query.startTime || '').trim()
+			const durationMinutes = Number(req.query.durationMinutes)
+			if (!OPERATING_DAYS.includes(dayOfWeek)) {
+				return res.status(400).json({
+					message: `dayOfWeek must be one of: ${OPERATING_DAYS.join(', ')}`,
+					field: 'dayOfWeek',
+				})
+			}
+			if (!TIME_PATTERN.test(startTime)) {
+				return res.status(400).json({ message: 'startTime must be in HH:mm format', field: 'startTime' })
+			}
+			if (!Number.isInteger(durationMinutes) || durationMinutes < 30 || durationMinutes > 300) {
+				return res.status(400).json({
+					message: 'durationMinutes must be an integer between 30 and 300',
+					field: 'durationMinutes',
+				})
+			}
+			slot = { dayOfWeek, startTime, durationMinutes }
+		}
+
+		const data = await buildRoomOccupancy({ date, minCapacity, slot })
+
+		return res.status(200).json({
+			total: data.length,
+			data,
+		})
+	} catch (error) {
+		console.error('Get room occupancy failed:', error)
+		return res.status(500).json({ message: 'Internal server error' })
+	}
+}
@@ -0,0 +1,32 @@
+const { LOCAL_TIMEZONE_OFFSET_MS } = require('../model/group-attendance.model')
+const { buildConflictReport } = require('../services/schedule-conflict.service')
+
+exports.listConflicts = async (req, res) => {
+	try {
+		let from = new Date()
+		if (req.query.from) {
+			const fromKey = String(req.query.from).trim()
+			if (!/^\d{4}-\d{2}-\d{2}$/.test(fromKey)) {
+				return res.status(400).json({ message: 'from must be in YYYY-MM-DD format', field: 'from' })
+			}
+			from = new Date(Date.parse(`${fromKey}T00:00:00Z`) - LOCAL_TIMEZONE_OFFSET_MS)
+		}
+
+		const resource = req.query.resource ? String(req.query.resource).trim() : ''
+		if (resource && !['teacher', 'room'].includes(resource)) {
+			return res.status(400).json({ message: 'resource must be teacher or room', field: 'resource' })
+		}
+
+		const conflicts = await buildConflictReport({ from })
+		const data = resource ? conflicts.filter(conflict => conflict.resource === resource) : conflicts
+
+		return res.status(200).json({
+			from,
+			total: data.length,
+			data,
+		})
+	} catch (error) {
+		console.error('List schedule conflicts failed:', error)
+		return res.status(500).json({ message: 'Internal server error' })
+	}
+}
@@ -1,23 +1,50 @@
 const bcrypt = require('bcrypt')
 const mongoose = require('mongoose')
 
-const Group = require('../model/group.model')
 const Student = require('../model/student.model')
-const { resetStudentBalancesIfNeeded } = require('../services/student-balance-reset.service')
 const {
-	generateStudentAccessToken,
-	generateStudentRefreshToken,
-	verifyRefreshToken,
-} = require('../utils/token')
+	buildStudentAttendanceReport,
+	parseAttendanceReportRange,
+} = require('../services/attendance-report.service')
+const {
+	PHONE_PATTERN,
+	createStudentRecord,
+	parseBirthDate,
+	parseGroupIds,
+	syncGroupStudentLinks,
+	toStudentGroupMemberships,
+	validateGroupAssignments,
+} = require('../services/student-enrollment.service')
+const {
+	getClientInfo,
+	listActiveSessions,
+	openSession,
+	revokeAccountSessions,
+	revokeSession,
+	rotateSession,
+} = require('../services/auth-session.service')
+const {
+	requestOtpCode,
+	resetPasswordWithOtp,
+	verifyOtpCode,
+} = require('../services/otp.service')
+const { StudentFaceCredential } = require('../model/student-face-credential.model')
+const { studentFaceIndex } = require('../services/face-index.service')
+const {
+	buildBranchTotals,
+	isCrossBranchUser,
+	resolveBranchFilter,
+	resolveRecordBranch,
+} = require('../services/branch-scope.service')
+const { verifyRefreshToken } = require('../utils/token')
+const { FACE_DESCRIPTOR_LENGTH, parseFaceDescriptor } = require('../utils/face-match')
 
-const PHONE_PATTERN = /^\+?[0-9]{7,15}$/
 const STUDENT_GROUP_STATUSES = ['active', 'paused', 'completed', 'left']
 const BCRYPT_HASH_PATTERN = /^\$2[aby]\$\d{2}\$[./A-Za-z0-9]{53}$/
 
 const sanitizeStudent = studentDocument => {
 	const obj = studentDocument?.toObject ? studentDocument.toObject() : { ...studentDocument }
 	delete obj.password
-	delete obj.balanceResetAt
 	return obj
 }
 
@@ -88,10 +115,11 @@ exports.loginStudent = async (req, res) => {
 			return res.status(401).json({ message: 'Invalid credentials' })
 		}
 
-		const accessToken = generateStudentAccessToken(student)
-		const refreshToken = generateStudentRefreshToken(student)
-		student.refreshToken = refreshToken
-		await student.save({ validateBeforeSave: false })
+		const { accessToken, refreshToken } = await openSession({
+			accountType: 'student',
+			account: student,
+			client: getClientInfo(req),
+		})
 
 		return res.status(200).json({
 			accessToken,
@@ -104,6 +132,79 @@ exports.loginStudent = async (req, res) => {
 	}
 }
 
+exports.requestStudentOtp = async (req, res) => {
+	try {
+		const result = await requestOtpCode({
+			accountType: 'student',
+			phone: req.body.studentPhone || req.body.phone,
+			purpose: req.body.purpose || 'login',
+		})
+		if (result.statusCode) {
+			const { statusCode, ...body } = result
+			return res.status(statusCode).json(body)
+		}
+
+		return res.status(200).json({
+			message: 'If the phone is registered, a code has been sent',
+			...result,
+		})
+	} catch (error) {
+		console.error('Student OTP request failed:', error)
+		return res.status(500).json({ message: 'Internal server error' })
+	}
+}
+
+exports.loginStudentWithOtp = async (req, res) => {
+	try {
+		const result = await verifyOtpCode({
+			accountType: 'student',
+			phone: req.body.studentPhone || req.body.phone,
+			purpose: 'login',
+			code: req.body.code,
+		})
+		if (!result.account) {
+			const { statusCode, ...body } = result
+			return res.status(statusCode).json(body)
+		}
+
+		const student = result.account
+		const { accessToken, refreshToken } = await openSession({
+			accountType: 'student',
+			account: student,
+			client: getClientInfo(req),
+		})
+
+		return res.status(200).json({
+			accessToken,
+			refreshToken,
+			student: sanitizeStudent(student),
+		})
+	} catch (error) {
+		console.error('Student OTP login failed:', error)
+		return res.status(500).json({ message: 'Internal server error' })
+	}
+}
+
+exports.resetStudentPassword = async (req, res) => {
+	try {
+		const result = await resetPasswordWithOtp({
+			accountType: 'student',
+			phone: req.body.studentPhone || req.body.phone,
+			code: req.body.code,
+			password: req.body.password,
+		})
+		if (!result.account) {
+			const { statusCode, ...body } = result
+			return res.status(statusCode).json(body)
+		}
+
+		return res.status(200).json({ message: 'Password has been reset, please log in again' })
+	} catch (error) {
+		console.error('Student password reset failed:', error)
+		return res.status(500).json({ message: 'Internal server error' })
+	}
+}
+
 exports.refreshStudentToken = async (req, res) => {
 	try {
 		const refreshTokenInput = String(req.body.refreshToken || '').trim()
@@ -112,33 +213,31 @@ exports.refreshStudentToken = async (req, res) => {
 		}
 
 		const refreshToken = refreshTokenInput.replace(/^Bearer\s+/i, '').trim()
-		const strictRefreshTokenMatch =
-			String(process.env.STRICT_REFRESH_TOKEN_MATCH || 'false')
-				.trim()
-				.toLowerCase() === 'true'
-
 		const payload = verifyRefreshToken(refreshToken)
 		if (payload.userType !== 'student') {
 			return res.status(401).json({ message: 'Invalid refresh token' })
 		}
 
 		const student = await Student.findById(payload.sub || payload.id).select('+refreshToken')
-		if (!student || !student.refreshToken) {
+		if (!student) {
 			return res.status(401).json({ message: 'Invalid refresh token' })
 		}
 
-		if (strictRefreshTokenMatch && student.refreshToken !== refreshToken) {
-			return res.status(401).json({ message: 'Refresh token mismatch' })
+		const result = await rotateSession({
+			accountType: 'student',
+			account: student,
+			refreshToken,
+			payload,
+			client: getClientInfo(req),
+		})
+		if (!result.accessToken) {
+			const { statusCode, ...body } = result
+			return res.status(statusCode).json(body)
 		}
 
-		const newAccessToken = generateStudentAccessToken(student)
-		const newRefreshToken = generateStudentRefreshToken(student)
-		student.refreshToken = newRefreshToken
-		await student.save({ validateBeforeSave: false })
-
 		return res.status(200).json({
-			accessToken: newAccessToken,
-			refreshToken: newRefreshToken,
+			accessToken: result.accessToken,
+			refreshToken: result.refreshToken,
 		})
 	} catch (error) {
 		console.error('Student refresh token failed:', error)
@@ -146,307 +245,88 @@ exports.refreshStudentToken = async (req, res) => {
 	}
 }
 
-const parseGroupIds = input => {
-	if (typeof input === 'undefined') {
-		return undefined
-	}
-
-	let groups = input
-	if (typeof input === 'string') {
-		try {
-			groups = JSON.parse(input)
-		} catch (error) {
-			groups = [input.trim()]
-		}
-	}
-
-	if (!Array.isArray(groups)) {
-		return null
-	}
-
-	const normalizedIds = []
-	for (const item of groups) {
-		const groupId = String(item || '').trim()
-		if (!groupId || !mongoose.isValidObjectId(groupId)) {
-			return null
+exports.logoutStudent = async (req, res) => {
+	try {
+		if (req.user.sessionId) {
+			await revokeSession({
+				accountType: 'student',
+				accountId: req.student._id,
+				sessionId: req.user.sessionId,
+				reason: 'logout',
+			})
 		}
-		normalizedIds.push(groupId)
-	}
+		await Student.updateOne({ _id: req.student._id }, { $set: { refreshToken: null } })
 
-	const uniqueIds = [...new Set(normalizedIds)]
-	if (uniqueIds.length !== normalizedIds.length) {
-		return null
+		return res.status(200).json({ message: 'Logged out successfully' })
+	} catch (error) {
+		console.error('Student logout failed:', error)
+		return res.status(500).json({ message: 'Internal server error' })
 	}
-
-	return uniqueIds
 }
 
-const toStudentGroupMemberships = groupIds =>
-	groupIds.map(groupId => ({
-		group: groupId,
-		status: 'active',
-	}))
-
-const normalizeObjectIdArray = values => {
-	if (!Array.isArray(values)) {
-		return []
-	}
-
-	const seen = new Set()
-	const normalized = []
-	for (const value of values) {
-		const id = String(value || '').trim()
-		if (!id || !mongoose.isValidObjectId(id) || seen.has(id)) {
-			continue
-		}
-		seen.add(id)
-		normalized.push(new mongoose.Types.ObjectId(id))
+exports.listStudentSessions = async (req, res) => {
+	try {
+		const sessions = await listActiveSessions({
+			accountType: 'student',
+			accountId: req.student._id,
+			currentSessionId: req.user.sessionId,
+		})
+		return res.status(200).json({ sessions })
+	} catch (error) {
+		console.error('List student sessions failed:', error)
+		return res.status(500).json({ message: 'Internal server error' })
 	}
-
-	return normalized
 }
 
-const syncGroupStudentLinks = async ({ studentId, previousGroupIds = [], nextGroupIds = [] }) => {
-	const previousSet = new Set(previousGroupIds.map(groupId => String(groupId)))
-	const nextSet = new Set(nextGroupIds.map(groupId => String(groupId)))
-
-	const groupsToAdd = [...nextSet].filter(groupId => !previousSet.has(groupId))
-	const groupsToRemove = [...previousSet].filter(groupId => !nextSet.has(groupId))
-
-	const normalizedStudentId = String(studentId)
-
-	if (groupsToAdd.length > 0) {
-		const groups = await Group.find({ _id: { $in: groupsToAdd } }).select('_id students')
-		const updates = groups.map(group => {
-			const currentStudents = normalizeObjectIdArray(group.students)
-			if (!currentStudents.some(id => id.toString() === normalizedStudentId)) {
-				currentStudents.push(new mongoose.Types.ObjectId(normalizedStudentId))
-			}
-
-			return {
-				updateOne: {
-					filter: { _id: group._id },
-					update: { $set: { students: currentStudents } },
-				},
-			}
+exports.revokeStudentSession = async (req, res) => {
+	try {
+		const revoked = await revokeSession({
+			accountType: 'student',
+			accountId: req.student._id,
+			sessionId: req.params.sessionId,
 		})
-
-		if (updates.length > 0) {
-			await Group.bulkWrite(updates)
+		if (!revoked) {
+			return res.status(404).json({ message: 'Session not found' })
 		}
-	}
-
-	if (groupsToRemove.length > 0) {
-		const groups = await Group.find({ _id: { $in: groupsToRemove } }).select('_id students')
-		const updates = groups.map(group => {
-			const currentStudents = normalizeObjectIdArray(group.students)
-			const nextStudents = currentStudents.filter(id => id.toString() !== normalizedStudentId)
-
-			return {
-				updateOne: {
-					filter: { _id: group._id },
-					update: { $set: { students: nextStudents } },
-				},
-			}
-		})
 
-		if (updates.length > 0) {
-			await Group.bulkWrite(updates)
-		}
+		return res.status(200).json({ message: 'Session revoked' })
+	} catch (error) {
+		console.error('Revoke student session failed:', error)
+		return res.status(500).json({ message: 'Internal server error' })
 	}
 }
 
-const parseBirthDate = value => {
-	const date = new Date(value)
-	return Number.isNaN(date.getTime()) ? null : date
-}
-
-const runBalanceResetSafely = async () => {
+exports.revokeOtherStudentSessions = async (req, res) => {
 	try {
-		await resetStudentBalancesIfNeeded()
+		const revokedCount = await revokeAccountSessions({
+			accountType: 'student',
+			accountId: req.student._id,
+			exceptSessionId: req.user.sessionId,
+			reason: 'revoked_others',
+		})
+		return res.status(200).json({ message: 'Other sessions revoked', revokedCount })
 	} catch (error) {
-		console.error('Student balance reset check failed:', error)
-	}
-}
-
-const countActiveMembershipsByGroupIds = async (groupIds, { excludeStudentId } = {}) => {
-	if (!Array.isArray(groupIds) || groupIds.length === 0) {
-		return new Map()
-	}
-
-	const objectIds = groupIds.map(groupId => new mongoose.Types.ObjectId(groupId))
-	const matchStage = {
-		groups: {
-			$elemMatch: {
-				group: { $in: objectIds },
-				status: 'active',
-			},
-		},
-	}
-
-	if (excludeStudentId && mongoose.isValidObjectId(excludeStudentId)) {
-		matchStage._id = { $ne: new mongoose.Types.ObjectId(excludeStudentId) }
-	}
-
-	const stats = await Student.aggregate([
-		{
-			$match: matchStage,
-		},
-		{
-			$unwind: '$groups',
-		},
-		{
-			$match: {
-				'groups.group': { $in: objectIds },
-				'groups.status': 'active',
-			},
-		},
-		{
-			$group: {
-				_id: '$groups.group',
-				studentsCount: { $sum: 1 },
-			},
-		},
-	])
-
-	const countsMap = new Map()
-	for (const item of stats) {
-		countsMap.set(item._id.toString(), item.studentsCount)
-	}
-
-	return countsMap
-}
-
-const validateGroupAssignments = async (groupIds, { excludeStudentId } = {}) => {
-	if (!Array.isArray(groupIds) || groupIds.length === 0) {
-		return null
-	}
-
-	const groupDocs = await Group.find({ _id: { $in: groupIds } }).select('_id status maxStudents')
-
-	if (groupDocs.length !== groupIds.length) {
-		const found = new Set(groupDocs.map(group => group._id.toString()))
-		const missing = groupIds.filter(groupId => !found.has(groupId))
-		return {
-			statusCode: 400,
-			message: `One or more groups were not found: ${missing.join(', ')}`,
-		}
-	}
-
-	const groupsById = new Map(groupDocs.map(group => [group._id.toString(), group]))
-	const activeGroupIds = [...new Set(groupIds.map(groupId => String(groupId)))]
-
-	for (const activeGroupId of activeGroupIds) {
-		const linkedGroup = groupsById.get(activeGroupId)
-		if (linkedGroup && ['completed', 'archived'].includes(linkedGroup.status)) {
-			return {
-				statusCode: 400,
-				message: 'Cannot attach an active student membership to completed or archived groups',
-			}
-		}
-	}
-
-	const activeCounts = await countActiveMembershipsByGroupIds(activeGroupIds, {
-		excludeStudentId,
-	})
-
-	for (const activeGroupId of activeGroupIds) {
-		const linkedGroup = groupsById.get(activeGroupId)
-		const currentActiveCount = activeCounts.get(activeGroupId) || 0
-		if (linkedGroup && currentActiveCount >= linkedGroup.maxStudents) {
-			return {
-				statusCode: 409,
-				message: `Group ${activeGroupId} has reached maxStudents limit`,
-			}
-		}
+		console.error('Revoke other student sessions failed:', error)
+		return res.status(500).json({ message: 'Internal server error' })
 	}
-
-	return null
 }
 
 exports.createStudent = async (req, res) => {
 	try {
-		await runBalanceResetSafely()
-
-		const fullname = String(req.body.fullname || '').trim()
-		const studentPhone = String(req.body.studentPhone || '').trim()
-		const parentPhone = String(req.body.parentPhone || '').trim()
-		const gender = String(req.body.gender || '')
-			.trim()
-			.toLowerCase()
-		const password = req.body.password
-		const note = req.body.note ? String(req.body.note).trim() : undefined
-		const groups = parseGroupIds(req.body.groups)
-		const birthDate = parseBirthDate(req.body.birthDate)
-
-		if (!fullname || !studentPhone || !parentPhone || !gender || !birthDate || !password) {
-			return res.status(400).json({
-				message:
-					'fullname, studentPhone, parentPhone, gender, birthDate and password are required',
-			})
-		}
-
-		if (!['male', 'female'].includes(gender)) {
-			return res.status(400).json({ message: 'Gender must be male or female' })
-		}
-
-		if (!PHONE_PATTERN.test(studentPhone) || !PHONE_PATTERN.test(parentPhone)) {
-			return res.status(400).json({ message: 'Phone must contain 7-15 digits' })
-		}
-
-		if (password.length < 8) {
-			return res.status(400).json({ message: 'Password must be at least 8 characters' })
-		}
-
-		if (typeof req.body.groups !== 'undefined' && !groups) {
-			return res.status(400).json({
-				message: 'groups must be an array of group ObjectId strings',
-			})
-		}
-
-		if (groups) {
-			const groupValidation = await validateGroupAssignments(groups)
-			if (groupValidation) {
-				return res.status(groupValidation.statusCode).json({ message: groupValidation.message })
-			}
-		}
-
-		const existingStudent = await Student.findOne({ studentPhone })
-		if (existingStudent) {
-			return res.status(409).json({
-				message: 'Student with this phone number already exists',
-			})
-		}
-
-		const hashedPassword = await bcrypt.hash(password, 12)
-		const studentPayload = {
-			fullname,
-			studentPhone,
-			parentPhone,
-			gender,
-			birthDate,
-			note,
-			password: hashedPassword,
+		const branchResult = await resolveRecordBranch(req, req.body.branch)
+		if (branchResult.statusCode) {
+			const { statusCode, ...body } = branchResult
+			return res.status(statusCode).json(body)
 		}
 
-		if (groups) {
-			studentPayload.groups = toStudentGroupMemberships(groups)
-		}
-
-		const student = await Student.create(studentPayload)
-		if (groups && groups.length > 0) {
-			await syncGroupStudentLinks({
-				studentId: student._id,
-				previousGroupIds: [],
-				nextGroupIds: groups,
-			}).catch(syncError => {
-				console.error('Create student group sync failed:', syncError)
-			})
+		const result = await createStudentRecord({ ...req.body, branch: branchResult.branch })
+		if (!result.student) {
+			return res.status(result.statusCode).json({ message: result.message })
 		}
 
 		return res.status(201).json({
 			message: 'Student created successfully',
-			student,
+			student: result.student,
 		})
 	} catch (error) {
 		if (error.code === 11000) {
@@ -469,8 +349,6 @@ exports.createStudent = async (req, res) => {
 
 exports.getStudents = async (req, res) => {
 	try {
-		await runBalanceResetSafely()
-
 		const limit = Math.min(Math.max(Number(req.query.limit) || 20, 1), 100)
 		const page = Math.max(Number(req.query.page) || 1, 1)
 		const skip = (page - 1) * limit
@@ -485,21 +363,37 @@ exports.getStudents = async (req, res) => {
 			]
 		}
 
-		const [students, total] = await Promise.all([
+		const branchScope = resolveBranchFilter(req)
+		if (branchScope.statusCode) {
+			const { statusCode, ...body } = branchScope
+			return res.status(statusCode).json(body)
+		}
+		if (branchScope.filter) {
+			query.branch = branchScope.filter
+		}
+
+		const [students, total, branchTotals] = await Promise.all([
 			Student.find(query)
 				.sort({ createdAt: -1 })
 				.skip(skip)
 				.limit(limit)
-				.populate('groups.group', 'name course courseRef lessons groupType level status'),
+				.populate('groups.group', 'name course courseRef lessons groupType level status')
+				.populate('branch', 'name'),
 			Student.countDocuments(query),
+			isCrossBranchUser(req) ? buildBranchTotals(Student, query) : null,
 		])
 
-		return res.status(200).json({
+		const response = {
 			page,
 			limit,
 			total,
 			data: students,
-		})
+		}
+		if (branchTotals) {
+			response.branchTotals = branchTotals
+		}
+
+		return res.status(200).json(response)
 	} catch (error) {
 		console.error('Get students failed:', error)
 		return res.status(500).json({ message: 'Internal server error' })
@@ -508,8 +402,6 @@ exports.getStudents = async (req, res) => {
 
 exports.getStudentById = async (req, res) => {
 	try {
-		await runBalanceResetSafely()
-
 		const studentId = req.params.studentId
 		if (!mongoose.isValidObjectId(studentId)) {
 			return res.status(400).json({ message: 'Invalid student id' })
@@ -532,8 +424,6 @@ exports.getStudentById = async (req, res) => {
 
 exports.getStudentGroups = async (req, res) => {
 	try {
-		await runBalanceResetSafely()
-
 		const studentId = req.params.studentId
 		if (!mongoose.isValidObjectId(studentId)) {
 			return res.status(400).json({ message: 'Invalid student id' })
@@ -583,10 +473,38 @@ exports.getStudentGroups = async (req, res) => {
 	}
 }
 
-exports.rewardStudentCoins = async (req, res) => {
+exports.getStudentAttendance = async (req, res) => {
 	try {
-		await runBalanceResetSafely()
+		const studentId = req.params.studentId
+		if (!mongoose.isValidObjectId(studentId)) {
+			return res.status(400).json({ message: 'Invalid student id' })
+		}
+
+		const range = parseAttendanceReportRange(req.query)
+		if (range.error) {
+			return res.status(400).json({ message: range.error, field: range.field })
+		}
+
+		const student = await Student.findById(studentId).select('_id fullname')
+		if (!student) {
+			return res.status(404).json({ message: 'Student not found' })
+		}
+
+		const report = await buildStudentAttendanceReport({ studentId: student._id, ...range })
 
+		return res.status(200).json({
+			studentId: student._id,
+			fullname: student.fullname,
+			...report,
+		})
+	} catch (error) {
+		console.error('Get student attendance failed:', error)
+		return res.status(500).json({ message: 'Internal server error' })
+	}
+}
+
+exports.rewardStudentCoins = async (req, res) => {
+	try {
 		const studentId = req.params.studentId
 		if (!mongoose.isValidObjectId(studentId)) {
 			return res.status(400).json({ message: 'Invalid student id' })
@@ -632,8 +550,6 @@ exports.rewardStudentCoins = async (req, res) => {
 
 exports.updateStudent = async (req, res) => {
 	try {
-		await runBalanceResetSafely()
-
 		const studentId = req.params.studentId
 		if (!mongoose.isValidObjectId(studentId)) {
 			return res.status(400).json({ message: 'Invalid student id' })
@@ -687,12 +603,20 @@ exports.updateStudent = async (req, res) => {
 			updatePayload.note = req.body.note ? String(req.body.note).trim() : ''
 		}
 
-		if (typeof req.body.balance !== 'undefined') {
-			const balance = Number(req.body.balance)
-			if (!Number.isFinite(balance) || balance < 0) {
-				return res.status(400).json({ message: 'balance must be a non-negative number' })
+		if (typeof req.body.branch !== 'undefined') {
+			const branchResult = await resolveRecordBranch(req, req.body.branch)
+			if (branchResult.statusCode) {
+				const { statusCode, ...body } = branchResult
+				return res.status(statusCode).json(body)
 			}
-			updatePayload.balance = balance
+			updatePayload.branch = branchResult.branch
+		}
+
+		if (typeof req.body.balance !== 'undefined') {
+			return res.status(400).json({
+				message: 'balance is derived from the finance ledger; record a payment or charge instead',
+				field: 'balance',
+			})
 		}
 
 		if (typeof req.body.coinBalance !== 'undefined') {
@@ -782,10 +706,68 @@ exports.updateStudent = async (req, res) => {
 	}
 }
 
-exports.deleteStudent = async (req, res) => {
+exports.enrollStudentFace = async (req, res) => {
+	try {
+		const descriptor = parseFaceDescriptor(req.body.descriptor)
+		if (!descriptor) {
+			return res.status(400).json({
+				message: `descriptor must be an array with exactly ${FACE_DESCRIPTOR_LENGTH} numeric values`,
+			})
+		}
+
+		const student = await Student.findById(req.params.studentId)
+		if (!student) {
+			return res.status(404).json({ message: 'Student not found' })
+		}
+
+		const credential = await StudentFaceCredential.findOneAndUpdate(
+			{ student: student._id },
+			{ $set: { descriptor, enrolledBy: req.user?.id || null } },
+			{ upsert: true, new: true, setDefaultsOnInsert: true, runValidators: true },
+		)
+		student.faceIdEnabled = true
+		await student.save({ validateBeforeSave: false })
+		studentFaceIndex.upsert(student._id, descriptor, credential?.updatedAt)
+
+		return res.status(200).json({
+			message: 'Student Face ID registered successfully',
+			student: sanitizeStudent(student),
+		})
+	} catch (error) {
+		if (error.name === 'ValidationError') {
+			const firstErrorMessage = Object.values(error.errors || {})[0]?.message
+			return res.status(400).json({ message: firstErrorMessage || 'Validation failed' })
+		}
+
+		console.error('Enroll student Face ID failed:', error)
+		return res.status(500).json({ message: 'Internal server error' })
+	}
+}
+
+exports.removeStudentFace = async (req, res) => {
 	try {
-		await runBalanceResetSafely()
+		const student = await Student.findById(req.params.studentId)
+		if (!student) {
+			return res.status(404).json({ message: 'Student not found' })
+		}
+
+		await StudentFaceCredential.deleteOne({ student: student._id })
+		studentFaceIndex.remove(student._id)
+		student.faceIdEnabled = false
+		await student.save({ validateBeforeSave: false })
+
+		return res.status(200).json({
+			message: 'Student Face ID removed successfully',
+			student: sanitizeStudent(student),
+		})
+	} catch (error) {
+		console.error('Remove student Face ID failed:', error)
+		return res.status(500).json({ message: 'Internal server error' })
+	}
+}
 
+exports.deleteStudent = async (req, res) => {
+	try {
 		const studentId = req.params.studentId
 		if (!mongoose.isValidObjectId(studentId)) {
 			return res.status(400).json({ message: 'Invalid student id' })
@@ -796,6 +778,9 @@ exports.deleteStudent = async (req, res) => {
 			return res.status(404).json({ message: 'Student not found' })
 		}
 
+		await StudentFaceCredential.deleteOne({ student: deletedStudent._id })
+		studentFaceIndex.remove(deletedStudent._id)
+
 		const previousGroupIds = (deletedStudent.groups || []).map(groupItem =>
 			groupItem.group.toString(),
 		)
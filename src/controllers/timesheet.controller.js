@@ -0,0 +1,132 @@
+const mongoose = require('mongoose')
+
+const { resolveBranchFilter } = require('../services/branch-scope.service')
+const { issueFaceChallenge } = require('../services/face-challenge.service')
+const { getFaceLoginClient } = require('../services/face-login-audit.service')
+const { toAttendanceDateKey } = require('../model/group-attendance.model')
+const { buildMonthlyTimesheets, recordTimesheetEvent } = require('../services/timesheet.service')
+const { parseFaceFrames, FACE_DESCRIPTOR_LENGTH } = require('../utils/face-match')
+
+const MONTH_PATTERN = /^\d{4}-(0[1-9]|1[0-2])$/
+
+// Defaults to the current local (UTC+5) month.
+const parseMonth = value => {
+	if (typeof value === 'undefined' || value === '') {
+		return toAttendanceDateKey(new Date()).slice(0, 7)
+	}
+	const month = String(value).trim()
+	return MONTH_PATTERN.test(month) ? month : null
+}
+
+const recordEventForRequest = async (req, res, type) => {
+	const frames = parseFaceFrames(req.body.frames)
+	if (!frames) {
+		return res.status(400).json({
+			message: `frames must be an array of descriptors with exactly ${FACE_DESCRIPTOR_LENGTH} numeric values each`,
+			field: 'frames',
+		})
+	}
+
+	const result = await recordTimesheetEvent({
+		employeeId: req.user.id,
+		type,
+		nonce: req.body.nonce,
+		frames,
+		location: req.body.location,
+		client: getFaceLoginClient(req),
+	})
+	if (!result.event) {
+		const { statusCode, ...body } = result
+		return res.status(statusCode).json(body)
+	}
+
+	return res.status(201).json({
+		message: type === 'check_in' ? 'Checked in' : 'Checked out',
+		event: result.event,
+	})
+}
+
+exports.requestCheckChallenge = async (req, res) => {
+	try {
+		const challenge = await issueFaceChallenge({
+			client: getFaceLoginClient(req),
+			purpose: 'attendance',
+		})
+		return res.status(201).json(challenge)
+	} catch (error) {
+		console.error('Timesheet challenge failed:', error)
+		return res.status(500).json({ message: 'Internal server error' })
+	}
+}
+
+exports.checkIn = async (req, res) => {
+	try {
+		return await recordEventForRequest(req, res, 'check_in')
+	} catch (error) {
+		console.error('Timesheet check-in failed:', error)
+		return res.status(500).json({ message: 'Internal server error' })
+	}
+}
+
+exports.checkOut = async (req, res) => {
+	try {
+		return await recordEventForRequest(req, res, 'check_out')
+	} catch (error) {
+		console.error('Timesheet check-out failed:', error)
+		return res.status(500).json({ message: 'Internal server error' })
+	}
+}
+
+exports.getMyTimesheet = async (req, res) => {
+	try {
+		const month = parseMonth(req.query.month)
+		if (!month) {
+			return res.status(400).json({ message: 'month must be in YYYY-MM format', field: 'month' })
+		}
+
+		const { timesheets, ...report } = await buildMonthlyTimesheets({ month, employeeId: req.user.id })
+		if (timesheets.length === 0) {
+			return res.status(404).json({ message: 'User not found' })
+		}
+
+		return res.status(200).json({ ...report, data: timesheets[0] })
+	} catch (error) {
+		console.error('Get own timesheet failed:', error)
+		return res.status(500).json({ message: 'Internal server error' })
+	}
+}
+
+exports.listTimesheets = async (req, res) => {
+	try {
+		const month = parseMonth(req.query.month)
+		if (!month) {
+			return res.status(400).json({ message: 'month must be in YYYY-MM format', field: 'month' })
+		}
+
+		const employeeId = req.query.employeeId ? String(req.query.employeeId).trim() : null
+		if (employeeId && !mongoose.isValidObjectId(employeeId)) {
+			return res.status(400).json({ message: 'Invalid employee id', field: 'employeeId' })
+		}
+
+		const branchScope = resolveBranchFilter(req)
+		if (branchScope.statusCode) {
+			const { statusCode, ...body } = branchScope
+			return res.status(statusCode).json(body)
+		}
+
+		const { timesheets, ...report } = await buildMonthlyTimesheets({
+			month,
+			employeeId,
+			branchFilter: branchScope.filter,
+		})
+
+		return res.status(200).json({
+			...report,
+			total: timesheets.length,
+			data: timesheets,
+		})
+	} catch (error) {
+		console.error('List timesheets failed:', error)
+		return res.status(500).json({ message: 'Internal server error' })
+	}
+}
@@ -0,0 +1,27 @@
+/**
+ * Audit middleware.
+ * Runs every write request (POST, PUT, PATCH, DELETE) with an audit trail and,
+ * once the response has been sent, stores what the request changed. Requests
+ * answered with an error status are logged too when they wrote something
+ * (e.g. a compensating delete after a failed step); the others leave no entry.
+ */
+
+const { createAuditTrail, runWithAuditTrail } = require('../utils/audit-trail')
+const { recordAuditTrail } = require('../services/audit-log.service')
+
+const WRITE_METHODS = new Set(['POST', 'PUT', 'PATCH', 'DELETE'])
+
+const auditWriteRequests = (req, res, next) => {
+	if (!WRITE_METHODS.has(req.method)) {
+		return next()
+	}
+
+	const trail = createAuditTrail()
+	res.on('finish', () => {
+		recordAuditTrail({ trail, req, statusCode: res.statusCode })
+	})
+
+	return runWithAuditTrail(trail, next)
+}
+
+module.exports = auditWriteRequests
@@ -2,7 +2,9 @@ const fs = require('fs')
 
 const User = require('../model/user.model')
 const Student = require('../model/student.model')
+const Parent = require('../model/parent.model')
 const Role = require('../models/Role.model')
+const { AuthSession } = require('../model/auth-session.model')
 const { verifyAccessToken } = require('../utils/token')
 
 const ROLE_CACHE_TTL_MS = 60 * 1000
@@ -84,9 +86,25 @@ const buildRequestIdentity = payload => {
 		_id: id,
 		role: String(payload.role || '').trim(),
 		userType: String(payload.userType || '').trim(),
+		sessionId: payload.sid ? String(payload.sid) : null,
 	}
 }
 
+// Access tokens from before sessions existed have no sid and stay valid until
+// they expire; the rest stop working as soon as their session is revoked.
+const isSessionActive = async identity => {
+	if (!identity.sessionId) {
+		return true
+	}
+
+	const session = await AuthSession.exists({
+		_id: identity.sessionId,
+		revokedAt: null,
+		expiresAt: { $gt: new Date() },
+	})
+	return Boolean(session)
+}
+
 const invalidateRolePermissionsCache = () => {
 	rolePermissionCache = new Map()
 	rolePermissionCacheExpiresAt = 0
@@ -130,7 +148,12 @@ const verifyToken = async (req, res, next) => {
 		}
 
 		const payload = verifyAccessToken(token)
-		req.user = buildRequestIdentity(payload)
+		const identity = buildRequestIdentity(payload)
+		if (!(await isSessionActive(identity))) {
+			return authError(res, 'Session has been revoked', 'SESSION_REVOKED')
+		}
+
+		req.user = identity
 		return next()
 	} catch (error) {
 		return authError(res, 'Invalid or expired access token')
@@ -178,6 +201,26 @@ const requireStudentAuth = async (req, res, next) => {
 	})
 }
 
+const requireParentAuth = async (req, res, next) => {
+	return verifyToken(req, res, async () => {
+		try {
+			if (req.user.userType !== 'parent') {
+				return authError(res, 'Invalid parent token')
+			}
+
+			const parent = await Parent.findById(req.user.id)
+			if (!parent || !parent.isActive) {
+				return authError(res, 'Invalid token parent')
+			}
+
+			req.parent = parent
+			return next()
+		} catch (error) {
+			return authError(res, 'Invalid or expired access token')
+		}
+	})
+}
+
 const requireAnyAuth = async (req, res, next) => {
 	return verifyToken(req, res, async () => {
 		try {
@@ -336,6 +379,10 @@ const requireRegisterPermission = (req, res, next) => {
 				removeUploadedFileIfAny(req)
 				return authError(res, 'Invalid token user')
 			}
+			if (!(await isSessionActive(identity))) {
+				removeUploadedFileIfAny(req)
+				return authError(res, 'Session has been revoked', 'SESSION_REVOKED')
+			}
 
 			const user = await User.findById(identity.id).select('+refreshToken')
 			if (!user) {
@@ -372,6 +419,7 @@ module.exports = {
 	verifyToken,
 	requireAuth,
 	requireStudentAuth,
+	requireParentAuth,
 	requireAnyAuth,
 	allowRoles,
 	allowPermissions,
@@ -0,0 +1,51 @@
+/**
+ * Branch access middleware.
+ * Exports requireBranchAccess(...paramNames) to keep single-record endpoints
+ * in the caller's branches, like the list endpoints (see
+ * services/branch-scope.service). Each named route param is looked up in its
+ * model and an employee outside the record's branch gets 403 BRANCH_FORBIDDEN.
+ * Unassigned records, missing records (left to the controller's 404) and
+ * student or parent tokens pass through.
+ */
+
+const Group = require('../model/group.model')
+const Student = require('../model/student.model')
+const { Lead } = require('../model/lead.model')
+const { FinancialEvent } = require('../models/FinancialEvent.model')
+const AppError = require('../utils/AppError')
+const { canAccessBranch } = require('../services/branch-scope.service')
+
+const BRANCH_MODELS = {
+	groupId: Group,
+	studentId: Student,
+	leadId: Lead,
+	transactionId: FinancialEvent,
+}
+
+const requireBranchAccess = (...paramNames) => {
+	for (const field of paramNames) {
+		if (!BRANCH_MODELS[field]) {
+			throw new Error(`No branch model for route param "${field}"`)
+		}
+	}
+
+	return async (req, res, next) => {
+		if (req.user?.userType !== 'employee') {
+			return next()
+		}
+
+		try {
+			for (const field of paramNames) {
+				const record = await BRANCH_MODELS[field].findById(req.params[field]).select('branch').lean()
+				if (record?.branch && !canAccessBranch(req, record.branch)) {
+					return next(new AppError('You do not have access to this branch', 'BRANCH_FORBIDDEN', 403, field))
+				}
+			}
+			return next()
+		} catch (error) {
+			return next(error)
+		}
+	}
+}
+
+module.exports = requireBranchAccess
@@ -13,6 +13,7 @@ const STATUS_DEFAULT_CODES = {
 	405: 'METHOD_NOT_ALLOWED',
 	409: 'CONFLICT',
 	422: 'UNPROCESSABLE_ENTITY',
+	429: 'TOO_MANY_REQUESTS',
 	500: 'INTERNAL_SERVER_ERROR',
 }
 
@@ -0,0 +1,61 @@
+/**
+ * In-memory rate limiting middleware factory.
+ * Exports rateLimit({ windowMs, max, keyGenerator, message }) using a fixed
+ * window per key (client IP by default). Counters live in process memory, so
+ * limits apply per server instance.
+ */
+
+const AppError = require('../utils/AppError')
+
+const PRUNE_THRESHOLD = 1000
+
+const rateLimit = ({
+	windowMs,
+	max,
+	keyGenerator = req => req.ip || req.socket?.remoteAddress || 'unknown',
+	message = 'Too many requests, please try again later',
+}) => {
+	const hits = new Map()
+
+	const pruneExpired = now => {
+		for (const [key, entry] of hits) {
+			if (entry.resetAt <= now) {
+				hits.delete(key)
+			}
+		}
+	}
+
+	const middleware = (req, res, next) => {
+		const now = Date.now()
+		if (hits.size >= PRUNE_THRESHOLD) {
+			pruneExpired(now)
+		}
+
+		const key = String(keyGenerator(req))
+		let entry = hits.get(key)
+		if (!entry || entry.resetAt <= now) {
+			entry = { count: 0, resetAt: now + windowMs }
+			hits.set(key, entry)
+		}
+		entry.count += 1
+
+		const retryAfterSeconds = Math.ceil((entry.resetAt - now) / 1000)
+		res.setHeader('RateLimit-Limit', String(max))
+		res.setHeader('RateLimit-Remaining', String(Math.max(max - entry.count, 0)))
+		res.setHeader('RateLimit-Reset', String(retryAfterSeconds))
+
+		if (entry.count > max) {
+			res.setHeader('Retry-After', String(retryAfterSeconds))
+			return next(new AppError(message, 'RATE_LIMITED', 429))
+		}
+
+		return next()
+	}
+
+	// Exposed for tests and manual resets.
+	middleware.reset = () => hits.clear()
+
+	return middleware
+}
+
+module.exports = rateLimit
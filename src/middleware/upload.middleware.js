@@ -1,3 +1,4 @@
+const { AsyncResource } = require('async_hooks')
 const multer = require('multer')
 const fs = require('fs')
 const path = require('path')
@@ -143,8 +144,10 @@ const homeworkUpload = multer({
 	fileFilter: homeworkFileFilter,
 })
 
+// Multer calls back from the request stream; binding the callback keeps the
+// request's async context (the audit trail) for the handlers that follow.
 const uploadAvatar = (req, res, next) => {
-	avatarUpload.single('avatar')(req, res, error => {
+	avatarUpload.single('avatar')(req, res, AsyncResource.bind(error => {
 		if (!error) {
 			return next()
 		}
@@ -157,11 +160,11 @@ const uploadAvatar = (req, res, next) => {
 		}
 
 		return res.status(400).json({ message: error.message })
-	})
+	}))
 }
 
 const uploadLessonDocument = (req, res, next) => {
-	lessonDocumentUpload.single('document')(req, res, error => {
+	lessonDocumentUpload.single('document')(req, res, AsyncResource.bind(error => {
 		if (!error) {
 			return next()
 		}
@@ -176,11 +179,11 @@ const uploadLessonDocument = (req, res, next) => {
 		}
 
 		return res.status(400).json({ message: error.message })
-	})
+	}))
 }
 
 const uploadHomeworkAttachment = (req, res, next) => {
-	homeworkUpload.single('document')(req, res, error => {
+	homeworkUpload.single('document')(req, res, AsyncResource.bind(error => {
 		if (!error) {
 			return next()
 		}
@@ -195,7 +198,7 @@ const uploadHomeworkAttachment = (req, res, next) => {
 		}
 
 		return res.status(400).json({ message: error.message })
-	})
+	}))
 }
 
 module.exports = {
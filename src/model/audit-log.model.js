@@ -0,0 +1,104 @@
+const mongoose = require('mongoose')
+
+const AUDIT_ACTIONS = ['create', 'update', 'delete']
+const AUDIT_ACTOR_TYPES = ['employee', 'student', 'parent', 'anonymous']
+
+const auditChangeSchema = new mongoose.Schema(
+	{
+		path: {
+			type: String,
+			required: true,
+		},
+		before: {
+			type: mongoose.Schema.Types.Mixed,
+			default: null,
+		},
+		after: {
+			type: mongoose.Schema.Types.Mixed,
+			default: null,
+		},
+	},
+	{ _id: false },
+)
+
+const auditLogSchema = new mongoose.Schema(
+	{
+		// Entries written for the same HTTP request share it.
+		requestId: {
+			type: String,
+			required: true,
+		},
+		actor: {
+			type: mongoose.Schema.Types.ObjectId,
+			refPath: 'actorModel',
+			default: null,
+		},
+		actorModel: {
+			type: String,
+			enum: ['User', 'Student', 'Parent'],
+			default: null,
+		},
+		actorType: {
+			type: String,
+			enum: AUDIT_ACTOR_TYPES,
+			required: true,
+		},
+		actorRole: {
+			type: String,
+			trim: true,
+			default: '',
+		},
+		action: {
+			type: String,
+			enum: AUDIT_ACTIONS,
+			required: true,
+		},
+		entityType: {
+			type: String,
+			required: true,
+		},
+		entityId: {
+			type: mongoose.Schema.Types.ObjectId,
+			required: true,
+		},
+		changes: {
+			type: [auditChangeSchema],
+			default: [],
+		},
+		method: {
+			type: String,
+			required: true,
+		},
+		path: {
+			type: String,
+			required: true,
+		},
+		statusCode: {
+			type: Number,
+			required: true,
+		},
+		ip: {
+			type: String,
+			trim: true,
+			default: '',
+		},
+		userAgent: {
+			type: String,
+			trim: true,
+			maxlength: 500,
+			default: '',
+		},
+	},
+	{ timestamps: { createdAt: true, updatedAt: false } },
+)
+
+auditLogSchema.index({ createdAt: -1 })
+auditLogSchema.index({ entityType: 1, entityId: 1, createdAt: -1 })
+auditLogSchema.index({ actor: 1, createdAt: -1 })
+auditLogSchema.index({ requestId: 1 })
+
+module.exports = {
+	AuditLog: mongoose.model('AuditLog', auditLogSchema),
+	AUDIT_ACTIONS,
+	AUDIT_ACTOR_TYPES,
+}
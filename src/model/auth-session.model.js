@@ -0,0 +1,71 @@
+const mongoose = require('mongoose')
+
+const SESSION_ACCOUNT_TYPES = ['employee', 'student', 'parent']
+const SESSION_REVOKE_REASONS = ['logout', 'revoked', 'revoked_others', 'reuse_detected', 'password_reset']
+
+// One document per logged-in device. Only the hash of the current refresh
+// token is kept; presenting any older token of the session revokes it.
+const authSessionSchema = new mongoose.Schema(
+	{
+		accountType: {
+			type: String,
+			enum: SESSION_ACCOUNT_TYPES,
+			required: true,
+		},
+		account: {
+			type: mongoose.Schema.Types.ObjectId,
+			required: true,
+		},
+		tokenHash: {
+			type: String,
+			required: true,
+			select: false,
+		},
+		userAgent: {
+			type: String,
+			trim: true,
+			maxlength: 500,
+			default: '',
+		},
+		ip: {
+			type: String,
+			trim: true,
+			default: '',
+		},
+		lastUsedAt: {
+			type: Date,
+			default: Date.now,
+		},
+		expiresAt: {
+			type: Date,
+			required: true,
+		},
+		revokedAt: {
+			type: Date,
+			default: null,
+		},
+		revokedReason: {
+			type: String,
+			enum: [...SESSION_REVOKE_REASONS, null],
+			default: null,
+		},
+	},
+	{ timestamps: true },
+)
+
+authSessionSchema.index({ accountType: 1, account: 1, revokedAt: 1 })
+authSessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 })
+
+const hideTokenHash = (doc, ret) => {
+	delete ret.tokenHash
+	return ret
+}
+
+authSessionSchema.set('toJSON', { transform: hideTokenHash })
+authSessionSchema.set('toObject', { transform: hideTokenHash })
+
+module.exports = {
+	AuthSession: mongoose.model('AuthSession', authSessionSchema),
+	SESSION_ACCOUNT_TYPES,
+	SESSION_REVOKE_REASONS,
+}
@@ -0,0 +1,75 @@
+const mongoose = require('mongoose')
+const { auditTrailPlugin } = require('../utils/audit-trail')
+
+const branchLocationSchema = new mongoose.Schema(
+	{
+		type: {
+			type: String,
+			enum: ['Point'],
+			required: true,
+		},
+		coordinates: {
+			type: [Number],
+			required: true,
+			validate: {
+				validator: value =>
+					Array.isArray(value) &&
+					value.length === 2 &&
+					Number.isFinite(value[0]) &&
+					Number.isFinite(value[1]) &&
+					value[0] >= -180 &&
+					value[0] <= 180 &&
+					value[1] >= -90 &&
+					value[1] <= 90,
+				message: 'Location coordinates must be [longitude, latitude] with valid ranges',
+			},
+		},
+	},
+	{ _id: false },
+)
+
+const branchSchema = new mongoose.Schema(
+	{
+		name: {
+			type: String,
+			required: true,
+			trim: true,
+			minlength: 2,
+			maxlength: 120,
+		},
+		address: {
+			type: String,
+			trim: true,
+			maxlength: 300,
+		},
+		phone: {
+			type: String,
+			trim: true,
+			match: [/^\+?[0-9]{7,15}$/, 'Phone must contain 7-15 digits'],
+		},
+		// Where employees of the branch check in (see timesheets).
+		location: {
+			type: branchLocationSchema,
+			default: undefined,
+		},
+		isActive: {
+			type: Boolean,
+			default: true,
+		},
+		createdBy: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: 'User',
+			default: null,
+		},
+	},
+	{ timestamps: true },
+)
+
+// Branch names are unique regardless of case, like room names.
+branchSchema.index({ name: 1 }, { unique: true, collation: { locale: 'en', strength: 2 } })
+
+branchSchema.plugin(auditTrailPlugin)
+
+module.exports = {
+	Branch: mongoose.model('Branch', branchSchema),
+}
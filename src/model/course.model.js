@@ -1,4 +1,5 @@
 const mongoose = require('mongoose')
+const { auditTrailPlugin } = require('../utils/audit-trail')
 
 const courseSchema = new mongoose.Schema(
 	{
@@ -61,4 +62,6 @@ const courseSchema = new mongoose.Schema(
 	{ timestamps: true },
 )
 
+courseSchema.plugin(auditTrailPlugin)
+
 module.exports = mongoose.model('Course', courseSchema)
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose')
+const { auditTrailPlugin } = require('../utils/audit-trail')
 
 const employeeViolationSchema = new mongoose.Schema(
 	{
@@ -32,4 +33,6 @@ const employeeViolationSchema = new mongoose.Schema(
 	{ timestamps: true },
 )
 
+employeeViolationSchema.plugin(auditTrailPlugin)
+
 module.exports = mongoose.model('EmployeeViolation', employeeViolationSchema)
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose')
+const { auditTrailPlugin } = require('../utils/audit-trail')
 
 // ─── SCHEDULING CONSTANTS ─────────────────────────────────────────────────────
 
@@ -193,6 +194,8 @@ extraLessonSchema.index({ status: 1, scheduledAt: 1 })
 // Index for student "my lessons" queries.
 extraLessonSchema.index({ 'students.student': 1, scheduledAt: 1 })
 
+extraLessonSchema.plugin(auditTrailPlugin)
+
 const ExtraLesson = mongoose.model('ExtraLesson', extraLessonSchema)
 
 module.exports = {
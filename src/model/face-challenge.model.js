@@ -0,0 +1,63 @@
+const mongoose = require('mongoose')
+
+const FACE_CHALLENGE_PURPOSES = ['login', 'attendance', 'kiosk']
+const FACE_CHALLENGE_ACTIONS = ['turn_left', 'turn_right', 'blink', 'nod', 'smile']
+
+// The nonce itself is only returned to the client; the server keeps its hash.
+// frames are filled in when the challenge is used, so frames captured once
+// (or near-copies of them) cannot be submitted again under a fresh nonce.
+const faceChallengeSchema = new mongoose.Schema(
+	{
+		nonceHash: {
+			type: String,
+			required: true,
+			unique: true,
+			select: false,
+		},
+		purpose: {
+			type: String,
+			enum: FACE_CHALLENGE_PURPOSES,
+			required: true,
+		},
+		action: {
+			type: String,
+			enum: FACE_CHALLENGE_ACTIONS,
+			required: true,
+		},
+		expiresAt: {
+			type: Date,
+			required: true,
+		},
+		usedAt: {
+			type: Date,
+			default: null,
+		},
+		frames: {
+			type: [[Number]],
+			default: [],
+			select: false,
+		},
+		ip: {
+			type: String,
+			trim: true,
+			default: '',
+		},
+		deviceId: {
+			type: String,
+			trim: true,
+			maxlength: 128,
+			default: '',
+		},
+	},
+	{ timestamps: true },
+)
+
+faceChallengeSchema.index({ usedAt: -1 })
+// Kept for a day after expiry so replayed frames are still recognised.
+faceChallengeSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 24 * 60 * 60 })
+
+module.exports = {
+	FaceChallenge: mongoose.model('FaceChallenge', faceChallengeSchema),
+	FACE_CHALLENGE_PURPOSES,
+	FACE_CHALLENGE_ACTIONS,
+}
@@ -0,0 +1,90 @@
+const mongoose = require('mongoose')
+
+const FACE_LOGIN_OUTCOMES = [
+	'success',
+	'no_match',
+	'ambiguous',
+	'threshold_exceeded',
+	'unknown_user',
+	'invalid_descriptor',
+	'invalid_challenge',
+	'liveness_failed',
+	'throttled',
+]
+
+// Outcomes worth an admin's attention: a face close to a real employee that
+// was still refused, a reused nonce or replayed frames, or a client that kept
+// failing.
+const SUSPICIOUS_FACE_LOGIN_OUTCOMES = [
+	'ambiguous',
+	'threshold_exceeded',
+	'unknown_user',
+	'invalid_challenge',
+	'liveness_failed',
+	'throttled',
+]
+
+const faceLoginAttemptSchema = new mongoose.Schema(
+	{
+		outcome: {
+			type: String,
+			enum: FACE_LOGIN_OUTCOMES,
+			required: true,
+		},
+		suspicious: {
+			type: Boolean,
+			default: false,
+		},
+		matchedUser: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: 'User',
+			default: null,
+		},
+		distance: {
+			type: Number,
+			default: null,
+		},
+		secondDistance: {
+			type: Number,
+			default: null,
+		},
+		threshold: {
+			type: Number,
+			default: null,
+		},
+		ip: {
+			type: String,
+			trim: true,
+			default: '',
+		},
+		deviceId: {
+			type: String,
+			trim: true,
+			maxlength: 128,
+			default: '',
+		},
+		userAgent: {
+			type: String,
+			trim: true,
+			maxlength: 500,
+			default: '',
+		},
+	},
+	{ timestamps: true },
+)
+
+faceLoginAttemptSchema.pre('validate', function () {
+	this.suspicious = SUSPICIOUS_FACE_LOGIN_OUTCOMES.includes(this.outcome)
+})
+
+faceLoginAttemptSchema.index({ createdAt: -1 })
+faceLoginAttemptSchema.index({ ip: 1, createdAt: -1 })
+faceLoginAttemptSchema.index({ deviceId: 1, createdAt: -1 })
+faceLoginAttemptSchema.index({ suspicious: 1, createdAt: -1 })
+faceLoginAttemptSchema.index({ matchedUser: 1, createdAt: -1 })
+
+module.exports = {
+	FaceLoginAttempt: mongoose.model('FaceLoginAttempt', faceLoginAttemptSchema),
+	FACE_LOGIN_OUTCOMES,
+	SUSPICIOUS_FACE_LOGIN_OUTCOMES,
+}
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose')
+const { auditTrailPlugin } = require('../utils/audit-trail')
 
 const forbiddenRuleSchema = new mongoose.Schema(
 	{
@@ -29,4 +30,6 @@ const forbiddenRuleSchema = new mongoose.Schema(
 	{ timestamps: true },
 )
 
+forbiddenRuleSchema.plugin(auditTrailPlugin)
+
 module.exports = mongoose.model('ForbiddenRule', forbiddenRuleSchema)
@@ -0,0 +1,87 @@
+const mongoose = require('mongoose')
+
+const { isValidDateKey } = require('./group-session.model')
+const { auditTrailPlugin } = require('../utils/audit-trail')
+
+const ATTENDANCE_STATUSES = ['present', 'absent', 'late', 'excused']
+// The centre's local time (UTC+5). Every local day key and day boundary uses
+// this offset and toAttendanceDateKey, so attendance, sessions and reports agree.
+const LOCAL_TIMEZONE_OFFSET_MS = 5 * 60 * 60 * 1000
+
+const toAttendanceDateKey = value => {
+	const date = new Date(value)
+	if (Number.isNaN(date.getTime())) {
+		return ''
+	}
+	return new Date(date.getTime() + LOCAL_TIMEZONE_OFFSET_MS).toISOString().slice(0, 10)
+}
+
+const groupAttendanceSchema = new mongoose.Schema(
+	{
+		group: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: 'Group',
+			required: true,
+		},
+
+		student: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: 'Student',
+			required: true,
+		},
+
+		date: {
+			type: Date,
+			required: true,
+		},
+
+		// Local (UTC+5) calendar day of date. One record per student per group per day.
+		dateKey: {
+			type: String,
+			required: true,
+			validate: [isValidDateKey, 'dateKey must be a valid YYYY-MM-DD date'],
+		},
+
+		status: {
+			type: String,
+			enum: ATTENDANCE_STATUSES,
+			default: 'present',
+		},
+
+		note: {
+			type: String,
+			trim: true,
+			maxlength: 300,
+		},
+
+		markedBy: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: 'User',
+		},
+
+		markedAt: {
+			type: Date,
+			default: Date.now,
+		},
+	},
+	{ timestamps: true },
+)
+
+groupAttendanceSchema.pre('validate', function () {
+	if (this.date) {
+		this.dateKey = toAttendanceDateKey(this.date)
+	}
+})
+
+groupAttendanceSchema.index({ group: 1, student: 1, dateKey: 1 }, { unique: true })
+groupAttendanceSchema.index({ group: 1, dateKey: 1 })
+groupAttendanceSchema.index({ student: 1, dateKey: 1 })
+
+groupAttendanceSchema.plugin(auditTrailPlugin)
+
+module.exports = {
+	GroupAttendance: mongoose.model('GroupAttendance', groupAttendanceSchema),
+	ATTENDANCE_STATUSES,
+	LOCAL_TIMEZONE_OFFSET_MS,
+	toAttendanceDateKey,
+}
@@ -0,0 +1,119 @@
+const mongoose = require('mongoose')
+const { auditTrailPlugin } = require('../utils/audit-trail')
+
+const GROUP_SESSION_STATUSES = ['scheduled', 'cancelled']
+
+const DATE_KEY_PATTERN = /^\d{4}-\d{2}-\d{2}$/
+
+// YYYY-MM-DD that names a real calendar day (rejects e.g. 2025-02-30).
+const isValidDateKey = value => {
+	if (!DATE_KEY_PATTERN.test(String(value || ''))) {
+		return false
+	}
+	const [year, month, day] = value.split('-').map(Number)
+	return new Date(Date.UTC(year, month - 1, day)).toISOString().slice(0, 10) === value
+}
+
+const groupSessionSchema = new mongoose.Schema(
+	{
+		group: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: 'Group',
+			required: true,
+		},
+
+		// Template slot this session was generated from, e.g. "2025-04-07T09:00" (UTC+5).
+		// Never changes, so regenerating the calendar does not recreate moved sessions.
+		slotKey: {
+			type: String,
+			required: true,
+		},
+
+		// Local (UTC+5) calendar day of the current startsAt.
+		dateKey: {
+			type: String,
+			required: true,
+			validate: [isValidDateKey, 'dateKey must be a valid YYYY-MM-DD date'],
+		},
+
+		startsAt: {
+			type: Date,
+			required: true,
+		},
+
+		durationMinutes: {
+			type: Number,
+			required: true,
+			min: 30,
+			max: 300,
+		},
+
+		status: {
+			type: String,
+			enum: GROUP_SESSION_STATUSES,
+			default: 'scheduled',
+		},
+
+		// Set when the session was cancelled by a center-wide holiday.
+		holiday: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: 'Holiday',
+			default: null,
+		},
+
+		cancelReason: {
+			type: String,
+			trim: true,
+			maxlength: 500,
+		},
+
+		cancelledBy: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: 'User',
+			default: null,
+		},
+
+		cancelledAt: {
+			type: Date,
+			default: null,
+		},
+
+		// Original start time, set on the first reschedule.
+		originalStartsAt: {
+			type: Date,
+			default: null,
+		},
+
+		rescheduleReason: {
+			type: String,
+			trim: true,
+			maxlength: 500,
+		},
+
+		rescheduledBy: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: 'User',
+			default: null,
+		},
+
+		rescheduledAt: {
+			type: Date,
+			default: null,
+		},
+	},
+	{ timestamps: true },
+)
+
+groupSessionSchema.index({ group: 1, slotKey: 1 }, { unique: true })
+groupSessionSchema.index({ group: 1, dateKey: 1 })
+groupSessionSchema.index({ dateKey: 1, status: 1 })
+groupSessionSchema.index({ holiday: 1 })
+
+groupSessionSchema.plugin(auditTrailPlugin)
+
+module.exports = {
+	GroupSession: mongoose.model('GroupSession', groupSessionSchema),
+	GROUP_SESSION_STATUSES,
+	DATE_KEY_PATTERN,
+	isValidDateKey,
+}
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose')
+const { auditTrailPlugin } = require('../utils/audit-trail')
 
 const DAYS_OF_WEEK = [
 	'monday',
@@ -9,29 +10,12 @@ const DAYS_OF_WEEK = [
 	'saturday',
 	'sunday',
 ]
-const ATTENDANCE_STATUSES = ['present', 'absent', 'late', 'excused']
 const GROUP_TYPE_DAYS = Object.freeze({
 	odd: ['monday', 'wednesday', 'friday'],
 	even: ['tuesday', 'thursday', 'saturday'],
 })
 
 const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/
-const ATTENDANCE_TIMEZONE_OFFSET_HOURS = 5
-const ATTENDANCE_TIMEZONE_OFFSET_MINUTES = ATTENDANCE_TIMEZONE_OFFSET_HOURS * 60
-
-const toAttendanceDateKey = value => {
-	const date = new Date(value)
-	if (Number.isNaN(date.getTime())) {
-		return ''
-	}
-
-	const localMs = date.getTime() + ATTENDANCE_TIMEZONE_OFFSET_MINUTES * 60 * 1000
-	const localDate = new Date(localMs)
-	const year = localDate.getUTCFullYear()
-	const month = String(localDate.getUTCMonth() + 1).padStart(2, '0')
-	const day = String(localDate.getUTCDate()).padStart(2, '0')
-	return `${year}-${month}-${day}`
-}
 
 const groupScheduleSchema = new mongoose.Schema(
 	{
@@ -55,39 +39,6 @@ const groupScheduleSchema = new mongoose.Schema(
 	{ _id: false },
 )
 
-const groupAttendanceSchema = new mongoose.Schema(
-	{
-		student: {
-			type: mongoose.Schema.Types.ObjectId,
-			ref: 'Student',
-			required: true,
-		},
-		date: {
-			type: Date,
-			required: true,
-		},
-		status: {
-			type: String,
-			enum: ATTENDANCE_STATUSES,
-			default: 'present',
-		},
-		note: {
-			type: String,
-			trim: true,
-			maxlength: 300,
-		},
-		markedBy: {
-			type: mongoose.Schema.Types.ObjectId,
-			ref: 'User',
-		},
-		markedAt: {
-			type: Date,
-			default: Date.now,
-		},
-	},
-	{ _id: false },
-)
-
 const groupSchema = new mongoose.Schema(
 	{
 		name: {
@@ -239,9 +190,14 @@ const groupSchema = new mongoose.Schema(
 			},
 		},
 		room: {
-			type: String,
-			trim: true,
-			maxlength: 50,
+			type: mongoose.Schema.Types.ObjectId,
+			ref: 'Room',
+			default: null,
+		},
+		branch: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: 'Branch',
+			default: null,
 		},
 		monthlyFee: {
 			type: Number,
@@ -253,22 +209,6 @@ const groupSchema = new mongoose.Schema(
 			default: 0,
 			min: 0,
 		},
-		attendance: {
-			type: [groupAttendanceSchema],
-			default: [],
-			validate: {
-				validator: value => {
-					const attendanceKeys = value.map(item => {
-						const dateKey = toAttendanceDateKey(item.date)
-						return `${item.student.toString()}::${dateKey}`
-					})
-
-					return new Set(attendanceKeys).size === attendanceKeys.length
-				},
-				message:
-					'Attendance cannot contain duplicate records for the same student and day',
-			},
-		},
 		note: {
 			type: String,
 			trim: true,
@@ -282,6 +222,9 @@ groupSchema.index({ name: 1, startDate: 1 }, { unique: true })
 groupSchema.index({ teacher: 1, status: 1 })
 groupSchema.index({ courseRef: 1, status: 1 })
 groupSchema.index({ students: 1 })
-groupSchema.index({ 'attendance.student': 1, 'attendance.date': 1 })
+groupSchema.index({ room: 1, status: 1 })
+groupSchema.index({ branch: 1, status: 1 })
+
+groupSchema.plugin(auditTrailPlugin)
 
 module.exports = mongoose.model('Group', groupSchema)
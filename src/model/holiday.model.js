@@ -0,0 +1,30 @@
+const mongoose = require('mongoose')
+const { auditTrailPlugin } = require('../utils/audit-trail')
+
+const holidaySchema = new mongoose.Schema(
+	{
+		// Local (UTC+5) calendar day, e.g. "2025-03-21".
+		date: {
+			type: String,
+			required: true,
+			unique: true,
+			match: [/^\d{4}-\d{2}-\d{2}$/, 'date must be in YYYY-MM-DD format'],
+		},
+		name: {
+			type: String,
+			required: true,
+			trim: true,
+			minlength: 2,
+			maxlength: 120,
+		},
+		createdBy: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: 'User',
+		},
+	},
+	{ timestamps: true },
+)
+
+holidaySchema.plugin(auditTrailPlugin)
+
+module.exports = mongoose.model('Holiday', holidaySchema)
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose')
+const { auditTrailPlugin } = require('../utils/audit-trail')
 
 const submissionDocumentSchema = new mongoose.Schema(
 	{
@@ -169,4 +170,6 @@ const homeworkSubmissionSchema = new mongoose.Schema(
 
 homeworkSubmissionSchema.index({ lesson: 1, student: 1 }, { unique: true })
 
+homeworkSubmissionSchema.plugin(auditTrailPlugin)
+
 module.exports = mongoose.model('HomeworkSubmission', homeworkSubmissionSchema)
@@ -0,0 +1,59 @@
+const mongoose = require('mongoose')
+
+// `status_change` entries are written by the server when a lead moves through the pipeline.
+const LEAD_ACTIVITY_TYPES = ['call', 'message', 'meeting', 'note', 'status_change']
+const MANUAL_LEAD_ACTIVITY_TYPES = ['call', 'message', 'meeting', 'note']
+
+const leadActivitySchema = new mongoose.Schema(
+	{
+		lead: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: 'Lead',
+			required: true,
+		},
+		type: {
+			type: String,
+			enum: LEAD_ACTIVITY_TYPES,
+			required: true,
+		},
+		outcome: {
+			type: String,
+			trim: true,
+			maxlength: 300,
+		},
+		details: {
+			type: String,
+			trim: true,
+			maxlength: 2000,
+		},
+		fromStatus: {
+			type: String,
+			default: null,
+		},
+		toStatus: {
+			type: String,
+			default: null,
+		},
+		// When the call/message/meeting happened; defaults to the moment it was logged.
+		occurredAt: {
+			type: Date,
+			default: Date.now,
+		},
+		author: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: 'User',
+			default: null,
+		},
+	},
+	{ timestamps: true },
+)
+
+leadActivitySchema.index({ lead: 1, occurredAt: -1 })
+
+const LeadActivity = mongoose.model('LeadActivity', leadActivitySchema)
+
+module.exports = {
+	LeadActivity,
+	LEAD_ACTIVITY_TYPES,
+	MANUAL_LEAD_ACTIVITY_TYPES,
+}
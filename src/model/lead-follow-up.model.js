@@ -0,0 +1,60 @@
+const mongoose = require('mongoose')
+const { auditTrailPlugin } = require('../utils/audit-trail')
+
+const LEAD_FOLLOW_UP_STATUSES = ['pending', 'done', 'cancelled']
+
+const leadFollowUpSchema = new mongoose.Schema(
+	{
+		lead: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: 'Lead',
+			required: true,
+		},
+		assignee: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: 'User',
+			required: true,
+		},
+		dueAt: {
+			type: Date,
+			required: true,
+		},
+		note: {
+			type: String,
+			trim: true,
+			maxlength: 500,
+		},
+		status: {
+			type: String,
+			enum: LEAD_FOLLOW_UP_STATUSES,
+			default: 'pending',
+		},
+		completedAt: {
+			type: Date,
+			default: null,
+		},
+		completedBy: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: 'User',
+			default: null,
+		},
+		createdBy: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: 'User',
+			default: null,
+		},
+	},
+	{ timestamps: true },
+)
+
+leadFollowUpSchema.index({ assignee: 1, status: 1, dueAt: 1 })
+leadFollowUpSchema.index({ lead: 1, dueAt: 1 })
+
+leadFollowUpSchema.plugin(auditTrailPlugin)
+
+const LeadFollowUp = mongoose.model('LeadFollowUp', leadFollowUpSchema)
+
+module.exports = {
+	LeadFollowUp,
+	LEAD_FOLLOW_UP_STATUSES,
+}
@@ -1,6 +1,8 @@
 const mongoose = require('mongoose')
+const { auditTrailPlugin } = require('../utils/audit-trail')
 
 const LEAD_SOURCES = ['INSTAGRAM', 'TELEGRAM', 'CALL_CENTER', 'WEBSITE', 'LANDING', 'FRIEND']
+const LEAD_STATUSES = ['new', 'contacted', 'trial_booked', 'trial_attended', 'enrolled', 'lost']
 
 const leadSchema = new mongoose.Schema(
 	{
@@ -30,16 +32,84 @@ const leadSchema = new mongoose.Schema(
 			enum: LEAD_SOURCES,
 			required: true,
 		},
+		// Sources of leads merged into this one (the primary source stays in `source`).
+		additionalSources: {
+			type: [
+				{
+					type: String,
+					enum: LEAD_SOURCES,
+				},
+			],
+			default: [],
+		},
 		description: {
 			type: String,
 			trim: true,
-			maxlength: 1000,
+			maxlength: 4000,
 		},
 		referral: {
 			type: String,
 			trim: true,
 			maxlength: 200,
 		},
+		status: {
+			type: String,
+			enum: LEAD_STATUSES,
+			default: 'new',
+		},
+		statusChangedAt: {
+			type: Date,
+			default: Date.now,
+		},
+		lostReason: {
+			type: String,
+			trim: true,
+			maxlength: 500,
+		},
+		assignee: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: 'User',
+			default: null,
+		},
+		branch: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: 'Branch',
+			default: null,
+		},
+		convertedStudent: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: 'Student',
+			default: null,
+		},
+		convertedAt: {
+			type: Date,
+			default: null,
+		},
+		convertedBy: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: 'User',
+			default: null,
+		},
+		// Snapshots of duplicate leads that were merged into this one and deleted.
+		mergedLeads: {
+			type: [
+				{
+					_id: false,
+					lead: { type: mongoose.Schema.Types.ObjectId, required: true },
+					name: String,
+					number: String,
+					email: String,
+					username: String,
+					source: String,
+					status: String,
+					createdAt: Date,
+					createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+					mergedAt: { type: Date, default: Date.now },
+					mergedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+				},
+			],
+			default: [],
+		},
 		createdBy: {
 			type: mongoose.Schema.Types.ObjectId,
 			ref: 'User',
@@ -48,4 +118,28 @@ const leadSchema = new mongoose.Schema(
 	{ timestamps: true },
 )
 
-module.exports = mongoose.model('Lead', leadSchema)
+leadSchema.pre('validate', function () {
+	if (this.status === 'lost' && !this.lostReason) {
+		this.invalidate('lostReason', 'lostReason is required when status is lost')
+	}
+	if (this.status === 'enrolled' && !this.convertedStudent) {
+		this.invalidate('status', 'Leads become enrolled only through conversion')
+	}
+})
+
+leadSchema.index({ status: 1, createdAt: -1 })
+leadSchema.index({ assignee: 1, status: 1 })
+leadSchema.index({ branch: 1, createdAt: -1 })
+leadSchema.index({ convertedStudent: 1 })
+leadSchema.index({ number: 1 })
+leadSchema.index({ email: 1 })
+
+leadSchema.plugin(auditTrailPlugin)
+
+const Lead = mongoose.model('Lead', leadSchema)
+
+module.exports = {
+	Lead,
+	LEAD_SOURCES,
+	LEAD_STATUSES,
+}
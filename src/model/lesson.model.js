@@ -1,4 +1,5 @@
 const mongoose = require('mongoose')
+const { auditTrailPlugin } = require('../utils/audit-trail')
 
 const lessonDocumentSchema = new mongoose.Schema(
 	{
@@ -119,4 +120,6 @@ const lessonSchema = new mongoose.Schema(
 lessonSchema.index({ course: 1, order: 1 }, { unique: true })
 lessonSchema.index({ course: 1, title: 1 })
 
+lessonSchema.plugin(auditTrailPlugin)
+
 module.exports = mongoose.model('Lesson', lessonSchema)
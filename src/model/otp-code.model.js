@@ -0,0 +1,64 @@
+const mongoose = require('mongoose')
+
+const OTP_PURPOSES = ['login', 'password_reset']
+const OTP_ACCOUNT_TYPES = ['employee', 'student', 'parent']
+
+// account is null when nobody owns the phone: the request is still recorded so
+// unknown numbers hit the same cooldowns, but no SMS is sent.
+const otpCodeSchema = new mongoose.Schema(
+	{
+		accountType: {
+			type: String,
+			enum: OTP_ACCOUNT_TYPES,
+			required: true,
+		},
+		account: {
+			type: mongoose.Schema.Types.ObjectId,
+			default: null,
+		},
+		phone: {
+			type: String,
+			required: true,
+			trim: true,
+		},
+		purpose: {
+			type: String,
+			enum: OTP_PURPOSES,
+			required: true,
+		},
+		codeHash: {
+			type: String,
+			required: true,
+			select: false,
+		},
+		salt: {
+			type: String,
+			required: true,
+			select: false,
+		},
+		attempts: {
+			type: Number,
+			default: 0,
+			min: 0,
+		},
+		expiresAt: {
+			type: Date,
+			required: true,
+		},
+		consumedAt: {
+			type: Date,
+			default: null,
+		},
+	},
+	{ timestamps: true },
+)
+
+otpCodeSchema.index({ accountType: 1, phone: 1, purpose: 1, createdAt: -1 })
+// Keep expired codes for a day so the hourly request cap still sees them.
+otpCodeSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 24 * 60 * 60 })
+
+module.exports = {
+	OtpCode: mongoose.model('OtpCode', otpCodeSchema),
+	OTP_PURPOSES,
+	OTP_ACCOUNT_TYPES,
+}
@@ -0,0 +1,60 @@
+const mongoose = require('mongoose')
+const { auditTrailPlugin } = require('../utils/audit-trail')
+
+const PHONE_PATTERN = /^\+?[0-9]{7,15}$/
+
+// Children are not stored: every Student whose parentPhone equals phone
+// belongs to this parent.
+const parentSchema = new mongoose.Schema(
+	{
+		phone: {
+			type: String,
+			required: true,
+			unique: true,
+			trim: true,
+			match: [PHONE_PATTERN, 'Phone must contain 7-15 digits'],
+		},
+		fullname: {
+			type: String,
+			trim: true,
+			maxlength: 120,
+		},
+		password: {
+			type: String,
+			select: false,
+			minlength: 8,
+		},
+		refreshToken: {
+			type: String,
+			default: null,
+			select: false,
+		},
+		isActive: {
+			type: Boolean,
+			default: true,
+		},
+		lastLoginAt: {
+			type: Date,
+			default: null,
+		},
+		createdBy: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: 'User',
+			default: null,
+		},
+	},
+	{ timestamps: true },
+)
+
+const hideSensitiveFields = (doc, ret) => {
+	delete ret.password
+	delete ret.refreshToken
+	return ret
+}
+
+parentSchema.set('toJSON', { transform: hideSensitiveFields })
+parentSchema.set('toObject', { transform: hideSensitiveFields })
+
+parentSchema.plugin(auditTrailPlugin)
+
+module.exports = mongoose.model('Parent', parentSchema)
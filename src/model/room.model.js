@@ -0,0 +1,56 @@
+const mongoose = require('mongoose')
+const { auditTrailPlugin } = require('../utils/audit-trail')
+
+const roomSchema = new mongoose.Schema(
+	{
+		name: {
+			type: String,
+			required: true,
+			trim: true,
+			minlength: 1,
+			maxlength: 50,
+		},
+		capacity: {
+			type: Number,
+			required: true,
+			min: 1,
+			max: 500,
+			validate: {
+				validator: Number.isInteger,
+				message: 'capacity must be an integer',
+			},
+		},
+		equipment: {
+			type: [
+				{
+					type: String,
+					trim: true,
+					maxlength: 60,
+				},
+			],
+			default: [],
+		},
+		isActive: {
+			type: Boolean,
+			default: true,
+		},
+		note: {
+			type: String,
+			trim: true,
+			maxlength: 500,
+		},
+		createdBy: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: 'User',
+			default: null,
+		},
+	},
+	{ timestamps: true },
+)
+
+// Room names are unique regardless of case ("Room 5" == "room 5").
+roomSchema.index({ name: 1 }, { unique: true, collation: { locale: 'en', strength: 2 } })
+
+roomSchema.plugin(auditTrailPlugin)
+
+module.exports = mongoose.model('Room', roomSchema)
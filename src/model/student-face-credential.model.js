@@ -0,0 +1,41 @@
+const mongoose = require('mongoose')
+
+const { FACE_DESCRIPTOR_LENGTH } = require('../utils/face-match')
+const { auditTrailPlugin } = require('../utils/audit-trail')
+
+// Student counterpart of FaceCredential, kept out of Student documents so the
+// descriptor is never loaded with a student by accident.
+const studentFaceCredentialSchema = new mongoose.Schema(
+	{
+		student: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: 'Student',
+			required: true,
+			unique: true,
+		},
+		descriptor: {
+			type: [Number],
+			required: true,
+			select: false,
+			validate: {
+				validator: value =>
+					Array.isArray(value) &&
+					value.length === FACE_DESCRIPTOR_LENGTH &&
+					value.every(number => Number.isFinite(number)),
+				message: `descriptor must contain exactly ${FACE_DESCRIPTOR_LENGTH} numeric values`,
+			},
+		},
+		enrolledBy: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: 'User',
+			default: null,
+		},
+	},
+	{ timestamps: true },
+)
+
+studentFaceCredentialSchema.plugin(auditTrailPlugin)
+
+module.exports = {
+	StudentFaceCredential: mongoose.model('StudentFaceCredential', studentFaceCredentialSchema),
+}
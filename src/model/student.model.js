@@ -1,4 +1,5 @@
 const mongoose = require('mongoose')
+const { auditTrailPlugin } = require('../utils/audit-trail')
 
 const PHONE_PATTERN = /^\+?[0-9]{7,15}$/
 const GROUP_STATUSES = ['active', 'paused', 'completed', 'left']
@@ -86,15 +87,20 @@ const studentSchema = new mongoose.Schema(
 			type: Number,
 			default: 0,
 		},
-		balanceResetAt: {
-			type: Date,
-			default: Date.now,
-		},
 		coinBalance: {
 			type: Number,
 			default: 0,
 			min: 0,
 		},
+		faceIdEnabled: {
+			type: Boolean,
+			default: false,
+		},
+		branch: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: 'Branch',
+			default: null,
+		},
 		groups: {
 			type: [studentGroupSchema],
 			default: [],
@@ -127,6 +133,7 @@ const studentSchema = new mongoose.Schema(
 )
 
 studentSchema.index({ parentPhone: 1 })
+studentSchema.index({ branch: 1, createdAt: -1 })
 studentSchema.index({ 'groups.group': 1 })
 studentSchema.index({ homeworks: 1 })
 
@@ -138,11 +145,12 @@ studentSchema.pre('validate', async function () {
 const hideSensitiveFields = (doc, ret) => {
 	delete ret.password
 	delete ret.refreshToken
-	delete ret.balanceResetAt
 	return ret
 }
 
 studentSchema.set('toJSON', { transform: hideSensitiveFields })
 studentSchema.set('toObject', { transform: hideSensitiveFields })
 
+studentSchema.plugin(auditTrailPlugin)
+
 module.exports = mongoose.model('Student', studentSchema)
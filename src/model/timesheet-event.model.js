@@ -0,0 +1,76 @@
+const mongoose = require('mongoose')
+
+const { isValidDateKey } = require('./group-session.model')
+const { auditTrailPlugin } = require('../utils/audit-trail')
+
+const TIMESHEET_EVENT_TYPES = ['check_in', 'check_out']
+
+const timesheetEventSchema = new mongoose.Schema(
+	{
+		employee: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: 'User',
+			required: true,
+		},
+		type: {
+			type: String,
+			enum: TIMESHEET_EVENT_TYPES,
+			required: true,
+		},
+		occurredAt: {
+			type: Date,
+			required: true,
+		},
+		// Local (UTC+5) calendar day of occurredAt.
+		dateKey: {
+			type: String,
+			required: true,
+			validate: [isValidDateKey, 'dateKey must be a valid YYYY-MM-DD date'],
+		},
+		// Branch whose location the check was made at; null for User.location.
+		branch: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: 'Branch',
+			default: null,
+		},
+		// Where the employee was, as [longitude, latitude].
+		coordinates: {
+			type: [Number],
+			required: true,
+		},
+		// How far the employee was from the work location.
+		distanceMeters: {
+			type: Number,
+			required: true,
+			min: 0,
+		},
+		faceDistance: {
+			type: Number,
+			required: true,
+			min: 0,
+		},
+		ip: {
+			type: String,
+			trim: true,
+			default: '',
+		},
+		deviceId: {
+			type: String,
+			trim: true,
+			maxlength: 128,
+			default: '',
+		},
+	},
+	{ timestamps: true },
+)
+
+// One check-in and one check-out per employee per day.
+timesheetEventSchema.index({ employee: 1, dateKey: 1, type: 1 }, { unique: true })
+timesheetEventSchema.index({ dateKey: 1 })
+
+timesheetEventSchema.plugin(auditTrailPlugin)
+
+module.exports = {
+	TimesheetEvent: mongoose.model('TimesheetEvent', timesheetEventSchema),
+	TIMESHEET_EVENT_TYPES,
+}
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose')
+const { auditTrailPlugin } = require('../utils/audit-trail')
 
 const allowedRoles = ['teacher', 'supporteacher', 'headteacher', 'admin', 'superadmin']
 
@@ -107,6 +108,15 @@ const userSchema = new mongoose.Schema(
 			type: locationSchema,
 			default: undefined,
 		},
+		branches: {
+			type: [
+				{
+					type: mongoose.Schema.Types.ObjectId,
+					ref: 'Branch',
+				},
+			],
+			default: [],
+		},
 		faceIdEnabled: {
 			type: Boolean,
 			default: false,
@@ -133,6 +143,7 @@ const userSchema = new mongoose.Schema(
 )
 
 userSchema.index({ location: '2dsphere' }, { sparse: true })
+userSchema.index({ branches: 1 })
 
 const hideSensitiveFields = (doc, ret) => {
 	delete ret.password
@@ -144,4 +155,6 @@ const hideSensitiveFields = (doc, ret) => {
 userSchema.set('toJSON', { transform: hideSensitiveFields })
 userSchema.set('toObject', { transform: hideSensitiveFields })
 
+userSchema.plugin(auditTrailPlugin)
+
 module.exports = mongoose.model('User', userSchema)
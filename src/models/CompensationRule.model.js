@@ -0,0 +1,78 @@
+/**
+ * CompensationRule model.
+ * Stores per-lesson pay rates scoped by employee role, course and/or group.
+ * The most specific active rule matching a conducted lesson wins.
+ */
+
+const mongoose = require('mongoose')
+const { auditTrailPlugin } = require('../utils/audit-trail')
+
+const COMPENSATION_ROLES = ['teacher', 'supporteacher', 'headteacher', 'admin', 'superadmin']
+const COMPENSATION_LESSON_TYPES = ['group', 'extra']
+
+const compensationRuleSchema = new mongoose.Schema(
+	{
+		lessonType: {
+			type: String,
+			enum: COMPENSATION_LESSON_TYPES,
+			default: 'group',
+		},
+		role: {
+			type: String,
+			enum: COMPENSATION_ROLES,
+			default: null,
+		},
+		courseRef: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: 'Course',
+			default: null,
+		},
+		groupId: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: 'Group',
+			default: null,
+		},
+		ratePerLesson: {
+			type: Number,
+			required: true,
+			min: [0, 'ratePerLesson must be a non-negative number'],
+		},
+		isActive: {
+			type: Boolean,
+			default: true,
+		},
+		note: {
+			type: String,
+			trim: true,
+			maxlength: 500,
+		},
+		createdBy: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: 'User',
+			required: true,
+		},
+	},
+	{ timestamps: true },
+)
+
+compensationRuleSchema.pre('validate', function () {
+	if (this.lessonType === 'extra' && (this.courseRef || this.groupId)) {
+		this.invalidate('lessonType', 'extra lesson rules can only be scoped by role')
+	}
+	if (this.courseRef && this.groupId) {
+		this.invalidate('groupId', 'a rule can be scoped by course or by group, not both')
+	}
+})
+
+compensationRuleSchema.index(
+	{ lessonType: 1, role: 1, courseRef: 1, groupId: 1 },
+	{ unique: true },
+)
+
+compensationRuleSchema.plugin(auditTrailPlugin)
+
+module.exports = {
+	CompensationRule: mongoose.model('CompensationRule', compensationRuleSchema),
+	COMPENSATION_ROLES,
+	COMPENSATION_LESSON_TYPES,
+}
@@ -4,6 +4,7 @@
  */
 
 const mongoose = require('mongoose')
+const { auditTrailPlugin } = require('../utils/audit-trail')
 
 const FACE_DESCRIPTOR_LENGTH = 128
 
@@ -37,4 +38,6 @@ const faceCredentialSchema = new mongoose.Schema(
 	},
 )
 
+faceCredentialSchema.plugin(auditTrailPlugin)
+
 module.exports = mongoose.model('FaceCredential', faceCredentialSchema)
\ No newline at end of file
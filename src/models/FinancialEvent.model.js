@@ -4,8 +4,19 @@
  */
 
 const mongoose = require('mongoose')
+const { auditTrailPlugin } = require('../utils/audit-trail')
 
-const FINANCIAL_EVENT_TYPES = ['salary', 'bonus', 'fine', 'salary_update', 'student_payment']
+const FINANCIAL_EVENT_TYPES = [
+	'salary',
+	'bonus',
+	'fine',
+	'salary_update',
+	'student_payment',
+	'student_charge',
+	'student_balance_close',
+	'salary_payment',
+	'lesson_pay',
+]
 
 const getCurrentMonth = () => {
 	const now = new Date()
@@ -61,6 +72,21 @@ const financialEventSchema = new mongoose.Schema(
 			ref: 'EmployeeViolation',
 			default: null,
 		},
+		reversalOf: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: 'FinancialEvent',
+			default: null,
+		},
+		branch: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: 'Branch',
+			default: null,
+		},
+		// lesson_pay only: how many earlier accruals of the employee's month were reversed.
+		accrualRevision: {
+			type: Number,
+			min: 0,
+		},
 		createdAt: {
 			type: Date,
 			default: Date.now,
@@ -71,6 +97,35 @@ const financialEventSchema = new mongoose.Schema(
 	},
 )
 
+// New events without an explicit branch take the group's branch, else the
+// student's, else the employee's when they work in exactly one branch.
+financialEventSchema.pre('validate', async function () {
+	if (!this.isNew || this.branch) {
+		return
+	}
+
+	if (this.groupId) {
+		const group = await this.model('Group').findById(this.groupId).select('branch').lean()
+		if (group?.branch) {
+			this.branch = group.branch
+			return
+		}
+	}
+	if (this.studentId) {
+		const student = await this.model('Student').findById(this.studentId).select('branch').lean()
+		if (student?.branch) {
+			this.branch = student.branch
+			return
+		}
+	}
+	if (this.userId) {
+		const user = await this.model('User').findById(this.userId).select('branches').lean()
+		if (user?.branches?.length === 1) {
+			this.branch = user.branches[0]
+		}
+	}
+})
+
 financialEventSchema.pre(
 	['updateOne', 'updateMany', 'findOneAndUpdate', 'deleteOne', 'deleteMany', 'findOneAndDelete'],
 	function () {
@@ -81,7 +136,51 @@ financialEventSchema.pre(
 financialEventSchema.index({ userId: 1, createdAt: -1 })
 financialEventSchema.index({ studentId: 1, createdAt: -1 })
 financialEventSchema.index({ relatedViolationId: 1 })
+financialEventSchema.index(
+	{ reversalOf: 1 },
+	{ unique: true, partialFilterExpression: { reversalOf: { $type: 'objectId' } } },
+)
 financialEventSchema.index({ month: 1 })
+financialEventSchema.index({ groupId: 1, month: 1, type: 1 })
+// One monthly charge per membership; reversal rows share the key and are left out.
+financialEventSchema.index(
+	{ studentId: 1, groupId: 1, month: 1 },
+	{
+		unique: true,
+		partialFilterExpression: { type: 'student_charge', reversalOf: { $type: 'null' } },
+	},
+)
+// One lesson_pay accrual per employee, month and revision.
+financialEventSchema.index(
+	{ userId: 1, month: 1, accrualRevision: 1 },
+	{
+		unique: true,
+		partialFilterExpression: {
+			type: 'lesson_pay',
+			reversalOf: { $type: 'null' },
+			accrualRevision: { $exists: true },
+		},
+	},
+)
+// One period close per student and month.
+financialEventSchema.index(
+	{ studentId: 1, month: 1 },
+	{
+		unique: true,
+		partialFilterExpression: { type: 'student_balance_close', reversalOf: { $type: 'null' } },
+	},
+)
+// One payroll salary payment per employee and month.
+financialEventSchema.index(
+	{ userId: 1, month: 1 },
+	{
+		unique: true,
+		partialFilterExpression: { type: 'salary_payment', reversalOf: { $type: 'null' } },
+	},
+)
+financialEventSchema.index({ branch: 1, createdAt: -1 })
+
+financialEventSchema.plugin(auditTrailPlugin)
 
 module.exports = {
 	FinancialEvent: mongoose.model('FinancialEvent', financialEventSchema),
@@ -0,0 +1,100 @@
+/**
+ * PayrollRun model.
+ * Stores a frozen monthly snapshot of employee finance summaries (payslips)
+ * and its draft -> approved -> paid lifecycle.
+ */
+
+const mongoose = require('mongoose')
+const { auditTrailPlugin } = require('../utils/audit-trail')
+
+const PAYROLL_RUN_STATUSES = ['draft', 'approved', 'paid']
+
+const payslipSchema = new mongoose.Schema(
+	{
+		employee: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: 'User',
+			required: true,
+		},
+		fullname: { type: String, required: true },
+		role: { type: String, required: true },
+		salary: { type: Number, default: 0 },
+		totalLessonPay: { type: Number, default: 0 },
+		totalBonuses: { type: Number, default: 0 },
+		totalFines: { type: Number, default: 0 },
+		net: { type: Number, default: 0 },
+		paymentEventId: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: 'FinancialEvent',
+			default: null,
+		},
+	},
+	{ _id: false },
+)
+
+const payrollRunSchema = new mongoose.Schema(
+	{
+		month: {
+			type: String,
+			required: true,
+			unique: true,
+			match: [/^\d{4}-\d{2}$/, 'month must be in YYYY-MM format'],
+		},
+		status: {
+			type: String,
+			enum: PAYROLL_RUN_STATUSES,
+			default: 'draft',
+		},
+		payslips: {
+			type: [payslipSchema],
+			default: [],
+		},
+		totalNet: {
+			type: Number,
+			default: 0,
+		},
+		note: {
+			type: String,
+			trim: true,
+			maxlength: 1000,
+		},
+		createdBy: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: 'User',
+			required: true,
+		},
+		calculatedAt: {
+			type: Date,
+			default: Date.now,
+		},
+		approvedBy: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: 'User',
+			default: null,
+		},
+		approvedAt: {
+			type: Date,
+			default: null,
+		},
+		paidBy: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: 'User',
+			default: null,
+		},
+		paidAt: {
+			type: Date,
+			default: null,
+		},
+	},
+	{ timestamps: true },
+)
+
+payrollRunSchema.index({ status: 1, month: -1 })
+payrollRunSchema.index({ 'payslips.employee': 1 })
+
+payrollRunSchema.plugin(auditTrailPlugin)
+
+module.exports = {
+	PayrollRun: mongoose.model('PayrollRun', payrollRunSchema),
+	PAYROLL_RUN_STATUSES,
+}
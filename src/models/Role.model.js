@@ -4,6 +4,7 @@
  */
 
 const mongoose = require('mongoose')
+const { auditTrailPlugin } = require('../utils/audit-trail')
 
 const roleSchema = new mongoose.Schema(
 	{
@@ -23,4 +24,6 @@ const roleSchema = new mongoose.Schema(
 	},
 )
 
+roleSchema.plugin(auditTrailPlugin)
+
 module.exports = mongoose.model('Role', roleSchema)
\ No newline at end of file
@@ -0,0 +1,78 @@
+const express = require('express')
+const auditController = require('../controllers/audit.controller')
+const { requireAuth, allowRoles } = require('../middleware/auth.middleware')
+
+const router = express.Router()
+
+/**
+ * @swagger
+ * /api/audit:
+ *   get:
+ *     tags: [Audit]
+ *     summary: List audit log entries
+ *     description: |
+ *       One entry per document created, updated or deleted by a write request, newest first. Requests that
+ *       failed after writing something are logged too, with their error `statusCode`.
+ *       `changes` lists each changed field with its value before and after; passwords and face descriptors
+ *       are shown as "[redacted]". Entries of the same request share `requestId`.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: entityType
+ *         description: Model name, e.g. Student, Group, User, Role, FinancialEvent
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: entityId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: actorId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: action
+ *         schema:
+ *           type: string
+ *           enum: [create, update, delete]
+ *       - in: query
+ *         name: requestId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: from
+ *         description: Start instant; a date-only value (YYYY-MM-DD) starts at local (UTC+5) midnight
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: to
+ *         description: End instant; a date-only value (YYYY-MM-DD) includes that whole local (UTC+5) day
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Paginated entries with the actor
+ *       400:
+ *         description: Invalid filter
+ *       403:
+ *         description: Forbidden
+ */
+router.get('/', requireAuth, allowRoles('admin', 'superadmin'), auditController.listAuditLogs)
+
+module.exports = router
@@ -9,9 +9,27 @@ const {
 } = require('../middleware/auth.middleware')
 const { uploadAvatar } = require('../middleware/upload.middleware')
 const validateObjectId = require('../middleware/validateObjectId')
+const rateLimit = require('../middleware/rateLimit')
 
 const router = express.Router()
 
+const envOtpRequestLimit = Number(process.env.OTP_REQUEST_RATE_LIMIT_MAX)
+const otpRequestRateLimit = rateLimit({
+	windowMs: 15 * 60 * 1000,
+	max: Number.isInteger(envOtpRequestLimit) && envOtpRequestLimit > 0 ? envOtpRequestLimit : 10,
+	message: 'Too many code requests, please try again later',
+})
+const otpVerifyRateLimit = rateLimit({
+	windowMs: 15 * 60 * 1000,
+	max: 30,
+	message: 'Too many attempts, please try again later',
+})
+const faceChallengeRateLimit = rateLimit({
+	windowMs: 15 * 60 * 1000,
+	max: 30,
+	message: 'Too many Face ID challenges requested, please try again later',
+})
+
 /**
  * @swagger
  * /api/auth/register:
@@ -56,6 +74,9 @@ const router = express.Router()
  *                 enum: [teacher, supporteacher, headteacher, admin]
  *               company:
  *                 type: string
+ *               branches:
+ *                 type: string
+ *                 description: JSON array (or comma-separated list) of branch ids
  *               salary:
  *                 type: number
  *                 minimum: 0
@@ -116,39 +137,201 @@ router.post(
  */
 router.post('/login', authController.login)
 
+/**
+ * @swagger
+ * /api/auth/otp/request:
+ *   post:
+ *     tags: [Auth]
+ *     summary: Send a one-time SMS code for employee login or password reset
+ *     description: Always answers 200 for a well-formed phone, whether or not it is registered. Codes expire after OTP_CODE_TTL_SECONDS and can be re-sent once OTP_RESEND_COOLDOWN_SECONDS have passed.
+ *     security: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [phone]
+ *             properties:
+ *               phone:
+ *                 type: string
+ *               purpose:
+ *                 type: string
+ *                 enum: [login, password_reset]
+ *                 default: login
+ *     responses:
+ *       200:
+ *         description: Code sent if the phone is registered
+ *       400:
+ *         description: Validation error
+ *       429:
+ *         description: Resend cooldown, hourly limit or IP rate limit reached
+ *       502:
+ *         description: SMS provider failed
+ */
+router.post('/otp/request', otpRequestRateLimit, authController.requestOtp)
+
+/**
+ * @swagger
+ * /api/auth/otp/verify:
+ *   post:
+ *     tags: [Auth]
+ *     summary: Log in with a one-time SMS code
+ *     description: Each wrong code counts toward OTP_MAX_ATTEMPTS; after that the code is locked and a new one must be requested.
+ *     security: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [phone, code]
+ *             properties:
+ *               phone:
+ *                 type: string
+ *               code:
+ *                 type: string
+ *                 example: '123456'
+ *     responses:
+ *       200:
+ *         description: Logged in
+ *       400:
+ *         description: Invalid or expired code (OTP_INVALID)
+ *       429:
+ *         description: Too many attempts (OTP_ATTEMPTS_EXCEEDED)
+ */
+router.post('/otp/verify', otpVerifyRateLimit, authController.loginWithOtp)
+
+/**
+ * @swagger
+ * /api/auth/password/reset:
+ *   post:
+ *     tags: [Auth]
+ *     summary: Reset password with a password_reset SMS code
+ *     description: Sets the new password and revokes the stored refresh token, so every existing session has to log in again.
+ *     security: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [phone, code, password]
+ *             properties:
+ *               phone:
+ *                 type: string
+ *               code:
+ *                 type: string
+ *               password:
+ *                 type: string
+ *                 minLength: 8
+ *     responses:
+ *       200:
+ *         description: Password reset
+ *       400:
+ *         description: Invalid code or password
+ *       429:
+ *         description: Too many attempts
+ */
+router.post('/password/reset', otpVerifyRateLimit, authController.resetPassword)
+
+/**
+ * @swagger
+ * /api/auth/login/face/challenge:
+ *   post:
+ *     tags: [Auth]
+ *     summary: Start a Face ID login
+ *     description: |
+ *       Returns a single-use nonce and a random liveness action (turn_left, turn_right, blink, nod, smile).
+ *       The client shows the action, captures between minFrames and maxFrames descriptors while the user
+ *       performs it and sends them with the nonce to /api/auth/login/face before expiresAt (FACE_CHALLENGE_TTL_SECONDS).
+ *       The action is only a prompt; the server checks frame consistency and replays, not the action itself.
+ *     security: []
+ *     parameters:
+ *       - in: header
+ *         name: X-Device-Id
+ *         required: false
+ *         schema:
+ *           type: string
+ *     responses:
+ *       201:
+ *         description: Challenge issued
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 nonce:
+ *                   type: string
+ *                 action:
+ *                   type: string
+ *                   enum: [turn_left, turn_right, blink, nod, smile]
+ *                 minFrames:
+ *                   type: integer
+ *                 maxFrames:
+ *                   type: integer
+ *                 expiresAt:
+ *                   type: string
+ *                   format: date-time
+ *                 expiresInSeconds:
+ *                   type: integer
+ *       429:
+ *         description: Too many failed attempts from this IP or device (FACE_LOGIN_THROTTLED)
+ */
+router.post('/login/face/challenge', faceChallengeRateLimit, authController.requestFaceChallenge)
+
 /**
  * @swagger
  * /api/auth/login/face:
  *   post:
  *     tags: [Auth]
- *     summary: Login using Face ID descriptor
- *     description: Swagger UI cannot open webcam and generate descriptor automatically. Use /face-id-demo for camera-based testing.
+ *     summary: Login using Face ID frames bound to a challenge
+ *     description: |
+ *       Swagger UI cannot open webcam and generate descriptor automatically. Use /face-id-demo for camera-based testing.
+ *       Each nonce works once. The frames must show the same face (FACE_LIVENESS_MAX_FRAME_DISTANCE from their mean),
+ *       must not be copies of each other (FACE_LIVENESS_MIN_FRAME_SPREAD) and must not have been submitted before.
+ *       The mean of the frames is matched.
+ *       The match threshold is set per role on the server (FACE_MATCH_THRESHOLD, FACE_MATCH_THRESHOLDS); a threshold in the body is ignored.
+ *       Every attempt is audited. After FACE_LOGIN_MAX_FAILURES failures from the same IP or X-Device-Id within FACE_LOGIN_FAILURE_WINDOW_MS the client gets 429.
  *     security: []
+ *     parameters:
+ *       - in: header
+ *         name: X-Device-Id
+ *         required: false
+ *         schema:
+ *           type: string
+ *         description: Stable id of the kiosk or app install, used to throttle devices sharing an IP
  *     requestBody:
  *       required: true
  *       content:
  *         application/json:
  *           schema:
  *             type: object
- *             required: [descriptor]
+ *             required: [nonce, frames]
  *             properties:
- *               descriptor:
+ *               nonce:
+ *                 type: string
+ *                 description: Nonce from /api/auth/login/face/challenge
+ *               frames:
  *                 type: array
- *                 minItems: 128
- *                 maxItems: 128
+ *                 description: Descriptors captured during the challenge action (minFrames..maxFrames)
  *                 items:
- *                   type: number
- *               threshold:
- *                 type: number
- *                 description: Optional override for match threshold. Lower means stricter.
- *                 example: 0.45
+ *                   type: array
+ *                   minItems: 128
+ *                   maxItems: 128
+ *                   items:
+ *                     type: number
  *     responses:
  *       200:
  *         description: Logged in by face
  *       400:
  *         description: Validation failed
  *       401:
- *         description: Face not recognized
+ *         description: |
+ *           Face not recognized, too close to two enrolled faces (FACE_AMBIGUOUS), nonce invalid, expired or
+ *           already used (FACE_CHALLENGE_INVALID), or frames rejected (FACE_LIVENESS_FAILED)
+ *       429:
+ *         description: Too many failed attempts from this IP or device (FACE_LOGIN_THROTTLED)
  */
 router.post('/login/face', authController.loginWithFaceId)
 
@@ -226,6 +409,7 @@ router.post('/refresh-token', authController.refreshToken)
  *   post:
  *     tags: [Auth]
  *     summary: Logout current user
+ *     description: Revokes the session of the access token; other devices stay logged in.
  *     security:
  *       - bearerAuth: []
  *     responses:
@@ -252,6 +436,62 @@ router.post('/logout', requireAuth, authController.logout)
  */
 router.get('/me', requireAuth, authController.me)
 
+/**
+ * @swagger
+ * /api/auth/sessions:
+ *   get:
+ *     tags: [Auth]
+ *     summary: List active sessions (devices) of the current employee
+ *     description: Each login opens a session. current marks the session of the access token used for this request.
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Sessions with userAgent, ip, createdAt, lastUsedAt, expiresAt and current
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/sessions', requireAuth, authController.listSessions)
+
+/**
+ * @swagger
+ * /api/auth/sessions/others:
+ *   delete:
+ *     tags: [Auth]
+ *     summary: Revoke every session except the current one
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Sessions revoked, with revokedCount
+ *       401:
+ *         description: Unauthorized
+ */
+router.delete('/sessions/others', requireAuth, authController.revokeOtherSessions)
+
+/**
+ * @swagger
+ * /api/auth/sessions/{sessionId}:
+ *   delete:
+ *     tags: [Auth]
+ *     summary: Revoke one session
+ *     description: Its refresh token stops working immediately, and so do access tokens issued for it.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: sessionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Session revoked
+ *       404:
+ *         description: Session not found or already revoked
+ */
+router.delete('/sessions/:sessionId', requireAuth, validateObjectId('sessionId'), authController.revokeSession)
+
 /**
  * @swagger
  * /api/auth/users:
@@ -292,6 +532,76 @@ router.get('/me', requireAuth, authController.me)
  */
 router.get('/users', requireAuth, allowPermissions('users:read'), authController.listUsers)
 
+/**
+ * @swagger
+ * /api/auth/face-login-attempts:
+ *   get:
+ *     tags: [Auth]
+ *     summary: Review Face ID login attempts
+ *     description: Audit log of every Face ID login attempt, newest first. suspicious marks ambiguous matches, near misses above the role threshold, stale users, reused nonces, rejected liveness frames and throttled clients.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: suspicious
+ *         schema:
+ *           type: boolean
+ *       - in: query
+ *         name: outcome
+ *         schema:
+ *           type: string
+ *           enum: [success, no_match, ambiguous, threshold_exceeded, unknown_user, invalid_descriptor, invalid_challenge, liveness_failed, throttled]
+ *       - in: query
+ *         name: userId
+ *         schema:
+ *           type: string
+ *         description: Matched user
+ *       - in: query
+ *         name: ip
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: deviceId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Paginated attempts with matched user
+ *       400:
+ *         description: Invalid filter
+ *       403:
+ *         description: Forbidden
+ */
+router.get(
+	'/face-login-attempts',
+	requireAuth,
+	allowRoles('admin', 'superadmin'),
+	authController.listFaceLoginAttempts,
+)
+
 router.get(
 	'/roles',
 	requireAuth,
@@ -350,6 +660,53 @@ router.patch(
 	authController.updateUserRole,
 )
 
+/**
+ * @swagger
+ * /api/auth/users/{userId}/branches:
+ *   patch:
+ *     tags: [Auth]
+ *     summary: Set the branches an employee works in
+ *     description: |
+ *       Replaces User.branches. Employee list endpoints (groups, students, leads, finance transactions) are
+ *       scoped to these branches; superadmins see every branch.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [branches]
+ *             properties:
+ *               branches:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *     responses:
+ *       200:
+ *         description: Branches updated
+ *       400:
+ *         description: Invalid or unknown branch ids
+ *       403:
+ *         description: Forbidden
+ *       404:
+ *         description: User not found
+ */
+router.patch(
+	'/users/:userId/branches',
+	requireAuth,
+	allowRoles('superadmin'),
+	validateObjectId('userId'),
+	authController.updateUserBranches,
+)
+
 /**
  * @swagger
  * /api/auth/users/{userId}:
@@ -0,0 +1,159 @@
+const express = require('express')
+const branchController = require('../controllers/branch.controller')
+const { requireAuth, allowRoles } = require('../middleware/auth.middleware')
+const validateObjectId = require('../middleware/validateObjectId')
+
+const router = express.Router()
+
+router.use(requireAuth)
+
+/**
+ * @swagger
+ * /api/branches:
+ *   get:
+ *     tags: [Branches]
+ *     summary: List branches
+ *     description: Every employee can list branches; `accessible` marks the ones the caller works in.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: isActive
+ *         schema:
+ *           type: boolean
+ *     responses:
+ *       200:
+ *         description: List of branches
+ *   post:
+ *     tags: [Branches]
+ *     summary: Create a branch (superadmin)
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [name]
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: Chilonzor
+ *               address:
+ *                 type: string
+ *               phone:
+ *                 type: string
+ *               location:
+ *                 type: object
+ *                 description: Check-in point of the branch employees
+ *                 properties:
+ *                   type:
+ *                     type: string
+ *                     example: Point
+ *                   coordinates:
+ *                     type: array
+ *                     items:
+ *                       type: number
+ *                     example: [69.2401, 41.2995]
+ *     responses:
+ *       201:
+ *         description: Branch created
+ *       400:
+ *         description: Validation failed
+ *       403:
+ *         description: Forbidden
+ *       409:
+ *         description: A branch with this name already exists
+ */
+router.get('/', branchController.listBranches)
+router.post('/', allowRoles('superadmin'), branchController.createBranch)
+
+/**
+ * @swagger
+ * /api/branches/{branchId}:
+ *   get:
+ *     tags: [Branches]
+ *     summary: Get a branch and its employees
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: branchId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Branch with its employees
+ *       404:
+ *         description: Branch not found
+ *   patch:
+ *     tags: [Branches]
+ *     summary: Update a branch (superadmin)
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: branchId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               address:
+ *                 type: string
+ *               phone:
+ *                 type: string
+ *               location:
+ *                 type: object
+ *               isActive:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: Branch updated
+ *       404:
+ *         description: Branch not found
+ *       409:
+ *         description: Duplicate name
+ *   delete:
+ *     tags: [Branches]
+ *     summary: Delete a branch nothing references (superadmin)
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: branchId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Branch deleted
+ *       404:
+ *         description: Branch not found
+ *       409:
+ *         description: Branch is still referenced (BRANCH_IN_USE)
+ */
+router.get('/:branchId', validateObjectId('branchId'), branchController.getBranch)
+router.patch(
+	'/:branchId',
+	allowRoles('superadmin'),
+	validateObjectId('branchId'),
+	branchController.updateBranch,
+)
+router.delete(
+	'/:branchId',
+	allowRoles('superadmin'),
+	validateObjectId('branchId'),
+	branchController.deleteBranch,
+)
+
+module.exports = router
@@ -0,0 +1,205 @@
+const express = require('express')
+const compensationController = require('../controllers/compensation.controller')
+const { requireAuth, allowRoles } = require('../middleware/auth.middleware')
+const validateObjectId = require('../middleware/validateObjectId')
+
+const router = express.Router()
+
+router.use(requireAuth)
+
+// ─── COMPENSATION RULES ───────────────────────────────────────────────────────
+
+/**
+ * @swagger
+ * /api/compensation/rules:
+ *   get:
+ *     tags: [Compensation]
+ *     summary: List per-lesson compensation rules
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: lessonType
+ *         schema:
+ *           type: string
+ *           enum: [group, extra]
+ *       - in: query
+ *         name: isActive
+ *         schema:
+ *           type: boolean
+ *     responses:
+ *       200:
+ *         description: List of compensation rules
+ *   post:
+ *     tags: [Compensation]
+ *     summary: Create a per-lesson compensation rule
+ *     description: A rule may be scoped by role, by course or by group (plus an optional role). For each conducted lesson the most specific active rule wins - group, then course, then role only; a matching role breaks ties. Extra lesson rules can only be scoped by role.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [ratePerLesson]
+ *             properties:
+ *               lessonType:
+ *                 type: string
+ *                 enum: [group, extra]
+ *                 default: group
+ *               role:
+ *                 type: string
+ *                 enum: [teacher, supporteacher, headteacher, admin, superadmin]
+ *               courseRef:
+ *                 type: string
+ *               groupId:
+ *                 type: string
+ *               ratePerLesson:
+ *                 type: number
+ *                 example: 80000
+ *               note:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Rule created
+ *       400:
+ *         description: Validation failed
+ *       409:
+ *         description: A rule with the same lesson type and scope already exists
+ */
+router.get('/rules', allowRoles('headteacher', 'admin', 'superadmin'), compensationController.listRules)
+router.post('/rules', allowRoles('admin', 'superadmin'), compensationController.createRule)
+
+/**
+ * @swagger
+ * /api/compensation/rules/{ruleId}:
+ *   patch:
+ *     tags: [Compensation]
+ *     summary: Update a compensation rule (rate, scope or active flag)
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: ruleId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               ratePerLesson:
+ *                 type: number
+ *               isActive:
+ *                 type: boolean
+ *               role:
+ *                 type: string
+ *               courseRef:
+ *                 type: string
+ *               groupId:
+ *                 type: string
+ *               note:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Rule updated
+ *       400:
+ *         description: Validation failed
+ *       404:
+ *         description: Rule not found
+ *       409:
+ *         description: A rule with the same lesson type and scope already exists
+ *   delete:
+ *     tags: [Compensation]
+ *     summary: Delete a compensation rule
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: ruleId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Rule deleted
+ *       404:
+ *         description: Rule not found
+ */
+router.patch(
+	'/rules/:ruleId',
+	allowRoles('admin', 'superadmin'),
+	validateObjectId('ruleId'),
+	compensationController.updateRule,
+)
+router.delete(
+	'/rules/:ruleId',
+	allowRoles('admin', 'superadmin'),
+	validateObjectId('ruleId'),
+	compensationController.deleteRule,
+)
+
+// ─── ACCRUALS ─────────────────────────────────────────────────────────────────
+
+/**
+ * @swagger
+ * /api/compensation/accruals:
+ *   get:
+ *     tags: [Compensation]
+ *     summary: Preview lesson-based accruals per employee for a month
+ *     description: Conducted group lessons are the distinct attendance dates (UTC+5) of each group, credited to its teacher and support teachers. Completed extra lessons are credited to their assigned teacher. Lessons without a matching rule are listed with rate 0.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: month
+ *         required: true
+ *         schema:
+ *           type: string
+ *           example: "2025-04"
+ *       - in: query
+ *         name: employeeId
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Accrual preview
+ *       400:
+ *         description: Invalid month or employee id
+ */
+router.get('/accruals', allowRoles('headteacher', 'admin', 'superadmin'), compensationController.getAccrualPreview)
+
+/**
+ * @swagger
+ * /api/compensation/accruals/approve:
+ *   post:
+ *     tags: [Compensation]
+ *     summary: Approve lesson accruals and post them to the finance ledger
+ *     description: Appends one lesson_pay event per employee with a positive accrual. Employees who already have a non-reversed lesson_pay event for the month are skipped; reverse it first to re-accrue. lesson_pay events are included in finance summaries and payroll payslips.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [month]
+ *             properties:
+ *               month:
+ *                 type: string
+ *                 example: "2025-04"
+ *               employeeId:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Accruals approved
+ *       400:
+ *         description: Invalid month or employee id
+ */
+router.post('/accruals/approve', allowRoles('admin', 'superadmin'), compensationController.approveAccruals)
+
+module.exports = router
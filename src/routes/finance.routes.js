@@ -2,6 +2,7 @@ const express = require('express')
 const financeController = require('../controllers/finance.controller')
 const { requireAuth, allowPermissions, allowRoles } = require('../middleware/auth.middleware')
 const validateObjectId = require('../middleware/validateObjectId')
+const requireBranchAccess = require('../middleware/branch-access.middleware')
 
 const router = express.Router()
 
@@ -30,7 +31,7 @@ router.use(requireAuth)
  *         name: type
  *         schema:
  *           type: string
- *           enum: [salary, salary_update, bonus, fine, student_payment]
+ *           enum: [salary, salary_update, bonus, fine, student_payment, student_charge, student_balance_close, salary_payment, lesson_pay]
  *         description: Filter by transaction type
  *       - in: query
  *         name: month
@@ -60,7 +61,7 @@ router.get('/transactions', allowRoles('teacher', 'supporteacher', 'headteacher'
  *   delete:
  *     tags: [Finance]
  *     summary: Attempt to delete a finance transaction (transactions are immutable)
- *     description: Finance transactions are append-only and cannot be deleted. This endpoint always returns 405. Violation-linked transactions must be managed via DELETE /api/forbidden/violations/{violationId}.
+ *     description: Finance transactions are append-only and cannot be deleted. This endpoint always returns 405; use POST /api/finance/transactions/{transactionId}/reverse to correct a mistake. Violation-linked transactions must be managed via DELETE /api/forbidden/violations/{violationId}.
  *     security:
  *       - bearerAuth: []
  *     parameters:
@@ -84,6 +85,50 @@ router.delete(
 	financeController.deleteTransaction,
 )
 
+/**
+ * @swagger
+ * /api/finance/transactions/{transactionId}/reverse:
+ *   post:
+ *     tags: [Finance]
+ *     summary: Reverse a finance transaction
+ *     description: Appends a compensating event of the same type with the negated amount, linked through reversalOf and recording the reason and actor. Both events are excluded from employee summaries and student balances, and list views flag the original as reversed. Each transaction can be reversed once.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: transactionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [reason]
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 example: Bonus entered for the wrong employee
+ *     responses:
+ *       201:
+ *         description: Transaction reversed
+ *       400:
+ *         description: Missing reason, or transaction type cannot be reversed
+ *       404:
+ *         description: Transaction not found
+ *       409:
+ *         description: Already reversed or linked to a violation
+ */
+router.post(
+	'/transactions/:transactionId/reverse',
+	allowRoles('admin', 'superadmin'),
+	validateObjectId('transactionId'),
+	requireBranchAccess('transactionId'),
+	financeController.reverseTransaction,
+)
+
 /**
  * @swagger
  * /api/finance/employees:
@@ -378,13 +423,234 @@ router.post(
  */
 router.get('/students/payments', allowRoles('teacher', 'supporteacher', 'headteacher', 'admin', 'superadmin'), financeController.listStudentPayments)
 
+/**
+ * @swagger
+ * /api/finance/students/charges:
+ *   post:
+ *     tags: [Finance]
+ *     summary: Generate monthly student charges
+ *     description: Creates one student_charge event per active group membership using the group's monthlyFee. Students who joined mid-month are charged for the remaining days only. Memberships already charged for the month are skipped, so the call is idempotent.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               month:
+ *                 type: string
+ *                 example: "2025-04"
+ *                 description: Target month (YYYY-MM). Defaults to current month.
+ *               groupId:
+ *                 type: string
+ *                 description: Optional group to limit generation to
+ *     responses:
+ *       201:
+ *         description: Charges generated
+ *       400:
+ *         description: Validation failed
+ *       404:
+ *         description: Group not found
+ */
+router.post(
+	'/students/charges',
+	allowRoles('admin', 'superadmin'),
+	financeController.generateStudentCharges,
+)
+
+/**
+ * @swagger
+ * /api/finance/students/statements:
+ *   get:
+ *     tags: [Finance]
+ *     summary: Monthly balance statement for every student
+ *     description: Returns opening balance, charges, payments and closing balance for the month, derived from the ledger. closed/closedBalance reflect the student_balance_close event of that month, if any.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: month
+ *         schema:
+ *           type: string
+ *           example: "2025-04"
+ *         description: Target month (YYYY-MM). Defaults to current month.
+ *       - in: query
+ *         name: groupId
+ *         schema:
+ *           type: string
+ *         description: Only students attached to this group
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Paginated student statements
+ */
+router.get(
+	'/students/statements',
+	allowRoles('headteacher', 'admin', 'superadmin'),
+	financeController.listStudentStatements,
+)
+
+/**
+ * @swagger
+ * /api/finance/students/periods/close:
+ *   post:
+ *     tags: [Finance]
+ *     summary: Close a past month for student balances
+ *     description: Appends a student_balance_close event holding the closing balance for every student with ledger activity up to the month, then reconciles Student.balance against the ledger. Students already closed for the month are skipped.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [month]
+ *             properties:
+ *               month:
+ *                 type: string
+ *                 example: "2025-03"
+ *     responses:
+ *       201:
+ *         description: Period closed
+ *       400:
+ *         description: Invalid or non-past month
+ *       409:
+ *         description: A concurrent close already closed some of the students (PERIOD_CLOSE_CONFLICT)
+ */
+router.post(
+	'/students/periods/close',
+	allowRoles('admin', 'superadmin'),
+	financeController.closeStudentBalancePeriod,
+)
+
+/**
+ * @swagger
+ * /api/finance/students/groups/{groupId}/billing:
+ *   get:
+ *     tags: [Finance]
+ *     summary: Charged vs paid vs outstanding for every student of a group
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: groupId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: month
+ *         schema:
+ *           type: string
+ *           example: "2025-04"
+ *         description: Limit totals to a single month (YYYY-MM)
+ *     responses:
+ *       200:
+ *         description: Group billing summary sorted by outstanding descending
+ *       404:
+ *         description: Group not found
+ */
+router.get(
+	'/students/groups/:groupId/billing',
+	allowRoles('teacher', 'supporteacher', 'headteacher', 'admin', 'superadmin'),
+	validateObjectId('groupId'),
+	requireBranchAccess('groupId'),
+	financeController.getGroupBillingSummary,
+)
+
+/**
+ * @swagger
+ * /api/finance/students/{studentId}/billing:
+ *   get:
+ *     tags: [Finance]
+ *     summary: Charged vs paid vs outstanding for a student
+ *     description: Totals are derived from student_charge and student_payment events. Payments recorded without a groupId appear in byGroup with groupId null.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: studentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: month
+ *         schema:
+ *           type: string
+ *           example: "2025-04"
+ *         description: Limit totals to a single month (YYYY-MM)
+ *     responses:
+ *       200:
+ *         description: Student billing summary with per-group breakdown
+ *       404:
+ *         description: Student not found
+ */
+router.get(
+	'/students/:studentId/billing',
+	validateObjectId('studentId'),
+	requireBranchAccess('studentId'),
+	financeController.getStudentBillingSummary,
+)
+
+/**
+ * @swagger
+ * /api/finance/students/{studentId}/statement:
+ *   get:
+ *     tags: [Finance]
+ *     summary: Month-by-month balance statement for a student
+ *     description: Lists opening balance, charges, payments and closing balance for each month in the range, sorted ascending. Months without activity are included.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: studentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           example: "2025-01"
+ *         description: First month (YYYY-MM). Defaults to the first month with ledger activity.
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           example: "2025-04"
+ *         description: Last month (YYYY-MM). Defaults to current month.
+ *     responses:
+ *       200:
+ *         description: Student statement
+ *       400:
+ *         description: Invalid range
+ *       404:
+ *         description: Student not found
+ */
+router.get(
+	'/students/:studentId/statement',
+	validateObjectId('studentId'),
+	requireBranchAccess('studentId'),
+	financeController.getStudentStatement,
+)
+
 /**
  * @swagger
  * /api/finance/students/{studentId}/payment:
  *   post:
  *     tags: [Finance]
  *     summary: Record a payment for a student
- *     description: Creates a student_payment event and increments the student's balance.
+ *     description: Creates a student_payment event and recomputes the student's balance from the ledger.
  *     security:
  *       - bearerAuth: []
  *     parameters:
@@ -426,6 +692,7 @@ router.get('/students/payments', allowRoles('teacher', 'supporteacher', 'headtea
 router.post(
 	'/students/:studentId/payment',
 	validateObjectId('studentId'),
+	requireBranchAccess('studentId'),
 	financeController.addStudentPayment,
 )
 
@@ -452,6 +719,7 @@ router.post(
 router.get(
 	'/students/:studentId/payments',
 	validateObjectId('studentId'),
+	requireBranchAccess('studentId'),
 	financeController.getStudentPayments,
 )
 
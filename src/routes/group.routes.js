@@ -6,6 +6,7 @@ const {
 	allowPermissionsOrStudent,
 } = require('../middleware/auth.middleware')
 const validateObjectId = require('../middleware/validateObjectId')
+const requireBranchAccess = require('../middleware/branch-access.middleware')
 
 const router = express.Router()
 
@@ -71,6 +72,131 @@ router.use(requireAnyAuth)
 router.get('/', allowPermissionsOrStudent('groups:read'), groupController.getGroups)
 router.post('/', allowPermissions('groups:manage'), groupController.createGroup)
 
+/**
+ * @swagger
+ * /api/groups/attendance/at-risk:
+ *   get:
+ *     tags: [Groups]
+ *     summary: Students at risk by absence streak or low attendance rate
+ *     description: |
+ *       Lists active memberships in active or paused groups that, within the range, end with at least
+ *       minConsecutiveAbsences absences in a row (excused days are skipped) or have an attendance rate at or
+ *       below maxAttendanceRate. Days are local (UTC+5). Teachers only see their own groups.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           example: "2025-04-01"
+ *         description: First day (YYYY-MM-DD). Defaults to 29 days before to.
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           example: "2025-04-30"
+ *         description: Last day (YYYY-MM-DD), at most 366 days after from. Defaults to today.
+ *       - in: query
+ *         name: groupId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: minConsecutiveAbsences
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 30
+ *           default: 3
+ *       - in: query
+ *         name: maxAttendanceRate
+ *         schema:
+ *           type: number
+ *           minimum: 0
+ *           maximum: 100
+ *           default: 70
+ *     responses:
+ *       200:
+ *         description: At-risk students sorted by streak, then by rate
+ *       400:
+ *         description: Invalid query
+ */
+router.get('/attendance/at-risk', allowPermissions('groups:read'), groupController.getAtRiskStudents)
+
+/**
+ * @swagger
+ * /api/groups/attendance/kiosk/challenge:
+ *   post:
+ *     tags: [Groups]
+ *     summary: Start a classroom kiosk Face ID check-in
+ *     description: |
+ *       Returns a single-use kiosk nonce and a liveness action, as for Face ID login. The kiosk captures between
+ *       minFrames and maxFrames descriptors of the student and sends them with the nonce to /api/groups/attendance/kiosk.
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       201:
+ *         description: Challenge issued (nonce, action, minFrames, maxFrames, expiresAt, expiresInSeconds)
+ */
+router.post('/attendance/kiosk/challenge', allowPermissions('groups:manage'), groupController.requestKioskChallenge)
+
+/**
+ * @swagger
+ * /api/groups/attendance/kiosk:
+ *   post:
+ *     tags: [Groups]
+ *     summary: Mark a student's attendance from a classroom Face ID kiosk
+ *     description: |
+ *       The kiosk runs under an employee account with groups:manage. The frames must pass the kiosk challenge
+ *       (POST /api/groups/attendance/kiosk/challenge); their mean is matched against enrolled students
+ *       (PATCH /api/students/{studentId}/face) who are active members of groups with a session running now, from
+ *       KIOSK_CHECKIN_EARLY_MINUTES before the start until the end. Candidates are limited to groups of the kiosk's
+ *       branch (branch, or the only branch of the account) and, when roomId is given, to those meeting in that room.
+ *       The student is marked present, or late after the session start, for the local (UTC+5) day.
+ *       An existing mark for the day is kept unless it is absent.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [nonce, frames]
+ *             properties:
+ *               nonce:
+ *                 type: string
+ *               frames:
+ *                 type: array
+ *                 description: Descriptors captured during the challenge (minFrames..maxFrames)
+ *                 items:
+ *                   type: array
+ *                   minItems: 128
+ *                   maxItems: 128
+ *                   items:
+ *                     type: number
+ *               roomId:
+ *                 type: string
+ *                 description: Room the kiosk stands in
+ *               branch:
+ *                 type: string
+ *                 description: Branch the kiosk stands in; required when the account works in several branches
+ *     responses:
+ *       201:
+ *         description: Attendance marked (student, group, session, status, matchDistance)
+ *       200:
+ *         description: The student was already marked today (alreadyMarked true, existing status)
+ *       400:
+ *         description: Invalid frames, nonce, roomId or branch, or neither roomId nor a branch
+ *       401:
+ *         description: Challenge invalid (FACE_CHALLENGE_INVALID), liveness failed (FACE_LIVENESS_FAILED), face not recognized among current students (FACE_NOT_RECOGNIZED) or too close to two students (FACE_AMBIGUOUS)
+ *       403:
+ *         description: Branch outside the account's branches
+ *       409:
+ *         description: No group session is running now (NO_SESSION_NOW)
+ */
+router.post('/attendance/kiosk', allowPermissions('groups:manage'), groupController.kioskCheckIn)
+
 /**
  * @swagger
  * /api/groups/{groupId}:
@@ -143,18 +269,21 @@ router.get(
 	'/:groupId',
 	allowPermissionsOrStudent('groups:read'),
 	validateObjectId('groupId'),
+	requireBranchAccess('groupId'),
 	groupController.getGroupById,
 )
 router.patch(
 	'/:groupId',
 	allowPermissions('groups:manage'),
 	validateObjectId('groupId'),
+	requireBranchAccess('groupId'),
 	groupController.updateGroup,
 )
 router.delete(
 	'/:groupId',
 	allowPermissions('groups:manage'),
 	validateObjectId('groupId'),
+	requireBranchAccess('groupId'),
 	groupController.deleteGroup,
 )
 
@@ -206,6 +335,7 @@ router.get(
 	'/:groupId/students',
 	allowPermissionsOrStudent('groups:read', 'students:read'),
 	validateObjectId('groupId'),
+	requireBranchAccess('groupId'),
 	groupController.getGroupStudents,
 )
 
@@ -273,21 +403,60 @@ router.post(
 	'/:groupId/students/:studentId',
 	allowPermissions('groups:manage'),
 	validateObjectId('groupId', 'studentId'),
+	requireBranchAccess('groupId', 'studentId'),
 	groupController.attachStudentToGroup,
 )
 router.delete(
 	'/:groupId/students/:studentId',
 	allowPermissions('groups:manage'),
 	validateObjectId('groupId', 'studentId'),
+	requireBranchAccess('groupId', 'studentId'),
 	groupController.detachStudentFromGroup,
 )
 
 /**
  * @swagger
  * /api/groups/{groupId}/attendance:
+ *   get:
+ *     tags: [Groups]
+ *     summary: Group attendance records in a date range
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: groupId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: date
+ *         schema:
+ *           type: string
+ *           example: "2025-04-07"
+ *         description: Single local (UTC+5) day (YYYY-MM-DD). Takes precedence over from/to.
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           example: "2025-04-01"
+ *         description: First local (UTC+5) day (YYYY-MM-DD). Defaults to the first day of the current month.
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           example: "2025-04-30"
+ *         description: Last day (YYYY-MM-DD), at most 186 days after from. Defaults to the end of the from month.
+ *     responses:
+ *       200:
+ *         description: Attendance records sorted by day
+ *       400:
+ *         description: Invalid range
+ *       404:
+ *         description: Group not found
  *   post:
  *     tags: [Groups]
  *     summary: Create or update group attendance for a date
+ *     description: Accepted only for today and while a non-cancelled session from the group calendar is running (GET /api/groups/{groupId}/sessions). The returned group.attendance lists the group's full attendance history.
  *     security:
  *       - bearerAuth: []
  *     parameters:
@@ -317,14 +486,22 @@ router.delete(
  *       400:
  *         description: Validation failed
  *       403:
- *         description: Forbidden for this group
+ *         description: Forbidden for this group, no running session, or session cancelled
  *       404:
  *         description: Group not found
  */
+router.get(
+	'/:groupId/attendance',
+	allowPermissions('groups:read'),
+	validateObjectId('groupId'),
+	requireBranchAccess('groupId'),
+	groupController.getGroupAttendance,
+)
 router.post(
 	'/:groupId/attendance',
 	allowPermissions('groups:read'),
 	validateObjectId('groupId'),
+	requireBranchAccess('groupId'),
 	groupController.upsertGroupAttendance,
 )
 
@@ -334,6 +511,7 @@ router.post(
  *   patch:
  *     tags: [Groups]
  *     summary: Live update single student attendance during lesson
+ *     description: Accepted only for today and while a non-cancelled session from the group calendar is running. The returned group.attendance lists the group's full attendance history.
  *     security:
  *       - bearerAuth: []
  *     parameters:
@@ -377,8 +555,200 @@ router.patch(
 	'/:groupId/attendance/students/:studentId',
 	allowPermissions('groups:read'),
 	validateObjectId('groupId', 'studentId'),
+	requireBranchAccess('groupId', 'studentId'),
 	groupController.markGroupAttendanceStudent,
 )
 
+/**
+ * @swagger
+ * /api/groups/{groupId}/attendance/report:
+ *   get:
+ *     tags: [Groups]
+ *     summary: Group attendance report
+ *     description: Counts by status and attendance rate per student over a local (UTC+5) date range. Late counts as attended; excused records are left out of the rate.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: groupId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           example: "2025-04-01"
+ *         description: First day (YYYY-MM-DD). Defaults to 29 days before to.
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           example: "2025-04-30"
+ *         description: Last day (YYYY-MM-DD), at most 366 days after from. Defaults to today.
+ *     responses:
+ *       200:
+ *         description: Attendance totals with per-student breakdown
+ *       400:
+ *         description: Invalid range
+ *       403:
+ *         description: Forbidden for this group
+ *       404:
+ *         description: Group not found
+ */
+router.get(
+	'/:groupId/attendance/report',
+	allowPermissions('groups:read'),
+	validateObjectId('groupId'),
+	requireBranchAccess('groupId'),
+	groupController.getGroupAttendanceReport,
+)
+
+/**
+ * @swagger
+ * /api/groups/{groupId}/sessions:
+ *   get:
+ *     tags: [Groups]
+ *     summary: Group session calendar
+ *     description: Lists concrete sessions generated from the weekly schedule between the group's startDate and endDate. Read-only. Slots that were never cancelled or rescheduled are not stored and come back with _id null; address them by slotKey, e.g. 2025-04-07T09:00. Includes cancelled (manually or by holiday) and rescheduled sessions. Students only see groups they belong to. Days are local UTC+5.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: groupId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           example: "2025-04-01"
+ *         description: First day (YYYY-MM-DD). Defaults to the first day of the current month.
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           example: "2025-04-30"
+ *         description: Last day (YYYY-MM-DD), at most 186 days after from. Defaults to the end of the from month.
+ *     responses:
+ *       200:
+ *         description: Sessions in the range
+ *       400:
+ *         description: Invalid range
+ *       403:
+ *         description: Student is not a member of the group
+ *       404:
+ *         description: Group not found
+ */
+router.get(
+	'/:groupId/sessions',
+	allowPermissionsOrStudent('groups:read'),
+	validateObjectId('groupId'),
+	requireBranchAccess('groupId'),
+	groupController.getGroupSessions,
+)
+
+/**
+ * @swagger
+ * /api/groups/{groupId}/sessions/{sessionId}/cancel:
+ *   patch:
+ *     tags: [Groups]
+ *     summary: Cancel a single group session
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: groupId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: sessionId
+ *         required: true
+ *         description: Session id, or the slotKey of a calendar slot that has no id yet
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 example: Teacher is sick
+ *     responses:
+ *       200:
+ *         description: Session cancelled
+ *       404:
+ *         description: Session not found
+ *       409:
+ *         description: Session is already cancelled
+ */
+router.patch(
+	'/:groupId/sessions/:sessionId/cancel',
+	allowPermissions('groups:manage'),
+	validateObjectId('groupId'),
+	requireBranchAccess('groupId'),
+	groupController.cancelGroupSession,
+)
+
+/**
+ * @swagger
+ * /api/groups/{groupId}/sessions/{sessionId}/reschedule:
+ *   patch:
+ *     tags: [Groups]
+ *     summary: Move a single group session to another date/time
+ *     description: The original start time is kept in originalStartsAt. Sessions cannot be moved onto a holiday.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: groupId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: sessionId
+ *         required: true
+ *         description: Session id, or the slotKey of a calendar slot that has no id yet
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [startsAt]
+ *             properties:
+ *               startsAt:
+ *                 type: string
+ *                 format: date-time
+ *               durationMinutes:
+ *                 type: integer
+ *                 minimum: 30
+ *                 maximum: 300
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Session rescheduled
+ *       400:
+ *         description: Validation failed
+ *       404:
+ *         description: Session not found
+ *       409:
+ *         description: Session is cancelled, target day is a holiday or the new time conflicts with another group or extra lesson (SCHEDULE_CONFLICT)
+ */
+router.patch(
+	'/:groupId/sessions/:sessionId/reschedule',
+	allowPermissions('groups:manage'),
+	validateObjectId('groupId'),
+	requireBranchAccess('groupId'),
+	groupController.rescheduleGroupSession,
+)
+
 module.exports = router
 
@@ -0,0 +1,85 @@
+const express = require('express')
+const holidayController = require('../controllers/holiday.controller')
+const { requireAuth, allowPermissions } = require('../middleware/auth.middleware')
+const validateObjectId = require('../middleware/validateObjectId')
+
+const router = express.Router()
+
+router.use(requireAuth)
+
+/**
+ * @swagger
+ * /api/holidays:
+ *   get:
+ *     tags: [Holidays]
+ *     summary: List center-wide holidays
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: year
+ *         schema:
+ *           type: string
+ *           example: "2025"
+ *     responses:
+ *       200:
+ *         description: List of holidays
+ *   post:
+ *     tags: [Holidays]
+ *     summary: Create a center-wide holiday
+ *     description: Cancels every scheduled group session on that local (UTC+5) day. Sessions generated later for that day are created already cancelled.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [date, name]
+ *             properties:
+ *               date:
+ *                 type: string
+ *                 example: "2025-03-21"
+ *               name:
+ *                 type: string
+ *                 example: Navruz
+ *     responses:
+ *       201:
+ *         description: Holiday created
+ *       400:
+ *         description: Validation failed
+ *       409:
+ *         description: A holiday already exists on this date
+ */
+router.get('/', allowPermissions('groups:read'), holidayController.listHolidays)
+router.post('/', allowPermissions('groups:manage'), holidayController.createHoliday)
+
+/**
+ * @swagger
+ * /api/holidays/{holidayId}:
+ *   delete:
+ *     tags: [Holidays]
+ *     summary: Delete a holiday and restore the sessions it cancelled
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: holidayId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Holiday deleted
+ *       404:
+ *         description: Holiday not found
+ */
+router.delete(
+	'/:holidayId',
+	allowPermissions('groups:manage'),
+	validateObjectId('holidayId'),
+	holidayController.deleteHoliday,
+)
+
+module.exports = router
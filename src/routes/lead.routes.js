@@ -1,10 +1,67 @@
 const express = require('express')
 const leadController = require('../controllers/lead.controller')
-const { requireAuth } = require('../middleware/auth.middleware')
+const { requireAuth, allowPermissions, allowRoles } = require('../middleware/auth.middleware')
 const validateObjectId = require('../middleware/validateObjectId')
+const requireBranchAccess = require('../middleware/branch-access.middleware')
+const rateLimit = require('../middleware/rateLimit')
 
 const router = express.Router()
 
+const envPublicLeadLimit = Number(process.env.PUBLIC_LEAD_RATE_LIMIT_MAX)
+const publicLeadRateLimit = rateLimit({
+	windowMs: 10 * 60 * 1000,
+	max: Number.isInteger(envPublicLeadLimit) && envPublicLeadLimit > 0 ? envPublicLeadLimit : 5,
+	message: 'Too many submissions, please try again later',
+})
+
+/**
+ * @swagger
+ * /api/leads/public:
+ *   post:
+ *     tags: [Leads]
+ *     summary: Public lead intake for website and landing page forms
+ *     description: |
+ *       No authentication. Rate limited per client IP (default 5 submissions per 10 minutes).
+ *       The phone number is normalised to +<digits> (bare 9-digit numbers get +998) and the email is lowercased.
+ *       A submission whose number or email matches an open lead (not enrolled or lost) is merged into
+ *       that lead and logged on its activity timeline instead of creating a duplicate.
+ *       The response is the same for new, merged and honeypot submissions.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [name]
+ *             properties:
+ *               name:
+ *                 type: string
+ *               number:
+ *                 type: string
+ *                 description: Phone number (`phone` is accepted as an alias). number or email is required.
+ *               email:
+ *                 type: string
+ *               source:
+ *                 type: string
+ *                 enum: [WEBSITE, LANDING]
+ *                 default: WEBSITE
+ *               message:
+ *                 type: string
+ *               referral:
+ *                 type: string
+ *               website:
+ *                 type: string
+ *                 description: Honeypot. Render hidden and leave empty.
+ *     responses:
+ *       201:
+ *         description: Submission accepted
+ *       400:
+ *         description: Validation error
+ *       429:
+ *         description: Too many submissions from this IP
+ */
+router.post('/public', publicLeadRateLimit, leadController.submitPublicLead)
+
 /**
  * @swagger
  * /api/leads:
@@ -34,6 +91,16 @@ const router = express.Router()
  *         schema:
  *           type: string
  *           enum: [INSTAGRAM, TELEGRAM, CALL_CENTER, WEBSITE, LANDING, FRIEND]
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [new, contacted, trial_booked, trial_attended, enrolled, lost]
+ *       - in: query
+ *         name: assignee
+ *         schema:
+ *           type: string
+ *         description: Assignee user id, or `none` for unassigned leads
  *     responses:
  *       200:
  *         description: Lead list
@@ -67,6 +134,9 @@ const router = express.Router()
  *                 type: string
  *               referral:
  *                 type: string
+ *               assignee:
+ *                 type: string
+ *                 description: User id of the responsible sales employee
  *     responses:
  *       201:
  *         description: Lead created
@@ -78,6 +148,111 @@ const router = express.Router()
 router.get('/', requireAuth, leadController.listLeads)
 router.post('/', requireAuth, leadController.createLead)
 
+/**
+ * @swagger
+ * /api/leads/analytics:
+ *   get:
+ *     tags: [Leads]
+ *     summary: Lead counts, conversion rates and time-to-conversion
+ *     description: |
+ *       Covers leads created between from and to (inclusive, UTC+5 days; default: the last 90 days, max 731).
+ *       Returns totals, the current funnel by status, and breakdowns by source, by creating employee
+ *       (createdBy) and by week (ISO, e.g. 2025-W14) or month. Only leads of the caller's branches (and
+ *       unassigned ones) are counted; superadmins see every branch.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           example: "2025-01-01"
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           example: "2025-03-31"
+ *       - in: query
+ *         name: interval
+ *         schema:
+ *           type: string
+ *           enum: [week, month]
+ *           default: month
+ *       - in: query
+ *         name: branchId
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: |
+ *           Each bucket has leads, enrolled, lost, open, conversionRate (percent),
+ *           avgDaysToConversion and maxDaysToConversion
+ *       400:
+ *         description: Invalid date range, interval or branchId
+ *       403:
+ *         description: Branch outside the caller's branches
+ */
+router.get(
+	'/analytics',
+	requireAuth,
+	allowRoles('headteacher', 'admin', 'superadmin'),
+	leadController.getLeadAnalytics,
+)
+
+/**
+ * @swagger
+ * /api/leads/duplicates:
+ *   get:
+ *     tags: [Leads]
+ *     summary: Find groups of duplicate leads
+ *     description: |
+ *       Groups leads that share a normalised phone number, email or username (transitively).
+ *       By default only open leads (not enrolled or lost) are scanned. Only leads of the caller's branches
+ *       (and unassigned ones) are scanned; superadmins scan every branch.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: includeClosed
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *       - in: query
+ *         name: branchId
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Duplicate groups with matchedOn keys and a suggestedSurvivorId
+ *       400:
+ *         description: Invalid branchId
+ *       403:
+ *         description: Branch outside the caller's branches
+ */
+router.get(
+	'/duplicates',
+	requireAuth,
+	allowRoles('admin', 'superadmin'),
+	leadController.listDuplicateLeads,
+)
+
+/**
+ * @swagger
+ * /api/leads/follow-ups/overdue:
+ *   get:
+ *     tags: [Leads]
+ *     summary: List the logged-in employee's overdue follow-ups
+ *     description: Pending follow-ups assigned to the caller whose dueAt has passed, oldest first.
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Overdue follow-ups with their lead
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/follow-ups/overdue', requireAuth, leadController.listMyOverdueFollowUps)
+
 /**
  * @swagger
  * /api/leads/{leadId}:
@@ -129,6 +304,16 @@ router.post('/', requireAuth, leadController.createLead)
  *                 type: string
  *               referral:
  *                 type: string
+ *               assignee:
+ *                 type: string
+ *                 nullable: true
+ *               status:
+ *                 type: string
+ *                 enum: [new, contacted, trial_booked, trial_attended, lost]
+ *                 description: "`enrolled` is set only by the convert action; converted leads cannot change status"
+ *               lostReason:
+ *                 type: string
+ *                 description: Required when status is lost
  *     responses:
  *       200:
  *         description: Updated
@@ -136,6 +321,8 @@ router.post('/', requireAuth, leadController.createLead)
  *         description: Validation error
  *       404:
  *         description: Not found
+ *       409:
+ *         description: Lead is already converted
  *   delete:
  *     tags: [Leads]
  *     summary: Delete lead
@@ -153,8 +340,357 @@ router.post('/', requireAuth, leadController.createLead)
  *       404:
  *         description: Not found
  */
-router.get('/:leadId', requireAuth, validateObjectId('leadId'), leadController.getLead)
-router.patch('/:leadId', requireAuth, validateObjectId('leadId'), leadController.updateLead)
-router.delete('/:leadId', requireAuth, validateObjectId('leadId'), leadController.deleteLead)
+router.get(
+	'/:leadId',
+	requireAuth,
+	validateObjectId('leadId'),
+	requireBranchAccess('leadId'),
+	leadController.getLead,
+)
+router.patch(
+	'/:leadId',
+	requireAuth,
+	validateObjectId('leadId'),
+	requireBranchAccess('leadId'),
+	leadController.updateLead,
+)
+router.delete(
+	'/:leadId',
+	requireAuth,
+	validateObjectId('leadId'),
+	requireBranchAccess('leadId'),
+	leadController.deleteLead,
+)
+
+/**
+ * @swagger
+ * /api/leads/{leadId}/convert:
+ *   post:
+ *     tags: [Leads]
+ *     summary: Convert a lead into a student
+ *     description: |
+ *       Creates the student with the same validation as POST /api/students, optionally with an
+ *       active membership in one group, and marks the lead as enrolled. fullname, studentPhone
+ *       and note default to the lead's name, number and description.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: leadId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [parentPhone, gender, birthDate, password]
+ *             properties:
+ *               fullname:
+ *                 type: string
+ *               studentPhone:
+ *                 type: string
+ *               parentPhone:
+ *                 type: string
+ *               gender:
+ *                 type: string
+ *                 enum: [male, female]
+ *               birthDate:
+ *                 type: string
+ *                 format: date
+ *               password:
+ *                 type: string
+ *               note:
+ *                 type: string
+ *               groupId:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Lead converted; returns the lead and the new student
+ *       400:
+ *         description: Validation error
+ *       404:
+ *         description: Lead not found
+ *       409:
+ *         description: Lead already converted, duplicate student phone or group is full
+ */
+router.post(
+	'/:leadId/convert',
+	requireAuth,
+	allowPermissions('students:manage'),
+	validateObjectId('leadId'),
+	requireBranchAccess('leadId'),
+	leadController.convertLead,
+)
+
+/**
+ * @swagger
+ * /api/leads/{leadId}/activities:
+ *   get:
+ *     tags: [Leads]
+ *     summary: Lead activity timeline (newest first)
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: leadId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *           enum: [call, message, meeting, note, status_change]
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *     responses:
+ *       200:
+ *         description: Activities
+ *       404:
+ *         description: Lead not found
+ *   post:
+ *     tags: [Leads]
+ *     summary: Log a call, message, meeting or note
+ *     description: Pipeline status changes are logged automatically as `status_change` activities.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: leadId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [type]
+ *             properties:
+ *               type:
+ *                 type: string
+ *                 enum: [call, message, meeting, note]
+ *               outcome:
+ *                 type: string
+ *                 example: No answer, will call back tomorrow
+ *               details:
+ *                 type: string
+ *               occurredAt:
+ *                 type: string
+ *                 format: date-time
+ *                 description: Defaults to now; cannot be in the future
+ *     responses:
+ *       201:
+ *         description: Activity logged
+ *       400:
+ *         description: Validation error
+ *       404:
+ *         description: Lead not found
+ */
+router.get(
+	'/:leadId/activities',
+	requireAuth,
+	validateObjectId('leadId'),
+	requireBranchAccess('leadId'),
+	leadController.listLeadActivities,
+)
+router.post(
+	'/:leadId/activities',
+	requireAuth,
+	validateObjectId('leadId'),
+	requireBranchAccess('leadId'),
+	leadController.createLeadActivity,
+)
+
+/**
+ * @swagger
+ * /api/leads/{leadId}/follow-ups:
+ *   get:
+ *     tags: [Leads]
+ *     summary: List follow-ups of a lead
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: leadId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, done, cancelled]
+ *     responses:
+ *       200:
+ *         description: Follow-ups ordered by dueAt
+ *       404:
+ *         description: Lead not found
+ *   post:
+ *     tags: [Leads]
+ *     summary: Schedule a follow-up
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: leadId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [dueAt]
+ *             properties:
+ *               dueAt:
+ *                 type: string
+ *                 format: date-time
+ *               assignee:
+ *                 type: string
+ *                 description: Defaults to the lead assignee, then to the caller
+ *               note:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Follow-up scheduled
+ *       400:
+ *         description: Validation error
+ *       404:
+ *         description: Lead not found
+ */
+router.get(
+	'/:leadId/follow-ups',
+	requireAuth,
+	validateObjectId('leadId'),
+	requireBranchAccess('leadId'),
+	leadController.listLeadFollowUps,
+)
+router.post(
+	'/:leadId/follow-ups',
+	requireAuth,
+	validateObjectId('leadId'),
+	requireBranchAccess('leadId'),
+	leadController.createLeadFollowUp,
+)
+
+/**
+ * @swagger
+ * /api/leads/{leadId}/follow-ups/{followUpId}:
+ *   patch:
+ *     tags: [Leads]
+ *     summary: Reschedule, reassign, complete or cancel a pending follow-up
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: leadId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: followUpId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               status:
+ *                 type: string
+ *                 enum: [pending, done, cancelled]
+ *               dueAt:
+ *                 type: string
+ *                 format: date-time
+ *               assignee:
+ *                 type: string
+ *               note:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Follow-up updated
+ *       404:
+ *         description: Follow-up not found
+ *       409:
+ *         description: Follow-up is already done or cancelled
+ */
+router.patch(
+	'/:leadId/follow-ups/:followUpId',
+	requireAuth,
+	validateObjectId('leadId', 'followUpId'),
+	requireBranchAccess('leadId'),
+	leadController.updateLeadFollowUp,
+)
+
+/**
+ * @swagger
+ * /api/leads/{leadId}/merge:
+ *   post:
+ *     tags: [Leads]
+ *     summary: Merge duplicate leads into this lead
+ *     description: |
+ *       Fills missing contacts from the duplicates, combines descriptions, adds their sources to
+ *       additionalSources, moves their activities and follow-ups, records them in mergedLeads and
+ *       deletes them. Converted leads can only be the surviving lead. Every lead must belong to one of the
+ *       caller's branches or have no branch.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: leadId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Surviving lead
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [leadIds]
+ *             properties:
+ *               leadIds:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *     responses:
+ *       200:
+ *         description: Merged lead
+ *       400:
+ *         description: Invalid leadIds
+ *       403:
+ *         description: A lead belongs to a branch outside the caller's branches
+ *       404:
+ *         description: Lead not found
+ *       409:
+ *         description: A converted lead cannot be merged away
+ */
+router.post(
+	'/:leadId/merge',
+	requireAuth,
+	allowRoles('admin', 'superadmin'),
+	validateObjectId('leadId'),
+	requireBranchAccess('leadId'),
+	leadController.mergeLeads,
+)
 
 module.exports = router
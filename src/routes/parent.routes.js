@@ -0,0 +1,444 @@
+const express = require('express')
+
+const parentController = require('../controllers/parent.controller')
+const {
+	requireAuth,
+	requireParentAuth,
+	allowPermissions,
+} = require('../middleware/auth.middleware')
+const validateObjectId = require('../middleware/validateObjectId')
+const rateLimit = require('../middleware/rateLimit')
+
+const router = express.Router()
+
+const envOtpRequestLimit = Number(process.env.OTP_REQUEST_RATE_LIMIT_MAX)
+const otpRequestRateLimit = rateLimit({
+	windowMs: 15 * 60 * 1000,
+	max: Number.isInteger(envOtpRequestLimit) && envOtpRequestLimit > 0 ? envOtpRequestLimit : 10,
+	message: 'Too many code requests, please try again later',
+})
+const otpVerifyRateLimit = rateLimit({
+	windowMs: 15 * 60 * 1000,
+	max: 30,
+	message: 'Too many attempts, please try again later',
+})
+
+/**
+ * @swagger
+ * /api/parents/login:
+ *   post:
+ *     tags: [Parents]
+ *     summary: Parent login by parentPhone and password
+ *     security: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [phone, password]
+ *             properties:
+ *               phone:
+ *                 type: string
+ *                 description: Same value as Student.parentPhone
+ *               password:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Logged in; returns tokens, the parent and all children sharing the phone
+ *       401:
+ *         description: Invalid credentials
+ *       403:
+ *         description: Parent account is disabled
+ */
+router.post('/login', parentController.loginParent)
+
+/**
+ * @swagger
+ * /api/parents/otp/request:
+ *   post:
+ *     tags: [Parents]
+ *     summary: Send a one-time SMS login code to a parent phone
+ *     description: Always answers 200 for a well-formed phone, whether or not it is registered. Same expiry, cooldown and hourly limits as employee and student codes.
+ *     security: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [phone]
+ *             properties:
+ *               phone:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Code sent if the phone is registered
+ *       400:
+ *         description: Validation error
+ *       429:
+ *         description: Resend cooldown, hourly limit or IP rate limit reached
+ *       502:
+ *         description: SMS provider failed
+ */
+router.post('/otp/request', otpRequestRateLimit, parentController.requestParentOtp)
+
+/**
+ * @swagger
+ * /api/parents/otp/verify:
+ *   post:
+ *     tags: [Parents]
+ *     summary: Log in with a one-time SMS code
+ *     description: Each wrong code counts toward OTP_MAX_ATTEMPTS. Works for parents without a password.
+ *     security: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [phone, code]
+ *             properties:
+ *               phone:
+ *                 type: string
+ *               code:
+ *                 type: string
+ *                 example: '123456'
+ *     responses:
+ *       200:
+ *         description: Logged in; same body as password login
+ *       400:
+ *         description: Invalid or expired code (OTP_INVALID)
+ *       403:
+ *         description: Parent account is disabled
+ *       429:
+ *         description: Too many attempts (OTP_ATTEMPTS_EXCEEDED)
+ */
+router.post('/otp/verify', otpVerifyRateLimit, parentController.loginParentWithOtp)
+
+/**
+ * @swagger
+ * /api/parents/refresh-token:
+ *   post:
+ *     tags: [Parents]
+ *     summary: Refresh parent access token
+ *     description: Rotates the refresh token of the device session; presenting an older token of the session revokes it (REFRESH_TOKEN_REUSED).
+ *     security: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [refreshToken]
+ *             properties:
+ *               refreshToken:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Tokens refreshed
+ *       401:
+ *         description: Invalid or expired refresh token
+ */
+router.post('/refresh-token', parentController.refreshParentToken)
+
+/**
+ * @swagger
+ * /api/parents/logout:
+ *   post:
+ *     tags: [Parents]
+ *     summary: Parent logout
+ *     description: Revokes the session of the access token; other devices stay logged in.
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Logged out
+ *       401:
+ *         description: Missing or non-parent token
+ */
+router.post('/logout', requireParentAuth, parentController.logoutParent)
+
+/**
+ * @swagger
+ * /api/parents/me:
+ *   get:
+ *     tags: [Parents]
+ *     summary: Current parent with all children sharing the phone
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Parent profile and children
+ *       401:
+ *         description: Missing or non-parent token
+ */
+router.get('/me', requireParentAuth, parentController.getMe)
+
+/**
+ * @swagger
+ * /api/parents/me/children/{studentId}/groups:
+ *   get:
+ *     tags: [Parents]
+ *     summary: Groups of a child
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: studentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Group memberships with teacher and room names
+ *       404:
+ *         description: Not a child of this parent
+ */
+router.get(
+	'/me/children/:studentId/groups',
+	requireParentAuth,
+	validateObjectId('studentId'),
+	parentController.getChildGroups,
+)
+
+/**
+ * @swagger
+ * /api/parents/me/children/{studentId}/attendance:
+ *   get:
+ *     tags: [Parents]
+ *     summary: Attendance report of a child
+ *     description: Same report as GET /api/students/{studentId}/attendance.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: studentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           example: "2025-04-01"
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           example: "2025-04-30"
+ *     responses:
+ *       200:
+ *         description: Attendance totals with per-group breakdown
+ *       400:
+ *         description: Invalid range
+ *       404:
+ *         description: Not a child of this parent
+ */
+router.get(
+	'/me/children/:studentId/attendance',
+	requireParentAuth,
+	validateObjectId('studentId'),
+	parentController.getChildAttendance,
+)
+
+/**
+ * @swagger
+ * /api/parents/me/children/{studentId}/homework:
+ *   get:
+ *     tags: [Parents]
+ *     summary: Homework submissions and scores of a child
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: studentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: groupId
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Submissions (newest first) with averageScore over graded ones
+ *       404:
+ *         description: Not a child of this parent
+ */
+router.get(
+	'/me/children/:studentId/homework',
+	requireParentAuth,
+	validateObjectId('studentId'),
+	parentController.getChildHomework,
+)
+
+/**
+ * @swagger
+ * /api/parents/me/children/{studentId}/balance:
+ *   get:
+ *     tags: [Parents]
+ *     summary: Balance and monthly statement of a child
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: studentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           example: "2025-01"
+ *         description: First month (YYYY-MM). Defaults to 5 months before to.
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           example: "2025-06"
+ *         description: Last month (YYYY-MM), at most 24 months after from. Defaults to the current month.
+ *     responses:
+ *       200:
+ *         description: Current balance with opening / charges / payments / closing per month
+ *       400:
+ *         description: Invalid range
+ *       404:
+ *         description: Not a child of this parent
+ */
+router.get(
+	'/me/children/:studentId/balance',
+	requireParentAuth,
+	validateObjectId('studentId'),
+	parentController.getChildBalance,
+)
+
+/**
+ * @swagger
+ * /api/parents/me/children/{studentId}/payments:
+ *   get:
+ *     tags: [Parents]
+ *     summary: Payment history of a child
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: studentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: student_payment events, newest month first, with reversed flags
+ *       404:
+ *         description: Not a child of this parent
+ */
+router.get(
+	'/me/children/:studentId/payments',
+	requireParentAuth,
+	validateObjectId('studentId'),
+	parentController.getChildPayments,
+)
+
+/**
+ * @swagger
+ * /api/parents:
+ *   get:
+ *     tags: [Parents]
+ *     summary: List parent accounts
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Parent accounts
+ *   post:
+ *     tags: [Parents]
+ *     summary: Create a parent account for a parentPhone
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [phone, password]
+ *             properties:
+ *               phone:
+ *                 type: string
+ *               password:
+ *                 type: string
+ *                 minLength: 8
+ *               fullname:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Parent account created
+ *       400:
+ *         description: Validation failed or no students have this parentPhone (NO_LINKED_STUDENTS)
+ *       409:
+ *         description: Parent account already exists
+ */
+router.get('/', requireAuth, allowPermissions('students:read'), parentController.listParents)
+router.post('/', requireAuth, allowPermissions('students:manage'), parentController.createParent)
+
+/**
+ * @swagger
+ * /api/parents/{parentId}:
+ *   patch:
+ *     tags: [Parents]
+ *     summary: Update a parent account (name, password reset, enable/disable)
+ *     description: Setting a password or disabling the account clears the stored refresh token.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: parentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               fullname:
+ *                 type: string
+ *               password:
+ *                 type: string
+ *                 minLength: 8
+ *               isActive:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: Parent account updated
+ *       400:
+ *         description: Validation failed
+ *       404:
+ *         description: Parent not found
+ */
+router.patch(
+	'/:parentId',
+	requireAuth,
+	allowPermissions('students:manage'),
+	validateObjectId('parentId'),
+	parentController.updateParent,
+)
+
+module.exports = router
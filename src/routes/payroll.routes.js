@@ -0,0 +1,224 @@
+const express = require('express')
+const payrollController = require('../controllers/payroll.controller')
+const { requireAuth, allowRoles } = require('../middleware/auth.middleware')
+const validateObjectId = require('../middleware/validateObjectId')
+
+const router = express.Router()
+
+router.use(requireAuth)
+
+/**
+ * @swagger
+ * /api/payroll/runs:
+ *   get:
+ *     tags: [Payroll]
+ *     summary: List payroll runs (payslips omitted)
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [draft, approved, paid]
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Paginated payroll run list
+ *   post:
+ *     tags: [Payroll]
+ *     summary: Create a draft payroll run for a month
+ *     description: Snapshots every employee's salary, bonuses, fines and net for the month into payslips. One run per month.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [month]
+ *             properties:
+ *               month:
+ *                 type: string
+ *                 example: "2025-04"
+ *               note:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Draft payroll run created
+ *       400:
+ *         description: Invalid month
+ *       409:
+ *         description: Payroll run for this month already exists
+ */
+router.get('/runs', allowRoles('headteacher', 'admin', 'superadmin'), payrollController.listPayrollRuns)
+router.post('/runs', allowRoles('admin', 'superadmin'), payrollController.createPayrollRun)
+
+/**
+ * @swagger
+ * /api/payroll/runs/{runId}:
+ *   get:
+ *     tags: [Payroll]
+ *     summary: Get a payroll run with its payslips
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: runId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Payroll run
+ *       404:
+ *         description: Payroll run not found
+ */
+router.get(
+	'/runs/:runId',
+	allowRoles('headteacher', 'admin', 'superadmin'),
+	validateObjectId('runId'),
+	payrollController.getPayrollRun,
+)
+
+/**
+ * @swagger
+ * /api/payroll/runs/{runId}/recalculate:
+ *   post:
+ *     tags: [Payroll]
+ *     summary: Rebuild payslips of a draft run from the current ledger
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: runId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Payroll run recalculated
+ *       404:
+ *         description: Payroll run not found
+ *       409:
+ *         description: Run is not in draft status
+ */
+router.post(
+	'/runs/:runId/recalculate',
+	allowRoles('admin', 'superadmin'),
+	validateObjectId('runId'),
+	payrollController.recalculatePayrollRun,
+)
+
+/**
+ * @swagger
+ * /api/payroll/runs/{runId}/approve:
+ *   post:
+ *     tags: [Payroll]
+ *     summary: Approve a draft payroll run (freezes payslips)
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: runId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Payroll run approved
+ *       404:
+ *         description: Payroll run not found
+ *       409:
+ *         description: Run is not in draft status
+ */
+router.post(
+	'/runs/:runId/approve',
+	allowRoles('admin', 'superadmin'),
+	validateObjectId('runId'),
+	payrollController.approvePayrollRun,
+)
+
+/**
+ * @swagger
+ * /api/payroll/runs/{runId}/pay:
+ *   post:
+ *     tags: [Payroll]
+ *     summary: Mark an approved payroll run as paid
+ *     description: |
+ *       Posts one salary_payment ledger event per payslip with a positive net amount and links each event to its payslip.
+ *       An employee has at most one salary_payment per month, so retrying after a failed attempt links the events
+ *       already posted instead of paying twice.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: runId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Payroll run paid
+ *       404:
+ *         description: Payroll run not found
+ *       409:
+ *         description: Run is not in approved status
+ */
+router.post(
+	'/runs/:runId/pay',
+	allowRoles('admin', 'superadmin'),
+	validateObjectId('runId'),
+	payrollController.payPayrollRun,
+)
+
+/**
+ * @swagger
+ * /api/payroll/runs/{runId}/payslips/{employeeId}:
+ *   get:
+ *     tags: [Payroll]
+ *     summary: Download an employee payslip as a text file
+ *     description: Employees may download their own payslip; headteacher, admin and superadmin may download any.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: runId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: employeeId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Payslip file
+ *         content:
+ *           text/plain:
+ *             schema:
+ *               type: string
+ *       403:
+ *         description: Not allowed to download this payslip
+ *       404:
+ *         description: Payroll run or payslip not found
+ */
+router.get(
+	'/runs/:runId/payslips/:employeeId',
+	validateObjectId('runId'),
+	validateObjectId('employeeId'),
+	payrollController.downloadPayslip,
+)
+
+module.exports = router
@@ -0,0 +1,211 @@
+const express = require('express')
+const roomController = require('../controllers/room.controller')
+const { requireAuth, allowPermissions } = require('../middleware/auth.middleware')
+const validateObjectId = require('../middleware/validateObjectId')
+
+const router = express.Router()
+
+router.use(requireAuth)
+
+/**
+ * @swagger
+ * /api/rooms:
+ *   get:
+ *     tags: [Rooms]
+ *     summary: List rooms
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: isActive
+ *         schema:
+ *           type: boolean
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: minCapacity
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: List of rooms
+ *   post:
+ *     tags: [Rooms]
+ *     summary: Create a room
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [name, capacity]
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: Room 204
+ *               capacity:
+ *                 type: integer
+ *                 example: 16
+ *               equipment:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 example: [projector, whiteboard]
+ *               note:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Room created
+ *       400:
+ *         description: Validation failed
+ *       409:
+ *         description: A room with this name already exists
+ */
+router.get('/', allowPermissions('groups:read'), roomController.listRooms)
+router.post('/', allowPermissions('groups:manage'), roomController.createRoom)
+
+/**
+ * @swagger
+ * /api/rooms/occupancy:
+ *   get:
+ *     tags: [Rooms]
+ *     summary: Weekly room utilisation computed from group schedules
+ *     description: |
+ *       Operating hours are Monday-Saturday 08:00-20:00 (UTC+5). Only planned, active and paused
+ *       groups running during the selected week are counted. Passing dayOfWeek, startTime and
+ *       durationMinutes returns only rooms that are free for that weekly slot.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: date
+ *         description: Any day of the week to report (YYYY-MM-DD). Defaults to the current week.
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: minCapacity
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: dayOfWeek
+ *         schema:
+ *           type: string
+ *           enum: [monday, tuesday, wednesday, thursday, friday, saturday]
+ *       - in: query
+ *         name: startTime
+ *         schema:
+ *           type: string
+ *           example: "14:00"
+ *       - in: query
+ *         name: durationMinutes
+ *         schema:
+ *           type: integer
+ *           example: 90
+ *     responses:
+ *       200:
+ *         description: Per-room booked minutes, utilisation percentage, bookings and free slots per day
+ *       400:
+ *         description: Invalid filter
+ */
+router.get('/occupancy', allowPermissions('groups:read'), roomController.getRoomOccupancy)
+
+/**
+ * @swagger
+ * /api/rooms/{roomId}:
+ *   get:
+ *     tags: [Rooms]
+ *     summary: Get a room and the groups assigned to it
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: roomId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Room with its groups
+ *       404:
+ *         description: Room not found
+ *   patch:
+ *     tags: [Rooms]
+ *     summary: Update a room
+ *     description: Capacity cannot be lowered below the maxStudents of a group assigned to the room.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: roomId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               capacity:
+ *                 type: integer
+ *               equipment:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               isActive:
+ *                 type: boolean
+ *               note:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Room updated
+ *       404:
+ *         description: Room not found
+ *       409:
+ *         description: Duplicate name or capacity below an assigned group's maxStudents
+ *   delete:
+ *     tags: [Rooms]
+ *     summary: Delete a room that no group references
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: roomId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Room deleted
+ *       404:
+ *         description: Room not found
+ *       409:
+ *         description: Room is used by groups
+ */
+router.get(
+	'/:roomId',
+	allowPermissions('groups:read'),
+	validateObjectId('roomId'),
+	roomController.getRoom,
+)
+router.patch(
+	'/:roomId',
+	allowPermissions('groups:manage'),
+	validateObjectId('roomId'),
+	roomController.updateRoom,
+)
+router.delete(
+	'/:roomId',
+	allowPermissions('groups:manage'),
+	validateObjectId('roomId'),
+	roomController.deleteRoom,
+)
+
+module.exports = router
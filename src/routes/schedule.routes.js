@@ -0,0 +1,38 @@
+const express = require('express')
+const scheduleController = require('../controllers/schedule.controller')
+const { requireAuth, allowRoles } = require('../middleware/auth.middleware')
+
+const router = express.Router()
+
+router.use(requireAuth)
+
+/**
+ * @swagger
+ * /api/schedule/conflicts:
+ *   get:
+ *     tags: [Schedule]
+ *     summary: Report existing room and teacher double-bookings
+ *     description: Compares the weekly schedules of planned/active/paused groups with each other and with upcoming pending/confirmed extra lessons. A conflict is reported per shared resource (teacher, support teacher or room) when the time ranges overlap on the same weekday within overlapping date ranges. Times are local UTC+5.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           example: "2025-04-01"
+ *         description: Ignore extra lessons and ended groups before this day (defaults to now)
+ *       - in: query
+ *         name: resource
+ *         schema:
+ *           type: string
+ *           enum: [teacher, room]
+ *     responses:
+ *       200:
+ *         description: List of conflicts, each with the resource, weekday, overlapping time and both entities
+ *       400:
+ *         description: Invalid query
+ */
+router.get('/conflicts', allowRoles('headteacher', 'admin', 'superadmin'), scheduleController.listConflicts)
+
+module.exports = router
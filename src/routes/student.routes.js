@@ -3,14 +3,29 @@ const express = require('express')
 const studentController = require('../controllers/student.controller')
 const {
 	requireAnyAuth,
+	requireStudentAuth,
 	allowRoles,
 	allowPermissions,
 	allowStudentSelfOrPermissions,
 } = require('../middleware/auth.middleware')
 const validateObjectId = require('../middleware/validateObjectId')
+const requireBranchAccess = require('../middleware/branch-access.middleware')
+const rateLimit = require('../middleware/rateLimit')
 
 const router = express.Router()
 
+const envOtpRequestLimit = Number(process.env.OTP_REQUEST_RATE_LIMIT_MAX)
+const otpRequestRateLimit = rateLimit({
+	windowMs: 15 * 60 * 1000,
+	max: Number.isInteger(envOtpRequestLimit) && envOtpRequestLimit > 0 ? envOtpRequestLimit : 10,
+	message: 'Too many code requests, please try again later',
+})
+const otpVerifyRateLimit = rateLimit({
+	windowMs: 15 * 60 * 1000,
+	max: 30,
+	message: 'Too many attempts, please try again later',
+})
+
 /**
  * @swagger
  * /api/students/login:
@@ -38,6 +53,104 @@ const router = express.Router()
  */
 router.post('/login', studentController.loginStudent)
 
+/**
+ * @swagger
+ * /api/students/otp/request:
+ *   post:
+ *     tags: [Students]
+ *     summary: Send a one-time SMS code for student login or password reset
+ *     description: Always answers 200 for a well-formed phone, whether or not it is registered. Codes expire after OTP_CODE_TTL_SECONDS and can be re-sent once OTP_RESEND_COOLDOWN_SECONDS have passed.
+ *     security: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [studentPhone]
+ *             properties:
+ *               studentPhone:
+ *                 type: string
+ *               purpose:
+ *                 type: string
+ *                 enum: [login, password_reset]
+ *                 default: login
+ *     responses:
+ *       200:
+ *         description: Code sent if the phone is registered
+ *       400:
+ *         description: Validation error
+ *       429:
+ *         description: Resend cooldown, hourly limit or IP rate limit reached
+ *       502:
+ *         description: SMS provider failed
+ */
+router.post('/otp/request', otpRequestRateLimit, studentController.requestStudentOtp)
+
+/**
+ * @swagger
+ * /api/students/otp/verify:
+ *   post:
+ *     tags: [Students]
+ *     summary: Log in with a one-time SMS code
+ *     description: Each wrong code counts toward OTP_MAX_ATTEMPTS; after that the code is locked and a new one must be requested.
+ *     security: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [studentPhone, code]
+ *             properties:
+ *               studentPhone:
+ *                 type: string
+ *               code:
+ *                 type: string
+ *                 example: '123456'
+ *     responses:
+ *       200:
+ *         description: Logged in
+ *       400:
+ *         description: Invalid or expired code (OTP_INVALID)
+ *       429:
+ *         description: Too many attempts (OTP_ATTEMPTS_EXCEEDED)
+ */
+router.post('/otp/verify', otpVerifyRateLimit, studentController.loginStudentWithOtp)
+
+/**
+ * @swagger
+ * /api/students/password/reset:
+ *   post:
+ *     tags: [Students]
+ *     summary: Reset password with a password_reset SMS code
+ *     description: Sets the new password and revokes the stored refresh token, so every existing session has to log in again.
+ *     security: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [studentPhone, code, password]
+ *             properties:
+ *               studentPhone:
+ *                 type: string
+ *               code:
+ *                 type: string
+ *               password:
+ *                 type: string
+ *                 minLength: 8
+ *     responses:
+ *       200:
+ *         description: Password reset
+ *       400:
+ *         description: Invalid code or password
+ *       429:
+ *         description: Too many attempts
+ */
+router.post('/password/reset', otpVerifyRateLimit, studentController.resetStudentPassword)
+
 /**
  * @swagger
  * /api/students/refresh-token:
@@ -63,6 +176,79 @@ router.post('/login', studentController.loginStudent)
  */
 router.post('/refresh-token', studentController.refreshStudentToken)
 
+/**
+ * @swagger
+ * /api/students/logout:
+ *   post:
+ *     tags: [Students]
+ *     summary: Student logout
+ *     description: Revokes the session of the access token; other devices stay logged in.
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Logged out
+ *       401:
+ *         description: Unauthorized
+ */
+router.post('/logout', requireStudentAuth, studentController.logoutStudent)
+
+/**
+ * @swagger
+ * /api/students/sessions:
+ *   get:
+ *     tags: [Students]
+ *     summary: List active sessions (devices) of the current student
+ *     description: Each login opens a session. current marks the session of the access token used for this request.
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Sessions with userAgent, ip, createdAt, lastUsedAt, expiresAt and current
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/sessions', requireStudentAuth, studentController.listStudentSessions)
+
+/**
+ * @swagger
+ * /api/students/sessions/others:
+ *   delete:
+ *     tags: [Students]
+ *     summary: Revoke every session except the current one
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Sessions revoked, with revokedCount
+ *       401:
+ *         description: Unauthorized
+ */
+router.delete('/sessions/others', requireStudentAuth, studentController.revokeOtherStudentSessions)
+
+/**
+ * @swagger
+ * /api/students/sessions/{sessionId}:
+ *   delete:
+ *     tags: [Students]
+ *     summary: Revoke one session
+ *     description: Its refresh token stops working immediately, and so do access tokens issued for it.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: sessionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Session revoked
+ *       404:
+ *         description: Session not found or already revoked
+ */
+router.delete('/sessions/:sessionId', requireStudentAuth, validateObjectId('sessionId'), studentController.revokeStudentSession)
+
 router.use(requireAnyAuth)
 
 /**
@@ -130,9 +316,53 @@ router.get(
 	'/:studentId/groups',
 	allowStudentSelfOrPermissions('students:read', 'groups:read'),
 	validateObjectId('studentId'),
+	requireBranchAccess('studentId'),
 	studentController.getStudentGroups,
 )
 
+/**
+ * @swagger
+ * /api/students/{studentId}/attendance:
+ *   get:
+ *     tags: [Students]
+ *     summary: Student attendance report
+ *     description: Counts by status and attendance rate per group over a local (UTC+5) date range. Late counts as attended; excused records are left out of the rate.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: studentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           example: "2025-04-01"
+ *         description: First day (YYYY-MM-DD). Defaults to 29 days before to.
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           example: "2025-04-30"
+ *         description: Last day (YYYY-MM-DD), at most 366 days after from. Defaults to today.
+ *     responses:
+ *       200:
+ *         description: Attendance totals with per-group breakdown
+ *       400:
+ *         description: Invalid range
+ *       404:
+ *         description: Student not found
+ */
+router.get(
+	'/:studentId/attendance',
+	allowStudentSelfOrPermissions('students:read'),
+	validateObjectId('studentId'),
+	requireBranchAccess('studentId'),
+	studentController.getStudentAttendance,
+)
+
 /**
  * @swagger
  * /api/students/{studentId}/reward-coins:
@@ -165,6 +395,7 @@ router.post(
 	'/:studentId/reward-coins',
 	allowRoles('teacher', 'headteacher', 'admin', 'superadmin'),
 	validateObjectId('studentId'),
+	requireBranchAccess('studentId'),
 	studentController.rewardStudentCoins,
 )
 
@@ -194,6 +425,7 @@ router.get(
 	'/:studentId',
 	allowStudentSelfOrPermissions('students:read'),
 	validateObjectId('studentId'),
+	requireBranchAccess('studentId'),
 	studentController.getStudentById,
 )
 
@@ -290,9 +522,6 @@ router.post('/', allowPermissions('students:manage'), studentController.createSt
  *               password:
  *                 type: string
  *                 minLength: 8
- *               balance:
- *                 type: number
- *                 minimum: 0
  *               coinBalance:
  *                 type: number
  *                 minimum: 0
@@ -317,6 +546,7 @@ router.patch(
 	'/:studentId',
 	allowPermissions('students:manage'),
 	validateObjectId('studentId'),
+	requireBranchAccess('studentId'),
 	studentController.updateStudent,
 )
 
@@ -348,7 +578,76 @@ router.delete(
 	'/:studentId',
 	allowPermissions('students:manage'),
 	validateObjectId('studentId'),
+	requireBranchAccess('studentId'),
 	studentController.deleteStudent,
 )
 
+/**
+ * @swagger
+ * /api/students/{studentId}/face:
+ *   patch:
+ *     tags: [Students]
+ *     summary: Enroll or replace a student's Face ID
+ *     description: Stores the descriptor in StudentFaceCredential. Used by the classroom kiosk check-in (POST /api/groups/attendance/kiosk).
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: studentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [descriptor]
+ *             properties:
+ *               descriptor:
+ *                 type: array
+ *                 minItems: 128
+ *                 maxItems: 128
+ *                 items:
+ *                   type: number
+ *     responses:
+ *       200:
+ *         description: Student Face ID registered
+ *       400:
+ *         description: Invalid descriptor
+ *       404:
+ *         description: Student not found
+ *   delete:
+ *     tags: [Students]
+ *     summary: Remove a student's Face ID
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: studentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Student Face ID removed
+ *       404:
+ *         description: Student not found
+ */
+router.patch(
+	'/:studentId/face',
+	allowPermissions('students:manage'),
+	validateObjectId('studentId'),
+	requireBranchAccess('studentId'),
+	studentController.enrollStudentFace,
+)
+router.delete(
+	'/:studentId/face',
+	allowPermissions('students:manage'),
+	validateObjectId('studentId'),
+	requireBranchAccess('studentId'),
+	studentController.removeStudentFace,
+)
+
 module.exports = router
@@ -0,0 +1,161 @@
+const express = require('express')
+const timesheetController = require('../controllers/timesheet.controller')
+const { requireAuth, allowRoles } = require('../middleware/auth.middleware')
+const rateLimit = require('../middleware/rateLimit')
+
+const router = express.Router()
+
+const timesheetCheckRateLimit = rateLimit({
+	windowMs: 15 * 60 * 1000,
+	max: 30,
+	message: 'Too many check-in attempts, please try again later',
+})
+
+router.use(requireAuth)
+
+/**
+ * @swagger
+ * /api/timesheets/challenge:
+ *   post:
+ *     tags: [Timesheets]
+ *     summary: Start a Face ID check-in or check-out
+ *     description: Returns a single-use nonce and liveness action, as for Face ID login. Send the frames captured during the action to /check-in or /check-out before expiresAt.
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       201:
+ *         description: Challenge issued (nonce, action, minFrames, maxFrames, expiresAt)
+ */
+router.post('/challenge', timesheetCheckRateLimit, timesheetController.requestCheckChallenge)
+
+/**
+ * @swagger
+ * /api/timesheets/check-in:
+ *   post:
+ *     tags: [Timesheets]
+ *     summary: Check in for the workday with Face ID and location
+ *     description: |
+ *       The mean of the frames must match the caller's own FaceCredential within their role threshold, and location must be
+ *       within ATTENDANCE_CHECKIN_RADIUS_METERS of the caller's work location (User.location). One check-in per local (UTC+5) day.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [nonce, frames, location]
+ *             properties:
+ *               nonce:
+ *                 type: string
+ *               frames:
+ *                 type: array
+ *                 items:
+ *                   type: array
+ *                   minItems: 128
+ *                   maxItems: 128
+ *                   items:
+ *                     type: number
+ *               location:
+ *                 type: object
+ *                 properties:
+ *                   type:
+ *                     type: string
+ *                     example: Point
+ *                   coordinates:
+ *                     type: array
+ *                     example: [69.2401, 41.2995]
+ *                     items:
+ *                       type: number
+ *     responses:
+ *       201:
+ *         description: Checked in
+ *       400:
+ *         description: Validation failed
+ *       401:
+ *         description: Challenge invalid (FACE_CHALLENGE_INVALID), frames rejected (FACE_LIVENESS_FAILED) or face does not match (FACE_MISMATCH)
+ *       403:
+ *         description: Too far from the work location (OUTSIDE_WORK_AREA)
+ *       409:
+ *         description: Already checked in (ALREADY_CHECKED_IN), no work location (WORK_LOCATION_MISSING) or no Face ID (FACE_ID_NOT_ENROLLED)
+ */
+router.post('/check-in', timesheetCheckRateLimit, timesheetController.checkIn)
+
+/**
+ * @swagger
+ * /api/timesheets/check-out:
+ *   post:
+ *     tags: [Timesheets]
+ *     summary: Check out from the workday with Face ID and location
+ *     description: Same body and checks as /check-in. Needs a check-in on the same local day.
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       201:
+ *         description: Checked out
+ *       409:
+ *         description: Already checked out (ALREADY_CHECKED_OUT) or not checked in today (NOT_CHECKED_IN)
+ */
+router.post('/check-out', timesheetCheckRateLimit, timesheetController.checkOut)
+
+/**
+ * @swagger
+ * /api/timesheets/me:
+ *   get:
+ *     tags: [Timesheets]
+ *     summary: Own timesheet for a month
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: month
+ *         schema:
+ *           type: string
+ *           example: "2025-04"
+ *         description: Defaults to the current local month
+ *     responses:
+ *       200:
+ *         description: Days with check-in/out, worked and late minutes, and monthly totals
+ */
+router.get('/me', timesheetController.getMyTimesheet)
+
+/**
+ * @swagger
+ * /api/timesheets:
+ *   get:
+ *     tags: [Timesheets]
+ *     summary: Monthly timesheets of employees
+ *     description: |
+ *       One entry per employee enrolled in Face ID or with events in the month, limited to the caller's branches, with the days
+ *       they checked in or out and totals (daysPresent, missingCheckOuts, workedMinutes, lateDays, lateMinutes).
+ *       Each day's expectedStartAt is the start of the first group session the employee teaches that day, or WORKDAY_START_TIME.
+ *       A day is late when check-in is more than WORKDAY_LATE_GRACE_MINUTES after it; lateMinutes then counts from it.
+ *       Use lateDays and lateMinutes to record lateness fines.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: month
+ *         schema:
+ *           type: string
+ *           example: "2025-04"
+ *       - in: query
+ *         name: employeeId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: branchId
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Monthly timesheets
+ *       400:
+ *         description: Invalid month, employeeId or branchId
+ *       403:
+ *         description: Branch outside the caller's branches
+ */
+router.get('/', allowRoles('admin', 'superadmin'), timesheetController.listTimesheets)
+
+module.exports = router
@@ -0,0 +1,61 @@
+/**
+ * Attendance seeder.
+ * Moves legacy embedded Group.attendance arrays into the GroupAttendance
+ * collection and removes the array from the group. Idempotent; runs on every
+ * DB connect and from scripts/migrate-group-attendance.js.
+ */
+
+const Group = require('../model/group.model')
+const { GroupAttendance, toAttendanceDateKey } = require('../model/group-attendance.model')
+
+const migrateEmbeddedGroupAttendance = async () => {
+	const cursor = Group.collection.find(
+		{ 'attendance.0': { $exists: true } },
+		{ projection: { _id: 1, attendance: 1 } },
+	)
+
+	let migratedGroups = 0
+	let migratedRecords = 0
+	for await (const group of cursor) {
+		const operations = []
+		for (const entry of group.attendance) {
+			const dateKey = toAttendanceDateKey(entry.date)
+			if (!entry.student || !dateKey) {
+				continue
+			}
+
+			// Records written through the new collection win over legacy copies.
+			operations.push({
+				updateOne: {
+					filter: { group: group._id, student: entry.student, dateKey },
+					update: {
+						$setOnInsert: {
+							date: entry.date,
+							status: entry.status || 'present',
+							note: entry.note,
+							markedBy: entry.markedBy,
+							markedAt: entry.markedAt || entry.date,
+						},
+					},
+					upsert: true,
+				},
+			})
+		}
+
+		if (operations.length > 0) {
+			const result = await GroupAttendance.bulkWrite(operations, { ordered: false })
+			migratedRecords += result.upsertedCount
+		}
+
+		await Group.collection.updateOne({ _id: group._id }, { $unset: { attendance: '' } })
+		migratedGroups += 1
+	}
+
+	await Group.collection.updateMany({ attendance: { $size: 0 } }, { $unset: { attendance: '' } })
+
+	return { migratedGroups, migratedRecords }
+}
+
+module.exports = {
+	migrateEmbeddedGroupAttendance,
+}
@@ -0,0 +1,77 @@
+/**
+ * Branches seeder.
+ * Creates the default branch when none exists and, while the center has a
+ * single branch, assigns it to every employee, group, student and lead without
+ * one. Once a second branch exists unassigned records are left for an
+ * administrator. Idempotent; runs on every DB connect.
+ * Finance events are append-only, so their backfill is not part of startup:
+ * assignDefaultBranchToFinancialEvents runs from `npm run migrate:branches`.
+ */
+
+const Group = require('../model/group.model')
+const Student = require('../model/student.model')
+const User = require('../model/user.model')
+const { Branch } = require('../model/branch.model')
+const { Lead } = require('../model/lead.model')
+const { FinancialEvent } = require('../models/FinancialEvent.model')
+
+const DEFAULT_BRANCH_NAME = 'Main branch'
+
+const UNASSIGNED_FILTER = { $or: [{ branch: null }, { branch: { $exists: false } }] }
+
+// The only branch of the center, or null once there are several (or none).
+const findSingleBranchId = async () => {
+	const branches = await Branch.find().select('_id').limit(2).lean()
+	return branches.length === 1 ? branches[0]._id : null
+}
+
+const migrateDefaultBranch = async () => {
+	let createdBranch = false
+	if (!(await Branch.exists({}))) {
+		await Branch.create({ name: DEFAULT_BRANCH_NAME })
+		createdBranch = true
+	}
+
+	const branchId = await findSingleBranchId()
+	if (!branchId) {
+		return { createdBranch, assigned: 0 }
+	}
+
+	const results = await Promise.all([
+		...[Group, Student, Lead].map(Model =>
+			Model.collection.updateMany(UNASSIGNED_FILTER, { $set: { branch: branchId } }),
+		),
+		User.collection.updateMany(
+			{ $or: [{ branches: { $exists: false } }, { branches: { $size: 0 } }] },
+			{ $set: { branches: [branchId] } },
+		),
+	])
+
+	return {
+		createdBranch,
+		assigned: results.reduce((sum, result) => sum + (result.modifiedCount || 0), 0),
+	}
+}
+
+/**
+ * Assigns the center's only branch to finance events without one. Writes
+ * through the native collection, which bypasses the append-only guard of the
+ * ledger, so it only runs as an explicit migration. Returns { branchId,
+ * assigned }; branchId is null (and nothing changes) unless exactly one branch
+ * exists.
+ */
+const assignDefaultBranchToFinancialEvents = async () => {
+	const branchId = await findSingleBranchId()
+	if (!branchId) {
+		return { branchId: null, assigned: 0 }
+	}
+
+	const result = await FinancialEvent.collection.updateMany(UNASSIGNED_FILTER, { $set: { branch: branchId } })
+	return { branchId, assigned: result.modifiedCount || 0 }
+}
+
+module.exports = {
+	DEFAULT_BRANCH_NAME,
+	migrateDefaultBranch,
+	assignDefaultBranchToFinancialEvents,
+}
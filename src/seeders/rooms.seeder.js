@@ -0,0 +1,70 @@
+/**
+ * Rooms seeder.
+ * Migrates legacy free-text Group.room values into Room documents and
+ * replaces them with references. Idempotent; runs on every DB connect.
+ */
+
+const Group = require('../model/group.model')
+const Room = require('../model/room.model')
+
+const DEFAULT_LEGACY_ROOM_CAPACITY = 15
+
+const migrateLegacyGroupRooms = async () => {
+	const legacyGroups = await Group.collection
+		.find({ room: { $type: 'string' } }, { projection: { _id: 1, room: 1, maxStudents: 1 } })
+		.toArray()
+	if (legacyGroups.length === 0) {
+		return { migratedGroups: 0, createdRooms: 0 }
+	}
+
+	const groupsByRoomKey = new Map()
+	const emptyRoomGroupIds = []
+	for (const group of legacyGroups) {
+		const name = String(group.room || '').trim()
+		if (!name) {
+			emptyRoomGroupIds.push(group._id)
+			continue
+		}
+		const key = name.toLowerCase()
+		const entry = groupsByRoomKey.get(key) || { name, groups: [] }
+		entry.groups.push(group)
+		groupsByRoomKey.set(key, entry)
+	}
+
+	if (emptyRoomGroupIds.length > 0) {
+		await Group.collection.updateMany({ _id: { $in: emptyRoomGroupIds } }, { $set: { room: null } })
+	}
+
+	let createdRooms = 0
+	for (const { name, groups } of groupsByRoomKey.values()) {
+		// Legacy rooms get a capacity large enough for every group already using them.
+		const capacity = Math.max(
+			DEFAULT_LEGACY_ROOM_CAPACITY,
+			...groups.map(group => Number(group.maxStudents) || 0),
+		)
+		const result = await Room.findOneAndUpdate(
+			{ name },
+			{ $setOnInsert: { name, capacity } },
+			{
+				upsert: true,
+				new: true,
+				includeResultMetadata: true,
+				collation: { locale: 'en', strength: 2 },
+			},
+		)
+		if (!result.lastErrorObject?.updatedExisting) {
+			createdRooms += 1
+		}
+
+		await Group.collection.updateMany(
+			{ _id: { $in: groups.map(group => group._id) } },
+			{ $set: { room: result.value._id } },
+		)
+	}
+
+	return { migratedGroups: legacyGroups.length, createdRooms }
+}
+
+module.exports = {
+	migrateLegacyGroupRooms,
+}
@@ -0,0 +1,260 @@
+/**
+ * Attendance report service.
+ * Computes attendance rates per student and per group over a local (UTC+5)
+ * date range, and flags at-risk students by absence streak or low rate.
+ * Late counts as attended; excused records are left out of the rate.
+ */
+
+const Group = require('../model/group.model')
+const { GroupAttendance, ATTENDANCE_STATUSES, toAttendanceDateKey } = require('../model/group-attendance.model')
+const Student = require('../model/student.model')
+const { isValidDateKey } = require('../model/group-session.model')
+const { addDaysToDateKey, countDaysBetween } = require('./group-session.service')
+
+const DEFAULT_REPORT_RANGE_DAYS = 30
+const MAX_REPORT_RANGE_DAYS = 366
+
+/**
+ * Parses ?from=YYYY-MM-DD&to=YYYY-MM-DD. Defaults to the last 30 local days
+ * ending today.
+ */
+const parseAttendanceReportRange = (query = {}) => {
+	const todayKey = toAttendanceDateKey(new Date())
+	const toKey = query.to ? String(query.to).trim() : todayKey
+	if (!isValidDateKey(toKey)) {
+		return { error: 'to must be in YYYY-MM-DD format', field: 'to' }
+	}
+
+	const fromKey = query.from
+		? String(query.from).trim()
+		: addDaysToDateKey(toKey, -(DEFAULT_REPORT_RANGE_DAYS - 1))
+	if (!isValidDateKey(fromKey)) {
+		return { error: 'from must be in YYYY-MM-DD format', field: 'from' }
+	}
+
+	if (toKey < fromKey) {
+		return { error: 'to must be on or after from', field: 'to' }
+	}
+	if (countDaysBetween(fromKey, toKey) > MAX_REPORT_RANGE_DAYS) {
+		return { error: `Range cannot exceed ${MAX_REPORT_RANGE_DAYS} days`, field: 'to' }
+	}
+
+	return { fromKey, toKey }
+}
+
+/**
+ * Loads attendance records for the given groups and/or students, sorted by
+ * local day and tagged with the group name.
+ */
+const loadAttendanceRecords = async ({ groupIds, studentIds, fromKey, toKey }) => {
+	const filter = { dateKey: { $gte: fromKey, $lte: toKey } }
+	if (Array.isArray(groupIds)) {
+		filter.group = { $in: groupIds }
+	}
+	if (Array.isArray(studentIds)) {
+		filter.student = { $in: studentIds }
+	}
+
+	const records = await GroupAttendance.find(filter)
+		.select('group student dateKey status')
+		.sort({ dateKey: 1 })
+		.lean()
+	if (records.length === 0) {
+		return []
+	}
+
+	const recordGroupIds = [...new Set(records.map(record => String(record.group)))]
+	const groups = await Group.find({ _id: { $in: recordGroupIds } }).select('_id name')
+	const groupNames = new Map(groups.map(group => [group._id.toString(), group.name]))
+
+	return records.map(record => ({ ...record, groupName: groupNames.get(String(record.group)) || null }))
+}
+
+const buildEmptySummary = () => ({
+	total: 0,
+	present: 0,
+	absent: 0,
+	late: 0,
+	excused: 0,
+	attendanceRate: null,
+})
+
+const addToSummary = (summary, status) => {
+	summary.total += 1
+	if (ATTENDANCE_STATUSES.includes(status)) {
+		summary[status] += 1
+	}
+	return summary
+}
+
+// Rate is (present + late) / (total - excused) as a percentage with one
+// decimal, or null when every record in range is excused.
+const finalizeSummary = summary => {
+	const counted = summary.total - summary.excused
+	const attendanceRate =
+		counted > 0 ? Math.round(((summary.present + summary.late) / counted) * 1000) / 10 : null
+	return { ...summary, attendanceRate }
+}
+
+const summarizeRecords = records =>
+	finalizeSummary(records.reduce((summary, record) => addToSummary(summary, record.status), buildEmptySummary()))
+
+/**
+ * Counts absences at the end of a day-ordered record list. Excused days are
+ * skipped without breaking the streak; a present or late day ends it.
+ */
+const countTrailingAbsences = records => {
+	let streak = 0
+	for (let index = records.length - 1; index >= 0; index -= 1) {
+		const status = records[index].status
+		if (status === 'excused') {
+			continue
+		}
+		if (status !== 'absent') {
+			break
+		}
+		streak += 1
+	}
+	return streak
+}
+
+const groupRecordsBy = (records, field) => {
+	const grouped = new Map()
+	for (const record of records) {
+		const key = String(record[field])
+		if (!grouped.has(key)) {
+			grouped.set(key, [])
+		}
+		grouped.get(key).push(record)
+	}
+	return grouped
+}
+
+const buildGroupAttendanceReport = async ({ groupId, fromKey, toKey }) => {
+	const records = await loadAttendanceRecords({ groupIds: [groupId], fromKey, toKey })
+
+	const byStudent = []
+	for (const [studentId, studentRecords] of groupRecordsBy(records, 'student')) {
+		byStudent.push({
+			studentId,
+			...summarizeRecords(studentRecords),
+			consecutiveAbsences: countTrailingAbsences(studentRecords),
+			lastMarkedOn: studentRecords[studentRecords.length - 1].dateKey,
+		})
+	}
+
+	return {
+		from: fromKey,
+		to: toKey,
+		lessonDays: new Set(records.map(record => record.dateKey)).size,
+		totals: summarizeRecords(records),
+		byStudent,
+	}
+}
+
+const buildStudentAttendanceReport = async ({ studentId, fromKey, toKey }) => {
+	const records = await loadAttendanceRecords({ studentIds: [studentId], fromKey, toKey })
+
+	const byGroup = []
+	for (const [groupId, groupRecords] of groupRecordsBy(records, 'group')) {
+		byGroup.push({
+			groupId,
+			groupName: groupRecords[0].groupName,
+			...summarizeRecords(groupRecords),
+			consecutiveAbsences: countTrailingAbsences(groupRecords),
+			lastMarkedOn: groupRecords[groupRecords.length - 1].dateKey,
+		})
+	}
+
+	return {
+		from: fromKey,
+		to: toKey,
+		totals: summarizeRecords(records),
+		byGroup,
+	}
+}
+
+/**
+ * Lists active memberships that meet either rule within the range:
+ * a trailing streak of at least minConsecutiveAbsences, or an attendance rate
+ * at or below maxAttendanceRate. Streaks and rates are evaluated per group.
+ */
+const findAtRiskStudents = async ({
+	groupIds,
+	fromKey,
+	toKey,
+	minConsecutiveAbsences,
+	maxAttendanceRate,
+}) => {
+	const records = await loadAttendanceRecords({ groupIds, fromKey, toKey })
+	if (records.length === 0) {
+		return []
+	}
+
+	const recordsByMembership = new Map()
+	for (const record of records) {
+		const key = `${String(record.student)}::${String(record.group)}`
+		if (!recordsByMembership.has(key)) {
+			recordsByMembership.set(key, [])
+		}
+		recordsByMembership.get(key).push(record)
+	}
+
+	const studentIds = [...new Set(records.map(record => String(record.student)))]
+	const students = await Student.find({ _id: { $in: studentIds } }).select('_id fullname studentPhone parentPhone groups')
+	const studentsById = new Map(students.map(student => [student._id.toString(), student]))
+
+	const results = []
+	for (const membershipRecords of recordsByMembership.values()) {
+		const { student: studentId, group: groupId, groupName } = membershipRecords[0]
+		const student = studentsById.get(String(studentId))
+		const isActiveMember = (student?.groups || []).some(
+			membership => membership.group?.toString() === String(groupId) && membership.status === 'active',
+		)
+		if (!isActiveMember) {
+			continue
+		}
+
+		const summary = summarizeRecords(membershipRecords)
+		const consecutiveAbsences = countTrailingAbsences(membershipRecords)
+		const reasons = []
+		if (consecutiveAbsences >= minConsecutiveAbsences) {
+			reasons.push('consecutive_absences')
+		}
+		if (summary.attendanceRate !== null && summary.attendanceRate <= maxAttendanceRate) {
+			reasons.push('low_attendance_rate')
+		}
+		if (reasons.length === 0) {
+			continue
+		}
+
+		results.push({
+			student: {
+				_id: student._id,
+				fullname: student.fullname,
+				studentPhone: student.studentPhone,
+				parentPhone: student.parentPhone,
+			},
+			group: { _id: groupId, name: groupName },
+			reasons,
+			consecutiveAbsences,
+			...summary,
+			lastMarkedOn: membershipRecords[membershipRecords.length - 1].dateKey,
+		})
+	}
+
+	return results.sort(
+		(a, b) =>
+			b.consecutiveAbsences - a.consecutiveAbsences ||
+			(a.attendanceRate ?? 100) - (b.attendanceRate ?? 100),
+	)
+}
+
+module.exports = {
+	parseAttendanceReportRange,
+	summarizeRecords,
+	countTrailingAbsences,
+	buildGroupAttendanceReport,
+	buildStudentAttendanceReport,
+	findAtRiskStudents,
+}
@@ -0,0 +1,165 @@
+/**
+ * Audit log service.
+ * Turns the documents a write request touched (see utils/audit-trail) into
+ * AuditLog entries with the actor, the action, the entity and every changed
+ * field with its value before and after. Passwords and face descriptors are
+ * redacted; timestamps and login bookkeeping fields are left out.
+ */
+
+const crypto = require('crypto')
+
+const { AuditLog } = require('../model/audit-log.model')
+
+const IGNORED_FIELDS = new Set(['_id', '__v', 'createdAt', 'updatedAt', 'refreshToken', 'lastLoginAt'])
+const REDACTED_FIELDS = new Set(['password', 'descriptor'])
+const REDACTED_VALUE = '[redacted]'
+const USER_AGENT_MAX_LENGTH = 500
+
+const ACTOR_MODELS = {
+	employee: 'User',
+	student: 'Student',
+	parent: 'Parent',
+}
+
+// ObjectIds become strings and dates ISO strings, as in API responses.
+const toPlainValue = value => (typeof value === 'undefined' ? null : JSON.parse(JSON.stringify(value)))
+
+const isPlainObject = value => value !== null && typeof value === 'object' && !Array.isArray(value)
+
+// Flattens nested objects into dot paths; arrays are compared as a whole.
+const flattenFields = (value, prefix = '', fields = new Map()) => {
+	for (const [key, nested] of Object.entries(value || {})) {
+		if (!prefix && IGNORED_FIELDS.has(key)) {
+			continue
+		}
+
+		const path = prefix ? `${prefix}.${key}` : key
+		if (isPlainObject(nested) && Object.keys(nested).length > 0) {
+			flattenFields(nested, path, fields)
+		} else {
+			fields.set(path, nested)
+		}
+	}
+	return fields
+}
+
+const redact = (path, value) =>
+	value !== null && REDACTED_FIELDS.has(path.split('.').pop()) ? REDACTED_VALUE : value
+
+/**
+ * Field-level diff of two stored states of a document (either may be null).
+ * Returns [{ path, before, after }] for the fields whose values differ.
+ */
+const buildAuditChanges = (before, after) => {
+	const beforeFields = flattenFields(toPlainValue(before))
+	const afterFields = flattenFields(toPlainValue(after))
+
+	const changes = []
+	for (const path of new Set([...beforeFields.keys(), ...afterFields.keys()])) {
+		const previous = beforeFields.has(path) ? beforeFields.get(path) : null
+		const next = afterFields.has(path) ? afterFields.get(path) : null
+		if (JSON.stringify(previous) !== JSON.stringify(next)) {
+			changes.push({ path, before: redact(path, previous), after: redact(path, next) })
+		}
+	}
+	return changes
+}
+
+const resolveAuditActor = req => {
+	const actorModel = ACTOR_MODELS[req.user?.userType]
+	if (!actorModel || !req.user.id) {
+		return { actor: null, actorModel: null, actorType: 'anonymous', actorRole: '' }
+	}
+
+	return {
+		actor: req.user.id,
+		actorModel,
+		actorType: req.user.userType,
+		actorRole: req.user.role || '',
+	}
+}
+
+const loadCurrentDocuments = async entities => {
+	const idsByModel = new Map()
+	for (const { Model, id } of entities) {
+		if (!idsByModel.has(Model)) {
+			idsByModel.set(Model, [])
+		}
+		idsByModel.get(Model).push(id)
+	}
+
+	const current = new Map()
+	await Promise.all(
+		[...idsByModel.entries()].map(async ([Model, ids]) => {
+			const documents = await Model.find({ _id: { $in: ids } }).lean()
+			for (const document of documents) {
+				current.set(`${Model.modelName}:${String(document._id)}`, document)
+			}
+		}),
+	)
+	return current
+}
+
+/**
+ * Stores one entry per document the request created, updated or deleted,
+ * comparing the state before its first write with the state now. Documents
+ * that ended up unchanged are skipped. Runs after the response is sent, so a
+ * failure is only logged. Resolves to the stored entries.
+ */
+const recordAuditTrail = async ({ trail, req, statusCode }) => {
+	try {
+		const entities = [...trail.entities.values()]
+		if (entities.length === 0) {
+			return []
+		}
+
+		const [befores, current] = await Promise.all([
+			Promise.all(entities.map(entity => entity.before)),
+			loadCurrentDocuments(entities),
+		])
+
+		const request = {
+			requestId: crypto.randomUUID(),
+			...resolveAuditActor(req),
+			method: req.method,
+			path: String(req.originalUrl || req.url || '').split('?')[0],
+			statusCode,
+			ip: String(req.ip || req.socket?.remoteAddress || ''),
+			userAgent: String(req.get?.('user-agent') || req.headers?.['user-agent'] || '').slice(
+				0,
+				USER_AGENT_MAX_LENGTH,
+			),
+		}
+
+		const entries = []
+		entities.forEach(({ Model, id }, index) => {
+			const before = befores[index]
+			const after = current.get(`${Model.modelName}:${String(id)}`) || null
+			const changes = buildAuditChanges(before, after)
+			if (changes.length === 0) {
+				return
+			}
+
+			entries.push({
+				...request,
+				action: !before ? 'create' : !after ? 'delete' : 'update',
+				entityType: Model.modelName,
+				entityId: id,
+				changes,
+			})
+		})
+
+		if (entries.length > 0) {
+			await AuditLog.insertMany(entries)
+		}
+		return entries
+	} catch (error) {
+		console.error('Failed to record audit log:', error)
+		return []
+	}
+}
+
+module.exports = {
+	buildAuditChanges,
+	recordAuditTrail,
+}
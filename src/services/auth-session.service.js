@@ -0,0 +1,217 @@
+/**
+ * Auth session service.
+ * Keeps one AuthSession per logged-in device for employees, students and parents.
+ * Refresh tokens rotate on every use and only the hash of the newest one is
+ * stored, so replaying an older token of a session revokes that session.
+ */
+
+const crypto = require('crypto')
+const mongoose = require('mongoose')
+
+const { AuthSession } = require('../model/auth-session.model')
+const {
+	generateAccessToken,
+	generateParentAccessToken,
+	generateParentRefreshToken,
+	generateRefreshToken,
+	generateStudentAccessToken,
+	generateStudentRefreshToken,
+} = require('../utils/token')
+
+// Matches the refresh token lifetime; every rotation extends it.
+const SESSION_TTL_MS = 7 * 24 * 60 * 60 * 1000
+const USER_AGENT_MAX_LENGTH = 500
+
+const TOKEN_ISSUERS = {
+	employee: { access: generateAccessToken, refresh: generateRefreshToken },
+	student: { access: generateStudentAccessToken, refresh: generateStudentRefreshToken },
+	parent: { access: generateParentAccessToken, refresh: generateParentRefreshToken },
+}
+
+const hashRefreshToken = token => crypto.createHash('sha256').update(String(token)).digest('hex')
+
+const getClientInfo = req => ({
+	userAgent: String(req?.get?.('user-agent') || req?.headers?.['user-agent'] || '').slice(
+		0,
+		USER_AGENT_MAX_LENGTH,
+	),
+	ip: String(req?.ip || req?.socket?.remoteAddress || ''),
+})
+
+const issueSessionTokens = ({ accountType, account, sessionId }) => {
+	const issuer = TOKEN_ISSUERS[accountType]
+	return {
+		accessToken: issuer.access(account, { sessionId }),
+		refreshToken: issuer.refresh(account, { sessionId }),
+	}
+}
+
+const invalidRefreshToken = () => ({ statusCode: 401, message: 'Invalid refresh token' })
+
+/**
+ * Starts a session for a successful login and returns its token pair.
+ */
+const openSession = async ({ accountType, account, client = {} }) => {
+	const sessionId = new mongoose.Types.ObjectId()
+	const tokens = issueSessionTokens({ accountType, account, sessionId })
+	const now = new Date()
+
+	await AuthSession.create({
+		_id: sessionId,
+		accountType,
+		account: account._id,
+		tokenHash: hashRefreshToken(tokens.refreshToken),
+		userAgent: client.userAgent || '',
+		ip: client.ip || '',
+		lastUsedAt: now,
+		expiresAt: new Date(now.getTime() + SESSION_TTL_MS),
+	})
+
+	return { sessionId: String(sessionId), ...tokens }
+}
+
+const revokeSessionById = (sessionId, reason) =>
+	AuthSession.updateOne(
+		{ _id: sessionId, revokedAt: null },
+		{ $set: { revokedAt: new Date(), revokedReason: reason } },
+	)
+
+// Refresh tokens issued before sessions existed carry no sid. They are checked
+// against the single stored refreshToken once and then moved into a session.
+const rotateLegacyRefreshToken = async ({ accountType, account, refreshToken, client }) => {
+	if (!account.refreshToken) {
+		return invalidRefreshToken()
+	}
+
+	const strictRefreshTokenMatch =
+		String(process.env.STRICT_REFRESH_TOKEN_MATCH || 'false')
+			.trim()
+			.toLowerCase() === 'true'
+	if (strictRefreshTokenMatch && account.refreshToken !== refreshToken) {
+		return { statusCode: 401, message: 'Refresh token mismatch' }
+	}
+
+	account.refreshToken = null
+	await account.save({ validateBeforeSave: false })
+
+	const { accessToken, refreshToken: newRefreshToken } = await openSession({
+		accountType,
+		account,
+		client,
+	})
+	return { accessToken, refreshToken: newRefreshToken }
+}
+
+/**
+ * Exchanges a verified refresh token for a new pair within the same session.
+ * A token that is not the newest one of its session is treated as stolen:
+ * the session is revoked and both holders must log in again.
+ * Returns { accessToken, refreshToken } or { statusCode, message, code }.
+ */
+const rotateSession = async ({ accountType, account, refreshToken, payload, client = {} }) => {
+	if (!payload.sid) {
+		return rotateLegacyRefreshToken({ accountType, account, refreshToken, client })
+	}
+
+	const session = await AuthSession.findById(payload.sid).select('+tokenHash')
+	if (
+		!session ||
+		session.accountType !== accountType ||
+		String(session.account) !== String(account._id)
+	) {
+		return invalidRefreshToken()
+	}
+
+	const now = new Date()
+	if (session.revokedAt || new Date(session.expiresAt) <= now) {
+		return { statusCode: 401, message: 'Session has been revoked', code: 'SESSION_REVOKED' }
+	}
+
+	const reused = {
+		statusCode: 401,
+		message: 'Refresh token was already used, session revoked',
+		code: 'REFRESH_TOKEN_REUSED',
+	}
+	const presentedHash = hashRefreshToken(refreshToken)
+	if (presentedHash !== session.tokenHash) {
+		await revokeSessionById(session._id, 'reuse_detected')
+		return reused
+	}
+
+	const tokens = issueSessionTokens({ accountType, account, sessionId: session._id })
+	const rotated = await AuthSession.findOneAndUpdate(
+		{ _id: session._id, tokenHash: presentedHash, revokedAt: null },
+		{
+			$set: {
+				tokenHash: hashRefreshToken(tokens.refreshToken),
+				lastUsedAt: now,
+				expiresAt: new Date(now.getTime() + SESSION_TTL_MS),
+				userAgent: client.userAgent || session.userAgent,
+				ip: client.ip || session.ip,
+			},
+		},
+		{ new: true },
+	)
+	// Another request rotated the same token first.
+	if (!rotated) {
+		await revokeSessionById(session._id, 'reuse_detected')
+		return reused
+	}
+
+	return tokens
+}
+
+const listActiveSessions = async ({ accountType, accountId, currentSessionId }) => {
+	const sessions = await AuthSession.find({
+		accountType,
+		account: accountId,
+		revokedAt: null,
+		expiresAt: { $gt: new Date() },
+	})
+		.select('userAgent ip lastUsedAt expiresAt createdAt')
+		.sort({ lastUsedAt: -1 })
+		.lean()
+
+	return sessions.map(session => ({
+		...session,
+		current: Boolean(currentSessionId) && String(session._id) === String(currentSessionId),
+	}))
+}
+
+/**
+ * Revokes one session of the account. Returns false when it does not exist,
+ * belongs to someone else or is already revoked.
+ */
+const revokeSession = async ({ accountType, accountId, sessionId, reason = 'revoked' }) => {
+	const result = await AuthSession.updateOne(
+		{ _id: sessionId, accountType, account: accountId, revokedAt: null },
+		{ $set: { revokedAt: new Date(), revokedReason: reason } },
+	)
+	return result.modifiedCount > 0
+}
+
+/**
+ * Revokes every active session of the account except exceptSessionId (all of
+ * them when it is empty). Returns the number of sessions revoked.
+ */
+const revokeAccountSessions = async ({ accountType, accountId, exceptSessionId = null, reason }) => {
+	const filter = { accountType, account: accountId, revokedAt: null }
+	if (exceptSessionId) {
+		filter._id = { $ne: exceptSessionId }
+	}
+
+	const result = await AuthSession.updateMany(filter, {
+		$set: { revokedAt: new Date(), revokedReason: reason },
+	})
+	return result.modifiedCount
+}
+
+module.exports = {
+	hashRefreshToken,
+	getClientInfo,
+	openSession,
+	rotateSession,
+	listActiveSessions,
+	revokeSession,
+	revokeAccountSessions,
+}
@@ -0,0 +1,129 @@
+/**
+ * Branch scope service.
+ * Limits employee list endpoints to the branches the caller works in
+ * (User.branches), picks the branch of new records and builds the per-branch
+ * totals superadmins see across every branch. Records without a branch stay
+ * visible to everyone until they are assigned.
+ */
+
+const mongoose = require('mongoose')
+
+const { Branch } = require('../model/branch.model')
+
+const isCrossBranchUser = req => req.user?.userType === 'employee' && req.user.role === 'superadmin'
+
+const getUserBranchIds = req => (req.userDocument?.branches || []).map(branchId => String(branchId))
+
+const canAccessBranch = (req, branchId) =>
+	isCrossBranchUser(req) || getUserBranchIds(req).includes(String(branchId))
+
+const forbiddenBranch = () => ({
+	statusCode: 403,
+	message: 'You do not have access to this branch',
+	code: 'BRANCH_FORBIDDEN',
+})
+
+/**
+ * Value for the `branch` condition of an employee list query, from the
+ * optional ?branchId= filter and the caller's branches. Returns { filter }
+ * (null means every branch) or { statusCode, message, code?, field? }.
+ * Students and parents are not scoped here.
+ */
+const resolveBranchFilter = req => {
+	const requested = req.query?.branchId ? String(req.query.branchId).trim() : ''
+	if (requested && !mongoose.isValidObjectId(requested)) {
+		return { statusCode: 400, message: 'Invalid branch id', field: 'branchId' }
+	}
+
+	if (req.user?.userType !== 'employee') {
+		return { filter: null }
+	}
+	if (requested) {
+		return canAccessBranch(req, requested) ? { filter: requested } : forbiddenBranch()
+	}
+	if (isCrossBranchUser(req)) {
+		return { filter: null }
+	}
+
+	return { filter: { $in: [...getUserBranchIds(req), null] } }
+}
+
+/**
+ * Branch of a record created or moved by the caller. An explicit value must be
+ * an active branch the caller may use; without one the caller's only branch is
+ * taken, and callers in several branches have to choose.
+ * Returns { branch } (null when unassigned) or { statusCode, message, code?, field }.
+ */
+const resolveRecordBranch = async (req, value) => {
+	if (typeof value === 'undefined' || value === null || value === '') {
+		const branchIds = getUserBranchIds(req)
+		if (branchIds.length > 1 && !isCrossBranchUser(req)) {
+			return {
+				statusCode: 400,
+				message: 'branch is required when you work in several branches',
+				field: 'branch',
+			}
+		}
+		return { branch: branchIds.length === 1 ? branchIds[0] : null }
+	}
+
+	const branchId = String(value).trim()
+	if (!mongoose.isValidObjectId(branchId)) {
+		return { statusCode: 400, message: 'Invalid branch id', field: 'branch' }
+	}
+	if (!canAccessBranch(req, branchId)) {
+		return { ...forbiddenBranch(), field: 'branch' }
+	}
+
+	const exists = await Branch.exists({ _id: branchId, isActive: true })
+	if (!exists) {
+		return { statusCode: 400, message: 'Branch not found or inactive', field: 'branch' }
+	}
+
+	return { branch: branchId }
+}
+
+/**
+ * Counts the documents matching query per branch, ignoring any branch
+ * condition in it. With sumField the field is also summed as `amount`.
+ * Every branch is listed; unassigned documents appear as branch null.
+ */
+const buildBranchTotals = async (Model, query, { sumField } = {}) => {
+	const { branch, ...rest } = query
+	const groupStage = { _id: '$branch', total: { $sum: 1 } }
+	if (sumField) {
+		groupStage.amount = { $sum: `$${sumField}` }
+	}
+
+	const [rows, branches] = await Promise.all([
+		// Aggregation skips schema casting, so cast the filter like find() would.
+		Model.aggregate([{ $match: Model.where(rest).cast() }, { $group: groupStage }]),
+		Branch.find().sort({ name: 1 }).select('_id name isActive').lean(),
+	])
+
+	const rowsByBranch = new Map(rows.map(row => [String(row._id), row]))
+	const toTotals = row => {
+		const totals = { total: row?.total || 0 }
+		if (sumField) {
+			totals.amount = row?.amount || 0
+		}
+		return totals
+	}
+
+	const totals = branches.map(item => ({ branch: item, ...toTotals(rowsByBranch.get(String(item._id))) }))
+	const unassigned = rowsByBranch.get('null')
+	if (unassigned) {
+		totals.push({ branch: null, ...toTotals(unassigned) })
+	}
+
+	return totals
+}
+
+module.exports = {
+	isCrossBranchUser,
+	getUserBranchIds,
+	canAccessBranch,
+	resolveBranchFilter,
+	resolveRecordBranch,
+	buildBranchTotals,
+}
@@ -0,0 +1,244 @@
+/**
+ * Lesson compensation service.
+ * Derives conducted lessons from GroupAttendance days and completed extra
+ * lessons, prices them with CompensationRule rates and posts approved
+ * accruals to the ledger as lesson_pay events.
+ */
+
+const User = require('../model/user.model')
+const Group = require('../model/group.model')
+const { GroupAttendance, LOCAL_TIMEZONE_OFFSET_MS } = require('../model/group-attendance.model')
+const { ExtraLesson } = require('../model/extra-lesson.model')
+const { CompensationRule } = require('../models/CompensationRule.model')
+const { FinancialEvent } = require('../models/FinancialEvent.model')
+const { findReversalsByEventIds, insertLedgerEventsOnce } = require('./finance.service')
+
+// Attendance and extra lessons are keyed by the centre's local day (UTC+5).
+const getLocalMonthRange = month => {
+	const [year, monthNum] = month.split('-').map(Number)
+	return {
+		startDate: new Date(Date.UTC(year, monthNum - 1, 1) - LOCAL_TIMEZONE_OFFSET_MS),
+		endDate: new Date(Date.UTC(year, monthNum, 1) - LOCAL_TIMEZONE_OFFSET_MS),
+	}
+}
+
+const sameId = (left, right) => String(left || '') === String(right || '')
+
+const getRuleSpecificity = rule =>
+	(rule.groupId ? 4 : 0) + (rule.courseRef ? 2 : 0) + (rule.role ? 1 : 0)
+
+/**
+ * Picks the most specific active rule for a lesson context:
+ * group beats course beats role-only, and a role match breaks ties.
+ * Returns null when no rule applies.
+ */
+const resolveCompensationRule = (rules, { lessonType, role, courseRef = null, groupId = null }) => {
+	let best = null
+	for (const rule of rules) {
+		if (rule.isActive === false || rule.lessonType !== lessonType) continue
+		if (rule.role && rule.role !== role) continue
+		if (rule.courseRef && !sameId(rule.courseRef, courseRef)) continue
+		if (rule.groupId && !sameId(rule.groupId, groupId)) continue
+		if (!best || getRuleSpecificity(rule) > getRuleSpecificity(best)) {
+			best = rule
+		}
+	}
+	return best
+}
+
+const collectConductedLessons = async ({ month, employeeId }) => {
+	const { startDate, endDate } = getLocalMonthRange(month)
+
+	const groupFilter = {}
+	const extraFilter = { status: 'completed', scheduledAt: { $gte: startDate, $lt: endDate } }
+	if (employeeId) {
+		groupFilter.$or = [{ teacher: employeeId }, { supportTeachers: employeeId }]
+		extraFilter.assignedTeacher = employeeId
+	}
+
+	const [lessonDays, extraLessons] = await Promise.all([
+		GroupAttendance.aggregate([
+			{ $match: { dateKey: { $gte: `${month}-01`, $lte: `${month}-31` } } },
+			{ $group: { _id: '$group', dates: { $addToSet: '$dateKey' } } },
+		]),
+		ExtraLesson.find(extraFilter).select('_id assignedTeacher scheduledAt'),
+	])
+
+	const lessonCounts = new Map(lessonDays.map(item => [String(item._id), item.dates.length]))
+	const groups =
+		lessonCounts.size > 0
+			? await Group.find({ ...groupFilter, _id: { $in: [...lessonCounts.keys()] } }).select(
+					'_id name teacher supportTeachers courseRef',
+				)
+			: []
+
+	const groupLessons = []
+	for (const group of groups) {
+		const lessons = lessonCounts.get(group._id.toString()) || 0
+		if (lessons === 0) continue
+
+		const staff = [group.teacher, ...(group.supportTeachers || [])].filter(Boolean)
+		for (const staffId of staff) {
+			if (employeeId && !sameId(staffId, employeeId)) continue
+			groupLessons.push({
+				employeeId: staffId.toString(),
+				groupId: group._id,
+				groupName: group.name,
+				courseRef: group.courseRef || null,
+				lessons,
+			})
+		}
+	}
+
+	const extraCounts = new Map()
+	for (const lesson of extraLessons) {
+		const staffId = lesson.assignedTeacher?.toString()
+		if (!staffId) continue
+		extraCounts.set(staffId, (extraCounts.get(staffId) || 0) + 1)
+	}
+
+	return { groupLessons, extraCounts }
+}
+
+/**
+ * Builds the per-employee accrual preview for a month.
+ * Lessons with no matching rule are listed with rate 0 so gaps in the rate
+ * table are visible before approval.
+ */
+const buildAccrualPreview = async ({ month, employeeId = null }) => {
+	const [{ groupLessons, extraCounts }, rules] = await Promise.all([
+		collectConductedLessons({ month, employeeId }),
+		CompensationRule.find({ isActive: true }),
+	])
+
+	const employeeIds = [
+		...new Set([...groupLessons.map(item => item.employeeId), ...extraCounts.keys()]),
+	]
+	if (employeeIds.length === 0) {
+		return { month, totalAmount: 0, data: [] }
+	}
+
+	const employees = await User.find({ _id: { $in: employeeIds } }).select('_id fullname role')
+	const employeesById = new Map(employees.map(employee => [employee._id.toString(), employee]))
+
+	const accruals = new Map()
+	const getAccrual = id => {
+		if (!accruals.has(id)) {
+			const employee = employeesById.get(id)
+			accruals.set(id, {
+				employeeId: employee._id,
+				fullname: employee.fullname,
+				role: employee.role,
+				groupLessons: 0,
+				extraLessons: 0,
+				amount: 0,
+				lines: [],
+			})
+		}
+		return accruals.get(id)
+	}
+
+	for (const item of groupLessons) {
+		const employee = employeesById.get(item.employeeId)
+		if (!employee) continue
+		const rule = resolveCompensationRule(rules, {
+			lessonType: 'group',
+			role: employee.role,
+			courseRef: item.courseRef,
+			groupId: item.groupId,
+		})
+		const rate = rule ? rule.ratePerLesson : 0
+		const accrual = getAccrual(item.employeeId)
+		accrual.groupLessons += item.lessons
+		accrual.amount += rate * item.lessons
+		accrual.lines.push({
+			lessonType: 'group',
+			groupId: item.groupId,
+			groupName: item.groupName,
+			lessons: item.lessons,
+			rate,
+			amount: rate * item.lessons,
+			ruleId: rule ? rule._id : null,
+		})
+	}
+
+	for (const [id, lessons] of extraCounts.entries()) {
+		const employee = employeesById.get(id)
+		if (!employee) continue
+		const rule = resolveCompensationRule(rules, { lessonType: 'extra', role: employee.role })
+		const rate = rule ? rule.ratePerLesson : 0
+		const accrual = getAccrual(id)
+		accrual.extraLessons += lessons
+		accrual.amount += rate * lessons
+		accrual.lines.push({
+			lessonType: 'extra',
+			groupId: null,
+			groupName: null,
+			lessons,
+			rate,
+			amount: rate * lessons,
+			ruleId: rule ? rule._id : null,
+		})
+	}
+
+	const data = [...accruals.values()].sort((a, b) => a.fullname.localeCompare(b.fullname))
+	const totalAmount = data.reduce((sum, accrual) => sum + accrual.amount, 0)
+	return { month, totalAmount, data }
+}
+
+/**
+ * Posts one lesson_pay event per employee with a positive accrual.
+ * Employees that already have a non-reversed lesson_pay event for the month
+ * are skipped; reverse that event first to re-accrue with corrected data.
+ * Accruals a concurrent approval inserted first are counted as skipped.
+ */
+const approveAccruals = async ({ month, employeeId = null, createdBy }) => {
+	const preview = await buildAccrualPreview({ month, employeeId })
+
+	const existingFilter = { type: 'lesson_pay', month, reversalOf: null }
+	if (employeeId) {
+		existingFilter.userId = employeeId
+	}
+	const existing = await FinancialEvent.find(existingFilter).select('_id userId')
+	const reversals = await findReversalsByEventIds(existing.map(event => event._id))
+	const accruedIds = new Set(
+		existing
+			.filter(event => !reversals.has(event._id.toString()))
+			.map(event => event.userId.toString()),
+	)
+	// Every earlier accrual of the month is reversed, so their count is the next revision.
+	const revisions = new Map()
+	for (const event of existing) {
+		const key = event.userId.toString()
+		revisions.set(key, (revisions.get(key) || 0) + 1)
+	}
+
+	const payloads = []
+	let skipped = 0
+	for (const accrual of preview.data) {
+		if (accrual.amount <= 0 || accruedIds.has(accrual.employeeId.toString())) {
+			skipped += 1
+			continue
+		}
+		payloads.push({
+			userId: accrual.employeeId,
+			type: 'lesson_pay',
+			amount: accrual.amount,
+			month,
+			note: `Lesson pay: ${accrual.groupLessons} group, ${accrual.extraLessons} extra`,
+			accrualRevision: revisions.get(accrual.employeeId.toString()) || 0,
+			createdBy,
+		})
+	}
+
+	const { events, duplicates } = await insertLedgerEventsOnce(payloads)
+	const totalAmount = events.reduce((sum, event) => sum + event.amount, 0)
+
+	return { month, created: events.length, skipped: skipped + duplicates, totalAmount, events }
+}
+
+module.exports = {
+	resolveCompensationRule,
+	buildAccrualPreview,
+	approveAccruals,
+}
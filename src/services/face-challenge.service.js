@@ -0,0 +1,178 @@
+/**
+ * Face challenge service.
+ * Issues short-lived, single-use nonces with a random liveness action (turn
+ * head, blink, ...) and checks the frames a client captured while performing
+ * it: the frames must show one face, must not be near-copies of each other
+ * and must not be near-copies of frames submitted in the last day. Matching
+ * uses the mean of the frames.
+ *
+ * Liveness here is only frame consistency: descriptors say nothing about
+ * head pose or blinking, so the server never checks that the action was
+ * performed. The action is a prompt that makes a live user produce varied
+ * frames.
+ */
+
+const crypto = require('crypto')
+
+const { FaceChallenge, FACE_CHALLENGE_ACTIONS } = require('../model/face-challenge.model')
+const { faceDistance } = require('../utils/face-match')
+
+const NONCE_PATTERN = /^[A-Za-z0-9_-]{43}$/
+// Upper bound on frames per attempt regardless of configuration.
+const MAX_FRAMES_LIMIT = 20
+// Used challenges whose frames a new attempt is compared with: the newest ones
+// within the day they are kept for (see the TTL index of FaceChallenge).
+const REPLAY_WINDOW_MS = 24 * 60 * 60 * 1000
+const REPLAY_LOOKBACK_LIMIT = 500
+
+const readPositiveIntEnv = (name, fallback) => {
+	const value = Number(process.env[name])
+	return Number.isInteger(value) && value > 0 ? value : fallback
+}
+
+const readDistanceEnv = (name, fallback) => {
+	const value = Number(process.env[name])
+	return Number.isFinite(value) && value > 0 && value <= 2 ? value : fallback
+}
+
+const getChallengeSettings = () => {
+	const minFrames = Math.min(readPositiveIntEnv('FACE_LIVENESS_MIN_FRAMES', 3), MAX_FRAMES_LIMIT)
+	return {
+		ttlSeconds: readPositiveIntEnv('FACE_CHALLENGE_TTL_SECONDS', 60),
+		minFrames,
+		maxFrames: Math.min(Math.max(readPositiveIntEnv('FACE_LIVENESS_MAX_FRAMES', 10), minFrames), MAX_FRAMES_LIMIT),
+		maxFrameDistance: readDistanceEnv('FACE_LIVENESS_MAX_FRAME_DISTANCE', 0.35),
+		minFrameSpread: readDistanceEnv('FACE_LIVENESS_MIN_FRAME_SPREAD', 0.01),
+		replayDistance: readDistanceEnv('FACE_LIVENESS_REPLAY_DISTANCE', 0.02),
+	}
+}
+
+const hashNonce = nonce => crypto.createHash('sha256').update(String(nonce)).digest('hex')
+
+// True when some frame of first is within epsilon of some frame of second.
+const hasNearFrame = (first, second, epsilon) =>
+	first.some(frame => second.some(other => frame.length === other.length && faceDistance(frame, other) < epsilon))
+
+const hasNearDuplicateFrames = (frames, epsilon) =>
+	frames.some((frame, index) => hasNearFrame([frame], frames.slice(index + 1), epsilon))
+
+const meanDescriptor = frames =>
+	frames[0].map((_, index) => frames.reduce((sum, frame) => sum + frame[index], 0) / frames.length)
+
+const invalidChallenge = () => ({
+	statusCode: 401,
+	message: 'Face ID challenge is invalid, expired or already used, request a new one',
+	code: 'FACE_CHALLENGE_INVALID',
+	outcome: 'invalid_challenge',
+})
+
+const livenessFailed = message => ({
+	statusCode: 401,
+	message,
+	code: 'FACE_LIVENESS_FAILED',
+	outcome: 'liveness_failed',
+})
+
+/**
+ * Creates a challenge for the client. Returns { nonce, action, minFrames,
+ * maxFrames, expiresAt, expiresInSeconds }; action is only shown to the user.
+ */
+const issueFaceChallenge = async ({ client = {}, purpose = 'login' }) => {
+	const settings = getChallengeSettings()
+	const nonce = crypto.randomBytes(32).toString('base64url')
+	const action = FACE_CHALLENGE_ACTIONS[crypto.randomInt(FACE_CHALLENGE_ACTIONS.length)]
+	const expiresAt = new Date(Date.now() + settings.ttlSeconds * 1000)
+
+	await FaceChallenge.create({
+		nonceHash: hashNonce(nonce),
+		purpose,
+		action,
+		expiresAt,
+		ip: client.ip || '',
+		deviceId: client.deviceId || '',
+	})
+
+	return {
+		nonce,
+		action,
+		minFrames: settings.minFrames,
+		maxFrames: settings.maxFrames,
+		expiresAt,
+		expiresInSeconds: settings.ttlSeconds,
+	}
+}
+
+/**
+ * Uses up the challenge behind nonce and checks the submitted frames (already
+ * parsed descriptors). The nonce is spent even when the frames are rejected,
+ * so every challenge allows one attempt. Returns { descriptor, action } or
+ * { statusCode, message, code?, outcome }; outcome is the audit outcome.
+ */
+const verifyFaceChallenge = async ({ nonce: nonceInput, frames, purpose = 'login' }) => {
+	const nonce = String(nonceInput || '').trim()
+	if (!NONCE_PATTERN.test(nonce)) {
+		return {
+			statusCode: 400,
+			message: 'nonce is required, request a challenge first',
+			field: 'nonce',
+			outcome: 'invalid_challenge',
+		}
+	}
+
+	const settings = getChallengeSettings()
+	if (frames.length < settings.minFrames || frames.length > settings.maxFrames) {
+		return {
+			statusCode: 400,
+			message: `frames must contain between ${settings.minFrames} and ${settings.maxFrames} descriptors`,
+			field: 'frames',
+			outcome: 'invalid_descriptor',
+		}
+	}
+
+	const now = new Date()
+	const challenge = await FaceChallenge.findOneAndUpdate(
+		{ nonceHash: hashNonce(nonce), purpose, usedAt: null, expiresAt: { $gt: now } },
+		{ $set: { usedAt: now } },
+		{ new: true },
+	)
+	if (!challenge) {
+		return invalidChallenge()
+	}
+
+	if (hasNearDuplicateFrames(frames, settings.replayDistance)) {
+		return livenessFailed('Face ID frames must be separate captures')
+	}
+
+	const descriptor = meanDescriptor(frames)
+	const distances = frames.map(frame => faceDistance(frame, descriptor))
+	if (Math.max(...distances) > settings.maxFrameDistance) {
+		return livenessFailed('Face ID frames do not show the same face')
+	}
+	// A live face moving through the action never yields near-identical frames.
+	if (Math.max(...distances) < settings.minFrameSpread) {
+		return livenessFailed('Face ID frames show no movement, follow the challenge')
+	}
+
+	// Stored before the lookup so two attempts racing with the same frames
+	// both see each other and both fail. Replays are caught by distance, not by
+	// exact value, so re-encoded or slightly perturbed copies are rejected too.
+	await FaceChallenge.updateOne({ _id: challenge._id }, { $set: { frames } })
+	const recent = await FaceChallenge.find({
+		_id: { $ne: challenge._id },
+		usedAt: { $gte: new Date(now.getTime() - REPLAY_WINDOW_MS) },
+	})
+		.sort({ usedAt: -1 })
+		.limit(REPLAY_LOOKBACK_LIMIT)
+		.select('+frames')
+		.lean()
+	if (recent.some(earlier => hasNearFrame(frames, earlier.frames || [], settings.replayDistance))) {
+		return livenessFailed('Face ID frames were already used')
+	}
+
+	return { descriptor, action: challenge.action }
+}
+
+module.exports = {
+	issueFaceChallenge,
+	verifyFaceChallenge,
+}
@@ -0,0 +1,241 @@
+/**
+ * Face index service.
+ * Keeps face descriptors in memory so Face ID matching does not read every
+ * FaceCredential on each attempt. An index loads once, is updated in place
+ * when descriptors change, and reloads after FACE_INDEX_REFRESH_MS. Each
+ * vector keeps the updatedAt of its credential, and a match is re-checked
+ * against the stored credential, so a face changed or removed on another
+ * server instance is never matched from a stale vector.
+ */
+
+const FaceCredential = require('../models/FaceCredential.model')
+const { StudentFaceCredential } = require('../model/student-face-credential.model')
+
+const DEFAULT_REFRESH_INTERVAL_MS = 10 * 60 * 1000
+
+const resolveRefreshIntervalMs = () => {
+	const value = Number(process.env.FACE_INDEX_REFRESH_MS)
+	return Number.isInteger(value) && value > 0 ? value : DEFAULT_REFRESH_INTERVAL_MS
+}
+
+const MAX_MATCH_ATTEMPTS = 3
+
+const toVector = descriptor => Float64Array.from(descriptor, Number)
+
+const toVersion = updatedAt => (updatedAt ? new Date(updatedAt).getTime() : null)
+
+const toEntry = (descriptor, updatedAt) => ({ vector: toVector(descriptor), version: toVersion(updatedAt) })
+
+/**
+ * Squared Euclidean distance, or Infinity as soon as the partial sum passes
+ * limit. Most candidates are far away, so this usually stops early.
+ */
+const squaredDistanceWithin = (first, second, limit) => {
+	let sum = 0
+	for (let index = 0; index < first.length; index += 1) {
+		const delta = first[index] - second[index]
+		sum += delta * delta
+		if (sum > limit) {
+			return Infinity
+		}
+	}
+	return sum
+}
+
+/**
+ * Creates an index over [id, descriptor, updatedAt] entries returned by
+ * loadEntries(). loadEntry(id) returns the stored { descriptor, updatedAt } of
+ * one id, or null when it has none; match() uses it to re-check its result.
+ */
+const createFaceIndex = ({ loadEntries, loadEntry = null }) => {
+	let vectors = new Map()
+	let loadedAt = 0
+	let loadingPromise = null
+	// Changes made while a reload is running are replayed on the new map.
+	let changesDuringLoad = null
+
+	const load = async () => {
+		changesDuringLoad = []
+		try {
+			const nextVectors = new Map()
+			for (const [id, descriptor, updatedAt] of await loadEntries()) {
+				if (Array.isArray(descriptor) && descriptor.length > 0) {
+					nextVectors.set(String(id), toEntry(descriptor, updatedAt))
+				}
+			}
+			for (const applyChange of changesDuringLoad) {
+				applyChange(nextVectors)
+			}
+
+			vectors = nextVectors
+			loadedAt = Date.now()
+		} finally {
+			changesDuringLoad = null
+			loadingPromise = null
+		}
+	}
+
+	const ensureLoaded = () => {
+		if (loadedAt && Date.now() - loadedAt < resolveRefreshIntervalMs()) {
+			return Promise.resolve()
+		}
+		if (!loadingPromise) {
+			loadingPromise = load()
+		}
+		return loadingPromise
+	}
+
+	const applyChange = change => {
+		change(vectors)
+		if (changesDuringLoad) {
+			changesDuringLoad.push(change)
+		}
+	}
+
+	const upsert = (id, descriptor, updatedAt = null) =>
+		applyChange(target => target.set(String(id), toEntry(descriptor, updatedAt)))
+
+	const remove = id => applyChange(target => target.delete(String(id)))
+
+	/**
+	 * Returns up to k nearest entries within maxDistance as [{ id, distance }],
+	 * closest first. filter(id) can restrict the candidates.
+	 */
+	const findNearest = async (descriptor, { k = 2, maxDistance = Infinity, filter } = {}) => {
+		await ensureLoaded()
+
+		const query = toVector(descriptor)
+		const nearest = []
+		let limit = maxDistance * maxDistance
+		for (const [id, { vector }] of vectors) {
+			if (vector.length !== query.length || (filter && !filter(id))) {
+				continue
+			}
+
+			const squared = squaredDistanceWithin(query, vector, limit)
+			if (squared === Infinity) {
+				continue
+			}
+
+			let position = nearest.length
+			while (position > 0 && nearest[position - 1].squared > squared) {
+				position -= 1
+			}
+			nearest.splice(position, 0, { id, squared })
+			if (nearest.length > k) {
+				nearest.pop()
+			}
+			if (nearest.length === k) {
+				limit = Math.min(limit, nearest[k - 1].squared)
+			}
+		}
+
+		return nearest.map(({ id, squared }) => ({ id, distance: Math.sqrt(squared) }))
+	}
+
+	const matchLoaded = async (descriptor, { threshold, margin, filter }) => {
+		const [best = null, second = null] = await findNearest(descriptor, {
+			k: 2,
+			maxDistance: threshold + margin,
+			filter,
+		})
+
+		if (!best || best.distance > threshold) {
+			return { status: 'no_match', best, second }
+		}
+		if (second && second.distance - best.distance < margin) {
+			return { status: 'ambiguous', best, second }
+		}
+		return { status: 'matched', best, second }
+	}
+
+	/**
+	 * Replaces or removes the entry of id when the stored credential is newer
+	 * or gone. Returns true when the entry was stale.
+	 */
+	const refreshEntry = async id => {
+		const stored = await loadEntry(id)
+		const entry = vectors.get(String(id))
+		if (stored && entry && entry.version === toVersion(stored.updatedAt)) {
+			return false
+		}
+
+		if (Array.isArray(stored?.descriptor) && stored.descriptor.length > 0) {
+			upsert(id, stored.descriptor, stored.updatedAt)
+		} else {
+			remove(id)
+		}
+		return true
+	}
+
+	/**
+	 * Matches a descriptor to one entry. The closest entry must be within
+	 * threshold, and the runner-up must be at least margin further away;
+	 * otherwise the face is too close to two people and is rejected as
+	 * ambiguous. A matched entry that turns out stale is refreshed and the
+	 * match repeated. Returns { status: 'matched' | 'ambiguous' | 'no_match', best, second }.
+	 */
+	const match = async (descriptor, options) => {
+		for (let attempt = 1; ; attempt += 1) {
+			const result = await matchLoaded(descriptor, options)
+			if (result.status !== 'matched' || !loadEntry || !(await refreshEntry(result.best.id))) {
+				return result
+			}
+			if (attempt === MAX_MATCH_ATTEMPTS) {
+				return { status: 'no_match', best: null, second: null }
+			}
+		}
+	}
+
+	// Drops everything so the next lookup reloads; used by tests.
+	const reset = () => {
+		vectors = new Map()
+		loadedAt = 0
+	}
+
+	return {
+		ensureLoaded,
+		upsert,
+		remove,
+		findNearest,
+		match,
+		reset,
+		get size() {
+			return vectors.size
+		},
+	}
+}
+
+const loadEmployeeFaceEntries = async () => {
+	const credentials = await FaceCredential.find({}).select('+descriptor userId updatedAt').lean()
+	return credentials.map(credential => [credential.userId, credential.descriptor, credential.updatedAt])
+}
+
+const loadEmployeeFaceEntry = userId =>
+	FaceCredential.findOne({ userId }).select('+descriptor updatedAt').lean()
+
+const loadStudentFaceEntries = async () => {
+	const credentials = await StudentFaceCredential.find({}).select('+descriptor student updatedAt').lean()
+	return credentials.map(credential => [credential.student, credential.descriptor, credential.updatedAt])
+}
+
+const loadStudentFaceEntry = student =>
+	StudentFaceCredential.findOne({ student }).select('+descriptor updatedAt').lean()
+
+// Keyed by User id; kept in sync by the auth controller.
+const employeeFaceIndex = createFaceIndex({
+	loadEntries: loadEmployeeFaceEntries,
+	loadEntry: loadEmployeeFaceEntry,
+})
+
+// Keyed by Student id; kept in sync by the student controller.
+const studentFaceIndex = createFaceIndex({
+	loadEntries: loadStudentFaceEntries,
+	loadEntry: loadStudentFaceEntry,
+})
+
+module.exports = {
+	createFaceIndex,
+	employeeFaceIndex,
+	studentFaceIndex,
+}
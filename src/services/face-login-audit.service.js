@@ -0,0 +1,101 @@
+/**
+ * Face login audit service.
+ * Records every Face ID login attempt with outcome, distances and client
+ * details, and throttles clients by their recent failed attempts per IP and
+ * per device. Failures are read back from the audit log, so the limit holds
+ * across server instances.
+ */
+
+const { FaceLoginAttempt } = require('../model/face-login-attempt.model')
+const { getClientInfo } = require('./auth-session.service')
+
+const DEVICE_ID_MAX_LENGTH = 128
+const NOT_COUNTED_OUTCOMES = ['success', 'throttled']
+
+const readPositiveIntEnv = (name, fallback) => {
+	const value = Number(process.env[name])
+	return Number.isInteger(value) && value > 0 ? value : fallback
+}
+
+const getThrottleSettings = () => ({
+	maxFailures: readPositiveIntEnv('FACE_LOGIN_MAX_FAILURES', 5),
+	windowMs: readPositiveIntEnv('FACE_LOGIN_FAILURE_WINDOW_MS', 15 * 60 * 1000),
+})
+
+/**
+ * Client details of a Face ID request. deviceId comes from the X-Device-Id
+ * header (or body.deviceId) and lets a kiosk behind a shared IP be throttled
+ * on its own.
+ */
+const getFaceLoginClient = req => ({
+	...getClientInfo(req),
+	deviceId: String(req?.get?.('x-device-id') || req?.headers?.['x-device-id'] || req?.body?.deviceId || '')
+		.trim()
+		.slice(0, DEVICE_ID_MAX_LENGTH),
+})
+
+/**
+ * Returns { retryAfterSeconds } when the IP or device has reached
+ * FACE_LOGIN_MAX_FAILURES failed attempts within the window, otherwise null.
+ */
+const checkFaceLoginThrottle = async client => {
+	const sources = []
+	if (client.ip) {
+		sources.push({ ip: client.ip })
+	}
+	if (client.deviceId) {
+		sources.push({ deviceId: client.deviceId })
+	}
+	if (sources.length === 0) {
+		return null
+	}
+
+	const { maxFailures, windowMs } = getThrottleSettings()
+	const now = Date.now()
+	const recentFailures = await FaceLoginAttempt.find({
+		outcome: { $nin: NOT_COUNTED_OUTCOMES },
+		createdAt: { $gte: new Date(now - windowMs) },
+		$or: sources,
+	})
+		.select('createdAt')
+		.sort({ createdAt: -1 })
+		.limit(maxFailures)
+		.lean()
+	if (recentFailures.length < maxFailures) {
+		return null
+	}
+
+	// The client is let through again once the oldest of these leaves the window.
+	const oldest = recentFailures[recentFailures.length - 1]
+	const retryAfterMs = new Date(oldest.createdAt).getTime() + windowMs - now
+	return { retryAfterSeconds: Math.max(Math.ceil(retryAfterMs / 1000), 1) }
+}
+
+const roundDistance = value => (Number.isFinite(value) ? Number(value.toFixed(6)) : null)
+
+/**
+ * Appends one attempt to the audit log. A failed write is logged and never
+ * blocks the login response.
+ */
+const recordFaceLoginAttempt = async ({ client, outcome, matchedUser = null, match = null, threshold = null }) => {
+	try {
+		await FaceLoginAttempt.create({
+			outcome,
+			matchedUser,
+			distance: roundDistance(match?.best?.distance),
+			secondDistance: roundDistance(match?.second?.distance),
+			threshold,
+			ip: client.ip,
+			deviceId: client.deviceId,
+			userAgent: client.userAgent,
+		})
+	} catch (error) {
+		console.error('Failed to record Face ID login attempt:', error)
+	}
+}
+
+module.exports = {
+	getFaceLoginClient,
+	checkFaceLoginThrottle,
+	recordFaceLoginAttempt,
+}
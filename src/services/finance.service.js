@@ -20,6 +20,7 @@ const normalizeUserIds = userIds =>
 
 const buildEmptySummary = () => ({
 	salary: 0,
+	totalLessonPay: 0,
 	totalBonuses: 0,
 	totalFines: 0,
 	net: 0,
@@ -28,12 +29,14 @@ const buildEmptySummary = () => ({
 
 const finalizeSummary = summary => {
 	const salary = toMoneyNumber(summary.salary)
+	const totalLessonPay = toMoneyNumber(summary.totalLessonPay)
 	const totalBonuses = toMoneyNumber(summary.totalBonuses)
 	const totalFines = toMoneyNumber(summary.totalFines)
-	const net = salary + totalBonuses - totalFines
+	const net = salary + totalLessonPay + totalBonuses - totalFines
 
 	return {
 		salary,
+		totalLessonPay,
 		totalBonuses,
 		totalFines,
 		net,
@@ -41,6 +44,41 @@ const finalizeSummary = summary => {
 	}
 }
 
+// Drops both sides of a reversal: compensating events (reversalOf set) and the
+// original events they reverse. Place right after the initial $match.
+const EXCLUDE_REVERSED_STAGES = [
+	{ $match: { reversalOf: null } },
+	{
+		$lookup: {
+			from: FinancialEvent.collection.name,
+			localField: '_id',
+			foreignField: 'reversalOf',
+			as: 'reversals',
+		},
+	},
+	{ $match: { reversals: { $size: 0 } } },
+	{ $unset: 'reversals' },
+]
+
+// Hides compensating events and flags originals that were reversed, for per-type lists.
+const REVERSAL_FLAG_STAGES = [
+	{ $match: { reversalOf: null } },
+	{
+		$lookup: {
+			from: FinancialEvent.collection.name,
+			localField: '_id',
+			foreignField: 'reversalOf',
+			as: 'reversals',
+		},
+	},
+	{
+		$addFields: {
+			reversed: { $gt: [{ $size: '$reversals' }, 0] },
+			reversedBy: { $ifNull: [{ $arrayElemAt: ['$reversals._id', 0] }, null] },
+		},
+	},
+]
+
 // Derive effectiveMonth from the month field, falling back to createdAt for legacy docs
 const EFFECTIVE_MONTH_FIELD = {
 	effectiveMonth: {
@@ -64,6 +102,7 @@ const getFinanceSummariesByUserIds = async userIds => {
 					type: { $in: SALARY_EVENT_TYPES },
 				},
 			},
+			...EXCLUDE_REVERSED_STAGES,
 			{
 				$sort: { createdAt: -1, _id: -1 },
 			},
@@ -80,9 +119,15 @@ const getFinanceSummariesByUserIds = async userIds => {
 					userId: { $in: objectIds },
 				},
 			},
+			...EXCLUDE_REVERSED_STAGES,
 			{
 				$group: {
 					_id: '$userId',
+					totalLessonPay: {
+						$sum: {
+							$cond: [{ $eq: ['$type', 'lesson_pay'] }, '$amount', 0],
+						},
+					},
 					totalBonuses: {
 						$sum: {
 							$cond: [{ $eq: ['$type', 'bonus'] }, '$amount', 0],
@@ -119,6 +164,7 @@ const getFinanceSummariesByUserIds = async userIds => {
 			continue
 		}
 		const summary = summaries.get(userId) || buildEmptySummary()
+		summary.totalLessonPay = toMoneyNumber(totalsRow.totalLessonPay)
 		summary.totalBonuses = toMoneyNumber(totalsRow.totalBonuses)
 		summary.totalFines = toMoneyNumber(totalsRow.totalFines)
 		summaries.set(userId, summary)
@@ -134,7 +180,7 @@ const getFinanceSummariesByUserIds = async userIds => {
 /**
  * Returns a single-month finance summary for each userId in the list.
  * For salary: latest salary_update event within that month.
- * For bonus/fine: sum of all events of each type within that month.
+ * For lesson_pay/bonus/fine: sum of all events of each type within that month.
  */
 const getFinanceSummariesByUserIdsForMonth = async (userIds, month) => {
 	const normalizedUserIds = normalizeUserIds(userIds)
@@ -160,6 +206,7 @@ const getFinanceSummariesByUserIdsForMonth = async (userIds, month) => {
 					$or: monthOr,
 				},
 			},
+			...EXCLUDE_REVERSED_STAGES,
 			{ $sort: { createdAt: -1, _id: -1 } },
 			{ $group: { _id: '$userId', salary: { $first: '$amount' } } },
 		]),
@@ -170,9 +217,11 @@ const getFinanceSummariesByUserIdsForMonth = async (userIds, month) => {
 					$or: monthOr,
 				},
 			},
+			...EXCLUDE_REVERSED_STAGES,
 			{
 				$group: {
 					_id: '$userId',
+					totalLessonPay: { $sum: { $cond: [{ $eq: ['$type', 'lesson_pay'] }, '$amount', 0] } },
 					totalBonuses: { $sum: { $cond: [{ $eq: ['$type', 'bonus'] }, '$amount', 0] } },
 					totalFines: { $sum: { $cond: [{ $eq: ['$type', 'fine'] }, '$amount', 0] } },
 				},
@@ -195,6 +244,7 @@ const getFinanceSummariesByUserIdsForMonth = async (userIds, month) => {
 		const userId = totalsRow?._id?.toString?.()
 		if (!userId) continue
 		const summary = summaries.get(userId) || buildEmptySummary()
+		summary.totalLessonPay = toMoneyNumber(totalsRow.totalLessonPay)
 		summary.totalBonuses = toMoneyNumber(totalsRow.totalBonuses)
 		summary.totalFines = toMoneyNumber(totalsRow.totalFines)
 		summaries.set(userId, summary)
@@ -208,27 +258,30 @@ const getFinanceSummariesByUserIdsForMonth = async (userIds, month) => {
 
 /**
  * Returns a per-month breakdown array for a single employee, sorted by month descending.
- * Each entry: { month, salary, bonuses, fines, net }
+ * Each entry: { month, salary, lessonPay, bonuses, fines, net }
  * salary = latest salary_update within that month (0 if none).
- * bonuses/fines = sum of all events of each type within that month.
+ * lessonPay/bonuses/fines = sum of all events of each type within that month.
  */
 const getEmployeeMonthlyHistory = async userId => {
 	if (!mongoose.isValidObjectId(userId)) return []
 	const objectId = new mongoose.Types.ObjectId(userId)
 
-	const [salaryRows, bonusFineRows] = await Promise.all([
+	const [salaryRows, totalsRows] = await Promise.all([
 		FinancialEvent.aggregate([
 			{ $match: { userId: objectId, type: { $in: SALARY_EVENT_TYPES } } },
+			...EXCLUDE_REVERSED_STAGES,
 			{ $addFields: EFFECTIVE_MONTH_FIELD },
 			{ $sort: { effectiveMonth: -1, createdAt: -1 } },
 			{ $group: { _id: '$effectiveMonth', salary: { $first: '$amount' } } },
 		]),
 		FinancialEvent.aggregate([
-			{ $match: { userId: objectId, type: { $in: ['bonus', 'fine'] } } },
+			{ $match: { userId: objectId, type: { $in: ['lesson_pay', 'bonus', 'fine'] } } },
+			...EXCLUDE_REVERSED_STAGES,
 			{ $addFields: EFFECTIVE_MONTH_FIELD },
 			{
 				$group: {
 					_id: '$effectiveMonth',
+					totalLessonPay: { $sum: { $cond: [{ $eq: ['$type', 'lesson_pay'] }, '$amount', 0] } },
 					totalBonuses: { $sum: { $cond: [{ $eq: ['$type', 'bonus'] }, '$amount', 0] } },
 					totalFines: { $sum: { $cond: [{ $eq: ['$type', 'fine'] }, '$amount', 0] } },
 				},
@@ -243,14 +296,22 @@ const getEmployeeMonthlyHistory = async userId => {
 		monthsMap.set(row._id, {
 			month: row._id,
 			salary: toMoneyNumber(row.salary),
+			lessonPay: 0,
 			bonuses: 0,
 			fines: 0,
 		})
 	}
 
-	for (const row of bonusFineRows) {
+	for (const row of totalsRows) {
 		if (!row._id) continue
-		const existing = monthsMap.get(row._id) || { month: row._id, salary: 0, bonuses: 0, fines: 0 }
+		const existing = monthsMap.get(row._id) || {
+			month: row._id,
+			salary: 0,
+			lessonPay: 0,
+			bonuses: 0,
+			fines: 0,
+		}
+		existing.lessonPay = toMoneyNumber(row.totalLessonPay)
 		existing.bonuses = toMoneyNumber(row.totalBonuses)
 		existing.fines = toMoneyNumber(row.totalFines)
 		monthsMap.set(row._id, existing)
@@ -260,22 +321,69 @@ const getEmployeeMonthlyHistory = async userId => {
 		.map(entry => ({
 			month: entry.month,
 			salary: entry.salary,
+			lessonPay: entry.lessonPay,
 			bonuses: entry.bonuses,
 			fines: entry.fines,
-			net: entry.salary + entry.bonuses - entry.fines,
+			net: entry.salary + entry.lessonPay + entry.bonuses - entry.fines,
 		}))
 		.sort((a, b) => b.month.localeCompare(a.month))
 }
 
+/**
+ * Returns a Map of original event id -> compensating event for the given ids.
+ */
+const findReversalsByEventIds = async eventIds => {
+	const ids = [...new Set((eventIds || []).map(eventId => String(eventId || '').trim()))].filter(
+		eventId => mongoose.isValidObjectId(eventId),
+	)
+	if (ids.length === 0) {
+		return new Map()
+	}
+
+	const reversals = await FinancialEvent.find({ reversalOf: { $in: ids } })
+		.select('_id reversalOf note createdBy createdAt')
+		.populate('createdBy', 'fullname role')
+
+	return new Map(reversals.map(reversal => [reversal.reversalOf.toString(), reversal]))
+}
+
 const getFinanceSummary = async userId => {
 	const normalizedUserId = String(userId || '').trim()
 	const summaries = await getFinanceSummariesByUserIds([normalizedUserId])
 	return summaries.get(normalizedUserId) || buildEmptySummary()
 }
 
+const isDuplicateKeyError = error => (error?.code ?? error?.err?.code) === 11000
+
+/**
+ * Inserts ledger events with ordered: false. Events a unique index rejects
+ * were already posted by a concurrent or earlier run and are skipped.
+ * Returns { events, duplicates }; any other write error is thrown.
+ */
+const insertLedgerEventsOnce = async payloads => {
+	if (payloads.length === 0) {
+		return { events: [], duplicates: 0 }
+	}
+
+	try {
+		const events = await FinancialEvent.insertMany(payloads, { ordered: false })
+		return { events, duplicates: 0 }
+	} catch (error) {
+		const writeErrors = error.writeErrors || []
+		if (writeErrors.length === 0 || !writeErrors.every(isDuplicateKeyError)) {
+			throw error
+		}
+		return { events: error.insertedDocs || [], duplicates: writeErrors.length }
+	}
+}
+
 module.exports = {
+	EXCLUDE_REVERSED_STAGES,
+	REVERSAL_FLAG_STAGES,
+	findReversalsByEventIds,
 	getFinanceSummary,
 	getFinanceSummariesByUserIds,
 	getFinanceSummariesByUserIdsForMonth,
 	getEmployeeMonthlyHistory,
+	insertLedgerEventsOnce,
 }
@@ -0,0 +1,214 @@
+/**
+ * Group session service.
+ * Materialises GroupSession documents from Group.schedule templates between the
+ * group's startDate and endDate, and applies center-wide holidays to them.
+ * All calendar days are local (UTC+5) YYYY-MM-DD keys.
+ */
+
+const { GroupSession } = require('../model/group-session.model')
+const { LOCAL_TIMEZONE_OFFSET_MS, toAttendanceDateKey } = require('../model/group-attendance.model')
+const Holiday = require('../model/holiday.model')
+
+const DAYS_OF_WEEK = ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday']
+const DAY_MS = 24 * 60 * 60 * 1000
+
+const dateKeyToUtcMs = dateKey => {
+	const [year, month, day] = dateKey.split('-').map(Number)
+	return Date.UTC(year, month - 1, day)
+}
+
+const addDaysToDateKey = (dateKey, days) =>
+	new Date(dateKeyToUtcMs(dateKey) + days * DAY_MS).toISOString().slice(0, 10)
+
+const countDaysBetween = (fromKey, toKey) =>
+	Math.round((dateKeyToUtcMs(toKey) - dateKeyToUtcMs(fromKey)) / DAY_MS) + 1
+
+// Converts a local day + "HH:mm" into the UTC instant it represents.
+const toSessionStart = (dateKey, startTime) => {
+	const [hours, minutes] = startTime.split(':').map(Number)
+	return new Date(dateKeyToUtcMs(dateKey) + (hours * 60 + minutes) * 60 * 1000 - LOCAL_TIMEZONE_OFFSET_MS)
+}
+
+/**
+ * Expands the weekly schedule into concrete slots for [fromKey, toKey],
+ * clipped to the group's startDate and endDate.
+ */
+const buildScheduledSlots = (group, { fromKey, toKey }) => {
+	const schedule = Array.isArray(group?.schedule) ? group.schedule : []
+	if (schedule.length === 0) {
+		return []
+	}
+
+	const groupStartKey = group.startDate ? toAttendanceDateKey(group.startDate) : ''
+	const groupEndKey = group.endDate ? toAttendanceDateKey(group.endDate) : ''
+	const startKey = groupStartKey && groupStartKey > fromKey ? groupStartKey : fromKey
+	const endKey = groupEndKey && groupEndKey < toKey ? groupEndKey : toKey
+
+	const slots = []
+	for (let dateKey = startKey; dateKey <= endKey; dateKey = addDaysToDateKey(dateKey, 1)) {
+		const dayOfWeek = DAYS_OF_WEEK[(new Date(dateKeyToUtcMs(dateKey)).getUTCDay() + 6) % 7]
+		for (const item of schedule) {
+			if (!item || item.dayOfWeek !== dayOfWeek) continue
+			slots.push({
+				slotKey: `${dateKey}T${item.startTime}`,
+				dateKey,
+				startsAt: toSessionStart(dateKey, item.startTime),
+				durationMinutes: item.durationMinutes,
+			})
+		}
+	}
+
+	return slots
+}
+
+/**
+ * Creates missing sessions for the range. Existing sessions (including
+ * cancelled or moved ones) are left untouched; slots that fall on a holiday
+ * are created already cancelled.
+ */
+const ensureGroupSessions = async (group, { fromKey, toKey }) => {
+	const slots = buildScheduledSlots(group, { fromKey, toKey })
+	if (slots.length === 0) {
+		return
+	}
+
+	const holidays = await Holiday.find({ date: { $gte: fromKey, $lte: toKey } }).select('_id date name')
+	const holidaysByDate = new Map(holidays.map(holiday => [holiday.date, holiday]))
+
+	const operations = slots.map(slot => {
+		const holiday = holidaysByDate.get(slot.dateKey)
+		const document = { group: group._id, ...slot, status: 'scheduled' }
+		if (holiday) {
+			document.status = 'cancelled'
+			document.holiday = holiday._id
+			document.cancelReason = `Holiday: ${holiday.name}`
+			document.cancelledAt = new Date()
+		}
+
+		return {
+			updateOne: {
+				filter: { group: group._id, slotKey: slot.slotKey },
+				update: { $setOnInsert: document },
+				upsert: true,
+			},
+		}
+	})
+
+	try {
+		await GroupSession.bulkWrite(operations, { ordered: false })
+	} catch (error) {
+		// A concurrent request already inserted the same slot.
+		if (error.code !== 11000) {
+			throw error
+		}
+	}
+}
+
+/**
+ * Read-only calendar for the range: stored sessions plus the template slots
+ * that have not been stored yet. Unstored slots have _id null and are
+ * addressed by slotKey until a cancel or reschedule stores them.
+ */
+const listGroupSessions = async (group, { fromKey, toKey }) => {
+	const slots = buildScheduledSlots(group, { fromKey, toKey })
+	const [stored, holidays] = await Promise.all([
+		GroupSession.find({
+			group: group._id,
+			$or: [{ dateKey: { $gte: fromKey, $lte: toKey } }, { slotKey: { $in: slots.map(slot => slot.slotKey) } }],
+		})
+			.populate('holiday', 'date name')
+			.populate('cancelledBy rescheduledBy', 'fullname role'),
+		slots.length > 0 ? Holiday.find({ date: { $gte: fromKey, $lte: toKey } }).select('_id date name') : [],
+	])
+
+	// A stored slot moved out of the range hides its template slot as well.
+	const storedSlotKeys = new Set(stored.map(session => session.slotKey))
+	const holidaysByDate = new Map(holidays.map(holiday => [holiday.date, holiday]))
+	const pending = slots
+		.filter(slot => !storedSlotKeys.has(slot.slotKey))
+		.map(slot => {
+			const holiday = holidaysByDate.get(slot.dateKey) || null
+			return {
+				_id: null,
+				group: group._id,
+				...slot,
+				status: holiday ? 'cancelled' : 'scheduled',
+				holiday,
+				cancelReason: holiday ? `Holiday: ${holiday.name}` : undefined,
+				originalStartsAt: null,
+			}
+		})
+
+	return [...stored.filter(session => session.dateKey >= fromKey && session.dateKey <= toKey), ...pending].sort(
+		(left, right) => new Date(left.startsAt) - new Date(right.startsAt),
+	)
+}
+
+/**
+ * Stores the template slot (e.g. "2025-04-07T09:00") if it has not been
+ * stored yet and returns its session, or null when the group's schedule has
+ * no such slot.
+ */
+const materializeGroupSession = async (group, slotKey) => {
+	const dateKey = slotKey.slice(0, 10)
+	const slots = buildScheduledSlots(group, { fromKey: dateKey, toKey: dateKey })
+	if (slots.some(slot => slot.slotKey === slotKey)) {
+		await ensureGroupSessions(group, { fromKey: dateKey, toKey: dateKey })
+	}
+	return GroupSession.findOne({ group: group._id, slotKey })
+}
+
+const findGroupSessionsForDay = async (group, dateKey) => {
+	await ensureGroupSessions(group, { fromKey: dateKey, toKey: dateKey })
+	return GroupSession.find({ group: group._id, dateKey })
+}
+
+/**
+ * Removes future sessions that still match their generated template so the
+ * next read regenerates them from the updated schedule. Manually cancelled
+ * and rescheduled sessions are kept.
+ */
+const pruneUpcomingSessions = async (groupId, now = new Date()) =>
+	GroupSession.deleteMany({
+		group: groupId,
+		originalStartsAt: null,
+		startsAt: { $gt: now },
+		$or: [{ status: 'scheduled' }, { holiday: { $ne: null } }],
+	})
+
+const cancelSessionsForHoliday = async (holiday, cancelledBy) =>
+	GroupSession.updateMany(
+		{ dateKey: holiday.date, status: 'scheduled' },
+		{
+			$set: {
+				status: 'cancelled',
+				holiday: holiday._id,
+				cancelReason: `Holiday: ${holiday.name}`,
+				cancelledBy: cancelledBy || null,
+				cancelledAt: new Date(),
+			},
+		},
+	)
+
+const restoreSessionsForHoliday = async holidayId =>
+	GroupSession.updateMany(
+		{ holiday: holidayId },
+		{
+			$set: { status: 'scheduled', holiday: null, cancelledBy: null, cancelledAt: null },
+			$unset: { cancelReason: 1 },
+		},
+	)
+
+module.exports = {
+	toSessionStart,
+	addDaysToDateKey,
+	countDaysBetween,
+	buildScheduledSlots,
+	ensureGroupSessions,
+	listGroupSessions,
+	materializeGroupSession,
+	findGroupSessionsForDay,
+	pruneUpcomingSessions,
+	cancelSessionsForHoliday,
+	restoreSessionsForHoliday,
+}
@@ -0,0 +1,183 @@
+/**
+ * Kiosk attendance service.
+ * Identifies a student by face, from the frames of a 'kiosk' Face ID
+ * challenge, among the active members of groups in the kiosk's branch or room
+ * whose session is running now, and marks them present, or late when they
+ * arrive after the session start. Days are local (UTC+5) keys, as in manual
+ * group attendance.
+ */
+
+const Group = require('../model/group.model')
+const Student = require('../model/student.model')
+const { GroupAttendance, toAttendanceDateKey } = require('../model/group-attendance.model')
+const { GroupSession } = require('../model/group-session.model')
+const { verifyFaceChallenge } = require('./face-challenge.service')
+const { ensureGroupSessions } = require('./group-session.service')
+const { studentFaceIndex } = require('./face-index.service')
+const { resolveFaceMatchMargin, resolveRoleFaceMatchThresholds } = require('../utils/face-match')
+
+const DAYS_OF_WEEK = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday']
+const MINUTE_MS = 60 * 1000
+const KIOSK_NOTE = 'Face ID kiosk'
+
+const getEarlyCheckInMinutes = () => {
+	const value = Number(process.env.KIOSK_CHECKIN_EARLY_MINUTES)
+	return Number.isInteger(value) && value >= 0 ? value : 15
+}
+
+/**
+ * Scheduled sessions of today that have started, or start within
+ * KIOSK_CHECKIN_EARLY_MINUTES, and have not ended yet, of groups in roomId
+ * and branchId. Groups without a branch count for every branch; a null
+ * branchId keeps only those, an undefined one does not filter by branch.
+ */
+const findCurrentSessions = async ({ now, roomId, branchId }) => {
+	const todayKey = toAttendanceDateKey(now)
+	const dayOfWeek = DAYS_OF_WEEK[new Date(`${todayKey}T00:00:00Z`).getUTCDay()]
+	const groupFilter = { status: 'active' }
+	if (roomId) {
+		groupFilter.room = roomId
+	}
+	if (branchId !== undefined) {
+		groupFilter.branch = branchId ? { $in: [branchId, null] } : null
+	}
+
+	// Sessions are generated on first read, so make sure today's exist.
+	const groupsToday = await Group.find({ ...groupFilter, 'schedule.dayOfWeek': dayOfWeek }).select(
+		'_id schedule startDate endDate',
+	)
+	await Promise.all(
+		groupsToday.map(group => ensureGroupSessions(group, { fromKey: todayKey, toKey: todayKey })),
+	)
+
+	const sessions = await GroupSession.find({
+		dateKey: todayKey,
+		status: 'scheduled',
+		startsAt: { $lte: new Date(now.getTime() + getEarlyCheckInMinutes() * MINUTE_MS) },
+	})
+		.sort({ startsAt: 1 })
+		.lean()
+	const running = sessions.filter(
+		session => new Date(session.startsAt).getTime() + session.durationMinutes * MINUTE_MS > now.getTime(),
+	)
+	if (running.length === 0) {
+		return []
+	}
+
+	// Rescheduled sessions can belong to groups that do not meet on this weekday.
+	const groups = await Group.find({ ...groupFilter, _id: { $in: running.map(session => session.group) } })
+		.select('_id name')
+		.lean()
+	const groupsById = new Map(groups.map(group => [String(group._id), group]))
+
+	return running
+		.filter(session => groupsById.has(String(session.group)))
+		.map(session => ({ session, group: groupsById.get(String(session.group)) }))
+}
+
+/**
+ * Checks the challenge frames, matches their mean against enrolled students
+ * of the running sessions in the kiosk's branch, narrowed to its room when
+ * given (a room or a branch is required; see findCurrentSessions for
+ * branchId), and records their attendance. A student already marked today
+ * keeps the earlier mark, except an absent mark, which is replaced.
+ * Returns { student, group, session, status, alreadyMarked, matchDistance }
+ * or { statusCode, message, code?, field? }.
+ */
+const checkInStudentByFace = async ({ nonce, frames, roomId = null, branchId, markedBy, now = new Date() }) => {
+	if (!roomId && !branchId) {
+		return { statusCode: 400, message: 'roomId or branch is required for a kiosk', field: 'roomId' }
+	}
+
+	const current = await findCurrentSessions({ now, roomId, branchId })
+	if (current.length === 0) {
+		return { statusCode: 409, message: 'No group session is running now', code: 'NO_SESSION_NOW' }
+	}
+
+	const liveness = await verifyFaceChallenge({ nonce, frames, purpose: 'kiosk' })
+	if (!liveness.descriptor) {
+		const { outcome, ...failure } = liveness
+		return failure
+	}
+	const { descriptor } = liveness
+
+	const groupIds = [...new Set(current.map(item => String(item.group._id)))]
+	const members = await Student.find({
+		faceIdEnabled: true,
+		groups: { $elemMatch: { group: { $in: groupIds }, status: 'active' } },
+	})
+		.select('_id fullname groups')
+		.lean()
+	const membersById = new Map(members.map(member => [String(member._id), member]))
+
+	const match = await studentFaceIndex.match(descriptor, {
+		threshold: resolveRoleFaceMatchThresholds(['student']).student,
+		margin: resolveFaceMatchMargin(),
+		filter: id => membersById.has(id),
+	})
+	if (match.status === 'ambiguous') {
+		return {
+			statusCode: 401,
+			message: 'Face ID match is ambiguous, please try again',
+			code: 'FACE_AMBIGUOUS',
+		}
+	}
+	if (match.status !== 'matched') {
+		return { statusCode: 401, message: 'Face ID not recognized', code: 'FACE_NOT_RECOGNIZED' }
+	}
+
+	const student = membersById.get(match.best.id)
+	const activeGroupIds = new Set(
+		student.groups.filter(item => item.status === 'active').map(item => String(item.group)),
+	)
+	const { session, group } = current.find(item => activeGroupIds.has(String(item.group._id)))
+
+	const dateKey = toAttendanceDateKey(now)
+	const status = now.getTime() > new Date(session.startsAt).getTime() ? 'late' : 'present'
+	const result = await GroupAttendance.updateOne(
+		{ group: group._id, student: student._id, dateKey, status: 'absent' },
+		{ $set: { date: now, status, note: KIOSK_NOTE, markedBy, markedAt: now } },
+	)
+	let alreadyMarked = false
+	if (result.modifiedCount === 0) {
+		try {
+			const inserted = await GroupAttendance.updateOne(
+				{ group: group._id, student: student._id, dateKey },
+				{
+					$setOnInsert: {
+						date: now,
+						status,
+						note: KIOSK_NOTE,
+						markedBy,
+						markedAt: now,
+					},
+				},
+				{ upsert: true },
+			)
+			alreadyMarked = inserted.upsertedCount === 0
+		} catch (error) {
+			// A concurrent scan of the same student inserted the record first.
+			if (error.code !== 11000) {
+				throw error
+			}
+			alreadyMarked = true
+		}
+	}
+
+	const attendance = alreadyMarked
+		? await GroupAttendance.findOne({ group: group._id, student: student._id, dateKey }).lean()
+		: null
+
+	return {
+		student: { _id: student._id, fullname: student.fullname },
+		group,
+		session: { _id: session._id, startsAt: session.startsAt, durationMinutes: session.durationMinutes },
+		status: attendance?.status || status,
+		alreadyMarked,
+		matchDistance: Number(match.best.distance.toFixed(6)),
+	}
+}
+
+module.exports = {
+	checkInStudentByFace,
+}
@@ -0,0 +1,146 @@
+/**
+ * Lead analytics service.
+ * Reports lead counts, conversion to enrolled students and time-to-conversion
+ * for leads created in a date range, broken down by source, by the employee
+ * who created the lead and by week or month. Periods use local time (UTC+5).
+ */
+
+const { Lead, LEAD_SOURCES, LEAD_STATUSES } = require('../model/lead.model')
+const User = require('../model/user.model')
+
+const LOCAL_TIMEZONE = '+05:00'
+const DAY_MS = 24 * 60 * 60 * 1000
+
+// ISO week keys ("2025-W14") start on Monday.
+const PERIOD_FORMATS = Object.freeze({
+	week: '%G-W%V',
+	month: '%Y-%m',
+})
+
+const BUCKET_ACCUMULATORS = {
+	leads: { $sum: 1 },
+	enrolled: { $sum: { $cond: ['$isEnrolled', 1, 0] } },
+	lost: { $sum: { $cond: [{ $eq: ['$status', 'lost'] }, 1, 0] } },
+	// $avg skips the null conversion time of leads that were not converted.
+	avgConversionMs: { $avg: '$conversionMs' },
+	maxConversionMs: { $max: '$conversionMs' },
+}
+
+const roundTo = (value, digits) => {
+	const factor = 10 ** digits
+	return Math.round(value * factor) / factor
+}
+
+const toDays = ms => (typeof ms === 'number' ? roundTo(ms / DAY_MS, 1) : null)
+
+const finalizeBucket = (bucket = {}) => {
+	const leads = bucket.leads || 0
+	const enrolled = bucket.enrolled || 0
+	return {
+		leads,
+		enrolled,
+		lost: bucket.lost || 0,
+		open: leads - enrolled - (bucket.lost || 0),
+		conversionRate: leads > 0 ? roundTo((enrolled / leads) * 100, 1) : 0,
+		avgDaysToConversion: toDays(bucket.avgConversionMs),
+		maxDaysToConversion: toDays(bucket.maxConversionMs),
+	}
+}
+
+const buildAnalyticsPipeline = ({ match, interval }) => [
+	{ $match: match },
+	{
+		$addFields: {
+			status: { $ifNull: ['$status', 'new'] },
+			isEnrolled: { $gt: [{ $ifNull: ['$convertedStudent', null] }, null] },
+		},
+	},
+	{
+		$addFields: {
+			conversionMs: {
+				$cond: [
+					{ $and: ['$isEnrolled', { $gt: ['$convertedAt', null] }] },
+					{ $subtract: ['$convertedAt', '$createdAt'] },
+					null,
+				],
+			},
+			periodKey: {
+				$dateToString: {
+					format: PERIOD_FORMATS[interval],
+					date: '$createdAt',
+					timezone: LOCAL_TIMEZONE,
+				},
+			},
+		},
+	},
+	{
+		$facet: {
+			totals: [{ $group: { _id: null, ...BUCKET_ACCUMULATORS } }],
+			bySource: [{ $group: { _id: '$source', ...BUCKET_ACCUMULATORS } }],
+			byEmployee: [{ $group: { _id: { $ifNull: ['$createdBy', null] }, ...BUCKET_ACCUMULATORS } }],
+			byPeriod: [{ $group: { _id: '$periodKey', ...BUCKET_ACCUMULATORS } }, { $sort: { _id: 1 } }],
+			byStatus: [{ $group: { _id: '$status', count: { $sum: 1 } } }],
+		},
+	},
+]
+
+/**
+ * Builds the analytics report for leads created in [from, to).
+ * `interval` is `week` or `month`; `branchFilter` is the `branch` condition from
+ * resolveBranchFilter (null for every branch).
+ */
+const buildLeadAnalytics = async ({ from, to, interval = 'month', branchFilter = null }) => {
+	const filter = { createdAt: { $gte: from, $lt: to } }
+	if (branchFilter) {
+		filter.branch = branchFilter
+	}
+	// Aggregation skips schema casting, so cast the filter like find() would.
+	const match = Lead.where(filter).cast()
+	const [result = {}] = await Lead.aggregate(buildAnalyticsPipeline({ match, interval }))
+
+	const sourceBuckets = new Map((result.bySource || []).map(bucket => [bucket._id, bucket]))
+	const bySource = LEAD_SOURCES.map(source => ({
+		source,
+		...finalizeBucket(sourceBuckets.get(source)),
+	})).sort((a, b) => b.leads - a.leads)
+
+	const employeeIds = (result.byEmployee || []).map(bucket => bucket._id).filter(Boolean)
+	const employees =
+		employeeIds.length > 0
+			? await User.find({ _id: { $in: employeeIds } }).select('_id fullname role')
+			: []
+	const employeesById = new Map(employees.map(employee => [String(employee._id), employee]))
+	const byEmployee = (result.byEmployee || [])
+		.map(bucket => {
+			const employee = bucket._id ? employeesById.get(String(bucket._id)) : null
+			return {
+				employeeId: bucket._id || null,
+				fullname: employee?.fullname || null,
+				role: employee?.role || null,
+				...finalizeBucket(bucket),
+			}
+		})
+		.sort((a, b) => b.leads - a.leads)
+
+	const byPeriod = (result.byPeriod || []).map(bucket => ({
+		period: bucket._id,
+		...finalizeBucket(bucket),
+	}))
+
+	const statusCounts = new Map((result.byStatus || []).map(bucket => [bucket._id, bucket.count]))
+	const funnel = LEAD_STATUSES.map(status => ({ status, count: statusCounts.get(status) || 0 }))
+
+	return {
+		totals: finalizeBucket(result.totals?.[0]),
+		funnel,
+		bySource,
+		byEmployee,
+		byPeriod,
+	}
+}
+
+module.exports = {
+	PERIOD_FORMATS,
+	finalizeBucket,
+	buildLeadAnalytics,
+}
@@ -0,0 +1,250 @@
+/**
+ * Lead deduplication service.
+ * Groups leads that share a normalised phone number, email or username, and
+ * merges duplicates into one surviving lead (contacts, descriptions, sources,
+ * activities and follow-ups), keeping a snapshot of every merged lead.
+ */
+
+const { Lead } = require('../model/lead.model')
+const { LeadActivity } = require('../model/lead-activity.model')
+const { LeadFollowUp } = require('../model/lead-follow-up.model')
+const { normalizeEmail, normalizePhone } = require('./lead-intake.service')
+const { runWithOptionalTransaction } = require('../utils/transaction')
+
+const MAX_DESCRIPTION_LENGTH = 4000
+const MAX_MERGE_LEADS = 20
+const DESCRIPTION_SEPARATOR = '\n---\n'
+
+const normalizeUsername = value => {
+	const username = String(value || '')
+		.trim()
+		.replace(/^@+/, '')
+		.toLowerCase()
+	return username.length >= 3 ? username : null
+}
+
+const getContactKeys = lead =>
+	[
+		['number', normalizePhone(lead.number)],
+		['email', normalizeEmail(lead.email)],
+		['username', normalizeUsername(lead.username)],
+	]
+		.filter(([, value]) => Boolean(value))
+		.map(([field, value]) => `${field}:${value}`)
+
+/**
+ * Clusters leads connected by any shared contact key (transitively, so A~B by
+ * phone and B~C by email end up in one group). Only groups of 2+ are returned.
+ */
+const buildDuplicateGroups = leads => {
+	const parent = new Map()
+	const find = id => {
+		let root = id
+		while (parent.get(root) !== root) {
+			root = parent.get(root)
+		}
+		parent.set(id, root)
+		return root
+	}
+	const union = (a, b) => {
+		const rootA = find(a)
+		const rootB = find(b)
+		if (rootA !== rootB) {
+			parent.set(rootB, rootA)
+		}
+	}
+
+	const leadsById = new Map()
+	const ownerByKey = new Map()
+	const keysById = new Map()
+	for (const lead of leads) {
+		const id = String(lead._id)
+		leadsById.set(id, lead)
+		parent.set(id, id)
+		const keys = getContactKeys(lead)
+		keysById.set(id, keys)
+		for (const key of keys) {
+			if (ownerByKey.has(key)) {
+				union(ownerByKey.get(key), id)
+			} else {
+				ownerByKey.set(key, id)
+			}
+		}
+	}
+
+	const membersByRoot = new Map()
+	for (const id of leadsById.keys()) {
+		const root = find(id)
+		const members = membersByRoot.get(root) || []
+		members.push(id)
+		membersByRoot.set(root, members)
+	}
+
+	const groups = []
+	for (const members of membersByRoot.values()) {
+		if (members.length < 2) {
+			continue
+		}
+
+		const keyCounts = new Map()
+		for (const id of members) {
+			for (const key of keysById.get(id)) {
+				keyCounts.set(key, (keyCounts.get(key) || 0) + 1)
+			}
+		}
+		const matchedOn = [...keyCounts.entries()].filter(([, count]) => count > 1).map(([key]) => key)
+
+		const groupLeads = members
+			.map(id => leadsById.get(id))
+			.sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt))
+		// A converted lead must survive; otherwise suggest the oldest one.
+		const suggested = groupLeads.find(lead => lead.convertedStudent) || groupLeads[0]
+
+		groups.push({
+			matchedOn,
+			suggestedSurvivorId: suggested._id,
+			leads: groupLeads,
+		})
+	}
+
+	return groups.sort((a, b) => b.leads.length - a.leads.length)
+}
+
+// branchFilter is the `branch` condition from resolveBranchFilter (null for every branch).
+const findDuplicateLeadGroups = async ({ includeClosed = false, branchFilter = null } = {}) => {
+	const filter = includeClosed ? {} : { status: { $nin: ['enrolled', 'lost'] } }
+	if (branchFilter) {
+		filter.branch = branchFilter
+	}
+	const leads = await Lead.find(filter)
+		.select(
+			'_id name number email username source status assignee convertedStudent createdAt createdBy',
+		)
+		.sort({ createdAt: 1 })
+		.lean()
+
+	return buildDuplicateGroups(leads)
+}
+
+const mergeDescriptions = (survivor, duplicates) => {
+	const seen = new Set()
+	const parts = []
+	for (const lead of [survivor, ...duplicates]) {
+		const description = String(lead.description || '').trim()
+		if (description && !seen.has(description)) {
+			seen.add(description)
+			parts.push(description)
+		}
+	}
+	return parts.join(DESCRIPTION_SEPARATOR).slice(0, MAX_DESCRIPTION_LENGTH) || undefined
+}
+
+/**
+ * Merges `leadIds` into `survivorId`. `canAccessBranch(branchId)`, when given,
+ * must allow the branch of every merged lead that has one.
+ * Returns { lead } or { statusCode, message, code }.
+ */
+const mergeLeads = async ({ survivorId, leadIds, mergedBy = null, canAccessBranch = null }) => {
+	const duplicateIds = [...new Set(leadIds.map(String))]
+	if (duplicateIds.length === 0 || duplicateIds.length > MAX_MERGE_LEADS) {
+		return { statusCode: 400, message: `leadIds must contain 1-${MAX_MERGE_LEADS} lead ids` }
+	}
+	if (duplicateIds.includes(String(survivorId))) {
+		return { statusCode: 400, message: 'The surviving lead cannot be merged into itself' }
+	}
+
+	return runWithOptionalTransaction(async session => {
+		const [survivor, duplicates] = await Promise.all([
+			Lead.findById(survivorId).session(session),
+			Lead.find({ _id: { $in: duplicateIds } })
+				.sort({ createdAt: 1 })
+				.session(session),
+		])
+		if (!survivor) {
+			return { statusCode: 404, message: 'Lead not found' }
+		}
+		if (duplicates.length !== duplicateIds.length) {
+			const found = new Set(duplicates.map(lead => String(lead._id)))
+			const missing = duplicateIds.filter(id => !found.has(id))
+			return { statusCode: 404, message: `Leads not found: ${missing.join(', ')}` }
+		}
+		if (canAccessBranch && duplicates.some(lead => lead.branch && !canAccessBranch(lead.branch))) {
+			return {
+				statusCode: 403,
+				message: 'You do not have access to this branch',
+				code: 'BRANCH_FORBIDDEN',
+			}
+		}
+		if (duplicates.some(lead => lead.convertedStudent)) {
+			return {
+				statusCode: 409,
+				message: 'Converted leads can only be the surviving lead of a merge',
+				code: 'LEAD_ALREADY_CONVERTED',
+			}
+		}
+
+		for (const field of ['number', 'email', 'username', 'referral', 'assignee']) {
+			if (!survivor[field]) {
+				const donor = duplicates.find(lead => lead[field])
+				if (donor) {
+					survivor[field] = donor[field]
+				}
+			}
+		}
+
+		survivor.description = mergeDescriptions(survivor, duplicates)
+		survivor.additionalSources = [
+			...new Set([
+				...(survivor.additionalSources || []),
+				...duplicates.flatMap(lead => [lead.source, ...(lead.additionalSources || [])]),
+			]),
+		].filter(source => source && source !== survivor.source)
+
+		const mergedAt = new Date()
+		for (const lead of duplicates) {
+			survivor.mergedLeads.push({
+				lead: lead._id,
+				name: lead.name,
+				number: lead.number,
+				email: lead.email,
+				username: lead.username,
+				source: lead.source,
+				status: lead.status,
+				createdAt: lead.createdAt,
+				createdBy: lead.createdBy || null,
+				mergedAt,
+				mergedBy,
+			})
+			// Carry over snapshots of leads this duplicate had already absorbed.
+			survivor.mergedLeads.push(...(lead.mergedLeads || []))
+		}
+
+		await survivor.save({ session })
+		const historyFilter = { lead: { $in: duplicateIds } }
+		const moveToSurvivor = { $set: { lead: survivor._id } }
+		await LeadActivity.updateMany(historyFilter, moveToSurvivor, { session })
+		await LeadFollowUp.updateMany(historyFilter, moveToSurvivor, { session })
+		await Lead.deleteMany({ _id: { $in: duplicateIds } }, { session })
+		await LeadActivity.create(
+			[
+				{
+					lead: survivor._id,
+					type: 'note',
+					outcome: `Merged ${duplicates.length} duplicate lead(s)`,
+					details: duplicates.map(lead => `${lead.name} (${lead.source})`).join('\n'),
+					author: mergedBy,
+				},
+			],
+			{ session },
+		)
+
+		return { lead: survivor }
+	})
+}
+
+module.exports = {
+	normalizeUsername,
+	buildDuplicateGroups,
+	findDuplicateLeadGroups,
+	mergeLeads,
+}
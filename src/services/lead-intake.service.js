@@ -0,0 +1,112 @@
+/**
+ * Lead intake service.
+ * Normalises contact details and folds repeated submissions into the existing
+ * open lead with the same phone number or email instead of creating duplicates.
+ */
+
+const { Lead } = require('../model/lead.model')
+const { LeadActivity } = require('../model/lead-activity.model')
+
+const CLOSED_LEAD_STATUSES = ['enrolled', 'lost']
+const LOCAL_PHONE_DIGITS = 9
+const DEFAULT_COUNTRY_CODE = '998'
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/
+
+/**
+ * Returns the phone number in `+<digits>` form, or null if it cannot be a
+ * phone number. Bare 9-digit local numbers get the default country code.
+ */
+const normalizePhone = value => {
+	const raw = String(value || '').trim()
+	if (!raw) {
+		return null
+	}
+
+	let digits = raw.replace(/\D/g, '')
+	if (raw.startsWith('00')) {
+		digits = digits.slice(2)
+	} else if (!raw.startsWith('+') && digits.length === LOCAL_PHONE_DIGITS) {
+		digits = `${DEFAULT_COUNTRY_CODE}${digits}`
+	}
+
+	if (digits.length < 7 || digits.length > 15) {
+		return null
+	}
+	return `+${digits}`
+}
+
+const normalizeEmail = value => {
+	const email = String(value || '').trim().toLowerCase()
+	return EMAIL_PATTERN.test(email) ? email : null
+}
+
+const findOpenLeadByContact = ({ number, email }) => {
+	const or = []
+	if (number) {
+		or.push({ number })
+	}
+	if (email) {
+		or.push({ email })
+	}
+	if (or.length === 0) {
+		return null
+	}
+
+	return Lead.findOne({ status: { $nin: CLOSED_LEAD_STATUSES }, $or: or }).sort({ createdAt: -1 })
+}
+
+/**
+ * Creates a lead from a public form, or merges the submission into the open
+ * lead that already has the same number or email. Returns { lead, merged }.
+ */
+const submitLead = async ({ name, number, email, source, message, referral, branch = null }) => {
+	const existingLead = await findOpenLeadByContact({ number, email })
+
+	if (!existingLead) {
+		const lead = await Lead.create({
+			name,
+			number: number || undefined,
+			email: email || undefined,
+			source,
+			description: message || undefined,
+			referral: referral || undefined,
+			branch,
+		})
+		return { lead, merged: false }
+	}
+
+	// Keep what sales already knows; only fill the gaps.
+	if (!existingLead.number && number) {
+		existingLead.number = number
+	}
+	if (!existingLead.email && email) {
+		existingLead.email = email
+	}
+	if (!existingLead.referral && referral) {
+		existingLead.referral = referral
+	}
+	if (!existingLead.branch && branch) {
+		existingLead.branch = branch
+	}
+	await existingLead.save()
+
+	const details = [name !== existingLead.name ? `Name: ${name}` : '', message || '']
+		.filter(Boolean)
+		.join('\n')
+	await LeadActivity.create({
+		lead: existingLead._id,
+		type: 'message',
+		outcome: `Form resubmitted via ${source}`,
+		details: details || undefined,
+	})
+
+	return { lead: existingLead, merged: true }
+}
+
+module.exports = {
+	CLOSED_LEAD_STATUSES,
+	normalizePhone,
+	normalizeEmail,
+	findOpenLeadByContact,
+	submitLead,
+}
@@ -0,0 +1,256 @@
+/**
+ * OTP service.
+ * Issues one-time SMS codes for phone login and password reset of employees,
+ * students and parents, and verifies them with expiry, a per-code attempt limit and
+ * per-phone resend limits. Codes are stored salted and hashed.
+ */
+
+const crypto = require('crypto')
+const bcrypt = require('bcrypt')
+
+const User = require('../model/user.model')
+const Student = require('../model/student.model')
+const Parent = require('../model/parent.model')
+const { OtpCode, OTP_PURPOSES } = require('../model/otp-code.model')
+const { revokeAccountSessions } = require('./auth-session.service')
+const { sendSms } = require('./sms.service')
+
+const PHONE_PATTERN = /^\+?[0-9]{7,15}$/
+const OTP_CODE_PATTERN = /^[0-9]{6}$/
+const OTP_CODE_LENGTH = 6
+const MIN_PASSWORD_LENGTH = 8
+const ONE_HOUR_MS = 60 * 60 * 1000
+
+const OTP_ACCOUNTS = {
+	employee: { model: User, phoneField: 'phone' },
+	student: { model: Student, phoneField: 'studentPhone' },
+	parent: { model: Parent, phoneField: 'phone' },
+}
+
+const readPositiveIntEnv = (name, fallback) => {
+	const value = Number(process.env[name])
+	return Number.isInteger(value) && value > 0 ? value : fallback
+}
+
+const getOtpSettings = () => ({
+	ttlSeconds: readPositiveIntEnv('OTP_CODE_TTL_SECONDS', 300),
+	maxAttempts: readPositiveIntEnv('OTP_MAX_ATTEMPTS', 5),
+	resendCooldownSeconds: readPositiveIntEnv('OTP_RESEND_COOLDOWN_SECONDS', 60),
+	maxRequestsPerHour: readPositiveIntEnv('OTP_MAX_REQUESTS_PER_HOUR', 5),
+})
+
+const generateOtpCode = () =>
+	String(crypto.randomInt(0, 10 ** OTP_CODE_LENGTH)).padStart(OTP_CODE_LENGTH, '0')
+
+const hashOtpCode = (code, salt) =>
+	crypto.createHash('sha256').update(`${salt}:${code}`).digest('hex')
+
+const matchesOtpCode = (code, otp) => {
+	const expected = Buffer.from(otp.codeHash, 'hex')
+	const actual = Buffer.from(hashOtpCode(code, otp.salt), 'hex')
+	return expected.length === actual.length && crypto.timingSafeEqual(expected, actual)
+}
+
+const buildOtpMessage = ({ code, purpose, ttlSeconds }) => {
+	const action = purpose === 'password_reset' ? 'password reset' : 'login'
+	return `Your ${action} code: ${code}. It expires in ${Math.ceil(ttlSeconds / 60)} min. Do not share it.`
+}
+
+const invalidOtp = extra => ({
+	statusCode: 400,
+	message: 'Invalid or expired code',
+	code: 'OTP_INVALID',
+	...extra,
+})
+
+const attemptsExceeded = () => ({
+	statusCode: 429,
+	message: 'Too many attempts, request a new code',
+	code: 'OTP_ATTEMPTS_EXCEEDED',
+})
+
+/**
+ * Sends a code to the phone if it belongs to an account of accountType.
+ * Unknown phones get the same response (and the same limits) so the endpoint
+ * cannot be used to discover registered numbers.
+ * Returns { expiresInSeconds, resendAfterSeconds } or { statusCode, message, code }.
+ */
+const requestOtpCode = async ({ accountType, phone: phoneInput, purpose = 'login' }) => {
+	const phone = String(phoneInput || '').trim()
+	if (!PHONE_PATTERN.test(phone)) {
+		return { statusCode: 400, message: 'phone must contain 7-15 digits', field: 'phone' }
+	}
+	if (!OTP_PURPOSES.includes(purpose)) {
+		return {
+			statusCode: 400,
+			message: `purpose must be one of: ${OTP_PURPOSES.join(', ')}`,
+			field: 'purpose',
+		}
+	}
+
+	const settings = getOtpSettings()
+	const now = new Date()
+
+	const latest = await OtpCode.findOne({ accountType, phone, purpose }).sort({ createdAt: -1 })
+	if (latest) {
+		const elapsedMs = now.getTime() - new Date(latest.createdAt).getTime()
+		const cooldownMs = settings.resendCooldownSeconds * 1000
+		if (elapsedMs < cooldownMs) {
+			return {
+				statusCode: 429,
+				message: 'A code was sent recently, please wait before requesting another',
+				code: 'OTP_RESEND_TOO_SOON',
+				retryAfterSeconds: Math.ceil((cooldownMs - elapsedMs) / 1000),
+			}
+		}
+	}
+
+	const requestsLastHour = await OtpCode.countDocuments({
+		accountType,
+		phone,
+		createdAt: { $gte: new Date(now.getTime() - ONE_HOUR_MS) },
+	})
+	if (requestsLastHour >= settings.maxRequestsPerHour) {
+		return {
+			statusCode: 429,
+			message: 'Too many codes requested for this phone, try again later',
+			code: 'OTP_REQUEST_LIMIT',
+		}
+	}
+
+	const { model, phoneField } = OTP_ACCOUNTS[accountType]
+	const account = await model.findOne({ [phoneField]: phone }).select('_id')
+
+	// Only the newest code for a phone and purpose can be used.
+	await OtpCode.updateMany(
+		{ accountType, phone, purpose, consumedAt: null },
+		{ $set: { consumedAt: now } },
+	)
+
+	const code = generateOtpCode()
+	const salt = crypto.randomBytes(16).toString('hex')
+	const otp = await OtpCode.create({
+		accountType,
+		account: account?._id || null,
+		phone,
+		purpose,
+		codeHash: hashOtpCode(code, salt),
+		salt,
+		expiresAt: new Date(now.getTime() + settings.ttlSeconds * 1000),
+	})
+
+	if (account) {
+		try {
+			await sendSms({ to: phone, text: buildOtpMessage({ code, purpose, ttlSeconds: settings.ttlSeconds }) })
+		} catch (error) {
+			console.error('OTP SMS delivery failed:', error)
+			await OtpCode.deleteOne({ _id: otp._id })
+			return { statusCode: 502, message: 'Could not send the code, try again later', code: 'SMS_DELIVERY_FAILED' }
+		}
+	}
+
+	return {
+		expiresInSeconds: settings.ttlSeconds,
+		resendAfterSeconds: settings.resendCooldownSeconds,
+	}
+}
+
+/**
+ * Checks the newest unexpired code for the phone and purpose and consumes it
+ * on success. Every check counts toward the attempt limit, including
+ * concurrent ones. Returns { account } (with password and refresh token
+ * selected) or { statusCode, message, code }.
+ */
+const verifyOtpCode = async ({ accountType, phone: phoneInput, purpose, code: codeInput }) => {
+	const phone = String(phoneInput || '').trim()
+	const code = String(codeInput || '').trim()
+	if (!phone || !code) {
+		return { statusCode: 400, message: 'phone and code are required' }
+	}
+	if (!OTP_CODE_PATTERN.test(code)) {
+		return { statusCode: 400, message: `code must be a ${OTP_CODE_LENGTH}-digit number`, field: 'code' }
+	}
+
+	const { maxAttempts } = getOtpSettings()
+	const now = new Date()
+
+	const otp = await OtpCode.findOne({
+		accountType,
+		phone,
+		purpose,
+		consumedAt: null,
+		expiresAt: { $gt: now },
+	})
+		.sort({ createdAt: -1 })
+		.select('+codeHash +salt')
+	if (!otp) {
+		return invalidOtp()
+	}
+	if (otp.attempts >= maxAttempts) {
+		return attemptsExceeded()
+	}
+
+	const claimed = await OtpCode.findOneAndUpdate(
+		{ _id: otp._id, consumedAt: null, attempts: { $lt: maxAttempts } },
+		{ $inc: { attempts: 1 } },
+		{ new: true },
+	)
+	if (!claimed) {
+		return attemptsExceeded()
+	}
+
+	if (!matchesOtpCode(code, otp)) {
+		return invalidOtp({ attemptsRemaining: Math.max(maxAttempts - claimed.attempts, 0) })
+	}
+
+	const consumed = await OtpCode.updateOne(
+		{ _id: otp._id, consumedAt: null },
+		{ $set: { consumedAt: now } },
+	)
+	if (consumed.modifiedCount === 0 || !otp.account) {
+		return invalidOtp()
+	}
+
+	const { model } = OTP_ACCOUNTS[accountType]
+	const account = await model.findById(otp.account).select('+password +refreshToken')
+	if (!account) {
+		return invalidOtp()
+	}
+
+	return { account }
+}
+
+/**
+ * Sets a new password after a password_reset code and revokes every session
+ * of the account, so devices logged in before the reset have to log in again.
+ */
+const resetPasswordWithOtp = async ({ accountType, phone, code, password }) => {
+	const newPassword = typeof password === 'string' ? password : ''
+	if (newPassword.length < MIN_PASSWORD_LENGTH) {
+		return {
+			statusCode: 400,
+			message: `Password must be at least ${MIN_PASSWORD_LENGTH} characters`,
+			field: 'password',
+		}
+	}
+
+	const result = await verifyOtpCode({ accountType, phone, purpose: 'password_reset', code })
+	if (!result.account) {
+		return result
+	}
+
+	const { account } = result
+	account.password = await bcrypt.hash(newPassword, 12)
+	account.refreshToken = null
+	await account.save({ validateBeforeSave: false })
+	await revokeAccountSessions({ accountType, accountId: account._id, reason: 'password_reset' })
+
+	return { account }
+}
+
+module.exports = {
+	requestOtpCode,
+	verifyOtpCode,
+	resetPasswordWithOtp,
+	hashOtpCode,
+}
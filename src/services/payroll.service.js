@@ -0,0 +1,66 @@
+/**
+ * Payroll service.
+ * Builds payslip snapshots from monthly finance summaries and renders
+ * downloadable payslip documents.
+ */
+
+const User = require('../model/user.model')
+const { getFinanceSummariesByUserIdsForMonth } = require('./finance.service')
+
+const buildPayslips = async month => {
+	const employees = await User.find().sort({ fullname: 1 }).select('_id fullname role')
+	const summaries = await getFinanceSummariesByUserIdsForMonth(
+		employees.map(employee => employee._id.toString()),
+		month,
+	)
+
+	const payslips = employees.map(employee => {
+		const summary = summaries.get(employee._id.toString()) || {}
+		return {
+			employee: employee._id,
+			fullname: employee.fullname,
+			role: employee.role,
+			salary: summary.salary || 0,
+			totalLessonPay: summary.totalLessonPay || 0,
+			totalBonuses: summary.totalBonuses || 0,
+			totalFines: summary.totalFines || 0,
+			net: summary.net || 0,
+			paymentEventId: null,
+		}
+	})
+
+	const totalNet = payslips.reduce((sum, payslip) => sum + payslip.net, 0)
+	return { payslips, totalNet }
+}
+
+const formatMoney = value => Number(value || 0).toLocaleString('en-US')
+
+const renderPayslipText = ({ run, payslip }) => {
+	const lines = [
+		`Payslip ${run.month}`,
+		'',
+		`Employee: ${payslip.fullname}`,
+		`Role: ${payslip.role}`,
+		`Status: ${run.status}`,
+		'',
+		`Base salary: ${formatMoney(payslip.salary)}`,
+		`Lesson pay: ${formatMoney(payslip.totalLessonPay)}`,
+		`Bonuses: ${formatMoney(payslip.totalBonuses)}`,
+		`Fines: -${formatMoney(payslip.totalFines)}`,
+		`Net pay: ${formatMoney(payslip.net)}`,
+	]
+
+	if (run.approvedAt) {
+		lines.push('', `Approved at: ${new Date(run.approvedAt).toISOString()}`)
+	}
+	if (run.paidAt) {
+		lines.push(`Paid at: ${new Date(run.paidAt).toISOString()}`)
+	}
+
+	return `${lines.join('\n')}\n`
+}
+
+module.exports = {
+	buildPayslips,
+	renderPayslipText,
+}
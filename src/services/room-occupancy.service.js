@@ -0,0 +1,197 @@
+/**
+ * Room occupancy service.
+ * Builds a weekly utilisation view per room from Group.schedule templates.
+ * Utilisation is booked minutes over the centre's operating hours; overlapping
+ * bookings (double-bookings) are counted once.
+ */
+
+const Group = require('../model/group.model')
+const Room = require('../model/room.model')
+const { LOCAL_TIMEZONE_OFFSET_MS } = require('../model/group-attendance.model')
+const { SCHEDULED_GROUP_STATUSES } = require('./schedule-conflict.service')
+
+const OPERATING_DAYS = ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday']
+const OPERATING_START_MINUTES = 8 * 60
+const OPERATING_END_MINUTES = 20 * 60
+const DAY_MS = 24 * 60 * 60 * 1000
+
+const toMinutes = time => {
+	const [hours, minutes] = String(time || '').split(':').map(Number)
+	return hours * 60 + minutes
+}
+
+const formatMinutes = value =>
+	`${String(Math.floor(value / 60)).padStart(2, '0')}:${String(value % 60).padStart(2, '0')}`
+
+/**
+ * Returns the UTC instants bounding the local (UTC+5) Monday-Sunday week containing `date`.
+ */
+const getLocalWeekRange = (date = new Date()) => {
+	const local = new Date(new Date(date).getTime() + LOCAL_TIMEZONE_OFFSET_MS)
+	const dayIndex = (local.getUTCDay() + 6) % 7
+	const localMidnight = Date.UTC(local.getUTCFullYear(), local.getUTCMonth(), local.getUTCDate())
+	const weekStart = new Date(localMidnight - dayIndex * DAY_MS - LOCAL_TIMEZONE_OFFSET_MS)
+	return { weekStart, weekEnd: new Date(weekStart.getTime() + 7 * DAY_MS) }
+}
+
+// Sorted, non-overlapping [start, end) intervals clipped to operating hours.
+const mergeIntervals = intervals => {
+	const clipped = intervals
+		.map(({ start, end }) => ({
+			start: Math.max(start, OPERATING_START_MINUTES),
+			end: Math.min(end, OPERATING_END_MINUTES),
+		}))
+		.filter(({ start, end }) => start < end)
+		.sort((a, b) => a.start - b.start)
+
+	const merged = []
+	for (const interval of clipped) {
+		const last = merged[merged.length - 1]
+		if (last && interval.start <= last.end) {
+			last.end = Math.max(last.end, interval.end)
+		} else {
+			merged.push({ ...interval })
+		}
+	}
+	return merged
+}
+
+const buildFreeIntervals = merged => {
+	const free = []
+	let cursor = OPERATING_START_MINUTES
+	for (const interval of merged) {
+		if (interval.start > cursor) {
+			free.push({ start: cursor, end: interval.start })
+		}
+		cursor = Math.max(cursor, interval.end)
+	}
+	if (cursor < OPERATING_END_MINUTES) {
+		free.push({ start: cursor, end: OPERATING_END_MINUTES })
+	}
+	return free
+}
+
+const toTimeRange = ({ start, end }) => ({ startTime: formatMinutes(start), endTime: formatMinutes(end) })
+
+/**
+ * Computes occupancy for each room from the groups that use it.
+ * `slot` ({ dayOfWeek, startTime, durationMinutes }) marks whether each room
+ * is free for that weekly slot.
+ */
+const computeRoomOccupancy = ({ rooms, groups, slot = null }) => {
+	const groupsByRoomId = new Map()
+	for (const group of groups) {
+		const roomId = String(group.room?._id || group.room || '')
+		if (!roomId) {
+			continue
+		}
+		const list = groupsByRoomId.get(roomId) || []
+		list.push(group)
+		groupsByRoomId.set(roomId, list)
+	}
+
+	const availableMinutes = OPERATING_DAYS.length * (OPERATING_END_MINUTES - OPERATING_START_MINUTES)
+
+	return rooms.map(room => {
+		const roomGroups = groupsByRoomId.get(String(room._id)) || []
+		let bookedMinutes = 0
+		const days = []
+		const mergedByDay = new Map()
+
+		for (const dayOfWeek of OPERATING_DAYS) {
+			const bookings = []
+			for (const group of roomGroups) {
+				for (const item of group.schedule || []) {
+					if (item.dayOfWeek !== dayOfWeek) {
+						continue
+					}
+					const start = toMinutes(item.startTime)
+					bookings.push({
+						groupId: group._id,
+						name: group.name,
+						maxStudents: group.maxStudents,
+						start,
+						end: start + Number(item.durationMinutes),
+					})
+				}
+			}
+			bookings.sort((a, b) => a.start - b.start)
+
+			const merged = mergeIntervals(bookings)
+			mergedByDay.set(dayOfWeek, merged)
+			const dayBookedMinutes = merged.reduce((sum, interval) => sum + interval.end - interval.start, 0)
+			bookedMinutes += dayBookedMinutes
+
+			days.push({
+				dayOfWeek,
+				bookedMinutes: dayBookedMinutes,
+				bookings: bookings.map(({ start, end, ...booking }) => ({
+					...booking,
+					...toTimeRange({ start, end }),
+				})),
+				freeSlots: buildFreeIntervals(merged).map(toTimeRange),
+			})
+		}
+
+		const occupancy = {
+			room: {
+				_id: room._id,
+				name: room.name,
+				capacity: room.capacity,
+				equipment: room.equipment || [],
+			},
+			groupsCount: roomGroups.length,
+			bookedMinutes,
+			availableMinutes,
+			utilization: Math.round((bookedMinutes / availableMinutes) * 1000) / 10,
+			days,
+		}
+
+		if (slot) {
+			const start = toMinutes(slot.startTime)
+			const end = start + Number(slot.durationMinutes)
+			const merged = mergedByDay.get(slot.dayOfWeek) || []
+			occupancy.isFreeForSlot =
+				OPERATING_DAYS.includes(slot.dayOfWeek) &&
+				start >= OPERATING_START_MINUTES &&
+				end <= OPERATING_END_MINUTES &&
+				!merged.some(interval => interval.start < end && start < interval.end)
+		}
+
+		return occupancy
+	})
+}
+
+/**
+ * Loads active rooms and the groups that occupy them during the week
+ * containing `date`, then computes their occupancy.
+ */
+const buildRoomOccupancy = async ({ date = new Date(), minCapacity = null, slot = null } = {}) => {
+	const roomFilter = { isActive: true }
+	if (minCapacity) {
+		roomFilter.capacity = { $gte: minCapacity }
+	}
+
+	const rooms = await Room.find(roomFilter).sort({ name: 1 }).select('_id name capacity equipment')
+	if (rooms.length === 0) {
+		return []
+	}
+
+	const { weekStart, weekEnd } = getLocalWeekRange(date)
+	const groups = await Group.find({
+		room: { $in: rooms.map(room => room._id) },
+		status: { $in: SCHEDULED_GROUP_STATUSES },
+		startDate: { $lt: weekEnd },
+		$or: [{ endDate: null }, { endDate: { $gte: weekStart } }],
+	}).select('_id name room maxStudents schedule')
+
+	const data = computeRoomOccupancy({ rooms, groups, slot })
+	return slot ? data.filter(item => item.isFreeForSlot) : data
+}
+
+module.exports = {
+	OPERATING_DAYS,
+	computeRoomOccupancy,
+	buildRoomOccupancy,
+	getLocalWeekRange,
+}
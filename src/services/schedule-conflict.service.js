@@ -0,0 +1,340 @@
+/**
+ * Scheduling conflict service.
+ * Detects room, teacher and support-teacher double-bookings across weekly
+ * Group.schedule templates and ExtraLesson.scheduledAt slots. All times are
+ * compared in local time (UTC+5).
+ */
+
+const mongoose = require('mongoose')
+
+const Group = require('../model/group.model')
+const Room = require('../model/room.model')
+const { ExtraLesson, LESSON_DURATION_MINUTES } = require('../model/extra-lesson.model')
+const { LOCAL_TIMEZONE_OFFSET_MS, toAttendanceDateKey } = require('../model/group-attendance.model')
+
+const DAYS_OF_WEEK = ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday']
+const OPEN_END_DATE_KEY = '9999-12-31'
+
+// Groups and extra lessons that still occupy their slots.
+const SCHEDULED_GROUP_STATUSES = ['planned', 'active', 'paused']
+const SCHEDULED_EXTRA_LESSON_STATUSES = ['pending_approval', 'confirmed']
+
+const normalizeRoom = value => String(value || '').trim().toLowerCase()
+
+/**
+ * Group.room is either an ObjectId, an id string or a populated Room document.
+ * Rooms are compared by normalised name so they can be matched against the
+ * free-text room of extra lessons.
+ */
+const readGroupRoom = room => {
+	if (!room) {
+		return { roomId: null, room: '' }
+	}
+	if (room instanceof mongoose.Types.ObjectId || typeof room === 'string') {
+		return { roomId: String(room), room: '' }
+	}
+	return { roomId: room._id ? String(room._id) : null, room: normalizeRoom(room.name) }
+}
+
+const escapeRegex = value => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+
+const toLocalDate = value => new Date(new Date(value).getTime() + LOCAL_TIMEZONE_OFFSET_MS)
+
+// Start of a local day as a UTC instant.
+const localDateKeyToUtc = dateKey => new Date(Date.parse(`${dateKey}T00:00:00Z`) - LOCAL_TIMEZONE_OFFSET_MS)
+
+const addOneDay = date => new Date(date.getTime() + 24 * 60 * 60 * 1000)
+
+const toMinutes = time => {
+	const [hours, minutes] = String(time || '').split(':').map(Number)
+	return hours * 60 + minutes
+}
+
+const formatMinutes = value =>
+	`${String(Math.floor(value / 60)).padStart(2, '0')}:${String(value % 60).padStart(2, '0')}`
+
+/**
+ * Normalises a group (document or create/update payload) into a comparable entity.
+ */
+const toGroupEntity = group => ({
+	entityType: 'group',
+	entityId: group._id ? String(group._id) : null,
+	name: group.name,
+	staffIds: [group.teacher, ...(group.supportTeachers || [])].filter(Boolean).map(String),
+	...readGroupRoom(group.room),
+	startKey: group.startDate ? toAttendanceDateKey(group.startDate) : '0000-01-01',
+	endKey: group.endDate ? toAttendanceDateKey(group.endDate) : OPEN_END_DATE_KEY,
+	intervals: (group.schedule || []).map(item => ({
+		dayOfWeek: item.dayOfWeek,
+		start: toMinutes(item.startTime),
+		end: toMinutes(item.startTime) + Number(item.durationMinutes),
+	})),
+})
+
+const toExtraLessonEntity = lesson => {
+	const localDate = toLocalDate(lesson.scheduledAt)
+	const start = localDate.getUTCHours() * 60 + localDate.getUTCMinutes()
+	const dateKey = localDate.toISOString().slice(0, 10)
+	return {
+		entityType: 'extra_lesson',
+		entityId: lesson._id ? String(lesson._id) : null,
+		name: lesson.subject || 'Extra lesson',
+		staffIds: lesson.assignedTeacher ? [String(lesson.assignedTeacher)] : [],
+		room: normalizeRoom(lesson.room),
+		startKey: dateKey,
+		endKey: dateKey,
+		scheduledAt: lesson.scheduledAt,
+		intervals: [
+			{
+				dayOfWeek: DAYS_OF_WEEK[(localDate.getUTCDay() + 6) % 7],
+				start,
+				end: start + LESSON_DURATION_MINUTES,
+			},
+		],
+	}
+}
+
+const describeEntity = entity => {
+	const description = { entityType: entity.entityType, entityId: entity.entityId, name: entity.name }
+	if (entity.scheduledAt) {
+		description.scheduledAt = entity.scheduledAt
+	}
+	return description
+}
+
+const findOverlappingInterval = (left, right) => {
+	if (left.startKey > right.endKey || right.startKey > left.endKey) {
+		return null
+	}
+	for (const a of left.intervals) {
+		for (const b of right.intervals) {
+			if (a.dayOfWeek === b.dayOfWeek && a.start < b.end && b.start < a.end) {
+				return {
+					dayOfWeek: a.dayOfWeek,
+					startTime: formatMinutes(Math.max(a.start, b.start)),
+					endTime: formatMinutes(Math.min(a.end, b.end)),
+				}
+			}
+		}
+	}
+	return null
+}
+
+/**
+ * Returns one conflict per shared resource (teacher or room) between two
+ * entities whose schedules overlap.
+ */
+const compareEntities = (left, right) => {
+	const overlap = findOverlappingInterval(left, right)
+	if (!overlap) {
+		return []
+	}
+
+	const conflicts = []
+	const rightStaff = new Set(right.staffIds)
+	for (const staffId of new Set(left.staffIds)) {
+		if (rightStaff.has(staffId)) {
+			conflicts.push({ resource: 'teacher', teacherId: staffId, ...overlap })
+		}
+	}
+	if (left.room && left.room === right.room) {
+		conflicts.push({ resource: 'room', room: left.room, ...overlap })
+	}
+	return conflicts
+}
+
+const buildResourceFilter = (staffIds, staffFields, roomCondition) => {
+	const or = []
+	if (staffIds.length > 0) {
+		for (const field of staffFields) {
+			or.push({ [field]: { $in: staffIds } })
+		}
+	}
+	if (roomCondition) {
+		or.push({ room: roomCondition })
+	}
+	return or
+}
+
+const buildRoomNameRegex = room => ({ $regex: `^\\s*${escapeRegex(room)}\\s*$`, $options: 'i' })
+
+// Ids of Room documents an entity occupies (extra lessons only know the room name).
+const resolveRoomIds = async entity => {
+	if (entity.roomId) {
+		return [entity.roomId]
+	}
+	if (!entity.room) {
+		return []
+	}
+	const rooms = await Room.find({ name: buildRoomNameRegex(entity.room) }).select('_id')
+	return rooms.map(room => String(room._id))
+}
+
+const loadCounterparts = async (entity, { excludeGroupId = null, excludeLessonId = null } = {}) => {
+	const roomIds = await resolveRoomIds(entity)
+	const groupOr = buildResourceFilter(
+		entity.staffIds,
+		['teacher', 'supportTeachers'],
+		roomIds.length > 0 ? { $in: roomIds } : null,
+	)
+	const lessonOr = buildResourceFilter(
+		entity.staffIds,
+		['assignedTeacher'],
+		entity.room ? buildRoomNameRegex(entity.room) : null,
+	)
+	// A free-text room matches no Room document, so only extra lessons can clash with it.
+	if (groupOr.length === 0 && lessonOr.length === 0) {
+		return { groups: [], lessons: [] }
+	}
+
+	const groupFilter = { status: { $in: SCHEDULED_GROUP_STATUSES }, $or: groupOr }
+	if (excludeGroupId) {
+		groupFilter._id = { $ne: excludeGroupId }
+	}
+
+	const lessonFrom = new Date(Math.max(Date.now(), localDateKeyToUtc(entity.startKey).getTime()))
+	const lessonFilter = {
+		status: { $in: SCHEDULED_EXTRA_LESSON_STATUSES },
+		scheduledAt: { $gte: lessonFrom },
+		$or: lessonOr,
+	}
+	if (entity.endKey !== OPEN_END_DATE_KEY) {
+		lessonFilter.scheduledAt.$lt = addOneDay(localDateKeyToUtc(entity.endKey))
+	}
+	if (excludeLessonId) {
+		lessonFilter._id = { $ne: excludeLessonId }
+	}
+
+	const [groups, lessons] = await Promise.all([
+		groupOr.length > 0
+			? Group.find(groupFilter)
+				.select('_id name teacher supportTeachers room schedule startDate endDate')
+				.populate('room', 'name')
+			: [],
+		lessonOr.length > 0
+			? ExtraLesson.find(lessonFilter).select('_id subject assignedTeacher room scheduledAt')
+			: [],
+	])
+	return { groups, lessons }
+}
+
+const collectConflicts = (entity, counterparts) => {
+	const conflicts = []
+	for (const other of counterparts) {
+		for (const conflict of compareEntities(entity, other)) {
+			conflicts.push({ ...conflict, with: describeEntity(other) })
+		}
+	}
+	return conflicts
+}
+
+// Groups referencing a Room by id are compared by its name.
+const loadGroupRoomName = async entity => {
+	if (entity.roomId && !entity.room) {
+		const room = await Room.findById(entity.roomId).select('name')
+		entity.room = normalizeRoom(room?.name)
+	}
+}
+
+/**
+ * Lists conflicts of a group (existing or about to be written) with other
+ * scheduled groups and upcoming extra lessons. Completed/archived groups never conflict.
+ */
+const findGroupConflicts = async group => {
+	if (group.status && !SCHEDULED_GROUP_STATUSES.includes(group.status)) {
+		return []
+	}
+
+	const entity = toGroupEntity(group)
+	if (entity.intervals.length === 0) {
+		return []
+	}
+	await loadGroupRoomName(entity)
+
+	const { groups, lessons } = await loadCounterparts(entity, { excludeGroupId: entity.entityId })
+	return collectConflicts(entity, [...groups.map(toGroupEntity), ...lessons.map(toExtraLessonEntity)])
+}
+
+/**
+ * Lists conflicts of one session of a group moved to startsAt with other
+ * scheduled groups and extra lessons on that local day.
+ */
+const findGroupSessionConflicts = async ({ group, startsAt, durationMinutes }) => {
+	const localDate = toLocalDate(startsAt)
+	const dateKey = localDate.toISOString().slice(0, 10)
+	const start = localDate.getUTCHours() * 60 + localDate.getUTCMinutes()
+	const entity = {
+		...toGroupEntity(group),
+		startKey: dateKey,
+		endKey: dateKey,
+		intervals: [
+			{
+				dayOfWeek: DAYS_OF_WEEK[(localDate.getUTCDay() + 6) % 7],
+				start,
+				end: start + Number(durationMinutes),
+			},
+		],
+	}
+	await loadGroupRoomName(entity)
+
+	const { groups, lessons } = await loadCounterparts(entity, { excludeGroupId: entity.entityId })
+	return collectConflicts(entity, [...groups.map(toGroupEntity), ...lessons.map(toExtraLessonEntity)])
+}
+
+/**
+ * Lists conflicts of an extra lesson slot with scheduled groups and other
+ * extra lessons. Same-teacher/same-slot extra lessons are handled by the
+ * extra-lesson controller itself, so only room clashes are reported between extra lessons.
+ */
+const findExtraLessonConflicts = async lesson => {
+	const entity = toExtraLessonEntity(lesson)
+	const { groups, lessons } = await loadCounterparts(entity, { excludeLessonId: entity.entityId })
+
+	const lessonConflicts = collectConflicts(entity, lessons.map(toExtraLessonEntity)).filter(
+		conflict => conflict.resource === 'room',
+	)
+	return [...collectConflicts(entity, groups.map(toGroupEntity)), ...lessonConflicts]
+}
+
+/**
+ * Scans every scheduled group and every upcoming extra lesson for clashes.
+ */
+const buildConflictReport = async ({ from = new Date() } = {}) => {
+	const [groups, lessons] = await Promise.all([
+		Group.find({ status: { $in: SCHEDULED_GROUP_STATUSES } })
+			.select('_id name teacher supportTeachers room schedule startDate endDate')
+			.populate('room', 'name'),
+		ExtraLesson.find({
+			status: { $in: SCHEDULED_EXTRA_LESSON_STATUSES },
+			scheduledAt: { $gte: from },
+		}).select('_id subject assignedTeacher room scheduledAt'),
+	])
+
+	const fromKey = toAttendanceDateKey(from)
+	const entities = [
+		...groups.map(toGroupEntity).filter(entity => entity.endKey >= fromKey),
+		...lessons.map(toExtraLessonEntity),
+	]
+
+	const data = []
+	for (let i = 0; i < entities.length; i += 1) {
+		for (let j = i + 1; j < entities.length; j += 1) {
+			for (const conflict of compareEntities(entities[i], entities[j])) {
+				data.push({ ...conflict, entities: [describeEntity(entities[i]), describeEntity(entities[j])] })
+			}
+		}
+	}
+
+	return data
+}
+
+module.exports = {
+	SCHEDULED_GROUP_STATUSES,
+	findGroupConflicts,
+	findGroupSessionConflicts,
+	findExtraLessonConflicts,
+	buildConflictReport,
+	compareEntities,
+	toGroupEntity,
+	toExtraLessonEntity,
+}
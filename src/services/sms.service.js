@@ -0,0 +1,79 @@
+/**
+ * SMS service.
+ * Sends text messages through a named provider chosen by SMS_PROVIDER.
+ * A provider is any object with `async send({ to, text })`; `console` and
+ * `file` are built in for local development only (NODE_ENV=development, where
+ * `console` is also the default), real gateways are added with
+ * registerSmsProvider(name, provider). Elsewhere a missing or development
+ * provider fails assertSmsProviderConfigured() at startup.
+ */
+
+const fs = require('fs')
+const path = require('path')
+
+const DEVELOPMENT_SMS_PROVIDER = 'console'
+const DEVELOPMENT_ONLY_PROVIDERS = new Set(['console', 'file'])
+const DEFAULT_SMS_OUTBOX_FILE = path.join('logs', 'sms-outbox.log')
+
+const consoleSmsProvider = {
+	async send({ to, text }) {
+		console.log(`[sms] to ${to}: ${text}`)
+	},
+}
+
+// Appends one JSON line per message, e.g. for tailing codes during manual tests.
+const fileSmsProvider = {
+	async send({ to, text }) {
+		const outboxFile = path.resolve(process.env.SMS_OUTBOX_FILE || DEFAULT_SMS_OUTBOX_FILE)
+		await fs.promises.mkdir(path.dirname(outboxFile), { recursive: true })
+		const line = JSON.stringify({ to, text, sentAt: new Date().toISOString() })
+		await fs.promises.appendFile(outboxFile, `${line}\n`)
+	},
+}
+
+const providers = new Map([
+	['console', consoleSmsProvider],
+	['file', fileSmsProvider],
+])
+
+const registerSmsProvider = (name, provider) => {
+	if (!name || typeof provider?.send !== 'function') {
+		throw new Error('SMS provider needs a name and a send({ to, text }) function')
+	}
+	providers.set(String(name).trim().toLowerCase(), provider)
+}
+
+const isDevelopment = () => process.env.NODE_ENV === 'development'
+
+const getSmsProvider = () => {
+	const configured = String(process.env.SMS_PROVIDER || '').trim().toLowerCase()
+	if (!configured && !isDevelopment()) {
+		throw new Error('SMS_PROVIDER is required outside NODE_ENV=development')
+	}
+
+	const name = configured || DEVELOPMENT_SMS_PROVIDER
+	if (DEVELOPMENT_ONLY_PROVIDERS.has(name) && !isDevelopment()) {
+		throw new Error(`SMS_PROVIDER "${name}" is only allowed with NODE_ENV=development`)
+	}
+
+	const provider = providers.get(name)
+	if (!provider) {
+		throw new Error(`Unknown SMS_PROVIDER "${name}"`)
+	}
+	return provider
+}
+
+// Called once at startup (after gateways are registered) so a misconfigured
+// server fails to boot instead of failing on the first SMS code.
+const assertSmsProviderConfigured = () => {
+	getSmsProvider()
+}
+
+const sendSms = ({ to, text }) => getSmsProvider().send({ to, text })
+
+module.exports = {
+	assertSmsProviderConfigured,
+	registerSmsProvider,
+	getSmsProvider,
+	sendSms,
+}
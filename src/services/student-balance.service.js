@@ -0,0 +1,309 @@
+/**
+ * Student balance service.
+ * Derives Student.balance from the FinancialEvent ledger (payments minus charges),
+ * writes explicit period-closing events and builds monthly balance statements.
+ */
+
+const mongoose = require('mongoose')
+
+const Student = require('../model/student.model')
+const { FinancialEvent } = require('../models/FinancialEvent.model')
+const { EXCLUDE_REVERSED_STAGES, REVERSAL_FLAG_STAGES, insertLedgerEventsOnce } = require('./finance.service')
+
+const STUDENT_LEDGER_TYPES = ['student_charge', 'student_payment']
+const PERIOD_CLOSE_TYPE = 'student_balance_close'
+
+const EFFECTIVE_MONTH_FIELD = {
+	effectiveMonth: {
+		$ifNull: ['$month', { $dateToString: { format: '%Y-%m', date: '$createdAt' } }],
+	},
+}
+
+const toMoneyNumber = value => {
+	const number = Number(value)
+	return Number.isFinite(number) ? number : 0
+}
+
+const normalizeStudentIds = studentIds =>
+	[...new Set((studentIds || []).map(studentId => String(studentId || '').trim()))].filter(
+		studentId => mongoose.isValidObjectId(studentId),
+	)
+
+const shiftMonth = (month, delta) => {
+	const [year, monthNum] = month.split('-').map(Number)
+	const date = new Date(year, monthNum - 1 + delta, 1)
+	return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`
+}
+
+/**
+ * Returns the ledger balance (payments minus charges) for each student id.
+ * Students without ledger activity get 0.
+ */
+const computeLedgerBalances = async studentIds => {
+	const normalizedStudentIds = normalizeStudentIds(studentIds)
+	const balances = new Map(normalizedStudentIds.map(studentId => [studentId, 0]))
+	if (normalizedStudentIds.length === 0) {
+		return balances
+	}
+
+	const rows = await FinancialEvent.aggregate([
+		{
+			$match: {
+				studentId: {
+					$in: normalizedStudentIds.map(studentId => new mongoose.Types.ObjectId(studentId)),
+				},
+				type: { $in: STUDENT_LEDGER_TYPES },
+			},
+		},
+		...EXCLUDE_REVERSED_STAGES,
+		{
+			$group: {
+				_id: '$studentId',
+				balance: {
+					$sum: {
+						$cond: [{ $eq: ['$type', 'student_payment'] }, '$amount', { $multiply: ['$amount', -1] }],
+					},
+				},
+			},
+		},
+	])
+
+	for (const row of rows) {
+		const studentId = row?._id?.toString?.()
+		if (studentId) {
+			balances.set(studentId, toMoneyNumber(row.balance))
+		}
+	}
+
+	return balances
+}
+
+/**
+ * Recomputes Student.balance from the ledger and persists it.
+ * Returns the map of reconciled balances.
+ */
+const syncStudentBalances = async studentIds => {
+	const balances = await computeLedgerBalances(studentIds)
+	if (balances.size === 0) {
+		return balances
+	}
+
+	await Student.bulkWrite(
+		[...balances.entries()].map(([studentId, balance]) => ({
+			updateOne: {
+				filter: { _id: studentId },
+				update: { $set: { balance } },
+			},
+		})),
+	)
+
+	return balances
+}
+
+const aggregateMonthlyRows = async match =>
+	FinancialEvent.aggregate([
+		{ $match: { ...match, type: { $in: [...STUDENT_LEDGER_TYPES, PERIOD_CLOSE_TYPE] } } },
+		...EXCLUDE_REVERSED_STAGES,
+		{ $addFields: EFFECTIVE_MONTH_FIELD },
+		{
+			$group: {
+				_id: { studentId: '$studentId', month: '$effectiveMonth' },
+				charges: { $sum: { $cond: [{ $eq: ['$type', 'student_charge'] }, '$amount', 0] } },
+				payments: { $sum: { $cond: [{ $eq: ['$type', 'student_payment'] }, '$amount', 0] } },
+				closedBalance: {
+					$max: { $cond: [{ $eq: ['$type', PERIOD_CLOSE_TYPE] }, '$amount', null] },
+				},
+			},
+		},
+	])
+
+const buildStatementEntry = ({ month, opening, charges = 0, payments = 0, closedBalance = null }) => {
+	const closing = opening + toMoneyNumber(payments) - toMoneyNumber(charges)
+	const isClosed = closedBalance !== null && typeof closedBalance !== 'undefined'
+	return {
+		month,
+		opening,
+		charges: toMoneyNumber(charges),
+		payments: toMoneyNumber(payments),
+		closing,
+		closed: isClosed,
+		closedBalance: isClosed ? toMoneyNumber(closedBalance) : null,
+		discrepancy: isClosed ? closing - toMoneyNumber(closedBalance) : 0,
+	}
+}
+
+/**
+ * Returns opening / charges / payments / closing per month for one student,
+ * sorted by month ascending. Months without activity inside the range are included.
+ */
+const getStudentStatement = async (studentId, { from, to } = {}) => {
+	if (!mongoose.isValidObjectId(studentId)) {
+		return []
+	}
+
+	const rows = await aggregateMonthlyRows({ studentId: new mongoose.Types.ObjectId(String(studentId)) })
+	const rowsByMonth = new Map(rows.filter(row => row._id?.month).map(row => [row._id.month, row]))
+	const activityMonths = [...rowsByMonth.keys()].sort()
+	if (activityMonths.length === 0 && !from) {
+		return []
+	}
+
+	const startMonth = from || activityMonths[0]
+	const endMonth = to || activityMonths[activityMonths.length - 1] || startMonth
+
+	let opening = 0
+	for (const month of activityMonths) {
+		if (month >= startMonth) {
+			break
+		}
+		const row = rowsByMonth.get(month)
+		opening += toMoneyNumber(row.payments) - toMoneyNumber(row.charges)
+	}
+
+	const statement = []
+	for (let month = startMonth; month <= endMonth; month = shiftMonth(month, 1)) {
+		const row = rowsByMonth.get(month) || {}
+		const entry = buildStatementEntry({
+			month,
+			opening,
+			charges: row.charges,
+			payments: row.payments,
+			closedBalance: row.closedBalance,
+		})
+		statement.push(entry)
+		opening = entry.closing
+	}
+
+	return statement
+}
+
+/**
+ * Returns the statement entry of a single month for each student id.
+ */
+const getMonthlyStatements = async (studentIds, month) => {
+	const normalizedStudentIds = normalizeStudentIds(studentIds)
+	const statements = new Map()
+	if (normalizedStudentIds.length === 0) {
+		return statements
+	}
+
+	const rows = await aggregateMonthlyRows({
+		studentId: { $in: normalizedStudentIds.map(studentId => new mongoose.Types.ObjectId(studentId)) },
+	})
+
+	const totals = new Map(
+		normalizedStudentIds.map(studentId => [studentId, { opening: 0, current: null }]),
+	)
+	for (const row of rows) {
+		const studentId = row?._id?.studentId?.toString?.()
+		const rowMonth = row?._id?.month
+		const total = totals.get(studentId)
+		if (!total || !rowMonth || rowMonth > month) {
+			continue
+		}
+		if (rowMonth === month) {
+			total.current = row
+		} else {
+			total.opening += toMoneyNumber(row.payments) - toMoneyNumber(row.charges)
+		}
+	}
+
+	for (const [studentId, total] of totals.entries()) {
+		statements.set(
+			studentId,
+			buildStatementEntry({
+				month,
+				opening: total.opening,
+				charges: total.current?.charges,
+				payments: total.current?.payments,
+				closedBalance: total.current?.closedBalance ?? null,
+			}),
+		)
+	}
+
+	return statements
+}
+
+/**
+ * Writes one student_balance_close event per student with ledger activity up to
+ * the month, storing the closing balance as the amount. Students already closed
+ * for that month are skipped; a close that loses the race to a concurrent one
+ * returns 409. Balances of all affected students are reconciled.
+ */
+const closeStudentBalancePeriod = async ({ month, createdBy }) => {
+	const activeStudentIds = await FinancialEvent.aggregate([
+		{ $match: { type: { $in: STUDENT_LEDGER_TYPES }, studentId: { $ne: null } } },
+		{ $addFields: EFFECTIVE_MONTH_FIELD },
+		{ $match: { effectiveMonth: { $lte: month } } },
+		{ $group: { _id: '$studentId' } },
+	])
+	const studentIds = activeStudentIds.map(row => row._id.toString())
+	if (studentIds.length === 0) {
+		return { month, closed: 0, skipped: 0, events: [] }
+	}
+
+	const statements = await getMonthlyStatements(studentIds, month)
+	const payloads = []
+	let skipped = 0
+	for (const [studentId, statement] of statements.entries()) {
+		if (statement.closed) {
+			skipped += 1
+			continue
+		}
+		payloads.push({
+			type: PERIOD_CLOSE_TYPE,
+			amount: statement.closing,
+			month,
+			note: `Balance closed for ${month}`,
+			studentId,
+			createdBy,
+		})
+	}
+
+	const { events, duplicates } = await insertLedgerEventsOnce(payloads)
+	await syncStudentBalances(studentIds)
+
+	if (duplicates > 0) {
+		return {
+			statusCode: 409,
+			message: `${duplicates} student(s) were closed for ${month} by a concurrent request`,
+			code: 'PERIOD_CLOSE_CONFLICT',
+			closed: events.length,
+		}
+	}
+
+	return { month, closed: events.length, skipped, events }
+}
+
+/**
+ * Lists student_payment events of one student, newest month first. Reversed
+ * payments stay in the list with reversed = true.
+ */
+const getStudentPaymentHistory = async studentId =>
+	FinancialEvent.aggregate([
+		{ $match: { studentId: new mongoose.Types.ObjectId(String(studentId)), type: 'student_payment' } },
+		...REVERSAL_FLAG_STAGES,
+		{ $addFields: EFFECTIVE_MONTH_FIELD },
+		{ $sort: { effectiveMonth: -1, createdAt: -1 } },
+		{
+			$project: {
+				_id: 1,
+				amount: 1,
+				note: 1,
+				month: '$effectiveMonth',
+				groupId: 1,
+				reversed: 1,
+				reversedBy: 1,
+				createdAt: 1,
+			},
+		},
+	])
+
+module.exports = {
+	computeLedgerBalances,
+	syncStudentBalances,
+	getStudentStatement,
+	getMonthlyStatements,
+	closeStudentBalancePeriod,
+	getStudentPaymentHistory,
+}
@@ -0,0 +1,235 @@
+/**
+ * Student billing service.
+ * Generates monthly student_charge ledger events from Group.monthlyFee and
+ * computes charged / paid / outstanding views from FinancialEvent.
+ */
+
+const mongoose = require('mongoose')
+
+const Group = require('../model/group.model')
+const Student = require('../model/student.model')
+const { toAttendanceDateKey } = require('../model/group-attendance.model')
+const { FinancialEvent } = require('../models/FinancialEvent.model')
+const { EXCLUDE_REVERSED_STAGES, insertLedgerEventsOnce } = require('./finance.service')
+
+const EFFECTIVE_MONTH_FIELD = {
+	effectiveMonth: {
+		$ifNull: ['$month', { $dateToString: { format: '%Y-%m', date: '$createdAt' } }],
+	},
+}
+
+const toMoneyNumber = value => {
+	const number = Number(value)
+	return Number.isFinite(number) ? number : 0
+}
+
+const getDaysInMonth = month => {
+	const [year, monthNum] = String(month || '').split('-').map(Number)
+	return new Date(Date.UTC(year, monthNum, 0)).getUTCDate()
+}
+
+/**
+ * Returns the amount to charge for one membership in the given month.
+ * Students who joined before the month pay the full fee, students who joined
+ * mid-month pay for the remaining days (join day included), and students who
+ * joined after the month pay nothing. The join day is the local (UTC+5) day,
+ * so the result does not depend on the server's time zone.
+ */
+const computeProratedCharge = ({ monthlyFee, joinedAt, month }) => {
+	const fee = toMoneyNumber(monthlyFee)
+	if (fee <= 0) {
+		return 0
+	}
+
+	const joinedKey = joinedAt ? toAttendanceDateKey(joinedAt) : ''
+	if (!joinedKey || joinedKey.slice(0, 7) < month) {
+		return fee
+	}
+
+	if (joinedKey.slice(0, 7) > month) {
+		return 0
+	}
+
+	const daysInMonth = getDaysInMonth(month)
+	const billableDays = daysInMonth - Number(joinedKey.slice(8, 10)) + 1
+	return Math.round((fee * billableDays) / daysInMonth)
+}
+
+const buildChargeKey = (studentId, groupId) => `${String(studentId)}::${String(groupId)}`
+
+/**
+ * Creates one student_charge event per active membership for the month.
+ * Memberships that already have a charge for that month are skipped, so the
+ * function is safe to run repeatedly. A reversed charge still counts as
+ * charged; the run never re-bills a membership an admin has reversed.
+ * Concurrent runs are kept from billing twice by the unique charge index.
+ */
+const generateMonthlyCharges = async ({ month, createdBy, groupId = null }) => {
+	const membershipFilter = { status: 'active' }
+	if (groupId) {
+		membershipFilter.group = new mongoose.Types.ObjectId(String(groupId))
+	}
+
+	const students = await Student.find({ groups: { $elemMatch: membershipFilter } }).select(
+		'_id fullname groups',
+	)
+
+	const memberships = []
+	for (const student of students) {
+		for (const membership of student.groups || []) {
+			if (membership.status !== 'active') {
+				continue
+			}
+			if (groupId && membership.group.toString() !== String(groupId)) {
+				continue
+			}
+			memberships.push({
+				studentId: student._id,
+				groupId: membership.group,
+				joinedAt: membership.joinedAt,
+			})
+		}
+	}
+
+	if (memberships.length === 0) {
+		return { month, created: 0, skipped: 0, totalAmount: 0, events: [] }
+	}
+
+	const groupIds = [...new Set(memberships.map(item => item.groupId.toString()))]
+	const [groups, existingCharges] = await Promise.all([
+		Group.find({ _id: { $in: groupIds } }).select('_id name monthlyFee branch'),
+		FinancialEvent.find({
+			type: 'student_charge',
+			month,
+			groupId: { $in: groupIds },
+		}).select('studentId groupId'),
+	])
+
+	const groupsById = new Map(groups.map(group => [group._id.toString(), group]))
+	const chargedKeys = new Set(
+		existingCharges.map(event => buildChargeKey(event.studentId, event.groupId)),
+	)
+
+	const payloads = []
+	let skipped = 0
+	for (const membership of memberships) {
+		const group = groupsById.get(membership.groupId.toString())
+		const key = buildChargeKey(membership.studentId, membership.groupId)
+		if (!group || chargedKeys.has(key)) {
+			skipped += 1
+			continue
+		}
+
+		const amount = computeProratedCharge({
+			monthlyFee: group.monthlyFee,
+			joinedAt: membership.joinedAt,
+			month,
+		})
+		if (amount <= 0) {
+			skipped += 1
+			continue
+		}
+
+		const isProrated = amount !== toMoneyNumber(group.monthlyFee)
+		chargedKeys.add(key)
+		payloads.push({
+			type: 'student_charge',
+			amount,
+			month,
+			note: `${isProrated ? 'Prorated monthly fee' : 'Monthly fee'}: ${group.name}`,
+			studentId: membership.studentId,
+			groupId: membership.groupId,
+			branch: group.branch,
+			createdBy,
+		})
+	}
+
+	const { events, duplicates } = await insertLedgerEventsOnce(payloads)
+	const totalAmount = events.reduce((sum, event) => sum + toMoneyNumber(event.amount), 0)
+
+	return { month, created: events.length, skipped: skipped + duplicates, totalAmount, events }
+}
+
+const buildEmptyBilling = () => ({ charged: 0, paid: 0, outstanding: 0 })
+
+const finalizeBilling = billing => {
+	const charged = toMoneyNumber(billing.charged)
+	const paid = toMoneyNumber(billing.paid)
+	return { charged, paid, outstanding: charged - paid }
+}
+
+/**
+ * Aggregates charged and paid totals per (student, group) pair.
+ * Payments recorded without a groupId are returned with groupId null.
+ */
+const aggregateBillingRows = async ({ studentIds, groupId, month } = {}) => {
+	const match = { type: { $in: ['student_charge', 'student_payment'] } }
+	if (Array.isArray(studentIds)) {
+		match.studentId = {
+			$in: studentIds.map(studentId => new mongoose.Types.ObjectId(String(studentId))),
+		}
+	}
+	if (groupId) {
+		match.groupId = new mongoose.Types.ObjectId(String(groupId))
+	}
+
+	const pipeline = [
+		{ $match: match },
+		...EXCLUDE_REVERSED_STAGES,
+		{ $addFields: EFFECTIVE_MONTH_FIELD },
+	]
+	if (month) {
+		pipeline.push({ $match: { effectiveMonth: month } })
+	}
+
+	pipeline.push({
+		$group: {
+			_id: { studentId: '$studentId', groupId: '$groupId' },
+			charged: { $sum: { $cond: [{ $eq: ['$type', 'student_charge'] }, '$amount', 0] } },
+			paid: { $sum: { $cond: [{ $eq: ['$type', 'student_payment'] }, '$amount', 0] } },
+		},
+	})
+
+	return FinancialEvent.aggregate(pipeline)
+}
+
+const getStudentBilling = async ({ studentId, month } = {}) => {
+	const rows = await aggregateBillingRows({ studentIds: [studentId], month })
+
+	const totals = buildEmptyBilling()
+	const byGroup = []
+	for (const row of rows) {
+		totals.charged += toMoneyNumber(row.charged)
+		totals.paid += toMoneyNumber(row.paid)
+		byGroup.push({
+			groupId: row._id?.groupId || null,
+			...finalizeBilling(row),
+		})
+	}
+
+	return { ...finalizeBilling(totals), byGroup }
+}
+
+const getGroupBilling = async ({ groupId, month } = {}) => {
+	const rows = await aggregateBillingRows({ groupId, month })
+
+	const totals = buildEmptyBilling()
+	const byStudent = []
+	for (const row of rows) {
+		totals.charged += toMoneyNumber(row.charged)
+		totals.paid += toMoneyNumber(row.paid)
+		byStudent.push({
+			studentId: row._id?.studentId || null,
+			...finalizeBilling(row),
+		})
+	}
+
+	return { ...finalizeBilling(totals), byStudent }
+}
+
+module.exports = {
+	computeProratedCharge,
+	generateMonthlyCharges,
+	getStudentBilling,
+	getGroupBilling,
+}
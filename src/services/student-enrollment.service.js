@@ -0,0 +1,325 @@
+/**
+ * Student enrollment service.
+ * Shared student creation and group-membership helpers used by the student
+ * controller and by lead conversion, so both paths apply the same validation.
+ */
+
+const bcrypt = require('bcrypt')
+const mongoose = require('mongoose')
+
+const Group = require('../model/group.model')
+const Student = require('../model/student.model')
+
+const PHONE_PATTERN = /^\+?[0-9]{7,15}$/
+
+const parseGroupIds = input => {
+	if (typeof input === 'undefined') {
+		return undefined
+	}
+
+	let groups = input
+	if (typeof input === 'string') {
+		try {
+			groups = JSON.parse(input)
+		} catch (error) {
+			groups = [input.trim()]
+		}
+	}
+
+	if (!Array.isArray(groups)) {
+		return null
+	}
+
+	const normalizedIds = []
+	for (const item of groups) {
+		const groupId = String(item || '').trim()
+		if (!groupId || !mongoose.isValidObjectId(groupId)) {
+			return null
+		}
+		normalizedIds.push(groupId)
+	}
+
+	const uniqueIds = [...new Set(normalizedIds)]
+	if (uniqueIds.length !== normalizedIds.length) {
+		return null
+	}
+
+	return uniqueIds
+}
+
+const toStudentGroupMemberships = groupIds =>
+	groupIds.map(groupId => ({
+		group: groupId,
+		status: 'active',
+	}))
+
+const normalizeObjectIdArray = values => {
+	if (!Array.isArray(values)) {
+		return []
+	}
+
+	const seen = new Set()
+	const normalized = []
+	for (const value of values) {
+		const id = String(value || '').trim()
+		if (!id || !mongoose.isValidObjectId(id) || seen.has(id)) {
+			continue
+		}
+		seen.add(id)
+		normalized.push(new mongoose.Types.ObjectId(id))
+	}
+
+	return normalized
+}
+
+const syncGroupStudentLinks = async ({ studentId, previousGroupIds = [], nextGroupIds = [] }) => {
+	const previousSet = new Set(previousGroupIds.map(groupId => String(groupId)))
+	const nextSet = new Set(nextGroupIds.map(groupId => String(groupId)))
+
+	const groupsToAdd = [...nextSet].filter(groupId => !previousSet.has(groupId))
+	const groupsToRemove = [...previousSet].filter(groupId => !nextSet.has(groupId))
+
+	const normalizedStudentId = String(studentId)
+
+	if (groupsToAdd.length > 0) {
+		const groups = await Group.find({ _id: { $in: groupsToAdd } }).select('_id students')
+		const updates = groups.map(group => {
+			const currentStudents = normalizeObjectIdArray(group.students)
+			if (!currentStudents.some(id => id.toString() === normalizedStudentId)) {
+				currentStudents.push(new mongoose.Types.ObjectId(normalizedStudentId))
+			}
+
+			return {
+				updateOne: {
+					filter: { _id: group._id },
+					update: { $set: { students: currentStudents } },
+				},
+			}
+		})
+
+		if (updates.length > 0) {
+			await Group.bulkWrite(updates)
+		}
+	}
+
+	if (groupsToRemove.length > 0) {
+		const groups = await Group.find({ _id: { $in: groupsToRemove } }).select('_id students')
+		const updates = groups.map(group => {
+			const currentStudents = normalizeObjectIdArray(group.students)
+			const nextStudents = currentStudents.filter(id => id.toString() !== normalizedStudentId)
+
+			return {
+				updateOne: {
+					filter: { _id: group._id },
+					update: { $set: { students: nextStudents } },
+				},
+			}
+		})
+
+		if (updates.length > 0) {
+			await Group.bulkWrite(updates)
+		}
+	}
+}
+
+const parseBirthDate = value => {
+	const date = new Date(value)
+	return Number.isNaN(date.getTime()) ? null : date
+}
+
+const countActiveMembershipsByGroupIds = async (groupIds, { excludeStudentId } = {}) => {
+	if (!Array.isArray(groupIds) || groupIds.length === 0) {
+		return new Map()
+	}
+
+	const objectIds = groupIds.map(groupId => new mongoose.Types.ObjectId(groupId))
+	const matchStage = {
+		groups: {
+			$elemMatch: {
+				group: { $in: objectIds },
+				status: 'active',
+			},
+		},
+	}
+
+	if (excludeStudentId && mongoose.isValidObjectId(excludeStudentId)) {
+		matchStage._id = { $ne: new mongoose.Types.ObjectId(excludeStudentId) }
+	}
+
+	const stats = await Student.aggregate([
+		{
+			$match: matchStage,
+		},
+		{
+			$unwind: '$groups',
+		},
+		{
+			$match: {
+				'groups.group': { $in: objectIds },
+				'groups.status': 'active',
+			},
+		},
+		{
+			$group: {
+				_id: '$groups.group',
+				studentsCount: { $sum: 1 },
+			},
+		},
+	])
+
+	const countsMap = new Map()
+	for (const item of stats) {
+		countsMap.set(item._id.toString(), item.studentsCount)
+	}
+
+	return countsMap
+}
+
+const validateGroupAssignments = async (groupIds, { excludeStudentId } = {}) => {
+	if (!Array.isArray(groupIds) || groupIds.length === 0) {
+		return null
+	}
+
+	const groupDocs = await Group.find({ _id: { $in: groupIds } }).select('_id status maxStudents')
+
+	if (groupDocs.length !== groupIds.length) {
+		const found = new Set(groupDocs.map(group => group._id.toString()))
+		const missing = groupIds.filter(groupId => !found.has(groupId))
+		return {
+			statusCode: 400,
+			message: `One or more groups were not found: ${missing.join(', ')}`,
+		}
+	}
+
+	const groupsById = new Map(groupDocs.map(group => [group._id.toString(), group]))
+	const activeGroupIds = [...new Set(groupIds.map(groupId => String(groupId)))]
+
+	for (const activeGroupId of activeGroupIds) {
+		const linkedGroup = groupsById.get(activeGroupId)
+		if (linkedGroup && ['completed', 'archived'].includes(linkedGroup.status)) {
+			return {
+				statusCode: 400,
+				message: 'Cannot attach an active student membership to completed or archived groups',
+			}
+		}
+	}
+
+	const activeCounts = await countActiveMembershipsByGroupIds(activeGroupIds, {
+		excludeStudentId,
+	})
+
+	for (const activeGroupId of activeGroupIds) {
+		const linkedGroup = groupsById.get(activeGroupId)
+		const currentActiveCount = activeCounts.get(activeGroupId) || 0
+		if (linkedGroup && currentActiveCount >= linkedGroup.maxStudents) {
+			return {
+				statusCode: 409,
+				message: `Group ${activeGroupId} has reached maxStudents limit`,
+			}
+		}
+	}
+
+	return null
+}
+
+/**
+ * Validates student input and creates the student with optional active group
+ * memberships. Returns `{ student }` on success or `{ statusCode, message }`
+ * when validation fails. Duplicate-key and mongoose validation errors are thrown.
+ */
+const createStudentRecord = async input => {
+	const fullname = String(input.fullname || '').trim()
+	const studentPhone = String(input.studentPhone || '').trim()
+	const parentPhone = String(input.parentPhone || '').trim()
+	const gender = String(input.gender || '')
+		.trim()
+		.toLowerCase()
+	const password = input.password
+	const note = input.note ? String(input.note).trim() : undefined
+	const groups = parseGroupIds(input.groups)
+	const birthDate = parseBirthDate(input.birthDate)
+
+	if (!fullname || !studentPhone || !parentPhone || !gender || !birthDate || !password) {
+		return {
+			statusCode: 400,
+			message: 'fullname, studentPhone, parentPhone, gender, birthDate and password are required',
+		}
+	}
+
+	if (!['male', 'female'].includes(gender)) {
+		return { statusCode: 400, message: 'Gender must be male or female' }
+	}
+
+	if (!PHONE_PATTERN.test(studentPhone) || !PHONE_PATTERN.test(parentPhone)) {
+		return { statusCode: 400, message: 'Phone must contain 7-15 digits' }
+	}
+
+	if (password.length < 8) {
+		return { statusCode: 400, message: 'Password must be at least 8 characters' }
+	}
+
+	if (typeof input.groups !== 'undefined' && !groups) {
+		return {
+			statusCode: 400,
+			message: 'groups must be an array of group ObjectId strings',
+		}
+	}
+
+	if (groups) {
+		const groupValidation = await validateGroupAssignments(groups)
+		if (groupValidation) {
+			return groupValidation
+		}
+	}
+
+	const existingStudent = await Student.findOne({ studentPhone })
+	if (existingStudent) {
+		return {
+			statusCode: 409,
+			message: 'Student with this phone number already exists',
+		}
+	}
+
+	const hashedPassword = await bcrypt.hash(password, 12)
+	const studentPayload = {
+		fullname,
+		studentPhone,
+		parentPhone,
+		gender,
+		birthDate,
+		note,
+		password: hashedPassword,
+	}
+
+	if (groups) {
+		studentPayload.groups = toStudentGroupMemberships(groups)
+	}
+
+	// Resolved by the caller (student controller or lead conversion).
+	if (input.branch) {
+		studentPayload.branch = input.branch
+	}
+
+	const student = await Student.create(studentPayload)
+	if (groups && groups.length > 0) {
+		await syncGroupStudentLinks({
+			studentId: student._id,
+			previousGroupIds: [],
+			nextGroupIds: groups,
+		}).catch(syncError => {
+			console.error('Create student group sync failed:', syncError)
+		})
+	}
+
+	return { student }
+}
+
+module.exports = {
+	PHONE_PATTERN,
+	parseGroupIds,
+	parseBirthDate,
+	toStudentGroupMemberships,
+	syncGroupStudentLinks,
+	validateGroupAssignments,
+	createStudentRecord,
+}
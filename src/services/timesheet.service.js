@@ -0,0 +1,353 @@
+/**
+ * Timesheet service.
+ * Records employee check-ins and check-outs confirmed by Face ID against the
+ * employee's own FaceCredential and by GPS against their branch (or own work)
+ * location, and builds monthly timesheets with worked and late minutes per
+ * local (UTC+5) day. Lateness counts from the employee's first group session
+ * of the day, or from WORKDAY_START_TIME on days without one.
+ */
+
+const User = require('../model/user.model')
+const { Branch } = require('../model/branch.model')
+const Group = require('../model/group.model')
+const FaceCredential = require('../models/FaceCredential.model')
+const { TimesheetEvent } = require('../model/timesheet-event.model')
+const { toAttendanceDateKey } = require('../model/group-attendance.model')
+const { verifyFaceChallenge } = require('./face-challenge.service')
+const { listGroupSessions, toSessionStart } = require('./group-session.service')
+const { faceDistance, resolveRoleFaceMatchThresholds } = require('../utils/face-match')
+
+const EARTH_RADIUS_METERS = 6371000
+const WORKDAY_START_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/
+const MINUTE_MS = 60 * 1000
+
+const readPositiveIntEnv = (name, fallback) => {
+	const value = Number(process.env[name])
+	return Number.isInteger(value) && value > 0 ? value : fallback
+}
+
+const getTimesheetSettings = () => {
+	const workdayStart = String(process.env.WORKDAY_START_TIME || '').trim()
+	const graceMinutes = Number(process.env.WORKDAY_LATE_GRACE_MINUTES)
+	return {
+		radiusMeters: readPositiveIntEnv('ATTENDANCE_CHECKIN_RADIUS_METERS', 200),
+		workdayStart: WORKDAY_START_PATTERN.test(workdayStart) ? workdayStart : '09:00',
+		lateGraceMinutes: Number.isInteger(graceMinutes) && graceMinutes >= 0 ? graceMinutes : 10,
+	}
+}
+
+// Accepts a GeoJSON point or a bare [longitude, latitude] pair.
+const parseCoordinates = value => {
+	const coordinates = Array.isArray(value) ? value : value?.coordinates
+	if (!Array.isArray(coordinates) || coordinates.length !== 2) {
+		return null
+	}
+
+	const [longitude, latitude] = coordinates.map(Number)
+	if (
+		!Number.isFinite(longitude) ||
+		!Number.isFinite(latitude) ||
+		longitude < -180 ||
+		longitude > 180 ||
+		latitude < -90 ||
+		latitude > 90
+	) {
+		return null
+	}
+
+	return [longitude, latitude]
+}
+
+const toRadians = degrees => (degrees * Math.PI) / 180
+
+// Great-circle (haversine) distance between two [longitude, latitude] points.
+const distanceInMeters = ([fromLongitude, fromLatitude], [toLongitude, toLatitude]) => {
+	const latitudeDelta = toRadians(toLatitude - fromLatitude)
+	const longitudeDelta = toRadians(toLongitude - fromLongitude)
+	const a =
+		Math.sin(latitudeDelta / 2) ** 2 +
+		Math.cos(toRadians(fromLatitude)) * Math.cos(toRadians(toLatitude)) * Math.sin(longitudeDelta / 2) ** 2
+	return 2 * EARTH_RADIUS_METERS * Math.asin(Math.min(1, Math.sqrt(a)))
+}
+
+/**
+ * Points the employee may check in at: their active branches that have a
+ * location, or User.location when none has. Returns [{ branch, coordinates }].
+ */
+const resolveWorkLocations = async employee => {
+	const branches =
+		employee.branches?.length > 0
+			? await Branch.find({ _id: { $in: employee.branches }, isActive: true, location: { $exists: true } })
+					.select('_id location')
+					.lean()
+			: []
+	const branchLocations = branches
+		.map(branch => ({ branch: branch._id, coordinates: parseCoordinates(branch.location) }))
+		.filter(location => location.coordinates)
+	if (branchLocations.length > 0) {
+		return branchLocations
+	}
+
+	const ownCoordinates = parseCoordinates(employee.location)
+	return ownCoordinates ? [{ branch: null, coordinates: ownCoordinates }] : []
+}
+
+const ALREADY_RECORDED = {
+	check_in: { message: 'Already checked in today', code: 'ALREADY_CHECKED_IN' },
+	check_out: { message: 'Already checked out today', code: 'ALREADY_CHECKED_OUT' },
+}
+
+/**
+ * Records a check_in or check_out for the employee. The location must be
+ * within ATTENDANCE_CHECKIN_RADIUS_METERS of a work location, and the mean of the
+ * challenge frames within the employee's role threshold of their own enrolled
+ * face. Returns { event } or { statusCode, message, code?, field? }.
+ */
+const recordTimesheetEvent = async ({ employeeId, type, nonce, frames, location, client = {} }) => {
+	const coordinates = parseCoordinates(location)
+	if (!coordinates) {
+		return {
+			statusCode: 400,
+			message: 'location must contain coordinates [longitude, latitude]',
+			field: 'location',
+		}
+	}
+
+	const employee = await User.findById(employeeId).select('_id role location branches faceIdEnabled')
+	if (!employee) {
+		return { statusCode: 404, message: 'User not found' }
+	}
+	const workLocations = await resolveWorkLocations(employee)
+	if (workLocations.length === 0) {
+		return {
+			statusCode: 409,
+			message: 'No work location is set for this employee',
+			code: 'WORK_LOCATION_MISSING',
+		}
+	}
+
+	const settings = getTimesheetSettings()
+	const [nearest] = workLocations
+		.map(location => ({
+			branch: location.branch,
+			distanceMeters: Math.round(distanceInMeters(coordinates, location.coordinates)),
+		}))
+		.sort((left, right) => left.distanceMeters - right.distanceMeters)
+	const { distanceMeters } = nearest
+	if (distanceMeters > settings.radiusMeters) {
+		return {
+			statusCode: 403,
+			message: `You must be within ${settings.radiusMeters} m of your work location`,
+			code: 'OUTSIDE_WORK_AREA',
+			distanceMeters,
+		}
+	}
+
+	const now = new Date()
+	const dateKey = toAttendanceDateKey(now)
+	const dayEvents = await TimesheetEvent.find({ employee: employee._id, dateKey }).select('type').lean()
+	if (dayEvents.some(event => event.type === type)) {
+		return { statusCode: 409, ...ALREADY_RECORDED[type] }
+	}
+	if (type === 'check_out' && !dayEvents.some(event => event.type === 'check_in')) {
+		return { statusCode: 409, message: 'Check in before checking out', code: 'NOT_CHECKED_IN' }
+	}
+
+	const credential = employee.faceIdEnabled
+		? await FaceCredential.findOne({ userId: employee._id }).select('+descriptor')
+		: null
+	if (!credential) {
+		return {
+			statusCode: 409,
+			message: 'Register Face ID before checking in',
+			code: 'FACE_ID_NOT_ENROLLED',
+		}
+	}
+
+	const liveness = await verifyFaceChallenge({ nonce, frames, purpose: 'attendance' })
+	if (!liveness.descriptor) {
+		const { outcome, ...failure } = liveness
+		return failure
+	}
+
+	const matchDistance = faceDistance(liveness.descriptor, credential.descriptor)
+	const threshold = resolveRoleFaceMatchThresholds([employee.role])[employee.role]
+	if (matchDistance > threshold) {
+		return { statusCode: 401, message: 'Face does not match your Face ID', code: 'FACE_MISMATCH' }
+	}
+
+	try {
+		const event = await TimesheetEvent.create({
+			employee: employee._id,
+			type,
+			occurredAt: now,
+			dateKey,
+			branch: nearest.branch,
+			coordinates,
+			distanceMeters,
+			faceDistance: Number(matchDistance.toFixed(6)),
+			ip: client.ip || '',
+			deviceId: client.deviceId || '',
+		})
+		return { event }
+	} catch (error) {
+		// A concurrent request recorded the same event first.
+		if (error.code === 11000) {
+			return { statusCode: 409, ...ALREADY_RECORDED[type] }
+		}
+		throw error
+	}
+}
+
+const minutesBetween = (from, to) => Math.floor((new Date(to).getTime() - new Date(from).getTime()) / MINUTE_MS)
+
+/**
+ * Start of the first scheduled group session each employee teaches or
+ * supports on each day of [fromKey, toKey]. Returns Map<employeeId,
+ * Map<dateKey, Date>>; days without a session are missing.
+ */
+const loadFirstSessionStarts = async ({ employeeIds, fromKey, toKey }) => {
+	const groups = await Group.find({
+		$or: [{ teacher: { $in: employeeIds } }, { supportTeachers: { $in: employeeIds } }],
+	})
+		.select('_id teacher supportTeachers schedule startDate endDate')
+		.lean()
+
+	const sessionsByGroup = await Promise.all(groups.map(group => listGroupSessions(group, { fromKey, toKey })))
+
+	const firstStarts = new Map()
+	groups.forEach((group, index) => {
+		const staff = [group.teacher, ...(group.supportTeachers || [])].filter(Boolean).map(String)
+		for (const session of sessionsByGroup[index]) {
+			if (session.status !== 'scheduled') {
+				continue
+			}
+			const startsAt = new Date(session.startsAt)
+			for (const employeeId of staff) {
+				if (!firstStarts.has(employeeId)) {
+					firstStarts.set(employeeId, new Map())
+				}
+				const days = firstStarts.get(employeeId)
+				const earliest = days.get(session.dateKey)
+				if (!earliest || startsAt < earliest) {
+					days.set(session.dateKey, startsAt)
+				}
+			}
+		}
+	})
+	return firstStarts
+}
+
+// User.branches is a list; employees without any branch stay visible to every
+// branch, like unassigned records elsewhere.
+const toEmployeeBranchFilter = branchFilter => {
+	if (!branchFilter) {
+		return {}
+	}
+	if (typeof branchFilter === 'string') {
+		return { branches: branchFilter }
+	}
+	return {
+		$or: [{ branches: { $in: branchFilter.$in.filter(Boolean) } }, { branches: { $size: 0 } }],
+	}
+}
+
+const buildEmployeeDays = (events, settings, sessionStarts = new Map()) => {
+	const days = new Map()
+	for (const event of events) {
+		const day = days.get(event.dateKey) || { dateKey: event.dateKey, checkInAt: null, checkOutAt: null }
+		if (event.type === 'check_in') {
+			day.checkInAt = event.occurredAt
+		} else {
+			day.checkOutAt = event.occurredAt
+		}
+		days.set(event.dateKey, day)
+	}
+
+	return [...days.values()]
+		.sort((left, right) => left.dateKey.localeCompare(right.dateKey))
+		.map(day => {
+			const workedMinutes =
+				day.checkInAt && day.checkOutAt ? Math.max(minutesBetween(day.checkInAt, day.checkOutAt), 0) : 0
+			// Lateness counts from the expected start once the grace period is exceeded.
+			const expectedStartAt =
+				sessionStarts.get(day.dateKey) || toSessionStart(day.dateKey, settings.workdayStart)
+			const minutesAfterStart = day.checkInAt ? minutesBetween(expectedStartAt, day.checkInAt) : 0
+			const lateMinutes = minutesAfterStart > settings.lateGraceMinutes ? minutesAfterStart : 0
+			return { ...day, expectedStartAt, workedMinutes, lateMinutes }
+		})
+}
+
+/**
+ * Builds the month's timesheet for employeeId, or for every employee in
+ * branchFilter (a resolveBranchFilter value, null for every branch) who uses
+ * timesheets: enrolled in Face ID or with events in the month.
+ * Each entry lists the days with events and totals that lateness fines can be
+ * based on: lateDays and lateMinutes.
+ */
+const buildMonthlyTimesheets = async ({ month, employeeId = null, branchFilter = null }) => {
+	const settings = getTimesheetSettings()
+	const fromKey = `${month}-01`
+	const toKey = `${month}-31`
+	const eventFilter = { dateKey: { $gte: fromKey, $lte: toKey } }
+	const employeeFilter = toEmployeeBranchFilter(branchFilter)
+	if (employeeId) {
+		eventFilter.employee = employeeId
+		employeeFilter._id = employeeId
+	}
+
+	const [candidates, events] = await Promise.all([
+		User.find(employeeFilter).sort({ fullname: 1 }).select('_id fullname role faceIdEnabled').lean(),
+		TimesheetEvent.find(eventFilter).sort({ occurredAt: 1 }).select('employee type occurredAt dateKey').lean(),
+	])
+
+	const eventsByEmployee = new Map()
+	for (const event of events) {
+		const key = String(event.employee)
+		if (!eventsByEmployee.has(key)) {
+			eventsByEmployee.set(key, [])
+		}
+		eventsByEmployee.get(key).push(event)
+	}
+
+	const employees = employeeId
+		? candidates
+		: candidates.filter(employee => employee.faceIdEnabled || eventsByEmployee.has(String(employee._id)))
+	const sessionStarts =
+		employees.length > 0
+			? await loadFirstSessionStarts({ employeeIds: employees.map(employee => employee._id), fromKey, toKey })
+			: new Map()
+
+	const timesheets = employees.map(employee => {
+		const days = buildEmployeeDays(
+			eventsByEmployee.get(String(employee._id)) || [],
+			settings,
+			sessionStarts.get(String(employee._id)),
+		)
+		const lateDays = days.filter(day => day.lateMinutes > 0)
+		return {
+			employee: { _id: employee._id, fullname: employee.fullname, role: employee.role },
+			days,
+			totals: {
+				daysPresent: days.filter(day => day.checkInAt).length,
+				missingCheckOuts: days.filter(day => day.checkInAt && !day.checkOutAt).length,
+				workedMinutes: days.reduce((sum, day) => sum + day.workedMinutes, 0),
+				lateDays: lateDays.length,
+				lateMinutes: lateDays.reduce((sum, day) => sum + day.lateMinutes, 0),
+			},
+		}
+	})
+
+	return {
+		month,
+		workdayStart: settings.workdayStart,
+		lateGraceMinutes: settings.lateGraceMinutes,
+		timesheets,
+	}
+}
+
+module.exports = {
+	recordTimesheetEvent,
+	buildMonthlyTimesheets,
+	distanceInMeters,
+}
@@ -0,0 +1,174 @@
+/**
+ * Audit trail utilities.
+ * auditTrailPlugin is added to every audited schema. While a write request
+ * runs inside runWithAuditTrail (see the audit middleware), its hooks note
+ * each document the request creates, updates or deletes, together with the
+ * stored state before its first write. Writes outside a request (seeders,
+ * startup migrations) and raw collection calls are not tracked.
+ */
+
+const { AsyncLocalStorage } = require('async_hooks')
+
+// Upper bound of documents snapshotted for one multi-document write.
+const MAX_TRACKED_DOCUMENTS_PER_WRITE = 500
+
+const SINGLE_DOCUMENT_QUERY_OPS = [
+	'updateOne',
+	'findOneAndUpdate',
+	'replaceOne',
+	'findOneAndReplace',
+	'deleteOne',
+	'findOneAndDelete',
+]
+const MULTI_DOCUMENT_QUERY_OPS = ['updateMany', 'deleteMany']
+const UPSERT_QUERY_OPS = ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace']
+
+// Keeps the request's trail on a query between its pre and post hooks.
+const QUERY_TRAIL = Symbol('auditTrail')
+
+const auditContext = new AsyncLocalStorage()
+
+const createAuditTrail = () => ({ entities: new Map() })
+
+const runWithAuditTrail = (trail, work) => auditContext.run(trail, work)
+
+const getActiveAuditTrail = () => auditContext.getStore() || null
+
+const entityKey = (Model, id) => `${Model.modelName}:${String(id)}`
+
+// Documents created by the request have no state before.
+const trackCreated = (trail, Model, ids) => {
+	for (const id of ids) {
+		const key = entityKey(Model, id)
+		if (!trail.entities.has(key)) {
+			trail.entities.set(key, { Model, id, before: Promise.resolve(null) })
+		}
+	}
+}
+
+/**
+ * Snapshots the documents matching filter unless the request already wrote
+ * them, so the first stored state is the one kept. Resolves once every
+ * snapshot is read, before the write itself runs.
+ */
+const trackMatching = async (
+	trail,
+	Model,
+	filter,
+	{ session = null, sort = null, limit = MAX_TRACKED_DOCUMENTS_PER_WRITE } = {},
+) => {
+	let query = Model.find(filter).session(session).limit(limit)
+	if (sort) {
+		query = query.sort(sort)
+	}
+	const documents = await query.lean()
+
+	for (const document of documents) {
+		const key = entityKey(Model, document._id)
+		if (!trail.entities.has(key)) {
+			trail.entities.set(key, { Model, id: document._id, before: Promise.resolve(document) })
+		}
+	}
+}
+
+const trackStoredDocument = async (trail, document) => {
+	const Model = document.constructor
+	const key = entityKey(Model, document._id)
+	if (!trail.entities.has(key)) {
+		const before = Model.find({ _id: document._id })
+			.session(document.$session() || null)
+			.limit(1)
+			.lean()
+			.then(([stored]) => stored || null)
+		trail.entities.set(key, { Model, id: document._id, before })
+	}
+	await trail.entities.get(key).before
+}
+
+const auditTrailPlugin = schema => {
+	schema.pre('save', async function () {
+		const trail = getActiveAuditTrail()
+		if (!trail) {
+			return
+		}
+		if (this.isNew) {
+			trackCreated(trail, this.constructor, [this._id])
+			return
+		}
+		await trackStoredDocument(trail, this)
+	})
+
+	schema.pre('deleteOne', { document: true, query: false }, async function () {
+		const trail = getActiveAuditTrail()
+		if (trail) {
+			await trackStoredDocument(trail, this)
+		}
+	})
+
+	schema.pre(
+		[...SINGLE_DOCUMENT_QUERY_OPS, ...MULTI_DOCUMENT_QUERY_OPS],
+		{ document: false, query: true },
+		async function () {
+			const trail = getActiveAuditTrail()
+			if (!trail) {
+				return
+			}
+			this[QUERY_TRAIL] = trail
+
+			const options = this.getOptions()
+			const single = SINGLE_DOCUMENT_QUERY_OPS.includes(this.op)
+			await trackMatching(trail, this.model, this.getFilter(), {
+				session: options.session || null,
+				sort: single ? options.sort : null,
+				limit: single ? 1 : MAX_TRACKED_DOCUMENTS_PER_WRITE,
+			})
+		},
+	)
+
+	// Matched documents were snapshotted in the pre hook, so any other id is an
+	// upsert: updateOne-style results carry upsertedId, findOneAndUpdate the document.
+	schema.post(UPSERT_QUERY_OPS, { document: false, query: true }, function (result) {
+		const trail = this[QUERY_TRAIL]
+		if (!trail || !result) {
+			return
+		}
+		trackCreated(trail, this.model, [result.upsertedId, result._id].filter(Boolean))
+	})
+
+	schema.post('insertMany', function (documents) {
+		const trail = getActiveAuditTrail()
+		if (trail && Array.isArray(documents)) {
+			trackCreated(trail, this, documents.map(document => document._id).filter(Boolean))
+		}
+	})
+
+	schema.pre('bulkWrite', async function (operations, options) {
+		const trail = getActiveAuditTrail()
+		if (!trail) {
+			return
+		}
+
+		const filters = operations
+			.map(operation => Object.values(operation)[0]?.filter)
+			.filter(Boolean)
+		if (filters.length > 0) {
+			await trackMatching(trail, this, { $or: filters }, { session: options?.session || null })
+		}
+	})
+
+	schema.post('bulkWrite', function (result) {
+		const trail = getActiveAuditTrail()
+		if (trail && result) {
+			trackCreated(trail, this, [
+				...Object.values(result.insertedIds || {}),
+				...Object.values(result.upsertedIds || {}),
+			])
+		}
+	})
+}
+
+module.exports = {
+	auditTrailPlugin,
+	createAuditTrail,
+	runWithAuditTrail,
+}
@@ -0,0 +1,119 @@
+/**
+ * Face matching utilities shared by Face ID login and attendance check-in.
+ * Parses client descriptors and resolves the server-side match thresholds:
+ * FACE_MATCH_THRESHOLD for every role, FACE_MATCH_THRESHOLDS per role
+ * (e.g. "admin:0.4,superadmin:0.35") and FACE_MATCH_MARGIN.
+ */
+
+const FACE_DESCRIPTOR_LENGTH = 128
+const DEFAULT_FACE_MATCH_THRESHOLD = 0.45
+// Stricter by default for the accounts that manage roles, users and money.
+const DEFAULT_ROLE_FACE_MATCH_THRESHOLDS = { admin: 0.4, superadmin: 0.35 }
+
+const normalizeRoleInput = value => {
+	const normalized = String(value || '').trim()
+	const lowered = normalized.toLowerCase()
+	if (lowered === 'supportteacher') {
+		return 'supporteacher'
+	}
+
+	return lowered
+}
+
+const parseFaceDescriptor = value => {
+	if (typeof value === 'undefined' || value === null) {
+		return null
+	}
+
+	let parsedValue = value
+	if (typeof value === 'string') {
+		try {
+			parsedValue = JSON.parse(value)
+		} catch (error) {
+			return null
+		}
+	}
+
+	if (!Array.isArray(parsedValue) || parsedValue.length !== FACE_DESCRIPTOR_LENGTH) {
+		return null
+	}
+
+	const descriptor = parsedValue.map(number => Number(number))
+	if (!descriptor.every(number => Number.isFinite(number))) {
+		return null
+	}
+
+	return descriptor
+}
+
+// Frames of a challenge attempt; null unless every frame is a valid descriptor.
+const parseFaceFrames = value => {
+	if (!Array.isArray(value) || value.length === 0) {
+		return null
+	}
+
+	const frames = value.map(parseFaceDescriptor)
+	return frames.every(Boolean) ? frames : null
+}
+
+const faceDistance = (first, second) => {
+	let sum = 0
+	for (let index = 0; index < first.length; index += 1) {
+		const delta = first[index] - second[index]
+		sum += delta * delta
+	}
+	return Math.sqrt(sum)
+}
+
+const parseFaceMatchThreshold = value => {
+	const threshold = Number(value)
+	if (!Number.isFinite(threshold) || threshold <= 0 || threshold > 2) {
+		return null
+	}
+
+	return threshold
+}
+
+/**
+ * Returns { [role]: threshold } for the given roles.
+ */
+const resolveRoleFaceMatchThresholds = roles => {
+	const roleSet = new Set(roles)
+	const baseThreshold =
+		parseFaceMatchThreshold(process.env.FACE_MATCH_THRESHOLD) ?? DEFAULT_FACE_MATCH_THRESHOLD
+
+	const thresholds = {}
+	for (const role of roleSet) {
+		thresholds[role] = Math.min(baseThreshold, DEFAULT_ROLE_FACE_MATCH_THRESHOLDS[role] ?? baseThreshold)
+	}
+
+	for (const entry of String(process.env.FACE_MATCH_THRESHOLDS || '').split(',')) {
+		const [roleInput, value] = entry.split(':')
+		const role = normalizeRoleInput(roleInput)
+		const threshold = parseFaceMatchThreshold(String(value ?? '').trim())
+		if (roleSet.has(role) && threshold !== null) {
+			thresholds[role] = threshold
+		}
+	}
+
+	return thresholds
+}
+
+const resolveFaceMatchMargin = () => {
+	const envMargin = Number(process.env.FACE_MATCH_MARGIN)
+	if (Number.isFinite(envMargin) && envMargin >= 0 && envMargin <= 1) {
+		return envMargin
+	}
+	return 0.05
+}
+
+module.exports = {
+	FACE_DESCRIPTOR_LENGTH,
+	DEFAULT_FACE_MATCH_THRESHOLD,
+	normalizeRoleInput,
+	parseFaceDescriptor,
+	parseFaceFrames,
+	faceDistance,
+	resolveRoleFaceMatchThresholds,
+	resolveFaceMatchMargin,
+}
@@ -1,8 +1,9 @@
 /**
- * Unified JWT utilities for employee and student authentication.
+ * Unified JWT utilities for employee, student and parent authentication.
  * Exports helpers to sign/verify access and refresh tokens with one secret.
  */
 
+const crypto = require('crypto')
 const jwt = require('jsonwebtoken')
 
 const JWT_ALGORITHM = 'HS256'
@@ -10,6 +11,8 @@ const EMPLOYEE_ACCESS_EXPIRES_IN = '23h'
 const EMPLOYEE_REFRESH_EXPIRES_IN = '7d'
 const STUDENT_ACCESS_EXPIRES_IN = '24h'
 const STUDENT_REFRESH_EXPIRES_IN = '7d'
+const PARENT_ACCESS_EXPIRES_IN = '24h'
+const PARENT_REFRESH_EXPIRES_IN = '7d'
 
 const resolveSecret = () =>
 	process.env.JWT_ACCESS_SECRET || process.env.JWT_SECRET
@@ -24,25 +27,29 @@ const ensureSecret = () => {
 
 const resolveEntityId = entity => String(entity?._id || entity?.id || entity?.sub || '').trim()
 
-const signToken = ({ sub, role, userType, tokenType, expiresIn }) => {
+// sid links the token to its AuthSession; jwtid keeps rotated refresh tokens
+// distinct even when issued within the same second.
+const signToken = ({ sub, role, userType, tokenType, expiresIn, sessionId }) => {
 	const secret = ensureSecret()
-	return jwt.sign(
-		{
-			sub,
-			id: sub, // legacy compatibility for existing consumers
-			role,
-			userType,
-			tokenType,
-		},
-		secret,
-		{
-			expiresIn,
-			algorithm: JWT_ALGORITHM,
-		},
-	)
+	const payload = {
+		sub,
+		id: sub, // legacy compatibility for existing consumers
+		role,
+		userType,
+		tokenType,
+	}
+	if (sessionId) {
+		payload.sid = String(sessionId)
+	}
+
+	return jwt.sign(payload, secret, {
+		expiresIn,
+		algorithm: JWT_ALGORITHM,
+		jwtid: crypto.randomUUID(),
+	})
 }
 
-const generateAccessToken = user => {
+const generateAccessToken = (user, { sessionId } = {}) => {
 	const sub = resolveEntityId(user)
 	return signToken({
 		sub,
@@ -50,10 +57,11 @@ const generateAccessToken = user => {
 		userType: 'employee',
 		tokenType: 'access',
 		expiresIn: EMPLOYEE_ACCESS_EXPIRES_IN,
+		sessionId,
 	})
 }
 
-const generateRefreshToken = user => {
+const generateRefreshToken = (user, { sessionId } = {}) => {
 	const sub = resolveEntityId(user)
 	return signToken({
 		sub,
@@ -61,10 +69,11 @@ const generateRefreshToken = user => {
 		userType: 'employee',
 		tokenType: 'refresh',
 		expiresIn: EMPLOYEE_REFRESH_EXPIRES_IN,
+		sessionId,
 	})
 }
 
-const generateStudentAccessToken = student => {
+const generateStudentAccessToken = (student, { sessionId } = {}) => {
 	const sub = resolveEntityId(student)
 	return signToken({
 		sub,
@@ -72,10 +81,11 @@ const generateStudentAccessToken = student => {
 		userType: 'student',
 		tokenType: 'access',
 		expiresIn: STUDENT_ACCESS_EXPIRES_IN,
+		sessionId,
 	})
 }
 
-const generateStudentRefreshToken = student => {
+const generateStudentRefreshToken = (student, { sessionId } = {}) => {
 	const sub = resolveEntityId(student)
 	return signToken({
 		sub,
@@ -83,6 +93,31 @@ const generateStudentRefreshToken = student => {
 		userType: 'student',
 		tokenType: 'refresh',
 		expiresIn: STUDENT_REFRESH_EXPIRES_IN,
+		sessionId,
+	})
+}
+
+const generateParentAccessToken = (parent, { sessionId } = {}) => {
+	const sub = resolveEntityId(parent)
+	return signToken({
+		sub,
+		role: 'parent',
+		userType: 'parent',
+		tokenType: 'access',
+		expiresIn: PARENT_ACCESS_EXPIRES_IN,
+		sessionId,
+	})
+}
+
+const generateParentRefreshToken = (parent, { sessionId } = {}) => {
+	const sub = resolveEntityId(parent)
+	return signToken({
+		sub,
+		role: 'parent',
+		userType: 'parent',
+		tokenType: 'refresh',
+		expiresIn: PARENT_REFRESH_EXPIRES_IN,
+		sessionId,
 	})
 }
 
@@ -117,6 +152,8 @@ module.exports = {
 	generateRefreshToken,
 	generateStudentAccessToken,
 	generateStudentRefreshToken,
+	generateParentAccessToken,
+	generateParentRefreshToken,
 	verifyToken,
 	verifyAccessToken,
 	verifyRefreshToken,
@@ -0,0 +1,47 @@
+/**
+ * Transaction utility.
+ * Exports runWithOptionalTransaction(work), which runs work(session) inside a
+ * MongoDB transaction and falls back to work(null) on standalone servers
+ * without replica-set support.
+ */
+
+const mongoose = require('mongoose')
+
+const runWithOptionalTransaction = async work => {
+	let session = null
+	try {
+		session = await mongoose.startSession()
+	} catch (error) {
+		return work(null)
+	}
+
+	if (!session || typeof session.withTransaction !== 'function') {
+		if (session) {
+			await session.endSession().catch(() => {})
+		}
+		return work(null)
+	}
+
+	try {
+		let result
+		await session.withTransaction(async () => {
+			result = await work(session)
+		})
+		return result
+	} catch (error) {
+		const message = String(error?.message || '')
+		if (
+			message.includes('Transaction numbers are only allowed on a replica set member or mongos') ||
+			message.includes('replica set')
+		) {
+			return work(null)
+		}
+		throw error
+	} finally {
+		await session.endSession().catch(() => {})
+	}
+}
+
+module.exports = {
+	runWithOptionalTransaction,
+}